@@ -33,9 +33,23 @@ const ORDER_STATUS = {
   PICKED_UP: 'picked_up',
   IN_TRANSIT: 'in_transit',
   OUT_FOR_DELIVERY: 'out_for_delivery',
+  NDR: 'ndr', // delivery attempt failed, waiting on the seller (see NdrCase)
   DELIVERED: 'delivered',
   CANCELLED: 'cancelled',
-  RTO: 'rto'
+  RTO: 'rto', // return to origin initiated
+  RTO_IN_TRANSIT: 'rto_in_transit',
+  RTO_DELIVERED: 'rto_delivered', // returned to the seller
+  LOST: 'lost',
+  DAMAGED: 'damaged'
+};
+
+// Every status of an order on its way back to the seller
+const RTO_STATUSES = [ORDER_STATUS.RTO, ORDER_STATUS.RTO_IN_TRANSIT, ORDER_STATUS.RTO_DELIVERED];
+
+// Shipment direction: forward (seller -> customer) or reverse pickup / return
+const ORDER_DIRECTIONS = {
+  FORWARD: 'forward',
+  REVERSE: 'reverse'
 };
 
 // Delivery Partners
@@ -54,11 +68,127 @@ const TRANSACTION_TYPES = {
   DEBIT: 'debit'
 };
 
+// Wallet ledger categories (what a transaction was for)
+const TRANSACTION_CATEGORIES = {
+  RECHARGE: 'recharge',
+  ORDER_PAYMENT: 'order_payment',
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment',
+  COD_REMITTANCE: 'cod_remittance',
+  WEIGHT_DISCREPANCY: 'weight_discrepancy',
+  CREDIT_CHARGES: 'credit_charges' // late fees / interest on overdue postpaid dues
+};
+
+// Wallet account types: prepaid wallets never go below zero, postpaid ones
+// can go negative down to their credit limit and are billed monthly
+const WALLET_ACCOUNT_TYPES = {
+  PREPAID: 'prepaid',
+  POSTPAID: 'postpaid'
+};
+
+// Wallet refund reasons (order refunds)
+const REFUND_REASONS = {
+  BOOKING_FAILED: 'booking_failed',
+  CANCELLED_BEFORE_PICKUP: 'cancelled_before_pickup',
+  PARTIAL_REFUND: 'partial_refund'
+};
+
+// Cash-on-delivery lifecycle of an order (order.cod.status)
+const COD_STATUS = {
+  PENDING: 'pending', // shipment not delivered yet
+  COLLECTED: 'collected', // delivered, cash is with the carrier
+  RECEIVED: 'received', // carrier remitted it to us (remittance file imported)
+  REMITTED: 'remitted', // paid out to the seller
+  CANCELLED: 'cancelled' // cancelled / RTO, nothing to collect
+};
+
+// NDR (non-delivery report) case lifecycle
+const NDR_STATUS = {
+  OPEN: 'open', // waiting for the seller to choose an action
+  ACTION_REQUESTED: 'action_requested', // action sent to the carrier
+  RESOLVED: 'resolved' // delivered, RTO or cancelled
+};
+
+// What the seller can ask the carrier to do with an undelivered shipment
+const NDR_ACTIONS = {
+  REATTEMPT: 'reattempt',
+  RTO: 'rto',
+  HOLD: 'hold'
+};
+
+// Extra charge when the carrier weighs a shipment heavier than it was billed
+const WEIGHT_DISCREPANCY_STATUS = {
+  PENDING_DEBIT: 'pending_debit', // not charged yet (e.g. low wallet balance), retried by the job
+  DEBITED: 'debited', // difference charged to the wallet
+  REVERSED: 'reversed', // dispute accepted, charge refunded
+  WAIVED: 'waived' // dispute accepted before the charge went through
+};
+
+// Seller dispute on a weight discrepancy
+const WEIGHT_DISPUTE_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+// Adjustments against an issued tax invoice (refunds lower, extra charges raise it)
+const INVOICE_NOTE_TYPES = {
+  CREDIT: 'credit_note',
+  DEBIT: 'debit_note'
+};
+
+// Where a seller's COD remittance is paid
+const COD_PAYOUT_METHODS = {
+  BANK: 'bank',
+  WALLET: 'wallet'
+};
+
+// In-app notifications shown to sellers (also emailed)
+const NOTIFICATION_TYPES = {
+  LOW_BALANCE: 'low_balance',
+  AUTO_RECHARGE_SUCCEEDED: 'auto_recharge_succeeded',
+  AUTO_RECHARGE_FAILED: 'auto_recharge_failed',
+  CREDIT_OVERDUE: 'credit_overdue'
+};
+
+// What a seller API key may do (keys are scoped; browser sessions can do everything)
+const API_KEY_SCOPES = {
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+  TRACKING_READ: 'tracking:read',
+  WALLET_READ: 'wallet:read'
+};
+
+// Events sellers can subscribe their webhook endpoints to
+const WEBHOOK_EVENTS = {
+  ORDER_CREATED: 'order.created',
+  SHIPMENT_BOOKED: 'shipment.booked',
+  STATUS_CHANGED: 'status.changed', // every order status change
+  NDR_RAISED: 'ndr.raised',
+  DELIVERED: 'delivered',
+  RTO: 'rto'
+};
+
 module.exports = {
   HTTP_STATUS,
   ORDER_TYPES,
   USER_ROLES,
   ORDER_STATUS,
+  RTO_STATUSES,
+  ORDER_DIRECTIONS,
   DELIVERY_PARTNERS,
-  TRANSACTION_TYPES
+  TRANSACTION_TYPES,
+  TRANSACTION_CATEGORIES,
+  WALLET_ACCOUNT_TYPES,
+  REFUND_REASONS,
+  COD_STATUS,
+  COD_PAYOUT_METHODS,
+  NDR_STATUS,
+  NDR_ACTIONS,
+  WEIGHT_DISCREPANCY_STATUS,
+  WEIGHT_DISPUTE_STATUS,
+  INVOICE_NOTE_TYPES,
+  NOTIFICATION_TYPES,
+  API_KEY_SCOPES,
+  WEBHOOK_EVENTS
 };
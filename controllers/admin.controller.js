@@ -1,4 +1,14 @@
 const adminService = require('../services/admin.service');
+const bookingQueueService = require('../services/bookingQueue.service');
+const refundService = require('../services/refund.service');
+const pricingService = require('../services/pricing.service');
+const codRemittanceService = require('../services/codRemittance.service');
+const ndrService = require('../services/ndr.service');
+const weightDiscrepancyService = require('../services/weightDiscrepancy.service');
+const creditAccountService = require('../services/creditAccount.service');
+const inboundWebhookService = require('../services/inboundWebhook.service');
+const orderStatusService = require('../services/orderStatus.service');
+const { REFUND_REASONS } = require('../config/constants');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
 
 /**
@@ -137,6 +147,159 @@ class AdminController {
     }
   }
 
+  /**
+   * Refund an order to the seller's wallet (full or partial)
+   * @route POST /api/admin/orders/:orderId/refund
+   */
+  async refundOrder(req, res, next) {
+    try {
+      const { orderId } = req.params;
+      const { amount, reason = REFUND_REASONS.PARTIAL_REFUND, note = '', reference } = req.body;
+
+      if (amount != null && !(Number(amount) > 0)) {
+        return errorResponse(res, 'Amount must be greater than 0', 400);
+      }
+
+      const result = await refundService.refundOrder(orderId, {
+        reason,
+        amount: amount != null ? Number(amount) : null,
+        reference: reference || req.get('idempotency-key'),
+        note,
+        initiatedBy: req.user._id
+      });
+
+      const message = result.replayed ? 'Refund already issued' : 'Refund issued successfully';
+      return successResponse(res, result, message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List stuck / dead-lettered carrier bookings
+   * @route GET /api/admin/bookings
+   */
+  async getStuckBookings(req, res, next) {
+    try {
+      const { status = '', page = 1, limit = 20 } = req.query;
+      const result = await bookingQueueService.getStuckBookings({
+        status,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+      return successResponse(res, result, 'Bookings retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-drive a failed carrier booking
+   * @route POST /api/admin/bookings/:jobId/redrive
+   */
+  async redriveBooking(req, res, next) {
+    try {
+      const { jobId } = req.params;
+      const job = await bookingQueueService.redrive(jobId, req.user._id);
+      return successResponse(res, { job }, 'Booking re-queued successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Inbound carrier / Razorpay webhook events
+   * @route GET /api/admin/webhook-events
+   */
+  async getWebhookEvents(req, res, next) {
+    try {
+      const { source, status, event, awb, orderId, externalId, search, from, to } = req.query;
+      const result = await inboundWebhookService.getEvents({
+        source,
+        status,
+        event,
+        awb,
+        orderId,
+        externalId,
+        search,
+        from,
+        to,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Webhook events retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Webhook event with headers, payload and reprocess history
+   * @route GET /api/admin/webhook-events/:eventId
+   */
+  async getWebhookEvent(req, res, next) {
+    try {
+      const event = await inboundWebhookService.getEvent(req.params.eventId);
+      return successResponse(res, { event }, 'Webhook event retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a stored webhook event through its handler again
+   * @route POST /api/admin/webhook-events/:eventId/reprocess
+   */
+  async reprocessWebhookEvent(req, res, next) {
+    try {
+      const event = await inboundWebhookService.reprocess(req.params.eventId, req.user._id);
+      return successResponse(res, { event }, `Webhook event reprocessed (${event.status})`);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Carrier status updates held back as illegal transitions
+   * @route GET /api/admin/order-status/quarantine
+   */
+  async getQuarantinedStatusUpdates(req, res, next) {
+    try {
+      const { reviewed, orderId, source } = req.query;
+      const result = await orderStatusService.getQuarantined({
+        reviewed,
+        orderId,
+        source,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Quarantined status updates retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply (force) or dismiss a quarantined status update
+   * @route POST /api/admin/order-status/quarantine/:entryId/resolve
+   */
+  async resolveQuarantinedStatusUpdate(req, res, next) {
+    try {
+      const { action } = req.body;
+      if (!['apply', 'dismiss'].includes(action)) {
+        return errorResponse(res, "action must be 'apply' or 'dismiss'", 400);
+      }
+      const result = await orderStatusService.resolveQuarantined(req.params.entryId, req.user._id, action);
+      return successResponse(
+        res,
+        result,
+        action === 'apply' ? `Order moved to ${result.order.status}` : 'Status update dismissed'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get recent activities
    * @route GET /api/admin/activities
@@ -232,6 +395,394 @@ class AdminController {
     }
   }
 
+  /**
+   * List rate cards
+   * @route GET /api/admin/rate-cards
+   */
+  async getRateCards(req, res, next) {
+    try {
+      const rateCards = await pricingService.listRateCards({
+        includeInactive: req.query.includeInactive === 'true'
+      });
+      return successResponse(res, { rateCards }, 'Rate cards retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create rate card
+   * @route POST /api/admin/rate-cards
+   */
+  async createRateCard(req, res, next) {
+    try {
+      const rateCard = await pricingService.createRateCard(req.body, req.user._id);
+      return successResponse(res, { rateCard }, 'Rate card created successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update rate card
+   * @route PUT /api/admin/rate-cards/:rateCardId
+   */
+  async updateRateCard(req, res, next) {
+    try {
+      const { rateCardId } = req.params;
+      const rateCard = await pricingService.updateRateCard(rateCardId, req.body, req.user._id);
+      return successResponse(res, { rateCard }, 'Rate card updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate rate card
+   * @route DELETE /api/admin/rate-cards/:rateCardId
+   */
+  async deactivateRateCard(req, res, next) {
+    try {
+      const { rateCardId } = req.params;
+      const rateCard = await pricingService.deactivateRateCard(rateCardId, req.user._id);
+      return successResponse(res, { rateCard }, 'Rate card deactivated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Preview seller price for a carrier cost
+   * @route POST /api/admin/rate-cards/:rateCardId/preview
+   */
+  async previewRateCard(req, res, next) {
+    try {
+      const { rateCardId } = req.params;
+      const { zone, weight, paymentType, declaredValue, carrierCost, carrierCodCharges } = req.body;
+
+      if (!Number.isFinite(Number(carrierCost)) || Number(carrierCost) < 0) {
+        return errorResponse(res, 'carrierCost must be a non-negative number', 400);
+      }
+
+      const price = await pricingService.previewRateCard(rateCardId, {
+        zone,
+        weight,
+        paymentType,
+        declaredValue,
+        carrierCost: Number(carrierCost),
+        carrierCodCharges: Number(carrierCodCharges) || 0
+      });
+      return successResponse(res, price, 'Rate card preview calculated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set a seller's pricing plan / rate card
+   * @route PUT /api/admin/users/:userId/pricing
+   */
+  async assignUserPricing(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { pricingPlan, rateCard } = req.body;
+      const user = await pricingService.assignUserPricing(userId, { pricingPlan, rateCard });
+      return successResponse(res, { user }, 'User pricing updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set account type (prepaid / postpaid) and credit limit
+   * @route PUT /api/admin/users/:userId/credit
+   */
+  async updateUserCredit(req, res, next) {
+    try {
+      const { accountType, creditLimit } = req.body;
+      const credit = await creditAccountService.updateCreditAccount(req.params.userId, { accountType, creditLimit });
+      return successResponse(res, { credit }, 'Credit account updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Credit limit, utilisation and open bills of a seller
+   * @route GET /api/admin/users/:userId/credit
+   */
+  async getUserCredit(req, res, next) {
+    try {
+      const credit = await creditAccountService.getCreditStatus(req.params.userId);
+      return successResponse(res, { credit }, 'Credit account retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List postpaid accounts with utilisation (?overdue=true)
+   * @route GET /api/admin/credit-accounts
+   */
+  async getCreditAccounts(req, res, next) {
+    try {
+      const result = await creditAccountService.getCreditAccounts({
+        overdue: req.query.overdue || '',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Credit accounts retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import a carrier COD remittance file (field "file", body deliveryPartner)
+   * @route POST /api/admin/cod/carrier-remittances
+   */
+  async importCarrierRemittance(req, res, next) {
+    try {
+      const result = await codRemittanceService.importCarrierRemittance(
+        req.file,
+        { deliveryPartner: req.body.deliveryPartner },
+        req.user._id
+      );
+      return successResponse(res, { import: result }, 'Remittance file imported successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List carrier remittance imports
+   * @route GET /api/admin/cod/carrier-remittances
+   */
+  async getCarrierRemittances(req, res, next) {
+    try {
+      const result = await codRemittanceService.getCarrierRemittances({
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Remittance imports retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Carrier remittance import with per-row results
+   * @route GET /api/admin/cod/carrier-remittances/:importId
+   */
+  async getCarrierRemittance(req, res, next) {
+    try {
+      const result = await codRemittanceService.getCarrierRemittance(req.params.importId);
+      return successResponse(res, { import: result }, 'Remittance import retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run the seller COD remittance cycle now (optionally for one seller)
+   * @route POST /api/admin/cod/remittances/run
+   */
+  async runCodRemittanceCycle(req, res, next) {
+    try {
+      const results = await codRemittanceService.runRemittanceCycle({
+        userId: req.body.userId || null,
+        processedBy: req.user._id
+      });
+      return successResponse(res, { results }, 'COD remittance cycle completed');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List seller COD remittances
+   * @route GET /api/admin/cod/remittances
+   */
+  async getCodRemittances(req, res, next) {
+    try {
+      const { status = '', userId = null } = req.query;
+      const result = await codRemittanceService.getRemittances({
+        userId,
+        status,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Remittances retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Seller COD remittance with its orders
+   * @route GET /api/admin/cod/remittances/:remittanceId
+   */
+  async getCodRemittance(req, res, next) {
+    try {
+      const remittance = await codRemittanceService.getRemittance(req.params.remittanceId);
+      return successResponse(res, { remittance }, 'Remittance retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record the bank transfer for a remittance
+   * @route POST /api/admin/cod/remittances/:remittanceId/paid
+   */
+  async markCodRemittancePaid(req, res, next) {
+    try {
+      const remittance = await codRemittanceService.markRemittancePaid(
+        req.params.remittanceId,
+        req.body.reference,
+        req.user._id
+      );
+      return successResponse(res, { remittance }, 'Remittance marked as paid');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record a failed bank transfer; orders go into the next cycle
+   * @route POST /api/admin/cod/remittances/:remittanceId/failed
+   */
+  async markCodRemittanceFailed(req, res, next) {
+    try {
+      const remittance = await codRemittanceService.markRemittanceFailed(
+        req.params.remittanceId,
+        req.body.reason,
+        req.user._id
+      );
+      return successResponse(res, { remittance }, 'Remittance marked as failed');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * NDR cases across sellers
+   * @route GET /api/admin/ndr
+   */
+  async getNdrCases(req, res, next) {
+    try {
+      const { status = '', userId = null } = req.query;
+      const result = await ndrService.getCases({
+        userId,
+        status,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'NDR cases retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * NDR case with attempt and action history
+   * @route GET /api/admin/ndr/:caseId
+   */
+  async getNdrCase(req, res, next) {
+    try {
+      const ndrCase = await ndrService.getCase(req.params.caseId);
+      return successResponse(res, { ndrCase }, 'NDR case retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import a carrier weight reconciliation file (CSV/XLSX)
+   * @route POST /api/admin/weight-discrepancies/import
+   */
+  async importCarrierWeights(req, res, next) {
+    try {
+      const result = await weightDiscrepancyService.importCarrierWeights(req.file, {
+        deliveryPartner: req.body.deliveryPartner
+      });
+      return successResponse(res, { import: result }, 'Weight file imported successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Weight discrepancies across sellers
+   * @route GET /api/admin/weight-discrepancies
+   */
+  async getWeightDiscrepancies(req, res, next) {
+    try {
+      const { status = '', disputeStatus = '', userId = null } = req.query;
+      const result = await weightDiscrepancyService.getDiscrepancies({
+        userId,
+        status,
+        disputeStatus,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Weight discrepancies retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Weight discrepancy with dispute photos
+   * @route GET /api/admin/weight-discrepancies/:discrepancyId
+   */
+  async getWeightDiscrepancy(req, res, next) {
+    try {
+      const discrepancy = await weightDiscrepancyService.getDiscrepancy(req.params.discrepancyId);
+      return successResponse(res, { discrepancy }, 'Weight discrepancy retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Uploaded weight dispute photo
+   * @route GET /api/admin/weight-discrepancies/:discrepancyId/photos/:index
+   */
+  async getWeightDisputePhoto(req, res, next) {
+    try {
+      const photo = await weightDiscrepancyService.getDisputePhoto(req.params.discrepancyId, parseInt(req.params.index));
+      res.setHeader('Content-Type', photo.contentType);
+      res.setHeader('Content-Disposition', `inline; filename="${photo.filename}"`);
+      return res.send(photo.data);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept (reverse the charge) or reject a seller's weight dispute
+   * @route POST /api/admin/weight-discrepancies/:discrepancyId/resolve
+   */
+  async resolveWeightDispute(req, res, next) {
+    try {
+      const { accept, note = '' } = req.body;
+
+      if (typeof accept !== 'boolean') {
+        return errorResponse(res, 'accept must be true or false', 400);
+      }
+
+      const discrepancy = await weightDiscrepancyService.resolveDispute(
+        req.params.discrepancyId,
+        { accept, note },
+        req.user._id
+      );
+      return successResponse(res, { discrepancy }, accept ? 'Dispute accepted' : 'Dispute rejected');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Reply to support ticket
    * @route POST /api/admin/support/tickets/:ticketId/reply
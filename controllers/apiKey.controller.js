@@ -0,0 +1,65 @@
+const apiKeyService = require('../services/apiKey.service');
+const { successResponse } = require('../utils/responseHandler');
+
+/**
+ * API Key Controller - Seller API keys for integrations
+ */
+class ApiKeyController {
+  /**
+   * Create an API key (the key is only shown in this response)
+   * @route POST /api/api-keys
+   */
+  async createKey(req, res, next) {
+    try {
+      const result = await apiKeyService.createKey(req.user._id, req.body);
+      return successResponse(res, result, 'API key created. Copy it now, it will not be shown again.', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List API keys
+   * @route GET /api/api-keys
+   */
+  async listKeys(req, res, next) {
+    try {
+      const apiKeys = await apiKeyService.listKeys(req.user._id, {
+        includeRevoked: req.query.includeRevoked
+      });
+      return successResponse(res, { apiKeys }, 'API keys retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rotate an API key (the new key is only shown in this response)
+   * @route POST /api/api-keys/:id/rotate
+   */
+  async rotateKey(req, res, next) {
+    try {
+      const result = await apiKeyService.rotateKey(req.params.id, req.user._id, {
+        graceMinutes: req.body.graceMinutes
+      });
+      return successResponse(res, result, 'API key rotated. Copy the new key now, it will not be shown again.', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @route DELETE /api/api-keys/:id
+   */
+  async revokeKey(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.params.id, req.user._id);
+      return successResponse(res, { apiKey }, 'API key revoked');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
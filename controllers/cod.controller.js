@@ -0,0 +1,75 @@
+const codRemittanceService = require('../services/codRemittance.service');
+const { successResponse } = require('../utils/responseHandler');
+
+/**
+ * COD Controller - Seller view of cash-on-delivery and remittances
+ */
+class CodController {
+  /**
+   * COD totals by stage
+   * @route GET /api/cod/summary
+   */
+  async getSummary(req, res, next) {
+    try {
+      const summary = await codRemittanceService.getCodSummary(req.user._id);
+      return successResponse(res, summary, 'COD summary retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Choose bank or wallet for COD payouts
+   * @route PUT /api/cod/payout-method
+   */
+  async setPayoutMethod(req, res, next) {
+    try {
+      const result = await codRemittanceService.setPayoutMethod(req.user._id, req.body.payoutMethod);
+      return successResponse(res, result, 'COD payout method updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List remittances
+   * @route GET /api/cod/remittances
+   */
+  async getRemittances(req, res, next) {
+    try {
+      const result = await codRemittanceService.getRemittances({
+        userId: req.user._id,
+        status: req.query.status || '',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Remittances retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remittance statement (JSON, or CSV with ?format=csv)
+   * @route GET /api/cod/remittances/:remittanceId
+   */
+  async getRemittance(req, res, next) {
+    try {
+      const { remittanceId } = req.params;
+
+      if (req.query.format === 'csv') {
+        const { csv, fileName } = await codRemittanceService.buildStatementCsv(remittanceId, req.user._id);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(csv);
+      }
+
+      const remittance = await codRemittanceService.getRemittance(remittanceId, req.user._id);
+      return successResponse(res, { remittance }, 'Remittance retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CodController();
@@ -52,11 +52,52 @@ class InvoiceController {
       const userId = req.user._id;
       const { id } = req.params;
 
-      const invoice = await invoiceService.getInvoiceById(id, userId);
+      const { filename, pdf } = await invoiceService.getInvoicePdf(id, userId);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(pdf);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get user credit / debit notes
+   */
+  async getNotes(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const filters = {
+        type: req.query.type,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        search: req.query.search,
+        limit: req.query.limit,
+        skip: req.query.skip
+      };
+
+      const notes = await invoiceService.getNotes(userId, filters);
+
+      return successResponse(res, { notes }, 'Credit/debit notes retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download credit / debit note PDF
+   */
+  async downloadNote(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const { noteNumber } = req.params;
+
+      const { filename, pdf } = await invoiceService.getNotePdf(noteNumber, userId);
 
-      // TODO: Generate PDF and return
-      // For now, return invoice data as JSON
-      return successResponse(res, { invoice }, 'Invoice data retrieved');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(pdf);
     } catch (error) {
       next(error);
     }
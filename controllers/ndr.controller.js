@@ -0,0 +1,60 @@
+const ndrService = require('../services/ndr.service');
+const { successResponse } = require('../utils/responseHandler');
+
+/**
+ * NDR Controller - Failed delivery attempts and seller actions
+ */
+class NdrController {
+  /**
+   * List NDR cases
+   * @route GET /api/ndr
+   */
+  async getCases(req, res, next) {
+    try {
+      const result = await ndrService.getCases({
+        userId: req.user._id,
+        status: req.query.status || '',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'NDR cases retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * NDR case with attempt and action history
+   * @route GET /api/ndr/:caseId
+   */
+  async getCase(req, res, next) {
+    try {
+      const ndrCase = await ndrService.getCase(req.params.caseId, req.user._id);
+      return successResponse(res, { ndrCase }, 'NDR case retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-attempt (optionally with new address / phone), RTO or hold
+   * @route POST /api/ndr/:caseId/action
+   */
+  async takeAction(req, res, next) {
+    try {
+      const { action, address, phone, preferredDate, note } = req.body;
+      const ndrCase = await ndrService.takeAction(req.params.caseId, req.user._id, {
+        action,
+        address,
+        phone,
+        preferredDate,
+        note
+      });
+      return successResponse(res, { ndrCase }, 'NDR action sent to the carrier');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new NdrController();
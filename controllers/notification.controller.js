@@ -0,0 +1,52 @@
+const notificationService = require('../services/notification.service');
+const { successResponse } = require('../utils/responseHandler');
+
+/**
+ * Notification Controller - In-app seller notifications
+ */
+class NotificationController {
+  /**
+   * List notifications
+   * @route GET /api/notifications
+   */
+  async getNotifications(req, res, next) {
+    try {
+      const result = await notificationService.getNotifications(req.user._id, {
+        unread: req.query.unread,
+        limit: req.query.limit,
+        skip: req.query.skip
+      });
+      return successResponse(res, result, 'Notifications retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @route PATCH /api/notifications/:id/read
+   */
+  async markRead(req, res, next) {
+    try {
+      const notification = await notificationService.markRead(req.params.id, req.user._id);
+      return successResponse(res, { notification }, 'Notification marked as read');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   * @route POST /api/notifications/read-all
+   */
+  async markAllRead(req, res, next) {
+    try {
+      const updated = await notificationService.markAllRead(req.user._id);
+      return successResponse(res, { updated }, 'Notifications marked as read');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new NotificationController();
@@ -1,44 +1,61 @@
 const orderService = require('../services/order.service');
+const bulkOrderService = require('../services/bulkOrder.service');
+const rateShopService = require('../services/rateShop.service');
 const { successResponse } = require('../utils/responseHandler');
 
 /**
  * Order Controller - Handles order-related requests
  */
 class OrderController {
+  /**
+   * Order-shaped rate request from the flat calculate-rate body
+   */
+  _rateRequestFromBody(body) {
+    // Multi-piece: packages[] replaces weight / length / width / height
+    const { packageDetails, packages } = orderService.resolvePackages(
+      {
+        weight: body.weight,
+        dimensions: {
+          length: body.length || 0,
+          width: body.width || 0,
+          height: body.height || 0
+        },
+        declaredValue: body.declaredValue || 0
+      },
+      body.packages
+    );
+
+    return {
+      deliveryPartner: body.deliveryPartner,
+      orderType: body.orderType || 'domestic',
+      pickupDetails: {
+        pincode: body.pickupPincode,
+        country: body.pickupCountry || 'India',
+        city: body.pickupCity || '',
+        state: body.pickupState || ''
+      },
+      deliveryDetails: {
+        pincode: body.deliveryPincode,
+        country: body.deliveryCountry || 'India',
+        city: body.deliveryCity || '',
+        state: body.deliveryState || ''
+      },
+      packageDetails,
+      packages,
+      paymentType: body.paymentType === 'cod' ? 'cod' : 'prepaid',
+      codAmount: body.codAmount != null ? body.codAmount : null
+    };
+  }
+
   /**
    * Calculate shipping rate
    * @route POST /api/orders/calculate-rate
    */
   async calculateRate(req, res, next) {
     try {
-      const rateData = {
-        deliveryPartner: req.body.deliveryPartner,
-        orderType: req.body.orderType || 'domestic',
-        pickupDetails: {
-          pincode: req.body.pickupPincode,
-          country: req.body.pickupCountry || 'India',
-          city: req.body.pickupCity || '',
-          state: req.body.pickupState || ''
-        },
-        deliveryDetails: {
-          pincode: req.body.deliveryPincode,
-          country: req.body.deliveryCountry || 'India',
-          city: req.body.deliveryCity || '',
-          state: req.body.deliveryState || ''
-        },
-        packageDetails: {
-          weight: req.body.weight,
-          dimensions: {
-            length: req.body.length || 0,
-            width: req.body.width || 0,
-            height: req.body.height || 0
-          },
-          declaredValue: req.body.declaredValue || 0
-        },
-        paymentType: req.body.paymentType === 'cod' ? 'cod' : 'prepaid'
-      };
+      const rateData = this._rateRequestFromBody(req.body);
 
-      const rate = await orderService.calculateRate(rateData);
+      const rate = await orderService.calculateRate(rateData, req.user._id);
 
       return successResponse(res, rate, 'Rate calculated successfully');
     } catch (error) {
@@ -46,6 +63,26 @@ class OrderController {
     }
   }
 
+  /**
+   * Compare rates across all carriers
+   * @route POST /api/orders/compare-rates
+   */
+  async compareRates(req, res, next) {
+    try {
+      const rateRequest = this._rateRequestFromBody(req.body);
+
+      const result = await rateShopService.compareRates(orderService.buildRateData(rateRequest), {
+        userId: req.user._id,
+        orderType: rateRequest.orderType,
+        sortBy: req.body.sortBy || req.query.sortBy || 'recommended'
+      });
+
+      return successResponse(res, result, 'Rates compared successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Create delivery order
    * @route POST /api/orders
@@ -68,6 +105,28 @@ class OrderController {
     }
   }
 
+  /**
+   * Create return (reverse pickup) for a delivered order
+   * @route POST /api/orders/:id/return
+   */
+  async createReturnOrder(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const { warehouseId, reason, packageDetails, nimbusCourierId } = req.body;
+
+      const result = await orderService.createReturnOrder(userId, req.params.id, {
+        warehouseId,
+        reason,
+        packageDetails,
+        nimbusCourierId
+      });
+
+      return successResponse(res, result, 'Return order created successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get order by ID
    * @route GET /api/orders/:id
@@ -97,6 +156,7 @@ class OrderController {
         deliveryPartner: req.query.deliveryPartner,
         type: req.query.type,
         orderType: req.query.orderType,
+        direction: req.query.direction,
         search: req.query.search,
         limit: parseInt(req.query.limit) || 50,
         skip: parseInt(req.query.skip) || 0
@@ -127,6 +187,60 @@ class OrderController {
     }
   }
 
+  /**
+   * Status timeline of an order
+   * @route GET /api/orders/:id/timeline
+   */
+  async getOrderTimeline(req, res, next) {
+    try {
+      const timeline = await orderService.getOrderTimeline(req.params.id, req.user._id);
+      return successResponse(res, timeline, 'Order timeline retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pieces of a multi-piece order with child AWBs
+   * @route GET /api/orders/:id/packages
+   */
+  async getOrderPackages(req, res, next) {
+    try {
+      const result = await orderService.getOrderPackages(req.params.id, req.user._id);
+      return successResponse(res, result, 'Packages retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Track one piece by its child AWB
+   * @route GET /api/orders/:id/packages/:pieceNumber/track
+   */
+  async trackOrderPackage(req, res, next) {
+    try {
+      const { id, pieceNumber } = req.params;
+      const tracking = await orderService.trackOrderPackage(id, req.user._id, pieceNumber);
+      return successResponse(res, tracking, 'Tracking information retrieved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Label of one piece
+   * @route GET /api/orders/:id/packages/:pieceNumber/label
+   */
+  async getOrderPackageLabel(req, res, next) {
+    try {
+      const { id, pieceNumber } = req.params;
+      const label = await orderService.getOrderPackageLabel(id, req.user._id, pieceNumber);
+      return successResponse(res, label, 'Label retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * POST /api/orders/:id/nimbus/pickup
    */
@@ -187,6 +301,93 @@ class OrderController {
       next(error);
     }
   }
+
+  /**
+   * Upload a CSV / XLSX file of orders
+   * @route POST /api/orders/bulk
+   */
+  async bulkImport(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const result = await bulkOrderService.createImport(userId, req.file);
+
+      return successResponse(
+        res,
+        { import: result },
+        `${result.totals.rows - result.totals.invalid} of ${result.totals.rows} rows queued for booking`,
+        202
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the bulk upload CSV template
+   * @route GET /api/orders/bulk/template
+   */
+  async downloadBulkTemplate(req, res, next) {
+    try {
+      const csv = bulkOrderService.getTemplateCsv();
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="bulk-orders-template.csv"');
+      return res.send(csv);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List bulk uploads
+   * @route GET /api/orders/bulk
+   */
+  async getBulkImports(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const result = await bulkOrderService.listImports(userId, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      return successResponse(res, result, 'Bulk imports retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Bulk upload progress and per-row results
+   * @route GET /api/orders/bulk/:importId
+   */
+  async getBulkImport(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const bulkImport = await bulkOrderService.getImport(req.params.importId, userId);
+
+      return successResponse(res, { import: bulkImport }, 'Bulk import retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download per-row results (order number, AWB, error)
+   * @route GET /api/orders/bulk/:importId/result?format=csv|xlsx
+   */
+  async downloadBulkImportResult(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+      const file = await bulkOrderService.buildResultFile(req.params.importId, userId, format);
+
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      return res.send(file.buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new OrderController();
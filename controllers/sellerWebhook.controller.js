@@ -0,0 +1,107 @@
+const sellerWebhookService = require('../services/sellerWebhook.service');
+const { successResponse } = require('../utils/responseHandler');
+
+/**
+ * Seller Webhook Controller - Webhook endpoints and delivery log
+ */
+class SellerWebhookController {
+  /**
+   * Register an endpoint (the signing secret is only shown in this response)
+   * @route POST /api/seller-webhooks/endpoints
+   */
+  async createEndpoint(req, res, next) {
+    try {
+      const result = await sellerWebhookService.createEndpoint(req.user._id, req.body);
+      return successResponse(res, result, 'Webhook endpoint created. Copy the secret now, it will not be shown again.', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List endpoints
+   * @route GET /api/seller-webhooks/endpoints
+   */
+  async listEndpoints(req, res, next) {
+    try {
+      const endpoints = await sellerWebhookService.listEndpoints(req.user._id);
+      return successResponse(res, { endpoints }, 'Webhook endpoints retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update an endpoint
+   * @route PATCH /api/seller-webhooks/endpoints/:id
+   */
+  async updateEndpoint(req, res, next) {
+    try {
+      const endpoint = await sellerWebhookService.updateEndpoint(req.params.id, req.user._id, req.body);
+      return successResponse(res, { endpoint }, 'Webhook endpoint updated');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an endpoint
+   * @route DELETE /api/seller-webhooks/endpoints/:id
+   */
+  async deleteEndpoint(req, res, next) {
+    try {
+      await sellerWebhookService.deleteEndpoint(req.params.id, req.user._id);
+      return successResponse(res, null, 'Webhook endpoint deleted');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delivery log
+   * @route GET /api/seller-webhooks/deliveries
+   */
+  async getDeliveries(req, res, next) {
+    try {
+      const result = await sellerWebhookService.getDeliveries(req.user._id, {
+        endpoint: req.query.endpoint,
+        event: req.query.event,
+        status: req.query.status,
+        orderId: req.query.orderId,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Webhook deliveries retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * One delivery with every attempt
+   * @route GET /api/seller-webhooks/deliveries/:id
+   */
+  async getDelivery(req, res, next) {
+    try {
+      const delivery = await sellerWebhookService.getDelivery(req.params.id, req.user._id);
+      return successResponse(res, { delivery }, 'Webhook delivery retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a delivery again
+   * @route POST /api/seller-webhooks/deliveries/:id/replay
+   */
+  async replayDelivery(req, res, next) {
+    try {
+      const delivery = await sellerWebhookService.replayDelivery(req.params.id, req.user._id);
+      return successResponse(res, { delivery }, 'Webhook delivery queued for replay', 202);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SellerWebhookController();
@@ -1,5 +1,8 @@
 const walletService = require('../services/wallet.service');
 const paymentService = require('../services/payment.service');
+const statementService = require('../services/statement.service');
+const autoRechargeService = require('../services/autoRecharge.service');
+const creditAccountService = require('../services/creditAccount.service');
 const { successResponse } = require('../utils/responseHandler');
 
 /**
@@ -30,6 +33,7 @@ class WalletController {
       const userId = req.user._id;
       const filters = {
         type: req.query.type,
+        category: req.query.category,
         startDate: req.query.startDate,
         endDate: req.query.endDate,
         page: parseInt(req.query.page) || 1,
@@ -71,7 +75,6 @@ class WalletController {
    */
   async verifyPayment(req, res, next) {
     try {
-      const userId = req.user._id;
       const { paymentId, razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
       // Verify payment
@@ -81,24 +84,9 @@ class WalletController {
         razorpay_signature
       });
 
-      // Check if payment is for wallet recharge
-      if (payment.paymentType === 'wallet_recharge' && payment.status === 'completed') {
-        // Add money to wallet
-        const walletTransaction = await walletService.addMoney(
-          userId,
-          payment.amount,
-          `Wallet recharge via Razorpay - Payment ID: ${razorpay_payment_id}`,
-          {
-            paymentId: payment._id,
-            razorpayOrderId: razorpay_order_id,
-            razorpayPaymentId: razorpay_payment_id
-          }
-        );
-
-        // Update payment with wallet transaction reference
-        payment.walletTransactionId = walletTransaction.transaction._id;
-        await payment.save();
-
+      // Credit the wallet (no-op replay if the Razorpay webhook already did)
+      const walletTransaction = await paymentService.creditWallet(payment);
+      if (walletTransaction) {
         return successResponse(
           res,
           {
@@ -137,6 +125,127 @@ class WalletController {
       next(error);
     }
   }
+
+  /**
+   * List monthly statements
+   * @route GET /api/wallet/statements
+   */
+  async getStatements(req, res, next) {
+    try {
+      const statements = await statementService.getStatements(req.user._id);
+      return successResponse(res, { statements }, 'Statements retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Monthly statement summary
+   * @route GET /api/wallet/statements/:period
+   */
+  async getStatement(req, res, next) {
+    try {
+      const statement = await statementService.generate(req.user._id, req.params.period);
+      return successResponse(res, { statement }, 'Statement retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download monthly statement (?format=csv|pdf)
+   * @route GET /api/wallet/statements/:period/download
+   */
+  async downloadStatement(req, res, next) {
+    try {
+      const userId = req.user._id;
+      const { period } = req.params;
+
+      if (req.query.format === 'pdf') {
+        const { pdf, fileName } = await statementService.buildPdf(userId, period);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(pdf);
+      }
+
+      const { csv, fileName } = await statementService.buildCsv(userId, period);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(csv);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Postpaid credit: limit, utilisation and open bills
+   * @route GET /api/wallet/credit
+   */
+  async getCredit(req, res, next) {
+    try {
+      const credit = await creditAccountService.getCreditStatus(req.user._id);
+      return successResponse(res, credit, 'Credit account retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Low-balance alert and auto-recharge settings
+   * @route GET /api/wallet/auto-recharge
+   */
+  async getAutoRecharge(req, res, next) {
+    try {
+      const settings = await autoRechargeService.getSettings(req.user._id);
+      return successResponse(res, settings, 'Auto-recharge settings retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update low-balance threshold / auto-recharge
+   * @route PUT /api/wallet/auto-recharge
+   */
+  async updateAutoRecharge(req, res, next) {
+    try {
+      const { lowBalanceThreshold, autoRechargeEnabled, targetAmount } = req.body;
+      const settings = await autoRechargeService.updateSettings(req.user._id, {
+        lowBalanceThreshold,
+        autoRechargeEnabled,
+        targetAmount
+      });
+      return successResponse(res, settings, 'Auto-recharge settings updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start auto-recharge mandate registration (Razorpay recurring checkout)
+   * @route POST /api/wallet/auto-recharge/mandate
+   */
+  async createMandate(req, res, next) {
+    try {
+      const checkout = await autoRechargeService.createMandate(req.user._id);
+      return successResponse(res, checkout, 'Mandate order created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke auto-recharge mandate
+   * @route DELETE /api/wallet/auto-recharge/mandate
+   */
+  async revokeMandate(req, res, next) {
+    try {
+      const settings = await autoRechargeService.revokeMandate(req.user._id);
+      return successResponse(res, settings, 'Auto-recharge mandate revoked successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new WalletController();
@@ -1,35 +1,60 @@
 const crypto = require('crypto');
-const orderService = require('../services/order.service');
+const paymentService = require('../services/payment.service');
+const inboundWebhookService = require('../services/inboundWebhook.service');
+const webhookVerificationService = require('../services/webhookVerification.service');
+const { INBOUND_WEBHOOK_SOURCES, INBOUND_WEBHOOK_STATUS } = require('../models/InboundWebhookEvent.model');
 const { successResponse } = require('../utils/responseHandler');
 const AppError = require('../utils/AppError');
 
 /**
- * Webhook Controller - Handles webhook events from third-party services
+ * Webhook Controller - Handles webhook events from third-party services.
+ * Every webhook is stored (InboundWebhookEvent) with its signature result
+ * before it is processed, so admins can inspect and reprocess it later.
  */
 class WebhookController {
   /**
-   * Handle order status update from delivery partner
+   * Handle order status update from delivery partner.
+   * Verified per partner (signature / shared secret, IP allow-list,
+   * timestamp and nonce) - see webhookVerification.service.
    * @route POST /api/webhooks/order-status
    */
   async handleOrderStatusUpdate(req, res, next) {
     try {
-      const { orderId, awb, status, trackingData, partner } = req.body;
+      const payload = req.body || {};
+      const meta = { event: payload.status, awb: payload.awb };
 
-      if (!orderId && !awb) {
-        return res.status(400).json({
+      const verification = await webhookVerificationService.verifyPartnerWebhook(payload.partner, req);
+      if (!verification.valid) {
+        await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.ORDER_STATUS, req, {
+          ...meta,
+          signature: verification.signature,
+          status: verification.signature.valid === false
+            ? INBOUND_WEBHOOK_STATUS.REJECTED
+            : INBOUND_WEBHOOK_STATUS.FAILED,
+          error: verification.message
+        });
+        return res.status(verification.statusCode).json({
           success: false,
-          message: 'Order ID or AWB is required'
+          message: verification.message
         });
       }
 
-      // Update order status
-      const updatedOrder = await orderService.updateOrderStatus(
-        orderId,
-        awb,
-        status,
-        trackingData,
-        partner
-      );
+      const event = await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.ORDER_STATUS, req, {
+        ...meta,
+        signature: verification.signature
+      });
+
+      // Update order status (400 without an order ID or AWB)
+      let updatedOrder;
+      try {
+        updatedOrder = await inboundWebhookService.run(event, INBOUND_WEBHOOK_SOURCES.ORDER_STATUS, payload);
+      } catch (err) {
+        // Our failure, not a bad request: let the partner's retry through
+        if (!(err instanceof AppError) || err.statusCode >= 500) {
+          await webhookVerificationService.releaseNonce(payload.partner, verification.nonce);
+        }
+        throw err;
+      }
 
       return successResponse(
         res,
@@ -47,8 +72,53 @@ class WebhookController {
    */
   async handleRazorpayWebhook(req, res, next) {
     try {
-      // Razorpay webhook handling can be added here
-      // For now, just acknowledge receipt
+      const signatureHeader = req.headers['x-razorpay-signature'];
+      const meta = {
+        event: req.body?.event,
+        externalId: req.headers['x-razorpay-event-id']
+      };
+
+      if (!paymentService.getWebhookSecret()) {
+        console.error('[RazorpayWebhook] RAZORPAY_WEBHOOK_SECRET not set — rejecting so Razorpay retries');
+        await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.RAZORPAY, req, {
+          ...meta,
+          signature: { present: !!signatureHeader, valid: null, note: 'RAZORPAY_WEBHOOK_SECRET not set' },
+          status: INBOUND_WEBHOOK_STATUS.FAILED,
+          error: 'Webhook verification not configured'
+        });
+        return res.status(503).json({
+          success: false,
+          message: 'Webhook verification not configured'
+        });
+      }
+
+      if (!paymentService.verifyWebhookSignature(req.rawBodyBuffer, signatureHeader)) {
+        console.warn('[RazorpayWebhook] Invalid X-Razorpay-Signature', {
+          event: req.body?.event,
+          eventId: req.headers['x-razorpay-event-id']
+        });
+        await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.RAZORPAY, req, {
+          ...meta,
+          signature: { present: !!signatureHeader, valid: false },
+          status: INBOUND_WEBHOOK_STATUS.REJECTED,
+          error: 'Invalid webhook signature'
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+
+      const event = await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.RAZORPAY, req, {
+        ...meta,
+        signature: { present: true, valid: true }
+      });
+      const result = await inboundWebhookService.run(event, INBOUND_WEBHOOK_SOURCES.RAZORPAY, req.body);
+      console.log('[RazorpayWebhook] processed', {
+        eventId: req.headers['x-razorpay-event-id'],
+        ...result
+      });
+
       return res.status(200).json({ received: true });
     } catch (error) {
       next(error);
@@ -81,12 +151,23 @@ class WebhookController {
         req.headers['x-hmac-sha256'] ||
         req.headers['X-Hmac-SHA256'] ||
         req.headers['X-HMAC-SHA256'];
+      const meta = {
+        event: payload.status,
+        awb: payload.awb_number ?? payload.awb ?? payload.awbNumber ?? payload.tracking_number
+      };
+      const signature = { present: !!signatureHeader, valid: null };
 
       if (signatureHeader && secret) {
         if (!req.rawBodyBuffer || !Buffer.isBuffer(req.rawBodyBuffer)) {
           console.error(
             '[NimbusWebhook] HMAC present but rawBodyBuffer missing — express.json verify may not run for this path'
           );
+          await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.NIMBUSPOST, req, {
+            ...meta,
+            signature: { ...signature, note: 'raw body unavailable' },
+            status: INBOUND_WEBHOOK_STATUS.FAILED,
+            error: 'Server cannot verify webhook signature'
+          });
           return res.status(500).json({
             success: false,
             message: 'Server cannot verify webhook signature'
@@ -104,8 +185,15 @@ class WebhookController {
         const valid =
           a.length === b.length && crypto.timingSafeEqual(a, b);
 
+        signature.valid = valid;
         if (!valid) {
           console.warn('[NimbusWebhook] Invalid X-Hmac-SHA256 signature');
+          await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.NIMBUSPOST, req, {
+            ...meta,
+            signature,
+            status: INBOUND_WEBHOOK_STATUS.REJECTED,
+            error: 'Invalid webhook signature'
+          });
           return res.status(401).json({
             success: false,
             message: 'Invalid webhook signature'
@@ -113,24 +201,38 @@ class WebhookController {
         }
         console.log('[NimbusWebhook] HMAC signature OK');
       } else if (signatureHeader && !secret) {
+        signature.note = 'NIMBUSPOST_WEBHOOK_SECRET not set';
         console.warn(
           '[NimbusWebhook] X-Hmac-SHA256 present but NIMBUSPOST_WEBHOOK_SECRET not set in env — cannot verify'
         );
       } else if (secret && !signatureHeader) {
-        console.warn(
-          '[NimbusWebhook] NIMBUSPOST_WEBHOOK_SECRET set but no X-Hmac-SHA256 header (Nimbus dashboard secret may be blank — webhooks still processed)'
-        );
+        console.warn('[NimbusWebhook] NIMBUSPOST_WEBHOOK_SECRET set but no X-Hmac-SHA256 header — rejecting');
+        await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.NIMBUSPOST, req, {
+          ...meta,
+          signature: { ...signature, note: 'no X-Hmac-SHA256 header' },
+          status: INBOUND_WEBHOOK_STATUS.REJECTED,
+          error: 'Missing webhook signature'
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Missing webhook signature'
+        });
       }
 
+      const event = await inboundWebhookService.record(INBOUND_WEBHOOK_SOURCES.NIMBUSPOST, req, {
+        ...meta,
+        signature
+      });
+
       try {
-        await orderService.updateOrderFromNimbusWebhook(payload);
+        await inboundWebhookService.run(event, INBOUND_WEBHOOK_SOURCES.NIMBUSPOST, payload, signature);
         console.log('[NimbusWebhook] Order updated', {
           ms: Date.now() - started,
           awb: payload.awb_number
         });
       } catch (err) {
         if (err instanceof AppError && err.statusCode === 404) {
-          console.warn('[NimbusWebhook] No local order for payload — 200 OK to satisfy Nimbus retry policy', {
+          console.warn('[NimbusWebhook] No local order for payload (stored for reprocessing) — 200 OK to satisfy Nimbus retry policy', {
             awb: payload.awb_number,
             message: err.message
           });
@@ -0,0 +1,78 @@
+const weightDiscrepancyService = require('../services/weightDiscrepancy.service');
+const { successResponse } = require('../utils/responseHandler');
+
+/**
+ * Weight Discrepancy Controller - Carrier re-weigh charges and seller disputes
+ */
+class WeightDiscrepancyController {
+  /**
+   * List weight discrepancies
+   * @route GET /api/weight-discrepancies
+   */
+  async getDiscrepancies(req, res, next) {
+    try {
+      const result = await weightDiscrepancyService.getDiscrepancies({
+        userId: req.user._id,
+        status: req.query.status || '',
+        disputeStatus: req.query.disputeStatus || '',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      return successResponse(res, result, 'Weight discrepancies retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Weight discrepancy details
+   * @route GET /api/weight-discrepancies/:discrepancyId
+   */
+  async getDiscrepancy(req, res, next) {
+    try {
+      const discrepancy = await weightDiscrepancyService.getDiscrepancy(req.params.discrepancyId, req.user._id);
+      return successResponse(res, { discrepancy }, 'Weight discrepancy retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Dispute a weight discrepancy with photos
+   * @route POST /api/weight-discrepancies/:discrepancyId/dispute
+   */
+  async raiseDispute(req, res, next) {
+    try {
+      const { comment, photos } = req.body;
+      const discrepancy = await weightDiscrepancyService.raiseDispute(req.params.discrepancyId, req.user._id, {
+        comment,
+        photos,
+        files: req.files
+      });
+      return successResponse(res, { discrepancy }, 'Dispute raised successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Uploaded dispute photo
+   * @route GET /api/weight-discrepancies/:discrepancyId/photos/:index
+   */
+  async getDisputePhoto(req, res, next) {
+    try {
+      const photo = await weightDiscrepancyService.getDisputePhoto(
+        req.params.discrepancyId,
+        parseInt(req.params.index),
+        req.user._id
+      );
+      res.setHeader('Content-Type', photo.contentType);
+      res.setHeader('Content-Disposition', `inline; filename="${photo.filename}"`);
+      return res.send(photo.data);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WeightDiscrepancyController();
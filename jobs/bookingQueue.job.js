@@ -0,0 +1,10 @@
+const bookingQueueService = require('../services/bookingQueue.service');
+
+/**
+ * Booking queue worker — books paid orders with the carrier, retrying with backoff
+ */
+module.exports = {
+  name: 'booking-queue',
+  intervalMs: Number(process.env.BOOKING_QUEUE_POLL_MS) || 15 * 1000,
+  run: () => bookingQueueService.processDueJobs()
+};
@@ -0,0 +1,10 @@
+const bulkOrderService = require('../services/bulkOrder.service');
+
+/**
+ * Bulk order worker — rate-checks and creates orders from uploaded files
+ */
+module.exports = {
+  name: 'bulk-order-import',
+  intervalMs: Number(process.env.BULK_IMPORT_POLL_MS) || 30 * 1000,
+  run: () => bulkOrderService.processDueImports()
+};
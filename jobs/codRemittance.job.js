@@ -0,0 +1,10 @@
+const codRemittanceService = require('../services/codRemittance.service');
+
+/**
+ * COD remittance cycle — pays sellers the COD the carriers have remitted
+ */
+module.exports = {
+  name: 'cod-remittance',
+  intervalMs: Number(process.env.COD_REMITTANCE_CYCLE_MS) || 24 * 60 * 60 * 1000,
+  run: () => codRemittanceService.runRemittanceCycle()
+};
@@ -0,0 +1,11 @@
+const creditAccountService = require('../services/creditAccount.service');
+
+/**
+ * Postpaid credit accounts — bills last month from its statement, settles paid
+ * bills and blocks / charges late fees on overdue ones
+ */
+module.exports = {
+  name: 'credit-accounts',
+  intervalMs: Number(process.env.CREDIT_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  run: () => creditAccountService.runCreditCycle()
+};
@@ -0,0 +1,97 @@
+/**
+ * Background Jobs
+ *
+ * Lightweight in-process scheduler for queue workers and periodic tasks.
+ * Each job module exports { name, intervalMs, run }, and optionally
+ * disabledReason() for jobs that cannot run until they are configured.
+ *
+ * Jobs claim their work atomically in MongoDB, so running several API
+ * instances (PM2 cluster) is safe. Set DISABLE_BACKGROUND_JOBS=true on
+ * instances that should only serve HTTP.
+ */
+
+const bookingQueueJob = require('./bookingQueue.job');
+const bulkOrderImportJob = require('./bulkOrderImport.job');
+const codRemittanceJob = require('./codRemittance.job');
+const creditAccountJob = require('./creditAccount.job');
+const invoiceJob = require('./invoice.job');
+const statementJob = require('./statement.job');
+const trackingSyncJob = require('./trackingSync.job');
+const walletHoldJob = require('./walletHold.job');
+const walletLedgerJob = require('./walletLedger.job');
+const webhookDeliveryJob = require('./webhookDelivery.job');
+const weightDiscrepancyJob = require('./weightDiscrepancy.job');
+
+const JOBS = [
+  bookingQueueJob,
+  bulkOrderImportJob,
+  codRemittanceJob,
+  creditAccountJob,
+  invoiceJob,
+  statementJob,
+  trackingSyncJob,
+  walletHoldJob,
+  walletLedgerJob,
+  webhookDeliveryJob,
+  weightDiscrepancyJob
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run is still in flight
+ * @param {Object} job - Job definition
+ */
+function createRunner(job) {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`[Jobs] ${job.name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+}
+
+/**
+ * Start all registered jobs
+ */
+function startJobs() {
+  if (process.env.DISABLE_BACKGROUND_JOBS === 'true') {
+    console.log('[Jobs] Background jobs disabled (DISABLE_BACKGROUND_JOBS=true)');
+    return;
+  }
+
+  JOBS.forEach((job) => {
+    const disabledReason = job.disabledReason ? job.disabledReason() : null;
+    if (disabledReason) {
+      console.warn(`[Jobs] ${job.name} not scheduled: ${disabledReason}`);
+      return;
+    }
+
+    const timer = setInterval(createRunner(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+    console.log(`[Jobs] ${job.name} scheduled every ${Math.round(job.intervalMs / 1000)}s`);
+  });
+}
+
+/**
+ * Stop all running job timers
+ */
+function stopJobs() {
+  while (timers.length) {
+    clearInterval(timers.pop());
+  }
+}
+
+module.exports = {
+  JOBS,
+  startJobs,
+  stopJobs
+};
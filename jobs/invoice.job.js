@@ -0,0 +1,16 @@
+const invoiceService = require('../services/invoice.service');
+
+/**
+ * Tax invoices — issues invoices for newly booked orders, then any
+ * credit / debit notes that did not go out with their wallet entry
+ */
+module.exports = {
+  name: 'invoice-issue',
+  intervalMs: Number(process.env.INVOICE_ISSUE_INTERVAL_MS) || 5 * 60 * 1000,
+  // Not scheduled until supplier GSTIN / state and INVOICE_START_DATE are set
+  disabledReason: () => invoiceService.jobConfigError(),
+  run: async () => {
+    await invoiceService.issuePendingInvoices();
+    await invoiceService.issuePendingNotes();
+  }
+};
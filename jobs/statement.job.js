@@ -0,0 +1,11 @@
+const statementService = require('../services/statement.service');
+
+/**
+ * Monthly statements — builds and emails last month's statements from the 1st;
+ * later runs pick up sellers left over or whose email failed
+ */
+module.exports = {
+  name: 'monthly-statements',
+  intervalMs: Number(process.env.STATEMENT_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  run: () => statementService.runMonthlyStatements()
+};
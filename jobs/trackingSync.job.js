@@ -0,0 +1,11 @@
+const trackingSyncService = require('../services/trackingSync.service');
+
+/**
+ * Tracking sync — polls carriers for booked, in-flight shipments that are due
+ * (per-carrier cadence, rate limit and stale-AWB backoff in the service)
+ */
+module.exports = {
+  name: 'tracking-sync',
+  intervalMs: Number(process.env.TRACKING_SYNC_POLL_MS) || 5 * 60 * 1000,
+  run: () => trackingSyncService.syncDue()
+};
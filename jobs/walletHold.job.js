@@ -0,0 +1,11 @@
+const bookingQueueService = require('../services/bookingQueue.service');
+
+/**
+ * Wallet holds — settles holds past their expiry (captures booked orders,
+ * cancels the rest and gives the hold back)
+ */
+module.exports = {
+  name: 'wallet-holds',
+  intervalMs: Number(process.env.WALLET_HOLD_SWEEP_INTERVAL_MS) || 10 * 60 * 1000,
+  run: () => bookingQueueService.expireHolds()
+};
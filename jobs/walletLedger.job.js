@@ -0,0 +1,10 @@
+const walletService = require('../services/wallet.service');
+
+/**
+ * Wallet ledger — completes or voids entries a failed post left pending
+ */
+module.exports = {
+  name: 'wallet-ledger',
+  intervalMs: Number(process.env.WALLET_LEDGER_RECONCILE_MS) || 5 * 60 * 1000,
+  run: () => walletService.reconcilePendingTransactions()
+};
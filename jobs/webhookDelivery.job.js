@@ -0,0 +1,10 @@
+const sellerWebhookService = require('../services/sellerWebhook.service');
+
+/**
+ * Seller webhook worker — sends queued order / shipment events, retrying with backoff
+ */
+module.exports = {
+  name: 'webhook-deliveries',
+  intervalMs: Number(process.env.SELLER_WEBHOOK_POLL_MS) || 15 * 1000,
+  run: () => sellerWebhookService.processDueDeliveries()
+};
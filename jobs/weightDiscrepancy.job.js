@@ -0,0 +1,10 @@
+const weightDiscrepancyService = require('../services/weightDiscrepancy.service');
+
+/**
+ * Weight discrepancy debits — retries charges that failed on a low wallet balance
+ */
+module.exports = {
+  name: 'weight-discrepancy-debits',
+  intervalMs: Number(process.env.WEIGHT_DEBIT_RETRY_MS) || 60 * 60 * 1000,
+  run: () => weightDiscrepancyService.retryPendingDebits()
+};
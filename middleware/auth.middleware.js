@@ -1,9 +1,84 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User.model');
+const apiKeyService = require('../services/apiKey.service');
+
+// Per-key limit for API key requests (the per-IP limit in server.js applies too)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down'
+  }
+});
+
+// API key from X-API-Key, or an Authorization: Bearer value that is a key rather than a JWT
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    const token = req.headers.authorization.split(' ')[1];
+    if (apiKeyService.isApiKey(token)) {
+      return token;
+    }
+  }
+  return null;
+};
+
+// Accept seller API keys on a router open to integrations - use before protect,
+// with requireScope / sessionOnly on every route
+const acceptApiKey = async (req, res, next) => {
+  const key = getApiKey(req);
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticate(key, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    return apiKeyLimiter(req, res, next);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error authenticating API key'
+    });
+  }
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
   try {
+    // Already authenticated by acceptApiKey
+    if (req.apiKey) {
+      return next();
+    }
+
+    if (getApiKey(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot access this route'
+      });
+    }
+
     let token;
 
     // Check for token in Authorization header
@@ -67,7 +142,28 @@ const authorize = (...roles) => {
   };
 };
 
+// Limit API key requests to keys holding one of the scopes (JWT sessions pass)
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.apiKey && !scopes.some((scope) => req.apiKey.scopes.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: scopes.length
+          ? `This API key does not have the ${scopes.join(' or ')} scope`
+          : 'API keys cannot access this route'
+      });
+    }
+    next();
+  };
+};
+
+// Browser sessions only (no API keys)
+const sessionOnly = requireScope();
+
 module.exports = {
   protect,
-  authorize
+  authorize,
+  acceptApiKey,
+  requireScope,
+  sessionOnly
 };
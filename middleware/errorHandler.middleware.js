@@ -44,6 +44,11 @@ const errorHandler = (err, req, res, next) => {
     error = new AppError(message, 401);
   }
 
+  // File upload errors (size limit, unexpected field)
+  if (err.name === 'MulterError') {
+    error = new AppError(err.message, 400);
+  }
+
   const statusCode = error.statusCode || 500;
   const message = error.message || 'Internal server error';
 
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey.model');
+const { IDEMPOTENCY_STATUS } = require('../models/IdempotencyKey.model');
+const AppError = require('../utils/AppError');
+
+const MAX_KEY_LENGTH = 255;
+
+const getTtlMs = () => (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const getLockMs = () => Number(process.env.IDEMPOTENCY_LOCK_MS) || 60 * 1000;
+
+// JSON with sorted object keys, so field order does not change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintRequest = (req, scope) =>
+  crypto
+    .createHash('sha256')
+    .update(`${scope}\n${stableStringify(req.params || {})}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Honour the Idempotency-Key header on write endpoints.
+ * Use after protect (keys are per user) and after validate.
+ *
+ * - First request with a key runs normally; its response is stored
+ * - A retry with the same key and payload gets the stored response back
+ * - The same key with a different payload is rejected (422)
+ * - A retry while the first request is still running gets 409
+ * Server errors (5xx) are not stored, so those can be retried with the same key.
+ * Requests without the header are not affected.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new AppError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 400);
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const fingerprint = fingerprintRequest(req, scope);
+    const now = new Date();
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        user: req.user._id,
+        key,
+        scope,
+        fingerprint,
+        status: IDEMPOTENCY_STATUS.PROCESSING,
+        lockedUntil: new Date(now.getTime() + getLockMs()),
+        expiresAt: new Date(now.getTime() + getTtlMs())
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, scope, key });
+      if (!existing) {
+        throw new AppError('Request with this Idempotency-Key is in progress. Retry shortly.', 409);
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        throw new AppError('Idempotency-Key has already been used for a different request', 422);
+      }
+
+      if (existing.status === IDEMPOTENCY_STATUS.COMPLETED) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Still processing: only take over if the original request's lock has expired
+      record = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: IDEMPOTENCY_STATUS.PROCESSING,
+          lockedUntil: { $lt: now }
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + getLockMs()) } },
+        { new: true }
+      );
+
+      if (!record) {
+        throw new AppError('Request with this Idempotency-Key is in progress. Retry shortly.', 409);
+      }
+    }
+
+    // Settled when the handler produces its response, not when the socket
+    // closes: a client that disconnects early leaves the key locked (a retry
+    // gets 409) until the handler finishes or the lock expires
+    let settled = false;
+    const settle = (responseBody) => {
+      if (settled) return;
+      settled = true;
+
+      const persist = res.statusCode < 500 && responseBody !== undefined;
+      const op = persist
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              status: IDEMPOTENCY_STATUS.COMPLETED,
+              lockedUntil: null,
+              responseStatus: res.statusCode,
+              responseBody
+            }
+          }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id, status: IDEMPOTENCY_STATUS.PROCESSING });
+
+      op.catch((err) => {
+        console.error('[Idempotency] failed to store result', { key, scope, message: err.message });
+      });
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settle(body);
+      return originalJson(body);
+    };
+    // Responses sent without res.json are not stored
+    res.on('finish', () => settle(undefined));
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/constants');
+
+/**
+ * Seller API key for server-to-server integrations (ERPs, storefronts).
+ * Only a SHA-256 hash of the key is stored; the key itself is shown once,
+ * when it is created or rotated. prefix is the leading part kept for display.
+ */
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.values(API_KEY_SCOPES) }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    }
+  },
+  // Requests per minute for this key (on top of the per-IP limit)
+  rateLimitPerMinute: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  // Set when rotated with a grace period: the old key works until then
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
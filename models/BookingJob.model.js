@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const BOOKING_JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  DEAD: 'dead'
+};
+
+/**
+ * Persistent carrier booking queue.
+ * One job per order — workers claim due jobs atomically, so several
+ * API instances can poll the same collection safely.
+ */
+const bookingJobSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deliveryPartner: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(BOOKING_JOB_STATUS),
+    default: BOOKING_JOB_STATUS.QUEUED
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Next time a worker may pick the job up (backoff)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker currently processing the job
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  },
+  // Admin re-drives (who / when)
+  redrives: [{
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    previousStatus: { type: String }
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bookingJobSchema.index({ status: 1, nextAttemptAt: 1 });
+bookingJobSchema.index({ user: 1, createdAt: -1 });
+
+const BookingJob = mongoose.model('BookingJob', bookingJobSchema);
+
+module.exports = BookingJob;
+module.exports.BOOKING_JOB_STATUS = BOOKING_JOB_STATUS;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const BULK_IMPORT_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+const BULK_ROW_STATUS = {
+  INVALID: 'invalid',
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+/**
+ * Bulk order upload (CSV / XLSX).
+ * Rows are validated on upload; valid rows are rate-checked and turned into
+ * orders by the background worker (jobs/bulkOrderImport.job.js).
+ */
+const bulkOrderImportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: Object.values(BULK_IMPORT_STATUS),
+    default: BULK_IMPORT_STATUS.QUEUED
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rows: [{
+    rowNumber: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: Object.values(BULK_ROW_STATUS),
+      default: BULK_ROW_STATUS.PENDING
+    },
+    // Order payload built from the row (same shape as POST /api/orders)
+    orderData: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // NimbusPost row without a courier: cheapest option is picked at booking time
+    autoSelectCourier: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    orderNumber: { type: String, default: null },
+    amount: { type: Number, default: null }
+  }],
+  // Lease held by the worker currently processing the import
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bulkOrderImportSchema.index({ user: 1, createdAt: -1 });
+bulkOrderImportSchema.index({ status: 1, createdAt: 1 });
+
+const BulkOrderImport = mongoose.model('BulkOrderImport', bulkOrderImportSchema);
+
+module.exports = BulkOrderImport;
+module.exports.BULK_IMPORT_STATUS = BULK_IMPORT_STATUS;
+module.exports.BULK_ROW_STATUS = BULK_ROW_STATUS;
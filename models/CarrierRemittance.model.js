@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const CARRIER_REMITTANCE_ROW_STATUS = {
+  MATCHED: 'matched', // order marked as received
+  DUPLICATE: 'duplicate', // order was already reconciled
+  MISMATCH: 'mismatch', // amount differs from the order's COD amount
+  UNMATCHED: 'unmatched', // no COD order with this AWB
+  INVALID: 'invalid' // missing AWB / amount
+};
+
+/**
+ * Carrier COD remittance file (CSV / XLSX) imported by an admin.
+ * Each row is one AWB the carrier has paid us for; matched rows move the
+ * order's COD to `received` so it can go out in the next seller remittance.
+ */
+const carrierRemittanceSchema = new mongoose.Schema({
+  deliveryPartner: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    mismatch: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    matchedAmount: { type: Number, default: 0 }
+  },
+  rows: [{
+    rowNumber: { type: Number, required: true },
+    awb: { type: String, default: null },
+    amount: { type: Number, default: null },
+    reference: { type: String, default: null },
+    remittedAt: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: Object.values(CARRIER_REMITTANCE_ROW_STATUS),
+      required: true
+    },
+    error: { type: String, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+carrierRemittanceSchema.index({ createdAt: -1 });
+carrierRemittanceSchema.index({ deliveryPartner: 1, createdAt: -1 });
+
+const CarrierRemittance = mongoose.model('CarrierRemittance', carrierRemittanceSchema);
+
+module.exports = CarrierRemittance;
+module.exports.CARRIER_REMITTANCE_ROW_STATUS = CARRIER_REMITTANCE_ROW_STATUS;
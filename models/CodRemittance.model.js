@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { COD_PAYOUT_METHODS } = require('../config/constants');
+
+const COD_REMITTANCE_STATUS = {
+  PENDING: 'pending', // bank transfer to be made
+  PAID: 'paid',
+  FAILED: 'failed' // bank transfer failed; orders go back into the next cycle
+};
+
+/**
+ * COD remittance to a seller: the COD collected on a set of orders,
+ * minus COD charges, paid to their verified bank account or wallet.
+ */
+const codRemittanceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  remittanceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(COD_REMITTANCE_STATUS),
+    default: COD_REMITTANCE_STATUS.PENDING
+  },
+  payoutMethod: {
+    type: String,
+    enum: Object.values(COD_PAYOUT_METHODS),
+    required: true
+  },
+  orders: [{
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, required: true },
+    awb: { type: String, default: null },
+    codAmount: { type: Number, required: true },
+    codCharges: { type: Number, default: 0 },
+    deliveredAt: { type: Date, default: null }
+  }],
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+  codCharges: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  // Snapshot of the account the transfer goes to
+  bankAccount: {
+    accountHolderName: { type: String, default: null },
+    accountNumber: { type: String, default: null },
+    ifscCode: { type: String, default: null },
+    bankName: { type: String, default: null }
+  },
+  // Bank UTR, or the wallet transaction id for wallet payouts
+  payoutReference: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+codRemittanceSchema.index({ user: 1, createdAt: -1 });
+codRemittanceSchema.index({ status: 1, createdAt: -1 });
+
+const CodRemittance = mongoose.model('CodRemittance', codRemittanceSchema);
+
+module.exports = CodRemittance;
+module.exports.COD_REMITTANCE_STATUS = COD_REMITTANCE_STATUS;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Stored result of a request sent with an Idempotency-Key header.
+ * Keys are scoped per user and endpoint and expire via a TTL index.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // METHOD + route path, e.g. "POST /api/orders/"
+  scope: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request payload, to catch a key reused for a different request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_STATUS),
+    default: IDEMPOTENCY_STATUS.PROCESSING
+  },
+  // While processing: after this time another request may take the key over
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
+module.exports.IDEMPOTENCY_STATUS = IDEMPOTENCY_STATUS;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const INBOUND_WEBHOOK_SOURCES = {
+  NIMBUSPOST: 'nimbuspost',
+  RAZORPAY: 'razorpay',
+  ORDER_STATUS: 'order_status' // generic partner status endpoint
+};
+
+const INBOUND_WEBHOOK_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored', // nothing to apply it to (no matching order, unhandled event)
+  FAILED: 'failed',
+  REJECTED: 'rejected' // signature check failed, never processed
+};
+
+/**
+ * Every webhook received from a carrier or Razorpay, stored before it is
+ * processed so nothing is lost when mapping fails or the order does not exist
+ * yet. Admins can reprocess an event later (reprocesses keeps the history).
+ */
+const inboundWebhookEventSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: Object.values(INBOUND_WEBHOOK_SOURCES),
+    required: true
+  },
+  // Event name / carrier status, for search
+  event: {
+    type: String,
+    default: null
+  },
+  // Provider's own event id (X-Razorpay-Event-Id), when sent
+  externalId: {
+    type: String,
+    default: null
+  },
+  awb: {
+    type: String,
+    default: null
+  },
+  // Request headers, without credentials
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  signature: {
+    present: { type: Boolean, default: false },
+    // null when it could not be checked (no secret configured)
+    valid: { type: Boolean, default: null },
+    note: { type: String, default: null }
+  },
+  status: {
+    type: String,
+    enum: Object.values(INBOUND_WEBHOOK_STATUS),
+    default: INBOUND_WEBHOOK_STATUS.RECEIVED
+  },
+  // What processing did (handler result, or why it was ignored)
+  outcome: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin reprocess runs (who / when / result)
+  reprocesses: [{
+    _id: false,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    previousStatus: { type: String },
+    status: { type: String },
+    error: { type: String, default: null }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+inboundWebhookEventSchema.index({ source: 1, createdAt: -1 });
+inboundWebhookEventSchema.index({ status: 1, createdAt: -1 });
+inboundWebhookEventSchema.index({ awb: 1 });
+inboundWebhookEventSchema.index({ order: 1 });
+inboundWebhookEventSchema.index({ externalId: 1 });
+
+const InboundWebhookEvent = mongoose.model('InboundWebhookEvent', inboundWebhookEventSchema);
+
+module.exports = InboundWebhookEvent;
+module.exports.INBOUND_WEBHOOK_SOURCES = INBOUND_WEBHOOK_SOURCES;
+module.exports.INBOUND_WEBHOOK_STATUS = INBOUND_WEBHOOK_STATUS;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  gstin: { type: String, default: null },
+  address: { type: String, default: '' },
+  email: { type: String, default: '' },
+  state: { type: String, default: null },
+  stateCode: { type: String, default: null }
+}, { _id: false });
+
+/**
+ * GST tax invoice for one shipment. Supplier, recipient and amounts are
+ * snapshotted at issue time and the rendered PDF is stored with it, so an
+ * issued invoice never changes when profiles or settings do.
+ */
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  awb: {
+    type: String,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  supplier: {
+    type: partySchema,
+    required: true
+  },
+  recipient: {
+    type: partySchema,
+    required: true
+  },
+  placeOfSupply: {
+    state: { type: String, default: null },
+    stateCode: { type: String, default: null }
+  },
+  lineItems: [{
+    _id: false,
+    description: { type: String, required: true },
+    sacCode: { type: String, required: true },
+    // Amount charged (GST inclusive) and the taxable value inside it
+    amount: { type: Number, required: true },
+    taxableValue: { type: Number, required: true }
+  }],
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Rendered once at issue; the hash lets anyone check the file was not altered
+  pdf: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  pdfHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Issued invoices are immutable
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Issued invoices cannot be modified'));
+  }
+  next();
+});
+
+invoiceSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Issued invoices cannot be modified'));
+});
+
+// Indexes
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ financialYear: 1, sequence: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
+module.exports.partySchema = partySchema;
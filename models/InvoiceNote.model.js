@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { INVOICE_NOTE_TYPES } = require('../config/constants');
+const { partySchema } = require('./Invoice.model');
+
+/**
+ * GST credit / debit note against an issued tax invoice. One note per wallet
+ * transaction that refunds or adds to an invoiced order (refunds, weight
+ * discrepancy charges and reversals). Immutable once issued, like invoices.
+ */
+const invoiceNoteSchema = new mongoose.Schema({
+  noteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(INVOICE_NOTE_TYPES),
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  // Wallet entry this note records
+  sourceTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  awb: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  supplier: {
+    type: partySchema,
+    required: true
+  },
+  recipient: {
+    type: partySchema,
+    required: true
+  },
+  placeOfSupply: {
+    state: { type: String, default: null },
+    stateCode: { type: String, default: null }
+  },
+  lineItems: [{
+    _id: false,
+    description: { type: String, required: true },
+    sacCode: { type: String, required: true },
+    amount: { type: Number, required: true },
+    taxableValue: { type: Number, required: true }
+  }],
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  pdf: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  pdfHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Issued notes are immutable
+invoiceNoteSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Issued credit/debit notes cannot be modified'));
+  }
+  next();
+});
+
+invoiceNoteSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Issued credit/debit notes cannot be modified'));
+});
+
+// Indexes
+invoiceNoteSchema.index({ financialYear: 1, sequence: 1 });
+invoiceNoteSchema.index({ invoice: 1, issuedAt: 1 });
+invoiceNoteSchema.index({ user: 1, issuedAt: -1 });
+
+const InvoiceNote = mongoose.model('InvoiceNote', invoiceNoteSchema);
+
+module.exports = InvoiceNote;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { NDR_STATUS, NDR_ACTIONS } = require('../config/constants');
+
+/**
+ * NDR case: failed delivery attempts on one shipment and what the seller
+ * asked the carrier to do about them. One active case per order; a new
+ * failed attempt after an action re-opens it.
+ */
+const ndrCaseSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  awb: {
+    type: String,
+    default: null
+  },
+  deliveryPartner: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(NDR_STATUS),
+    default: NDR_STATUS.OPEN
+  },
+  // false once resolved (unique per order while true)
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  // Failed attempts reported by the carrier
+  events: [{
+    key: { type: String, required: true }, // de-duplicates webhook retries / tracking polls
+    at: { type: Date, default: Date.now },
+    source: { type: String, default: '' },
+    rawStatus: { type: String, default: '' },
+    reason: { type: String, default: '' },
+    location: { type: String, default: '' },
+    attempt: { type: Number, default: null }
+  }],
+  // Seller actions and what the carrier said
+  actions: [{
+    action: {
+      type: String,
+      enum: Object.values(NDR_ACTIONS),
+      required: true
+    },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: Date.now },
+    address: { type: mongoose.Schema.Types.Mixed, default: null },
+    phone: { type: String, default: null },
+    preferredDate: { type: Date, default: null },
+    note: { type: String, default: '' },
+    // Consignee details before the change (re-attempt with new address / phone)
+    previous: { type: mongoose.Schema.Types.Mixed, default: null },
+    carrierStatus: {
+      type: String,
+      enum: ['accepted', 'failed'],
+      required: true
+    },
+    carrierResponse: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null }
+  }],
+  resolution: {
+    outcome: { type: String, enum: ['delivered', 'rto', 'cancelled', null], default: null },
+    at: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ndrCaseSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+ndrCaseSchema.index({ user: 1, status: 1, updatedAt: -1 });
+ndrCaseSchema.index({ status: 1, updatedAt: -1 });
+
+const NdrCase = mongoose.model('NdrCase', ndrCaseSchema);
+
+module.exports = NdrCase;
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
-const { ORDER_STATUS, DELIVERY_PARTNERS } = require('../config/constants');
+const {
+  ORDER_STATUS,
+  RTO_STATUSES,
+  ORDER_DIRECTIONS,
+  DELIVERY_PARTNERS,
+  REFUND_REASONS,
+  COD_STATUS
+} = require('../config/constants');
 
 // Order types
 const ORDER_TYPES = {
@@ -24,6 +31,45 @@ const orderSchema = new mongoose.Schema({
     enum: Object.values(ORDER_TYPES),
     default: ORDER_TYPES.DOMESTIC
   },
+  // Reverse orders pick up from the consignee of `returnOf` and deliver to a seller warehouse
+  direction: {
+    type: String,
+    enum: Object.values(ORDER_DIRECTIONS),
+    default: ORDER_DIRECTIONS.FORWARD
+  },
+  returnOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Forward order: its active return (cleared if the return is cancelled)
+  returnOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  returnDetails: {
+    reason: { type: String, default: '' },
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null }
+  },
+  // Latest NDR case (failed delivery attempts)
+  ndrCase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NdrCase',
+    default: null
+  },
+  // Carrier re-weighed the shipment heavier than billed
+  weightDiscrepancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WeightDiscrepancy',
+    default: null
+  },
+  // GST tax invoice, issued once the paid order is booked
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
   // Pickup Details (Sender)
   pickupDetails: {
     name: { type: String, required: true },
@@ -68,8 +114,27 @@ const orderSchema = new mongoose.Schema({
       height: { type: Number, default: 0 }
     },
     description: { type: String, default: '' },
-    declaredValue: { type: Number, default: 0 } // in rupees
+    declaredValue: { type: Number, default: 0 }, // in rupees
+    pieces: { type: Number, default: 1 },
+    chargeableWeight: { type: Number, default: null } // in kg, across all pieces
   },
+  // Multi-piece shipment (MPS): one entry per box. packageDetails holds the totals,
+  // `awb` is the master AWB and each piece gets its child AWB once booked.
+  packages: [{
+    _id: false,
+    pieceNumber: { type: Number, required: true },
+    weight: { type: Number, required: true, min: 0.1 }, // in kg
+    dimensions: {
+      length: { type: Number, default: 0 },
+      width: { type: Number, default: 0 },
+      height: { type: Number, default: 0 }
+    },
+    description: { type: String, default: '' },
+    awb: { type: String, default: null },
+    labelUrl: { type: String, default: null },
+    status: { type: String, default: null },
+    lastTrackedAt: { type: Date, default: null }
+  }],
   // Delivery Partner
   deliveryPartner: {
     type: String,
@@ -81,13 +146,23 @@ const orderSchema = new mongoose.Schema({
     baseRate: { type: Number, required: true },
     additionalCharges: { type: Number, default: 0 },
     totalAmount: { type: Number, required: true },
-    currency: { type: String, default: 'INR' }
+    currency: { type: String, default: 'INR' },
+    // What the carrier charges us; totalAmount is the seller price from the rate card
+    carrierCost: { type: Number, default: null },
+    markup: { type: Number, default: 0 },
+    fuelSurcharge: { type: Number, default: 0 },
+    codCharges: { type: Number, default: 0 },
+    margin: { type: Number, default: null },
+    zone: { type: String, default: null },
+    rateCard: { type: mongoose.Schema.Types.ObjectId, ref: 'RateCard', default: null },
+    rateCardName: { type: String, default: null }
   },
   // Payment
   payment: {
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      // held: funds reserved until the carrier books (see WalletHold); released: booking never happened
+      enum: ['pending', 'held', 'completed', 'failed', 'refunded', 'released'],
       default: 'pending'
     },
     method: {
@@ -96,7 +171,31 @@ const orderSchema = new mongoose.Schema({
       default: 'wallet'
     },
     transactionId: { type: String, default: null },
-    paidAt: { type: Date, default: null }
+    hold: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletHold', default: null },
+    paidAt: { type: Date, default: null },
+    // Amount debited from the wallet (COD orders: COD fee is netted from the remittance instead)
+    amount: { type: Number, default: null },
+    // Wallet refunds against this order (see RefundService)
+    refundedAmount: { type: Number, default: 0 },
+    refundedAt: { type: Date, default: null },
+    refunds: [{
+      amount: { type: Number, required: true },
+      reason: {
+        type: String,
+        enum: Object.values(REFUND_REASONS),
+        required: true
+      },
+      idempotencyKey: { type: String, required: true },
+      status: {
+        type: String,
+        enum: ['pending', 'completed'],
+        default: 'pending'
+      },
+      transactionId: { type: String, default: null },
+      note: { type: String, default: '' },
+      initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      createdAt: { type: Date, default: Date.now }
+    }]
   },
   // Tracking
   status: {
@@ -112,6 +211,56 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Carrier booking (mirrors the BookingJob queue entry)
+  booking: {
+    status: {
+      type: String,
+      enum: ['not_queued', 'queued', 'processing', 'booked', 'dead'],
+      default: 'not_queued'
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    lastAttemptAt: { type: Date, default: null },
+    nextAttemptAt: { type: Date, default: null },
+    bookedAt: { type: Date, default: null },
+    attemptHistory: [{
+      attempt: { type: Number, required: true },
+      startedAt: { type: Date, required: true },
+      finishedAt: { type: Date, default: null },
+      success: { type: Boolean, default: false },
+      error: { type: String, default: null },
+      statusCode: { type: Number, default: null }
+    }]
+  },
+  // Background tracking sync (services/trackingSync.service)
+  trackingSync: {
+    nextSyncAt: { type: Date, default: null }, // also the claim lease while a poll runs
+    lastSyncedAt: { type: Date, default: null },
+    lastStatus: { type: String, default: null },
+    lastChangedAt: { type: Date, default: null }, // status last seen changing; drives the stale backoff
+    failures: { type: Number, default: 0 },
+    lastError: { type: String, default: null }
+  },
+  // Cash on delivery (only set for paymentType 'cod')
+  cod: {
+    amount: { type: Number, default: 0 }, // collectable from the consignee
+    status: {
+      type: String,
+      enum: [...Object.values(COD_STATUS), null],
+      default: null
+    },
+    collectedAt: { type: Date, default: null },
+    // Carrier -> us (from the carrier remittance file)
+    carrierRemittance: {
+      reference: { type: String, default: null }, // UTR / remittance id
+      amount: { type: Number, default: null },
+      remittedAt: { type: Date, default: null },
+      import: { type: mongoose.Schema.Types.ObjectId, ref: 'CarrierRemittance', default: null }
+    },
+    // Us -> seller
+    remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'CodRemittance', default: null },
+    remittedAt: { type: Date, default: null }
+  },
   // Products for international customs
   products: [{
     description: { type: String, required: true },
@@ -141,11 +290,37 @@ orderSchema.pre('save', async function (next) {
   next();
 });
 
+// Move COD along with the shipment: delivered -> collected, cancelled / RTO / lost -> nothing to collect
+const COD_CANCELLING_STATUSES = [
+  ORDER_STATUS.CANCELLED,
+  ...RTO_STATUSES,
+  ORDER_STATUS.LOST,
+  ORDER_STATUS.DAMAGED
+];
+
+orderSchema.pre('save', function (next) {
+  if (this.isModified('status') && this.cod?.status === COD_STATUS.PENDING) {
+    if (this.status === ORDER_STATUS.DELIVERED) {
+      this.cod.status = COD_STATUS.COLLECTED;
+      this.cod.collectedAt = new Date();
+    } else if (COD_CANCELLING_STATUSES.includes(this.status)) {
+      this.cod.status = COD_STATUS.CANCELLED;
+    }
+  }
+  next();
+});
+
 // Indexes for better query performance
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ awb: 1 });
+orderSchema.index({ 'packages.awb': 1 }, { sparse: true });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'booking.status': 1 });
+orderSchema.index({ deliveryPartner: 1, status: 1, 'trackingSync.nextSyncAt': 1 });
+orderSchema.index({ 'cod.status': 1, user: 1 });
+orderSchema.index({ returnOf: 1 });
+orderSchema.index({ invoice: 1, 'payment.status': 1 });
 
 const Order = mongoose.model('Order', orderSchema);
 
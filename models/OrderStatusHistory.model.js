@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { ORDER_STATUS } = require('../config/constants');
+
+// What happened to a status update
+const STATUS_CHANGE_RESULTS = {
+  APPLIED: 'applied', // order.status moved fromStatus -> toStatus
+  UNCHANGED: 'unchanged', // same status again (new scan / location only)
+  QUARANTINED: 'quarantined' // illegal transition from a carrier, held for review
+};
+
+/**
+ * One entry in an order's status timeline. Written by the order status
+ * service for every status update it receives, including the ones it did
+ * not apply (quarantined), so the timeline shows exactly what carriers sent.
+ */
+const orderStatusHistorySchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromStatus: {
+    type: String,
+    enum: [...Object.values(ORDER_STATUS), null],
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: Object.values(ORDER_STATUS),
+    required: true
+  },
+  result: {
+    type: String,
+    enum: Object.values(STATUS_CHANGE_RESULTS),
+    required: true
+  },
+  // Who reported it: system, booking, tracking, nimbuspost_webhook, a partner name, admin
+  source: {
+    type: String,
+    required: true
+  },
+  rawStatus: {
+    type: String,
+    default: null
+  },
+  location: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  // When the carrier says it happened (createdAt is when we heard)
+  eventTime: {
+    type: Date,
+    default: null
+  },
+  // Why it was quarantined, or why an admin forced it
+  reason: {
+    type: String,
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Admin decision on a quarantined entry
+  review: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: null },
+    action: { type: String, enum: ['applied', 'dismissed', null], default: null }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderStatusHistorySchema.index({ order: 1, createdAt: 1 });
+orderStatusHistorySchema.index({ result: 1, 'review.action': 1, createdAt: -1 });
+
+const OrderStatusHistory = mongoose.model('OrderStatusHistory', orderStatusHistorySchema);
+
+module.exports = OrderStatusHistory;
+module.exports.STATUS_CHANGE_RESULTS = STATUS_CHANGE_RESULTS;
@@ -49,8 +49,32 @@ const paymentSchema = new mongoose.Schema({
   // Wallet Transaction Reference
   walletTransactionId: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
     default: null
   },
+  capturedAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Refunds made on Razorpay (dashboard / API), reported by webhook
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    _id: false,
+    razorpayRefundId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    status: { type: String, enum: ['pending', 'processed', 'failed'], required: true },
+    // Wallet debit taking the refunded recharge back out
+    walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction', default: null },
+    walletError: { type: String, default: null },
+    updatedAt: { type: Date, default: Date.now }
+  }],
   // Metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -64,6 +88,7 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ user: 1, createdAt: -1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ 'refunds.razorpayRefundId': 1 });
 paymentSchema.index({ status: 1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Shipping zones (see PricingService.getZone)
+const RATE_ZONES = {
+  A: 'A', // same city
+  B: 'B', // same state
+  C: 'C', // metro to metro
+  D: 'D', // rest of India
+  E: 'E' // special (North East, J&K, Ladakh, islands)
+};
+
+const MARKUP_TYPES = {
+  PERCENTAGE: 'percentage',
+  FLAT: 'flat'
+};
+
+const markupSchema = {
+  type: {
+    type: String,
+    enum: Object.values(MARKUP_TYPES),
+    default: MARKUP_TYPES.PERCENTAGE
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+};
+
+/**
+ * Rate card: how the platform prices a carrier quote for a seller.
+ * Selling price = max(minimum charge, carrier freight + markup)
+ *               + fuel surcharge + COD fee
+ * A card is picked per seller (user.rateCard), else by plan (user.pricingPlan),
+ * else the default card. No card means carrier cost is charged as is.
+ */
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Pricing plan this card applies to (matches user.pricingPlan)
+  plan: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Applied when no zone slab matches
+  markup: markupSchema,
+  // Zone / weight specific markups; first match wins
+  zoneSlabs: [{
+    zone: {
+      type: String,
+      enum: Object.values(RATE_ZONES),
+      required: true
+    },
+    minWeight: { type: Number, default: 0, min: 0 }, // kg, inclusive
+    maxWeight: { type: Number, default: null }, // kg, inclusive; null = no limit
+    markup: markupSchema,
+    minimumCharge: { type: Number, default: null, min: 0 }
+  }],
+  // Floor for the freight part of the selling price
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Our COD fee. Not set: the carrier's COD charge is passed through
+  codFee: {
+    enabled: { type: Boolean, default: false },
+    type: {
+      type: String,
+      enum: Object.values(MARKUP_TYPES),
+      default: MARKUP_TYPES.PERCENTAGE
+    },
+    value: { type: Number, default: 0, min: 0 }, // % of declared value, or flat ₹
+    minimum: { type: Number, default: 0, min: 0 }
+  },
+  // % of the freight selling price
+  fuelSurchargePercent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rateCardSchema.index({ plan: 1, isActive: 1 });
+rateCardSchema.index({ isDefault: 1, isActive: 1 });
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+module.exports = RateCard;
+module.exports.RATE_ZONES = RATE_ZONES;
+module.exports.MARKUP_TYPES = MARKUP_TYPES;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const STATEMENT_EMAIL_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+/**
+ * Monthly wallet statement for one seller (calendar month, IST).
+ * Totals are sums over the month's completed WalletTransaction entries, so
+ * every line can be traced back to the ledger (CSV export lists the entries).
+ * Past months never get new ledger entries, so a statement is built once.
+ */
+const statementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'YYYY-MM'
+  period: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  openingBalance: {
+    type: Number,
+    required: true
+  },
+  closingBalance: {
+    type: Number,
+    required: true
+  },
+  totalCredit: {
+    type: Number,
+    default: 0
+  },
+  totalDebit: {
+    type: Number,
+    default: 0
+  },
+  // One line per ledger category and direction (recharges, order debits, refunds...)
+  lines: [{
+    _id: false,
+    category: { type: String, required: true },
+    type: { type: String, required: true },
+    label: { type: String, required: true },
+    count: { type: Number, required: true },
+    amount: { type: Number, required: true }
+  }],
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  // Postpaid accounts: the negative closing balance is billed, due after the
+  // payment terms; settled once credits after periodEnd cover it
+  dues: {
+    amountDue: { type: Number, default: 0 },
+    dueDate: { type: Date, default: null },
+    settledAt: { type: Date, default: null }
+  },
+  email: {
+    status: {
+      type: String,
+      enum: Object.values(STATEMENT_EMAIL_STATUS),
+      default: STATEMENT_EMAIL_STATUS.PENDING
+    },
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    error: { type: String, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+statementSchema.index({ user: 1, period: 1 }, { unique: true });
+statementSchema.index({ period: 1, 'email.status': 1 });
+statementSchema.index({ user: 1, 'dues.settledAt': 1, 'dues.amountDue': 1 });
+
+const Statement = mongoose.model('Statement', statementSchema);
+
+module.exports = Statement;
+module.exports.STATEMENT_EMAIL_STATUS = STATEMENT_EMAIL_STATUS;
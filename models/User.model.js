@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { COD_PAYOUT_METHODS } = require('../config/constants');
+const { isValidGstin, stateCodeFromName } = require('../utils/gst');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -89,6 +91,53 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
     default: ""
+  },
+  // Tax invoice details: GSTIN (registered sellers) and billing state decide place of supply
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null,
+    validate: {
+      validator(value) {
+        return value == null || value === '' || isValidGstin(value);
+      },
+      message: 'Please provide a valid GSTIN'
+    }
+  },
+  gstLegalName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  billingState: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      validator(value) {
+        return !value || !!stateCodeFromName(value);
+      },
+      message: 'Please provide a valid Indian state'
+    }
+  },
+  // Pricing: a seller-specific rate card wins over the plan's card
+  pricingPlan: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'standard'
+  },
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard',
+    default: null
+  },
+  // Where COD remittances are paid (bank needs a verified BankAccount)
+  codPayoutMethod: {
+    type: String,
+    enum: Object.values(COD_PAYOUT_METHODS),
+    default: COD_PAYOUT_METHODS.BANK
   }
 }, {
   timestamps: true
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { WALLET_ACCOUNT_TYPES } = require('../config/constants');
 
 const walletSchema = new mongoose.Schema({
   user: {
@@ -10,8 +11,45 @@ const walletSchema = new mongoose.Schema({
   balance: {
     type: Number,
     default: 0,
-    min: [0, 'Balance cannot be negative']
+    validate: {
+      // Query updates have no document to read the limit from; the ledger's
+      // conditional $inc enforces the floor there (see WalletService)
+      validator: function (value) {
+        if (!(this instanceof mongoose.Document)) return true;
+        const floor = this.accountType === WALLET_ACCOUNT_TYPES.POSTPAID ? -(this.creditLimit || 0) : 0;
+        return value >= floor;
+      },
+      message: 'Balance cannot go below the credit limit'
+    }
+  },
+  // Sum of active WalletHold amounts; available = balance - heldBalance (+ credit)
+  heldBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Held balance cannot be negative']
+  },
+  accountType: {
+    type: String,
+    enum: Object.values(WALLET_ACCOUNT_TYPES),
+    default: WALLET_ACCOUNT_TYPES.PREPAID
+  },
+  // Postpaid only: how far below zero the balance may go (set by admins)
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit limit cannot be negative']
+  },
+  // Postpaid billing state, kept by CreditAccountService from the monthly statements
+  credit: {
+    // Months ending after this are billed (see Statement.dues)
+    postpaidSince: { type: Date, default: null },
+    // Overdue dues: the credit line is suspended (balance floor back to zero)
+    blockedAt: { type: Date, default: null },
+    overdueSince: { type: Date, default: null },
+    lastReconciledAt: { type: Date, default: null }
   },
+  // Legacy embedded ledger. Entries now live in WalletTransaction; this array is
+  // copied over and cleared the first time the wallet is read (see WalletService).
   transactions: [{
     type: {
       type: String,
@@ -40,34 +78,43 @@ const walletSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.Mixed,
       default: {}
     }
-  }]
+  }],
+  // Ledger entries whose balance move has been applied but which are not yet
+  // marked completed; lets a post that died half-way be reconciled (see WalletService)
+  pendingTransactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  }],
+  ledgerMigratedAt: {
+    type: Date,
+    default: null
+  },
+  // Seller alert when the balance drops below threshold (null = off). alerted is
+  // set by the first alert and cleared once the balance is back above it.
+  lowBalance: {
+    threshold: { type: Number, default: null, min: 0 },
+    alerted: { type: Boolean, default: false },
+    lastAlertedAt: { type: Date, default: null }
+  },
+  // Top-up to targetAmount through a saved Razorpay recurring token when the
+  // balance drops below lowBalance.threshold
+  autoRecharge: {
+    enabled: { type: Boolean, default: false },
+    targetAmount: { type: Number, default: null, min: 1 },
+    razorpayCustomerId: { type: String, default: null },
+    tokenId: { type: String, default: null },
+    // Charge in progress (one at a time): claimed at inFlightSince, then its Payment
+    inFlightSince: { type: Date, default: null },
+    inFlightPayment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+    lastAttemptAt: { type: Date, default: null },
+    lastError: { type: String, default: null }
+  }
 }, {
   timestamps: true
 });
 
-// Add transaction method
-walletSchema.methods.addTransaction = function(type, amount, description, orderId = null, awb = null, metadata = {}) {
-  if (type === 'debit' && this.balance < amount) {
-    throw new Error('Insufficient balance');
-  }
-
-  this.transactions.push({
-    type,
-    amount,
-    description,
-    orderId,
-    awb,
-    metadata
-  });
-
-  if (type === 'credit') {
-    this.balance += amount;
-  } else {
-    this.balance -= amount;
-  }
-
-  return this.save();
-};
+walletSchema.index({ accountType: 1 });
+walletSchema.index({ pendingTransactions: 1 });
 
 const Wallet = mongoose.model('Wallet', walletSchema);
 
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const WALLET_HOLD_STATUS = {
+  PENDING: 'pending', // written, wallet.heldBalance not moved yet
+  HELD: 'held', // amount reserved in wallet.heldBalance
+  CAPTURED: 'captured', // debited through the ledger (capturedAmount <= amount)
+  RELEASED: 'released', // given back, e.g. booking failed
+  EXPIRED: 'expired' // released by the expiry sweep
+};
+
+/**
+ * Reservation of wallet funds for a pending booking.
+ * Placing a hold moves nothing in the ledger; wallet.heldBalance goes up by
+ * the amount, so other debits cannot spend it. Capturing posts one ledger
+ * debit at the final price and gives back the rest.
+ */
+const walletHoldSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.values(WALLET_HOLD_STATUS),
+    default: WALLET_HOLD_STATUS.PENDING
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  // Same key, same hold: a retried order creation never reserves twice
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  capturedAmount: {
+    type: Number,
+    default: null
+  },
+  // Ledger debit posted by the capture
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  releaseReason: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+walletHoldSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+walletHoldSchema.index({ order: 1 });
+walletHoldSchema.index({ status: 1, expiresAt: 1 });
+walletHoldSchema.index({ wallet: 1, status: 1 });
+
+const WalletHold = mongoose.model('WalletHold', walletHoldSchema);
+
+module.exports = WalletHold;
+module.exports.WALLET_HOLD_STATUS = WALLET_HOLD_STATUS;
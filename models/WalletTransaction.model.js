@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { TRANSACTION_TYPES, TRANSACTION_CATEGORIES } = require('../config/constants');
+
+const WALLET_TRANSACTION_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Wallet ledger entry.
+ * The entry is written first (pending), then the wallet balance is moved with a
+ * conditional $inc and the resulting balance is stamped on the entry. Entries
+ * left pending by a crash are completed or voided by the wallet-ledger job.
+ */
+const walletTransactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(TRANSACTION_TYPES),
+    required: true
+  },
+  category: {
+    type: String,
+    enum: Object.values(TRANSACTION_CATEGORIES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Wallet balance right after this entry was applied
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(WALLET_TRANSACTION_STATUS),
+    default: WALLET_TRANSACTION_STATUS.PENDING
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  awb: {
+    type: String,
+    default: null
+  },
+  // Callers pass a stable key (payment id, refund key...) so a retry never posts twice
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+walletTransactionSchema.index({ user: 1, status: 1, createdAt: -1 });
+walletTransactionSchema.index({ wallet: 1, createdAt: 1 });
+walletTransactionSchema.index({ orderId: 1 });
+walletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+module.exports = WalletTransaction;
+module.exports.WALLET_TRANSACTION_STATUS = WALLET_TRANSACTION_STATUS;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending', // waiting for its (next) attempt
+  DELIVERING: 'delivering',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed' // out of attempts; can be replayed
+};
+
+/**
+ * One event sent to one seller webhook endpoint - the delivery log.
+ * Workers claim due deliveries atomically (like BookingJob), and every
+ * attempt is recorded with the endpoint's response.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Same for every endpoint and replay of an event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Request body, as sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+    default: WEBHOOK_DELIVERY_STATUS.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  attemptHistory: [{
+    _id: false,
+    at: { type: Date },
+    durationMs: { type: Number },
+    // Status only: response bodies are never stored (sellers can read the log)
+    responseStatus: { type: Number, default: null },
+    error: { type: String, default: null }
+  }],
+  // Set on deliveries created by a replay
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ user: 1, createdAt: -1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.WEBHOOK_DELIVERY_STATUS = WEBHOOK_DELIVERY_STATUS;
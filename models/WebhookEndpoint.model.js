@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+/**
+ * Seller webhook endpoint. Deliveries are signed with the endpoint's secret
+ * (HMAC-SHA256), so the secret is kept as-is but never selected by default.
+ */
+const webhookEndpointSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Events delivered to this endpoint
+  events: {
+    type: [{ type: String, enum: Object.values(WEBHOOK_EVENTS) }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEndpointSchema.index({ user: 1, isActive: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Nonces of accepted partner webhooks, kept for the timestamp tolerance
+ * window so the same signed request cannot be replayed. MongoDB's TTL
+ * monitor removes them after expiresAt.
+ */
+const webhookNonceSchema = new mongoose.Schema({
+  partner: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookNonceSchema.index({ partner: 1, nonce: 1 }, { unique: true });
+webhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookNonce = mongoose.model('WebhookNonce', webhookNonceSchema);
+
+module.exports = WebhookNonce;
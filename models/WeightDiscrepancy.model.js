@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { WEIGHT_DISCREPANCY_STATUS, WEIGHT_DISPUTE_STATUS } = require('../config/constants');
+
+/**
+ * Weight discrepancy: the carrier weighed a shipment heavier than the
+ * chargeable weight it was billed on. The price difference is debited from
+ * the seller's wallet; a dispute accepted by an admin reverses it.
+ */
+const weightDiscrepancySchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  awb: {
+    type: String,
+    default: null
+  },
+  deliveryPartner: {
+    type: String,
+    required: true
+  },
+  // Weights in kg
+  declaredWeight: {
+    type: Number,
+    required: true
+  },
+  billedWeight: {
+    type: Number,
+    required: true
+  },
+  carrierWeight: {
+    type: Number,
+    required: true
+  },
+  carrierDimensions: {
+    length: { type: Number, default: null },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null }
+  },
+  source: {
+    type: String,
+    enum: ['webhook', 'import'],
+    required: true
+  },
+  importFileName: {
+    type: String,
+    default: null
+  },
+  // Seller price paid at booking, and that plus the carrier-weight difference (₹)
+  billedAmount: {
+    type: Number,
+    required: true
+  },
+  revisedAmount: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEIGHT_DISCREPANCY_STATUS),
+    default: WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT
+  },
+  debitTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  debitedAt: {
+    type: Date,
+    default: null
+  },
+  debitError: {
+    type: String,
+    default: null
+  },
+  dispute: {
+    status: {
+      type: String,
+      enum: [...Object.values(WEIGHT_DISPUTE_STATUS), null],
+      default: null
+    },
+    comment: { type: String, default: '' },
+    // Photos of the package on a scale / with a tape measure: either a URL the
+    // seller hosts, or an uploaded image kept here (served by the photo routes)
+    photos: [{
+      _id: false,
+      url: { type: String, default: null },
+      filename: { type: String, default: '' },
+      contentType: { type: String, default: null },
+      size: { type: Number, default: 0 },
+      data: { type: Buffer, select: false },
+      uploadedAt: { type: Date, default: Date.now }
+    }],
+    raisedAt: { type: Date, default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: '' },
+    reversalTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction', default: null }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+weightDiscrepancySchema.index({ user: 1, createdAt: -1 });
+weightDiscrepancySchema.index({ status: 1, 'dispute.status': 1 });
+weightDiscrepancySchema.index({ 'dispute.status': 1, 'dispute.raisedAt': 1 });
+
+const WeightDiscrepancy = mongoose.model('WeightDiscrepancy', weightDiscrepancySchema);
+
+module.exports = WeightDiscrepancy;
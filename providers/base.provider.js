@@ -1,5 +1,14 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const AppError = require('../utils/AppError');
+const { DEFAULT_VOLUMETRIC_DIVISOR, chargeableWeight, totalWeight } = require('../utils/weight');
+
+// Constant-time string comparison (false for different lengths)
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''), 'utf8');
+  const right = Buffer.from(String(b || ''), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
 
 /**
  * Base Provider Class
@@ -37,6 +46,46 @@ class BaseProvider {
       timeout: config.timeout || 30000,
       ...config
     };
+    // cm³ per kg for volumetric weight; <NAME>_VOLUMETRIC_DIVISOR overrides
+    this.config.volumetricDivisor =
+      Number(process.env[`${name.toUpperCase()}_VOLUMETRIC_DIVISOR`]) ||
+      config.volumetricDivisor ||
+      DEFAULT_VOLUMETRIC_DIVISOR;
+  }
+
+  /**
+   * Weight this carrier bills: per box, the higher of dead and volumetric
+   * weight (L×B×H / volumetricDivisor), summed over all boxes
+   * @param {Object} rateData - weight (or deadWeight), dimensions, packages
+   * @returns {Number} Weight in kg
+   */
+  getChargeableWeight(rateData) {
+    const boxes = Array.isArray(rateData.packages) && rateData.packages.length > 0
+      ? rateData.packages
+      : [{ weight: rateData.deadWeight ?? rateData.weight, dimensions: rateData.dimensions }];
+
+    return chargeableWeight(boxes, this.config.volumetricDivisor);
+  }
+
+  /**
+   * Rate request with `weight` replaced by this carrier's chargeable weight
+   * (the seller's dead weight is kept in deadWeight, so applying twice is safe)
+   * @param {Object} rateData - Rate calculation data
+   * @returns {Object} Rate data
+   */
+  withChargeableWeight(rateData) {
+    const deadWeight = rateData.deadWeight ?? (
+      Array.isArray(rateData.packages) && rateData.packages.length > 0
+        ? totalWeight(rateData.packages)
+        : Number(rateData.weight) || 0
+    );
+
+    return {
+      ...rateData,
+      deadWeight,
+      weight: this.getChargeableWeight({ ...rateData, deadWeight }),
+      volumetricDivisor: this.config.volumetricDivisor
+    };
   }
 
   /**
@@ -73,6 +122,8 @@ class BaseProvider {
    * @param {Number} rateData.weight - Weight in kg
    * @param {Object} rateData.dimensions - Optional dimensions {length, width, height}
    * @param {Number} rateData.declaredValue - Optional declared value
+   * @param {String} rateData.paymentType - 'prepaid' | 'cod'
+   * @param {Number} rateData.codAmount - Amount to collect on COD orders
    * @returns {Promise<Object>} Rate information
    * @throws {AppError} If calculation fails
    */
@@ -80,21 +131,103 @@ class BaseProvider {
     throw new AppError(`calculateRate not implemented for ${this.name}`, 501);
   }
 
+  /**
+   * Quote every service this provider offers for a shipment (rate shopping)
+   * Default: the single quote from calculateRate. Override when the carrier
+   * returns several couriers / services in one call.
+   * @param {Object} rateData - Same shape as calculateRate
+   * @returns {Promise<Array>} Normalized options:
+   *   [{ courierId, courierName, serviceType, baseRate, additionalCharges,
+   *      codCharges, totalAmount, currency, estimatedDelivery, chargeableWeight }]
+   */
+  async getRateOptions(rateData) {
+    const rate = await this.calculateRate(rateData);
+
+    return [{
+      courierId: rate.courierId != null ? String(rate.courierId) : null,
+      courierName: rate.courierName || rate.serviceType || this.name,
+      serviceType: rate.serviceType || 'standard',
+      baseRate: rate.baseRate || 0,
+      additionalCharges: rate.additionalCharges || 0,
+      codCharges: rate.codCharges || 0,
+      totalAmount: rate.totalAmount,
+      currency: rate.currency || 'INR',
+      estimatedDelivery: rate.estimatedDelivery || null,
+      chargeableWeight: rate.chargeableWeight || null
+    }];
+  }
+
+  /**
+   * Whether this provider ships the given order type
+   * Set config.orderTypes in the constructor to restrict (default: all)
+   * @param {String} orderType - 'domestic' | 'international'
+   * @returns {Boolean}
+   */
+  supportsOrderType(orderType) {
+    return !this.config.orderTypes || this.config.orderTypes.includes(orderType);
+  }
+
   /**
    * Create shipment/order with provider
    * Must be implemented by each provider
    * @param {Object} shipmentData - Shipment data
    * @param {Object} shipmentData.pickup - Pickup address details
    * @param {Object} shipmentData.delivery - Delivery address details
-   * @param {Object} shipmentData.package - Package details
+   * @param {Object} shipmentData.package - Package details (totals for a multi-piece shipment)
+   * @param {Array} shipmentData.package.packages - Multi-piece only: one entry per box
+   *   ({ pieceNumber, weight, dimensions })
    * @param {String} shipmentData.orderId - Order ID
-   * @returns {Promise<Object>} Shipment information with AWB
+   * @param {String} shipmentData.paymentType - 'prepaid' | 'cod'
+   * @param {Number} shipmentData.codAmount - Amount to collect on COD orders
+   * @returns {Promise<Object>} Shipment information with AWB (the master AWB for
+   *   multi-piece) and, for multi-piece, pieces: [{ awb, labelUrl }] in box order.
+   *   Optional charges / codCharges: what the carrier billed for this booking, if it
+   *   says; the seller's wallet hold is captured at the re-quoted price
    * @throws {AppError} If shipment creation fails
    */
   async createShipment(shipmentData) {
     throw new AppError(`createShipment not implemented for ${this.name}`, 501);
   }
 
+  /**
+   * Create reverse pickup (return) shipment
+   * Optional method - override if the provider books returns
+   * @param {Object} shipmentData - Same shape as createShipment, but
+   *   pickup is the customer address and delivery is the seller warehouse
+   * @param {String} shipmentData.returnOfAwb - AWB of the forward shipment (optional)
+   * @param {String} shipmentData.reason - Return reason (optional)
+   * @returns {Promise<Object>} Shipment information with AWB
+   * @throws {AppError} If shipment creation fails
+   */
+  async createReverseShipment(shipmentData) {
+    throw new AppError(`Reverse pickup is not available with ${this.name}`, 501);
+  }
+
+  /**
+   * Send the seller's decision on an undelivered shipment (NDR) to the carrier
+   * Optional method - override if the provider accepts NDR actions
+   * @param {String} awb - AWB number
+   * @param {Object} actionData
+   * @param {String} actionData.action - 'reattempt' | 'rto' | 'hold'
+   * @param {Object} actionData.address - Updated consignee address (reattempt, optional)
+   * @param {String} actionData.phone - Updated consignee phone (reattempt, optional)
+   * @param {Date} actionData.preferredDate - Re-attempt / hold-until date (optional)
+   * @param {String} actionData.name - Consignee name
+   * @returns {Promise<Object>} Carrier response
+   * @throws {AppError} If the carrier rejects the action
+   */
+  async submitNdrAction(awb, actionData) {
+    throw new AppError(`NDR actions are not available with ${this.name}`, 501);
+  }
+
+  /**
+   * Whether this provider overrides createReverseShipment
+   * @returns {Boolean}
+   */
+  supportsReverseShipment() {
+    return this.createReverseShipment !== BaseProvider.prototype.createReverseShipment;
+  }
+
   /**
    * Track shipment by AWB/tracking number
    * Must be implemented by each provider
@@ -132,6 +265,85 @@ class BaseProvider {
     return providerStatus?.toLowerCase() || 'pending';
   }
 
+  /**
+   * Webhook settings for status updates to POST /api/webhooks/order-status,
+   * from <NAME>_WEBHOOK_SECRET, <NAME>_WEBHOOK_AUTH ('hmac', or 'secret' for a
+   * shared secret sent as-is) and <NAME>_WEBHOOK_IPS (comma-separated
+   * allow-list; empty allows any IP). requireTimestamp: requests without a
+   * fresh timestamp are rejected; only a carrier that cannot send one turns it off.
+   * @returns {Object} { secret, auth, allowedIps, requireTimestamp }
+   */
+  getWebhookConfig() {
+    const prefix = this.name.toUpperCase();
+    return {
+      secret: process.env[`${prefix}_WEBHOOK_SECRET`] || null,
+      auth: process.env[`${prefix}_WEBHOOK_AUTH`] === 'secret' ? 'secret' : 'hmac',
+      requireTimestamp: true,
+      allowedIps: (process.env[`${prefix}_WEBHOOK_IPS`] || '')
+        .split(',')
+        .map((ip) => ip.trim())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Background tracking sync settings (services/trackingSync.service), from
+   * <NAME>_TRACKING_SYNC_INTERVAL_MINUTES (0 turns polling off for this
+   * partner), falling back to TRACKING_SYNC_INTERVAL_MINUTES, and
+   * <NAME>_TRACKING_SYNC_RPM (trackShipment calls per minute)
+   * @param {Object} defaults - intervalMinutes, requestsPerMinute used when nothing is set
+   * @returns {Object} { intervalMs, requestsPerMinute }
+   */
+  getTrackingSyncConfig({ intervalMinutes = 60, requestsPerMinute = 60 } = {}) {
+    const prefix = this.name.toUpperCase();
+    const minutes = process.env[`${prefix}_TRACKING_SYNC_INTERVAL_MINUTES`] ||
+      process.env.TRACKING_SYNC_INTERVAL_MINUTES;
+    return {
+      intervalMs: (minutes !== undefined ? Number(minutes) || 0 : intervalMinutes) * 60 * 1000,
+      requestsPerMinute: Number(process.env[`${prefix}_TRACKING_SYNC_RPM`]) || requestsPerMinute
+    };
+  }
+
+  /**
+   * Verify a status webhook from this partner
+   * Override for a carrier's own signature scheme. The default expects
+   * X-Webhook-Timestamp (unix seconds) and X-Webhook-Nonce (unique per request) and
+   * - hmac: X-Webhook-Signature = hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+   * - secret: X-Webhook-Secret = the shared secret
+   * Timestamp freshness and nonce reuse are checked by the caller
+   * (webhookVerification.service): both must be returned with a valid result,
+   * except the timestamp where getWebhookConfig() says it is not required.
+   * @param {Object} req - Express request (headers, rawBodyBuffer)
+   * @param {String} secret - Configured secret
+   * @returns {Object} { valid, reason, timestamp, nonce }
+   */
+  verifyWebhook(req, secret) {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const nonce = req.headers['x-webhook-nonce'];
+    if (!timestamp || !nonce) {
+      return { valid: false, reason: 'X-Webhook-Timestamp and X-Webhook-Nonce headers are required' };
+    }
+
+    if (this.getWebhookConfig().auth === 'secret') {
+      return safeEqual(req.headers['x-webhook-secret'], secret)
+        ? { valid: true, timestamp, nonce }
+        : { valid: false, reason: 'Invalid webhook secret' };
+    }
+
+    if (!req.rawBodyBuffer) {
+      return { valid: false, reason: 'Raw body unavailable for signature check' };
+    }
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${nonce}.`)
+      .update(req.rawBodyBuffer)
+      .digest('hex');
+
+    return safeEqual(req.headers['x-webhook-signature'], expected)
+      ? { valid: true, timestamp, nonce }
+      : { valid: false, reason: 'Invalid webhook signature' };
+  }
+
   /**
    * Handle API errors consistently
    * @param {Error} error - Error object
@@ -190,3 +402,4 @@ class BaseProvider {
 }
 
 module.exports = BaseProvider;
+module.exports.safeEqual = safeEqual;
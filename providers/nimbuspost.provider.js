@@ -1,8 +1,10 @@
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
 const { URL: URLParser } = require('url');
 const axios = require('axios');
 const BaseProvider = require('./base.provider');
+const { safeEqual } = require('./base.provider');
 const AppError = require('../utils/AppError');
 
 /**
@@ -87,7 +89,10 @@ function envTrim(name) {
  */
 class NimbusPostProvider extends BaseProvider {
   constructor() {
-    super('nimbuspost', 'https://api.nimbuspost.com/v1');
+    super('nimbuspost', 'https://api.nimbuspost.com/v1', {
+      orderTypes: ['domestic'],
+      volumetricDivisor: 5000
+    });
 
     this.email = process.env.NIMBUSPOST_EMAIL;
     this.password = process.env.NIMBUSPOST_PASSWORD;
@@ -202,7 +207,9 @@ class NimbusPostProvider extends BaseProvider {
         destination: rateData.to.pincode,
         payment_type:
           rateData.paymentType === 'cod' ? 'cod' : 'prepaid',
-        order_amount: Math.round(rateData.declaredValue || 1000),
+        order_amount: Math.round(
+          (rateData.paymentType === 'cod' && rateData.codAmount) || rateData.declaredValue || 1000
+        ),
         weight: this.kgToGrams(rateData.weight), // Convert kg to grams
         length: Math.round(rateData.dimensions?.length || 10),
         breadth: Math.round(rateData.dimensions?.width || 10),
@@ -239,6 +246,7 @@ class NimbusPostProvider extends BaseProvider {
       return {
         baseRate: cheapest.freight_charges,
         additionalCharges: cheapest.cod_charges || 0,
+        codCharges: cheapest.cod_charges || 0,
         totalAmount: cheapest.total_charges,
         currency: 'INR',
         estimatedDelivery: '3-5 business days',
@@ -270,6 +278,28 @@ class NimbusPostProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Every courier Nimbus offers for the lane, as rate-shopping options
+   * @param {Object} rateData - Rate calculation data
+   * @returns {Promise<Array>} Normalized options (see BaseProvider.getRateOptions)
+   */
+  async getRateOptions(rateData) {
+    const rate = await this.calculateRate(rateData);
+
+    return rate.courierOptions.map((courier) => ({
+      courierId: String(courier.id),
+      courierName: courier.name,
+      serviceType: courier.name,
+      baseRate: courier.freightCharges,
+      additionalCharges: courier.codCharges,
+      codCharges: courier.codCharges,
+      totalAmount: courier.totalCharges,
+      currency: rate.currency,
+      estimatedDelivery: rate.estimatedDelivery,
+      chargeableWeight: courier.chargeableWeight
+    }));
+  }
+
   /**
    * Create shipment with NimbusPost
    * @param {Object} shipmentData - Shipment data
@@ -299,7 +329,10 @@ class NimbusPostProvider extends BaseProvider {
         cod_charges: Math.round(shipmentData.codCharges || 0),
         payment_type:
           shipmentData.paymentType === 'cod' ? 'cod' : 'prepaid',
-        order_amount: Math.round(packageInfo.declaredValue || 1000),
+        // For COD this is what the courier collects from the consignee
+        order_amount: Math.round(
+          (shipmentData.paymentType === 'cod' && shipmentData.codAmount) || packageInfo.declaredValue || 1000
+        ),
         package_weight: this.kgToGrams(packageInfo.weight),
         package_length: Math.round(packageInfo.dimensions?.length || 10),
         package_breadth: Math.round(packageInfo.dimensions?.width || 10),
@@ -343,6 +376,19 @@ class NimbusPostProvider extends BaseProvider {
         }]
       };
 
+      // Multi-piece shipment: package_* carry the totals, boxes go in packages[]
+      const boxes = Array.isArray(packageInfo.packages) ? packageInfo.packages : [];
+      if (boxes.length > 1) {
+        requestData.is_mps = 1;
+        requestData.number_of_boxes = boxes.length;
+        requestData.packages = boxes.map((box) => ({
+          package_weight: this.kgToGrams(box.weight),
+          package_length: Math.round(box.dimensions?.length || 10),
+          package_breadth: Math.round(box.dimensions?.width || 10),
+          package_height: Math.round(box.dimensions?.height || 10)
+        }));
+      }
+
       // Add courier_id if specified
       if (shipmentData.courierId) {
         requestData.courier_id = String(shipmentData.courierId);
@@ -360,6 +406,7 @@ class NimbusPostProvider extends BaseProvider {
         payment_type: requestData.payment_type,
         order_amount: requestData.order_amount,
         package_weight: requestData.package_weight,
+        number_of_boxes: requestData.number_of_boxes || 1,
         consignee: { 
           name: requestData.consignee.name,
           city: requestData.consignee.city,
@@ -390,30 +437,130 @@ class NimbusPostProvider extends BaseProvider {
         throw new AppError(`Shipment creation failed: ${errorMsg}`, 400);
       }
 
-      const data = response.data.data;
+      return this._toShipmentResult(response.data.data, { paymentType: requestData.payment_type });
+    } catch (error) {
+      this.handleError(error, 'createShipment');
+    }
+  }
 
-      return {
-        success: true,
-        awb: data.awb_number,
-        trackingNumber: data.awb_number,
-        orderId: data.order_id,
-        shipmentId: data.shipment_id,
-        courierId: data.courier_id,
-        courierName: data.courier_name,
-        status: data.status,
-        labelUrl: data.label,
-        trackingUrl: `https://ship.nimbuspost.com/tracking/${data.awb_number}`,
-        additionalInfo: data.additional_info,
-        metadata: {
-          provider: 'nimbuspost',
-          paymentType: requestData.payment_type
-        }
+  /**
+   * Create reverse pickup shipment: courier collects from the customer and
+   * delivers to the seller warehouse (POST /v1/shipments/reverse)
+   * @param {Object} shipmentData - pickup = customer, delivery = warehouse
+   * @returns {Promise<Object>} Shipment information
+   */
+  async createReverseShipment(shipmentData) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const client = this.getClient();
+
+      const customer = shipmentData.pickup;
+      const warehouse = shipmentData.delivery;
+      const packageInfo = shipmentData.package;
+
+      const requestData = {
+        order_number: shipmentData.orderId || `#${Date.now()}`,
+        payment_type: 'prepaid',
+        order_amount: Math.round(packageInfo.declaredValue || 1000),
+        package_weight: this.kgToGrams(packageInfo.weight),
+        package_length: Math.round(packageInfo.dimensions?.length || 10),
+        package_breadth: Math.round(packageInfo.dimensions?.width || 10),
+        package_height: Math.round(packageInfo.dimensions?.height || 10),
+        request_auto_pickup: 'yes',
+        reason: shipmentData.reason || '',
+        forward_awb: shipmentData.returnOfAwb || '',
+
+        // Customer address the courier collects from
+        pickup: {
+          name: customer.name,
+          address: customer.address,
+          address_2: customer.address2 || customer.addressLine2 || customer.landmark || '',
+          city: customer.city,
+          state: customer.state,
+          pincode: customer.pincode,
+          phone: this.normalizeNimbusPhone(customer.phone, 'Customer phone')
+        },
+
+        // Seller warehouse receiving the return
+        consignee: {
+          warehouse_name: warehouse.warehouseName || warehouse.name,
+          name: warehouse.contactPerson || warehouse.name,
+          address: warehouse.address,
+          address_2: warehouse.address2 || warehouse.addressLine2 || '',
+          city: warehouse.city,
+          state: warehouse.state,
+          pincode: warehouse.pincode,
+          phone: this.normalizeNimbusPhone(warehouse.phone, 'Warehouse phone')
+        },
+
+        order_items: shipmentData.orderItems || [{
+          name: packageInfo.description || 'Product',
+          qty: '1',
+          price: String(Math.round(packageInfo.declaredValue || 1000)),
+          sku: 'SKU001'
+        }]
       };
+
+      if (shipmentData.courierId) {
+        requestData.courier_id = String(shipmentData.courierId);
+      }
+
+      console.log('NimbusPost Create Reverse Shipment Request:', {
+        order_number: requestData.order_number,
+        forward_awb: requestData.forward_awb,
+        package_weight: requestData.package_weight,
+        pickup: { city: requestData.pickup.city, pincode: requestData.pickup.pincode },
+        consignee: { city: requestData.consignee.city, pincode: requestData.consignee.pincode }
+      });
+
+      const response = await client.post('/shipments/reverse', requestData, { headers });
+
+      if (!response.data.status || !response.data.data) {
+        const errorMsg = response.data.message || response.data.error || 'Reverse shipment creation failed';
+        console.error('NimbusPost Reverse Shipment Error Response:', response.data);
+        throw new AppError(`Reverse shipment creation failed: ${errorMsg}`, 400);
+      }
+
+      return this._toShipmentResult(response.data.data, { paymentType: 'prepaid', reverse: true });
     } catch (error) {
-      this.handleError(error, 'createShipment');
+      this.handleError(error, 'createReverseShipment');
     }
   }
 
+  _toShipmentResult(data, metadata = {}) {
+    return {
+      success: true,
+      awb: data.awb_number,
+      trackingNumber: data.awb_number,
+      orderId: data.order_id,
+      shipmentId: data.shipment_id,
+      courierId: data.courier_id,
+      courierName: data.courier_name,
+      status: data.status,
+      labelUrl: data.label,
+      trackingUrl: `https://ship.nimbuspost.com/tracking/${data.awb_number}`,
+      pieces: this._toPieces(data),
+      additionalInfo: data.additional_info,
+      metadata: {
+        provider: 'nimbuspost',
+        ...metadata
+      }
+    };
+  }
+
+  /**
+   * Child AWBs of a multi-piece booking, in box order
+   * (strings, or objects with awb_number / label)
+   */
+  _toPieces(data) {
+    const children = data.child_awbs || data.child_awb_numbers || data.mps_awbs || [];
+    if (!Array.isArray(children) || children.length === 0) return [];
+
+    return children.map((child) => (typeof child === 'object' && child !== null
+      ? { awb: child.awb_number || child.awb || null, labelUrl: child.label || null }
+      : { awb: String(child), labelUrl: null }));
+  }
+
   /**
    * Track shipment by AWB
    * @param {String} awbNumber - AWB number
@@ -483,6 +630,66 @@ class NimbusPostProvider extends BaseProvider {
     }
   }
 
+  /**
+   * NDR action (POST /v1/ndr/action).
+   * Re-attempt with a new address / phone is sent as change_address / change_phone;
+   * hold is a re-attempt scheduled for the hold-until date.
+   * @param {String} awb - AWB number
+   * @param {Object} actionData - action, address, phone, preferredDate, name
+   * @returns {Promise<Object>} Nimbus response
+   */
+  async submitNdrAction(awb, actionData) {
+    try {
+      const { action, address, phone, preferredDate, name } = actionData;
+      const headers = await this.getAuthHeaders();
+      const client = this.getClient();
+
+      const toDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+      let ndrAction;
+
+      if (action === 'rto') {
+        ndrAction = { awb, action: 'rto', action_data: {} };
+      } else if (address) {
+        ndrAction = {
+          awb,
+          action: 'change_address',
+          action_data: {
+            name,
+            address_1: address.address,
+            address_2: address.addressLine2 || address.landmark || '',
+            ...(phone && { phone: this.normalizeNimbusPhone(phone, 'Consignee phone') })
+          }
+        };
+      } else if (phone) {
+        ndrAction = {
+          awb,
+          action: 'change_phone',
+          action_data: { phone: this.normalizeNimbusPhone(phone, 'Consignee phone') }
+        };
+      } else {
+        ndrAction = {
+          awb,
+          action: 're-attempt',
+          action_data: { re_attempt_date: toDate(preferredDate) || toDate(Date.now() + 24 * 60 * 60 * 1000) }
+        };
+      }
+
+      const response = await client.post('/ndr/action', [ndrAction], { headers });
+      const payload = response.data;
+
+      if (payload && payload.status === false) {
+        throw new AppError(payload.message || 'Nimbus rejected the NDR action', 400);
+      }
+
+      return payload;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      this.handleError(error, 'submitNdrAction');
+    }
+  }
+
   /**
    * Get courier list
    * @returns {Promise<Array>} List of available couriers
@@ -542,24 +749,67 @@ class NimbusPostProvider extends BaseProvider {
   /**
    * Map NimbusPost status to internal status
    * @param {String} nimbusStatus - NimbusPost status
-   * @returns {String} Internal status
+   * @returns {String|null} Internal status (ORDER_STATUS), null if empty or unknown
    */
   mapStatus(nimbusStatus) {
     const statusMap = {
       'booked': 'confirmed',
+      'pending_pickup': 'confirmed',
+      'picked_up': 'picked_up',
       'manifested': 'in_transit',
       'shipped': 'in_transit',
       'in_transit': 'in_transit',
       'out_for_delivery': 'out_for_delivery',
+      'exception': 'ndr',
+      'undelivered': 'ndr',
+      'ndr': 'ndr',
       'delivered': 'delivered',
       'rto': 'rto',
+      'rto_in_transit': 'rto_in_transit',
       'rto_delivered': 'rto_delivered',
       'cancelled': 'cancelled',
       'lost': 'lost',
       'damaged': 'damaged'
     };
 
-    return statusMap[nimbusStatus?.toLowerCase()] || nimbusStatus?.toLowerCase() || 'pending';
+    // Unknown statuses are not guessed at: callers leave the order as it is
+    const key = String(nimbusStatus || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return statusMap[key] || null;
+  }
+
+  /**
+   * Status arrives by webhook, so polling only has to catch missed ones
+   */
+  getTrackingSyncConfig() {
+    return super.getTrackingSyncConfig({ intervalMinutes: 6 * 60 });
+  }
+
+  /**
+   * Nimbus sends no timestamp, so none is required of it (see verifyWebhook)
+   */
+  getWebhookConfig() {
+    return { ...super.getWebhookConfig(), requireTimestamp: false };
+  }
+
+  /**
+   * Nimbus signs webhooks itself: X-Hmac-SHA256 = base64 HMAC-SHA256 of the raw
+   * body (as on POST /api/webhooks/nimbuspost). It sends no timestamp or nonce,
+   * so the signature doubles as the nonce and exact replays are rejected while
+   * it is remembered (WEBHOOK_NONCE_TTL_HOURS).
+   */
+  verifyWebhook(req, secret) {
+    const signature = req.headers['x-hmac-sha256'];
+    if (!signature) {
+      return { valid: false, reason: 'X-Hmac-SHA256 header is required' };
+    }
+    if (!req.rawBodyBuffer) {
+      return { valid: false, reason: 'Raw body unavailable for signature check' };
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBodyBuffer).digest('base64');
+    return safeEqual(String(signature).trim(), expected)
+      ? { valid: true, nonce: expected }
+      : { valid: false, reason: 'Invalid webhook signature' };
   }
 
 
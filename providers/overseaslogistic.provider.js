@@ -25,7 +25,9 @@ class OverseasLogisticProvider extends BaseProvider {
         const baseURL = process.env.OVERSEAS_LOGISTIC_BASE_URL || 'https://api.overseaslogistic.com';
 
         super('overseas_logistic', baseURL, {
-            timeout: 60000 // Longer timeout for international API
+            timeout: 60000, // Longer timeout for international API
+            orderTypes: ['international'],
+            volumetricDivisor: 5000 // UPS / DHL / FedEx international express
         });
 
         // Token cache
@@ -226,6 +228,32 @@ class OverseasLogisticProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Estimated rate for every service, as rate-shopping options
+     * @param {Object} rateData - Rate calculation data
+     * @returns {Promise<Array>} Normalized options (see BaseProvider.getRateOptions)
+     */
+    async getRateOptions(rateData) {
+        const defaultRate = await this.calculateRate(rateData);
+        const services = defaultRate.metadata?.availableServices || [defaultRate.serviceType];
+
+        return Promise.all(services.map(async (serviceType) => {
+            const rate = await this.calculateRate({ ...rateData, serviceType });
+            return {
+                courierId: serviceType,
+                courierName: serviceType.replace(/_/g, ' '),
+                serviceType,
+                baseRate: rate.baseRate,
+                additionalCharges: rate.additionalCharges,
+                codCharges: 0,
+                totalAmount: rate.totalAmount,
+                currency: rate.currency,
+                estimatedDelivery: rate.estimatedDelivery,
+                chargeableWeight: Number(rateData.weight) || null
+            };
+        }));
+    }
+
     /**
      * Create shipment with Overseas Logistic
      * 
@@ -354,6 +382,7 @@ class OverseasLogisticProvider extends BaseProvider {
                 trackingUrl: awb ? `https://api.overseaslogistic.com/api/tracking/${awb}` : null,
                 status: 'created',
                 partnerOrderId: responseData?.OrderId || responseData?.orderId || null,
+                pieces: this._parseChildAwbs(responseData),
                 message: message,
                 metadata: responseData
             };
@@ -420,6 +449,22 @@ class OverseasLogisticProvider extends BaseProvider {
         }];
     }
 
+    /**
+     * Child AWBs of a multi-piece shipment, in box order
+     * (ChildAwbNo as an array or comma-separated string)
+     * @param {Object} responseData - Shipment create response
+     * @returns {Array} [{ awb, labelUrl }]
+     */
+    _parseChildAwbs(responseData) {
+        const children = responseData?.ChildAwbNo || responseData?.ChildAwbs || responseData?.childAwbs || [];
+        const list = Array.isArray(children) ? children : String(children).split(',');
+
+        return list
+            .map(awb => String(awb).trim())
+            .filter(Boolean)
+            .map(awb => ({ awb, labelUrl: null }));
+    }
+
     /**
      * Build product details array
      * @param {Array} products - Products array
@@ -1,8 +1,23 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const { protect } = require('../middleware/auth.middleware');
 const { isAdmin } = require('../middleware/admin.middleware');
+const AppError = require('../utils/AppError');
+
+// Carrier remittance and weight files are parsed in memory, never written to disk
+const carrierFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (!['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new AppError('Only CSV or XLSX files are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
 
 // Apply authentication and admin middleware to all routes
 router.use(protect);
@@ -17,10 +32,58 @@ router.get('/analytics/orders', adminController.getOrderAnalytics);
 router.get('/users', adminController.getAllUsers);
 router.get('/users/:userId', adminController.getUserDetails);
 router.put('/users/:userId/status', adminController.updateUserStatus);
+router.put('/users/:userId/pricing', adminController.assignUserPricing);
+router.get('/users/:userId/credit', adminController.getUserCredit);
+router.put('/users/:userId/credit', adminController.updateUserCredit);
+
+// Credit Accounts (postpaid)
+router.get('/credit-accounts', adminController.getCreditAccounts);
 
 // Orders Management
 router.get('/orders', adminController.getAllOrders);
 router.get('/orders/:orderId', adminController.getOrderDetails);
+router.post('/orders/:orderId/refund', adminController.refundOrder);
+
+// Carrier Bookings (queue)
+router.get('/bookings', adminController.getStuckBookings);
+router.post('/bookings/:jobId/redrive', adminController.redriveBooking);
+
+// Inbound Webhooks (carrier / Razorpay event store)
+router.get('/webhook-events', adminController.getWebhookEvents);
+router.get('/webhook-events/:eventId', adminController.getWebhookEvent);
+router.post('/webhook-events/:eventId/reprocess', adminController.reprocessWebhookEvent);
+
+// Order Status (quarantined carrier updates)
+router.get('/order-status/quarantine', adminController.getQuarantinedStatusUpdates);
+router.post('/order-status/quarantine/:entryId/resolve', adminController.resolveQuarantinedStatusUpdate);
+
+// Rate Cards (seller pricing)
+router.get('/rate-cards', adminController.getRateCards);
+router.post('/rate-cards', adminController.createRateCard);
+router.put('/rate-cards/:rateCardId', adminController.updateRateCard);
+router.delete('/rate-cards/:rateCardId', adminController.deactivateRateCard);
+router.post('/rate-cards/:rateCardId/preview', adminController.previewRateCard);
+
+// COD Reconciliation & Remittances
+router.post('/cod/carrier-remittances', carrierFileUpload.single('file'), adminController.importCarrierRemittance);
+router.get('/cod/carrier-remittances', adminController.getCarrierRemittances);
+router.get('/cod/carrier-remittances/:importId', adminController.getCarrierRemittance);
+router.post('/cod/remittances/run', adminController.runCodRemittanceCycle);
+router.get('/cod/remittances', adminController.getCodRemittances);
+router.get('/cod/remittances/:remittanceId', adminController.getCodRemittance);
+router.post('/cod/remittances/:remittanceId/paid', adminController.markCodRemittancePaid);
+router.post('/cod/remittances/:remittanceId/failed', adminController.markCodRemittanceFailed);
+
+// NDR
+router.get('/ndr', adminController.getNdrCases);
+router.get('/ndr/:caseId', adminController.getNdrCase);
+
+// Weight Discrepancies
+router.post('/weight-discrepancies/import', carrierFileUpload.single('file'), adminController.importCarrierWeights);
+router.get('/weight-discrepancies', adminController.getWeightDiscrepancies);
+router.get('/weight-discrepancies/:discrepancyId', adminController.getWeightDiscrepancy);
+router.get('/weight-discrepancies/:discrepancyId/photos/:index', adminController.getWeightDisputePhoto);
+router.post('/weight-discrepancies/:discrepancyId/resolve', adminController.resolveWeightDispute);
 
 // Activities & Insights
 router.get('/activities', adminController.getRecentActivities);
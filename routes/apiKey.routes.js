@@ -0,0 +1,50 @@
+const express = require('express');
+const apiKeyController = require('../controllers/apiKey.controller');
+const { createApiKeyValidation, rotateApiKeyValidation } = require('../validators/apiKey.validator');
+const validate = require('../middleware/validate.middleware');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Managed from the browser app only (protect does not take API keys here)
+router.use(protect);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key with scopes (orders:read, orders:write, tracking:read, wallet:read)
+ * @access  Private
+ */
+router.post(
+  '/',
+  createApiKeyValidation,
+  validate,
+  apiKeyController.createKey.bind(apiKeyController)
+);
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys with last-used time (?includeRevoked=true)
+ * @access  Private
+ */
+router.get('/', apiKeyController.listKeys.bind(apiKeyController));
+
+/**
+ * @route   POST /api/api-keys/:id/rotate
+ * @desc    Replace a key; the old one stops working now or after graceMinutes
+ * @access  Private
+ */
+router.post(
+  '/:id/rotate',
+  rotateApiKeyValidation,
+  validate,
+  apiKeyController.rotateKey.bind(apiKeyController)
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete('/:id', apiKeyController.revokeKey.bind(apiKeyController));
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const codController = require('../controllers/cod.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All COD routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/cod/summary
+ * @desc    COD amounts pending, collected, received and remitted
+ * @access  Private
+ */
+router.get('/summary', codController.getSummary.bind(codController));
+
+/**
+ * @route   PUT /api/cod/payout-method
+ * @desc    Pay COD remittances to the verified bank account or the wallet
+ * @access  Private
+ */
+router.put('/payout-method', codController.setPayoutMethod.bind(codController));
+
+/**
+ * @route   GET /api/cod/remittances
+ * @desc    List COD remittances
+ * @access  Private
+ */
+router.get('/remittances', codController.getRemittances.bind(codController));
+
+/**
+ * @route   GET /api/cod/remittances/:remittanceId
+ * @desc    Remittance statement (?format=csv to download)
+ * @access  Private
+ */
+router.get('/remittances/:remittanceId', codController.getRemittance.bind(codController));
+
+module.exports = router;
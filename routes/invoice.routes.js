@@ -8,21 +8,35 @@ router.use(protect);
 
 /**
  * @route   GET /api/invoices
- * @desc    Get user invoices
+ * @desc    Get user GST tax invoices with net billed amount (?startDate=&endDate=&search=)
  * @access  Private
  */
 router.get('/', invoiceController.getInvoices.bind(invoiceController));
 
+/**
+ * @route   GET /api/invoices/notes
+ * @desc    Get credit/debit notes against user invoices (?type=credit_note|debit_note)
+ * @access  Private
+ */
+router.get('/notes', invoiceController.getNotes.bind(invoiceController));
+
+/**
+ * @route   GET /api/invoices/notes/:noteNumber/download
+ * @desc    Download the stored credit/debit note PDF
+ * @access  Private
+ */
+router.get('/notes/:noteNumber/download', invoiceController.downloadNote.bind(invoiceController));
+
 /**
  * @route   GET /api/invoices/:id
- * @desc    Get invoice by ID
+ * @desc    Get invoice by invoice number
  * @access  Private
  */
 router.get('/:id', invoiceController.getInvoiceById.bind(invoiceController));
 
 /**
  * @route   GET /api/invoices/:id/download
- * @desc    Download invoice PDF
+ * @desc    Download the stored invoice PDF
  * @access  Private
  */
 router.get('/:id/download', invoiceController.downloadInvoice.bind(invoiceController));
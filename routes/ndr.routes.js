@@ -0,0 +1,38 @@
+const express = require('express');
+const ndrController = require('../controllers/ndr.controller');
+const { ndrActionValidation } = require('../validators/order.validator');
+const validate = require('../middleware/validate.middleware');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All NDR routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/ndr
+ * @desc    List NDR cases (?status=open|action_requested|resolved)
+ * @access  Private
+ */
+router.get('/', ndrController.getCases.bind(ndrController));
+
+/**
+ * @route   GET /api/ndr/:caseId
+ * @desc    NDR case with failed attempts and action history
+ * @access  Private
+ */
+router.get('/:caseId', ndrController.getCase.bind(ndrController));
+
+/**
+ * @route   POST /api/ndr/:caseId/action
+ * @desc    Ask the carrier to re-attempt (with updated address / phone), RTO or hold
+ * @access  Private
+ */
+router.post(
+  '/:caseId/action',
+  ndrActionValidation,
+  validate,
+  ndrController.takeAction.bind(ndrController)
+);
+
+module.exports = router;
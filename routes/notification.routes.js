@@ -0,0 +1,31 @@
+const express = require('express');
+const notificationController = require('../controllers/notification.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List in-app notifications with unread count (?unread=true)
+ * @access  Private
+ */
+router.get('/', notificationController.getNotifications.bind(notificationController));
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.post('/read-all', notificationController.markAllRead.bind(notificationController));
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', notificationController.markRead.bind(notificationController));
+
+module.exports = router;
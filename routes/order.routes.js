@@ -1,98 +1,260 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const orderController = require('../controllers/order.controller');
-const { createOrderValidation, calculateRateValidation } = require('../validators/order.validator');
+const {
+  createOrderValidation,
+  calculateRateValidation,
+  compareRatesValidation,
+  createReturnValidation
+} = require('../validators/order.validator');
 const validate = require('../middleware/validate.middleware');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, acceptApiKey, requireScope, sessionOnly } = require('../middleware/auth.middleware');
 const { requireKYC } = require('../middleware/kyc.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const AppError = require('../utils/AppError');
+const { API_KEY_SCOPES } = require('../config/constants');
 
 const router = express.Router();
 
-// All order routes require authentication
+// Bulk order files are parsed in memory, never written to disk
+const bulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (!['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new AppError('Only CSV or XLSX files are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// All order routes require authentication: a JWT, or a seller API key with the
+// scope the route asks for (requireScope; sessionOnly routes take no API keys)
+router.use(acceptApiKey);
 router.use(protect);
 
 /**
  * @route   POST /api/orders/calculate-rate
  * @desc    Calculate shipping rate
- * @access  Private
+ * @access  Private (or API key: orders:read)
  */
 router.post(
   '/calculate-rate',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
   calculateRateValidation,
   validate,
   orderController.calculateRate.bind(orderController)
 );
 
+/**
+ * @route   POST /api/orders/compare-rates
+ * @desc    Quote every carrier in parallel; sort by recommended, price or eta
+ * @access  Private (or API key: orders:read)
+ */
+router.post(
+  '/compare-rates',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  compareRatesValidation,
+  validate,
+  orderController.compareRates.bind(orderController)
+);
+
 /**
  * @route   POST /api/orders
- * @desc    Create delivery order (requires KYC)
- * @access  Private
+ * @desc    Create delivery order (requires KYC). Honours Idempotency-Key.
+ * @access  Private (or API key: orders:write)
  */
 router.post(
   '/',
+  requireScope(API_KEY_SCOPES.ORDERS_WRITE),
   requireKYC,
   createOrderValidation,
   validate,
+  idempotent,
   orderController.createOrder.bind(orderController)
 );
 
+/**
+ * @route   POST /api/orders/bulk
+ * @desc    Upload orders from CSV / XLSX (field "file"); rows are booked in the background
+ * @access  Private (or API key: orders:write)
+ */
+router.post(
+  '/bulk',
+  requireScope(API_KEY_SCOPES.ORDERS_WRITE),
+  requireKYC,
+  bulkUpload.single('file'),
+  orderController.bulkImport.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/bulk/template
+ * @desc    Download bulk upload CSV template
+ * @access  Private (or API key: orders:read)
+ */
+router.get(
+  '/bulk/template',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  orderController.downloadBulkTemplate.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/bulk
+ * @desc    List bulk uploads
+ * @access  Private (or API key: orders:read)
+ */
+router.get(
+  '/bulk',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  orderController.getBulkImports.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/bulk/:importId
+ * @desc    Bulk upload progress with per-row results
+ * @access  Private (or API key: orders:read)
+ */
+router.get(
+  '/bulk/:importId',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  orderController.getBulkImport.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/bulk/:importId/result
+ * @desc    Download per-row results (?format=csv|xlsx)
+ * @access  Private (or API key: orders:read)
+ */
+router.get(
+  '/bulk/:importId/result',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  orderController.downloadBulkImportResult.bind(orderController)
+);
+
 /**
  * @route   GET /api/orders
  * @desc    Get user orders
- * @access  Private
+ * @access  Private (or API key: orders:read)
  */
 router.get(
   '/',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
   orderController.getUserOrders.bind(orderController)
 );
 
+/**
+ * @route   POST /api/orders/:id/return
+ * @desc    Create a reverse pickup for a delivered order (customer -> warehouse). Honours Idempotency-Key.
+ * @access  Private (or API key: orders:write)
+ */
+router.post(
+  '/:id/return',
+  requireScope(API_KEY_SCOPES.ORDERS_WRITE),
+  requireKYC,
+  createReturnValidation,
+  validate,
+  idempotent,
+  orderController.createReturnOrder.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/:id/packages
+ * @desc    Pieces of a multi-piece shipment with master / child AWBs
+ * @access  Private (or API key: orders:read)
+ */
+router.get(
+  '/:id/packages',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  orderController.getOrderPackages.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/:id/packages/:pieceNumber/track
+ * @desc    Track one piece by its child AWB
+ * @access  Private (or API key: tracking:read)
+ */
+router.get(
+  '/:id/packages/:pieceNumber/track',
+  requireScope(API_KEY_SCOPES.TRACKING_READ),
+  orderController.trackOrderPackage.bind(orderController)
+);
+
+/**
+ * @route   GET /api/orders/:id/packages/:pieceNumber/label
+ * @desc    Carrier label of one piece
+ * @access  Private (or API key: orders:read)
+ */
+router.get(
+  '/:id/packages/:pieceNumber/label',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
+  orderController.getOrderPackageLabel.bind(orderController)
+);
+
 /**
  * @route   POST /api/orders/:id/nimbus/pickup
  * @desc    Raise Nimbus pickup (ship.nimbuspost.com, NP-API-KEY)
- * @access  Private
+ * @access  Private (or API key: orders:write)
  */
 router.post(
   '/:id/nimbus/pickup',
+  requireScope(API_KEY_SCOPES.ORDERS_WRITE),
   orderController.requestNimbusPickup.bind(orderController)
 );
 
 /**
  * @route   POST /api/orders/:id/nimbus/label
  * @desc    Download Nimbus shipping label PDF
- * @access  Private
+ * @access  Private (or API key: orders:read)
  */
 router.post(
   '/:id/nimbus/label',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
   orderController.downloadNimbusLabel.bind(orderController)
 );
 
 /**
  * @route   POST /api/orders/:id/nimbus/cancel
  * @desc    Cancel shipment on Nimbus (api v1 /shipments/cancel, AWB)
- * @access  Private
+ * @access  Private (or API key: orders:write)
  */
 router.post(
   '/:id/nimbus/cancel',
+  requireScope(API_KEY_SCOPES.ORDERS_WRITE),
   orderController.cancelNimbusShipment.bind(orderController)
 );
 
 /**
  * @route   GET /api/orders/:id
  * @desc    Get order by ID
- * @access  Private
+ * @access  Private (or API key: orders:read)
  */
 router.get(
   '/:id',
+  requireScope(API_KEY_SCOPES.ORDERS_READ),
   orderController.getOrderById.bind(orderController)
 );
 
 /**
  * @route   GET /api/orders/:id/track
  * @desc    Track order
- * @access  Private
+ * @access  Private (or API key: tracking:read)
  */
 router.get(
   '/:id/track',
+  requireScope(API_KEY_SCOPES.TRACKING_READ),
   orderController.trackOrder.bind(orderController)
 );
 
+/**
+ * @route   GET /api/orders/:id/timeline
+ * @desc    Status timeline of an order (every carrier / system update)
+ * @access  Private (or API key: tracking:read)
+ */
+router.get(
+  '/:id/timeline',
+  requireScope(API_KEY_SCOPES.TRACKING_READ),
+  orderController.getOrderTimeline.bind(orderController)
+);
+
 module.exports = router;
@@ -3,16 +3,17 @@ const router = express.Router();
 const pickupRequestController = require('../controllers/pickupRequest.controller');
 const { protect } = require('../middleware/auth.middleware');
 const { requireKYC } = require('../middleware/kyc.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 
 // All routes require authentication
 router.use(protect);
 
 /**
  * @route   POST /api/pickup-requests
- * @desc    Create pickup request (requires KYC)
+ * @desc    Create pickup request (requires KYC). Honours Idempotency-Key.
  * @access  Private
  */
-router.post('/', requireKYC, pickupRequestController.createPickupRequest.bind(pickupRequestController));
+router.post('/', requireKYC, idempotent, pickupRequestController.createPickupRequest.bind(pickupRequestController));
 
 /**
  * @route   GET /api/pickup-requests
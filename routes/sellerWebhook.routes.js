@@ -0,0 +1,74 @@
+const express = require('express');
+const sellerWebhookController = require('../controllers/sellerWebhook.controller');
+const {
+  createEndpointValidation,
+  updateEndpointValidation
+} = require('../validators/sellerWebhook.validator');
+const validate = require('../middleware/validate.middleware');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// All seller webhook routes require authentication
+router.use(protect);
+
+/**
+ * @route   POST /api/seller-webhooks/endpoints
+ * @desc    Register a webhook endpoint with an event filter; returns the signing secret once
+ * @access  Private
+ */
+router.post(
+  '/endpoints',
+  createEndpointValidation,
+  validate,
+  sellerWebhookController.createEndpoint.bind(sellerWebhookController)
+);
+
+/**
+ * @route   GET /api/seller-webhooks/endpoints
+ * @desc    List webhook endpoints
+ * @access  Private
+ */
+router.get('/endpoints', sellerWebhookController.listEndpoints.bind(sellerWebhookController));
+
+/**
+ * @route   PATCH /api/seller-webhooks/endpoints/:id
+ * @desc    Change an endpoint's URL, events, description or isActive
+ * @access  Private
+ */
+router.patch(
+  '/endpoints/:id',
+  updateEndpointValidation,
+  validate,
+  sellerWebhookController.updateEndpoint.bind(sellerWebhookController)
+);
+
+/**
+ * @route   DELETE /api/seller-webhooks/endpoints/:id
+ * @desc    Delete a webhook endpoint
+ * @access  Private
+ */
+router.delete('/endpoints/:id', sellerWebhookController.deleteEndpoint.bind(sellerWebhookController));
+
+/**
+ * @route   GET /api/seller-webhooks/deliveries
+ * @desc    Delivery log (?endpoint=&event=&status=&orderId=&page=&limit=)
+ * @access  Private
+ */
+router.get('/deliveries', sellerWebhookController.getDeliveries.bind(sellerWebhookController));
+
+/**
+ * @route   GET /api/seller-webhooks/deliveries/:id
+ * @desc    Delivery with every attempt and the endpoint's responses
+ * @access  Private
+ */
+router.get('/deliveries/:id', sellerWebhookController.getDelivery.bind(sellerWebhookController));
+
+/**
+ * @route   POST /api/seller-webhooks/deliveries/:id/replay
+ * @desc    Send a delivery's event again (same event id)
+ * @access  Private
+ */
+router.post('/deliveries/:id/replay', sellerWebhookController.replayDelivery.bind(sellerWebhookController));
+
+module.exports = router;
@@ -1,66 +1,171 @@
 const express = require('express');
 const walletController = require('../controllers/wallet.controller');
-const { rechargeValidation, verifyPaymentValidation } = require('../validators/wallet.validator');
+const {
+  rechargeValidation,
+  verifyPaymentValidation,
+  autoRechargeSettingsValidation
+} = require('../validators/wallet.validator');
 const validate = require('../middleware/validate.middleware');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, acceptApiKey, requireScope, sessionOnly } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { API_KEY_SCOPES } = require('../config/constants');
 
 const router = express.Router();
 
-// All wallet routes require authentication
+// All wallet routes require authentication: a JWT, or a seller API key with the
+// scope the route asks for (requireScope; sessionOnly routes take no API keys)
+router.use(acceptApiKey);
 router.use(protect);
 
 /**
  * @route   GET /api/wallet/balance
- * @desc    Get wallet balance
- * @access  Private
+ * @desc    Get wallet balance, held amount and available balance
+ * @access  Private (or API key: wallet:read)
  */
 router.get(
   '/balance',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
   walletController.getBalance.bind(walletController)
 );
 
 /**
  * @route   GET /api/wallet/transactions
  * @desc    Get wallet transactions
- * @access  Private
+ * @access  Private (or API key: wallet:read)
  */
 router.get(
   '/transactions',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
   walletController.getTransactions.bind(walletController)
 );
 
 /**
  * @route   POST /api/wallet/recharge
- * @desc    Create Razorpay order for wallet recharge
+ * @desc    Create Razorpay order for wallet recharge. Honours Idempotency-Key.
  * @access  Private
  */
 router.post(
   '/recharge',
+  sessionOnly,
   rechargeValidation,
   validate,
+  idempotent,
   walletController.createRechargeOrder.bind(walletController)
 );
 
 /**
  * @route   POST /api/wallet/verify-payment
- * @desc    Verify Razorpay payment and add money to wallet
+ * @desc    Verify Razorpay payment and add money to wallet. Honours Idempotency-Key.
  * @access  Private
  */
 router.post(
   '/verify-payment',
+  sessionOnly,
   verifyPaymentValidation,
   validate,
+  idempotent,
   walletController.verifyPayment.bind(walletController)
 );
 
 /**
  * @route   GET /api/wallet/ledger/export
  * @desc    Export wallet ledger as CSV
- * @access  Private
+ * @access  Private (or API key: wallet:read)
  */
 router.get(
   '/ledger/export',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
   walletController.exportLedger.bind(walletController)
 );
 
+/**
+ * @route   GET /api/wallet/statements
+ * @desc    List monthly wallet statements
+ * @access  Private (or API key: wallet:read)
+ */
+router.get(
+  '/statements',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
+  walletController.getStatements.bind(walletController)
+);
+
+/**
+ * @route   GET /api/wallet/statements/:period
+ * @desc    Monthly statement (period YYYY-MM): opening/closing balance and totals per category
+ * @access  Private (or API key: wallet:read)
+ */
+router.get(
+  '/statements/:period',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
+  walletController.getStatement.bind(walletController)
+);
+
+/**
+ * @route   GET /api/wallet/statements/:period/download
+ * @desc    Download monthly statement with its ledger entries (?format=csv|pdf)
+ * @access  Private (or API key: wallet:read)
+ */
+router.get(
+  '/statements/:period/download',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
+  walletController.downloadStatement.bind(walletController)
+);
+
+/**
+ * @route   GET /api/wallet/credit
+ * @desc    Postpaid credit limit, utilisation and open bills (pay dues with /recharge)
+ * @access  Private (or API key: wallet:read)
+ */
+router.get(
+  '/credit',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
+  walletController.getCredit.bind(walletController)
+);
+
+/**
+ * @route   GET /api/wallet/auto-recharge
+ * @desc    Low-balance alert threshold and auto-recharge settings
+ * @access  Private (or API key: wallet:read)
+ */
+router.get(
+  '/auto-recharge',
+  requireScope(API_KEY_SCOPES.WALLET_READ),
+  walletController.getAutoRecharge.bind(walletController)
+);
+
+/**
+ * @route   PUT /api/wallet/auto-recharge
+ * @desc    Set low-balance threshold, enable/disable auto-recharge and its target amount
+ * @access  Private
+ */
+router.put(
+  '/auto-recharge',
+  sessionOnly,
+  autoRechargeSettingsValidation,
+  validate,
+  walletController.updateAutoRecharge.bind(walletController)
+);
+
+/**
+ * @route   POST /api/wallet/auto-recharge/mandate
+ * @desc    Create a ₹1 Razorpay recurring order to register the auto-recharge token
+ * @access  Private
+ */
+router.post(
+  '/auto-recharge/mandate',
+  sessionOnly,
+  walletController.createMandate.bind(walletController)
+);
+
+/**
+ * @route   DELETE /api/wallet/auto-recharge/mandate
+ * @desc    Revoke the auto-recharge token and turn auto-recharge off
+ * @access  Private
+ */
+router.delete(
+  '/auto-recharge/mandate',
+  sessionOnly,
+  walletController.revokeMandate.bind(walletController)
+);
+
 module.exports = router;
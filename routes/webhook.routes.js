@@ -5,8 +5,9 @@ const router = express.Router();
 
 /**
  * @route   POST /api/webhooks/order-status
- * @desc    Receive order status update from third-party delivery partner
- * @access  Public (should be secured with signature verification)
+ * @desc    Receive order status update from third-party delivery partner (body.partner)
+ * @access  Public — verified per partner: <PARTNER>_WEBHOOK_SECRET (HMAC or shared secret),
+ *          optional <PARTNER>_WEBHOOK_IPS allow-list, X-Webhook-Timestamp / X-Webhook-Nonce replay checks
  */
 router.post(
   '/order-status',
@@ -15,8 +16,8 @@ router.post(
 
 /**
  * @route   POST /api/webhooks/razorpay
- * @desc    Receive Razorpay payment webhooks
- * @access  Public (should be secured with signature verification)
+ * @desc    Razorpay payment.captured / payment.failed / order.paid / refund.* events
+ * @access  Public — verified with RAZORPAY_WEBHOOK_SECRET (header X-Razorpay-Signature)
  */
 router.post(
   '/razorpay',
@@ -26,7 +27,7 @@ router.post(
 /**
  * @route   POST /api/webhooks/nimbuspost
  * @desc    NimbusPost order/shipment status updates
- * @access  Public — protect with NIMBUSPOST_WEBHOOK_SECRET (header X-Nimbus-Secret or ?secret=)
+ * @access  Public — verified with NIMBUSPOST_WEBHOOK_SECRET (header X-Hmac-SHA256) when set
  */
 router.post(
   '/nimbuspost',
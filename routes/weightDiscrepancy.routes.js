@@ -0,0 +1,62 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const weightDiscrepancyController = require('../controllers/weightDiscrepancy.controller');
+const { weightDisputeValidation } = require('../validators/order.validator');
+const validate = require('../middleware/validate.middleware');
+const { protect } = require('../middleware/auth.middleware');
+const AppError = require('../utils/AppError');
+
+const router = express.Router();
+
+// Dispute photos are kept on the discrepancy, never written to disk
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 5 },
+  fileFilter: function (req, file, cb) {
+    if (!['.jpg', '.jpeg', '.png', '.webp'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new AppError('Only JPG, PNG or WEBP photos are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// All weight discrepancy routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/weight-discrepancies
+ * @desc    List carrier weight discrepancies (?status=&disputeStatus=)
+ * @access  Private
+ */
+router.get('/', weightDiscrepancyController.getDiscrepancies.bind(weightDiscrepancyController));
+
+/**
+ * @route   GET /api/weight-discrepancies/:discrepancyId
+ * @desc    Weight discrepancy with billed vs carrier weight and charge
+ * @access  Private
+ */
+router.get('/:discrepancyId', weightDiscrepancyController.getDiscrepancy.bind(weightDiscrepancyController));
+
+/**
+ * @route   GET /api/weight-discrepancies/:discrepancyId/photos/:index
+ * @desc    Uploaded dispute photo (dispute.photos[index])
+ * @access  Private
+ */
+router.get('/:discrepancyId/photos/:index', weightDiscrepancyController.getDisputePhoto.bind(weightDiscrepancyController));
+
+/**
+ * @route   POST /api/weight-discrepancies/:discrepancyId/dispute
+ * @desc    Dispute the carrier weight with photos of the package: uploaded as
+ *          multipart `photos` files and/or linked as photos [{ url, filename }]
+ * @access  Private
+ */
+router.post(
+  '/:discrepancyId/dispute',
+  photoUpload.array('photos', 5),
+  weightDisputeValidation,
+  validate,
+  weightDiscrepancyController.raiseDispute.bind(weightDiscrepancyController)
+);
+
+module.exports = router;
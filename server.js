@@ -24,16 +24,32 @@ const bankAccountRoutes = require('./routes/bankAccount.routes');
 const pincodeRoutes = require('./routes/pincode.routes');
 const awbRoutes = require('./routes/awb.routes');
 const warehouseRoutes = require('./routes/warehouse.routes');
+const codRoutes = require('./routes/cod.routes');
+const ndrRoutes = require('./routes/ndr.routes');
+const weightDiscrepancyRoutes = require('./routes/weightDiscrepancy.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const sellerWebhookRoutes = require('./routes/sellerWebhook.routes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler.middleware');
 
+// Background jobs (booking queue, ...)
+const { startJobs } = require('./jobs');
+
 // Initialize Express app
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Behind a load balancer / reverse proxy set TRUST_PROXY (hop count, 'true' or
+// proxy IPs) so req.ip is the client (rate limits, webhook IP allow-lists)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // Request logging
 app.use(morgan('dev'));
 
@@ -101,17 +117,19 @@ const allowedOrigins = [...new Set([...corsStaticOrigins, ...corsExtraOrigins].f
 
 app.use(
   cors({
-    origin: allowedOrigins
+    origin: allowedOrigins,
+    exposedHeaders: ['Idempotent-Replayed']
   })
 );
 
-// Capture raw body for NimbusPost HMAC (X-Hmac-SHA256) verification
+// Capture raw body for NimbusPost (X-Hmac-SHA256), Razorpay (X-Razorpay-Signature) and
+// partner order-status (X-Webhook-Signature) HMAC verification
 app.use(
   express.json({
     limit: '10mb',
     verify: (req, res, buf) => {
       const pathOnly = (req.originalUrl || '').split('?')[0];
-      if (pathOnly === '/api/webhooks/nimbuspost') {
+      if (['/api/webhooks/nimbuspost', '/api/webhooks/razorpay', '/api/webhooks/order-status'].includes(pathOnly)) {
         req.rawBodyBuffer = buf;
       }
     }
@@ -144,6 +162,12 @@ app.use('/api/bank-account', bankAccountRoutes);
 app.use('/api/pincode', pincodeRoutes);
 app.use('/api/awb', awbRoutes);
 app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/cod', codRoutes);
+app.use('/api/ndr', ndrRoutes);
+app.use('/api/weight-discrepancies', weightDiscrepancyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/seller-webhooks', sellerWebhookRoutes);
 
 // 404 handler - must be after all routes
 app.use((req, res) => {
@@ -162,6 +186,7 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
+  startJobs();
 });
 
 // Handle unhandled promise rejections
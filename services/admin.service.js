@@ -125,7 +125,9 @@ class AdminService {
           _id: {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
           },
-          profit: { $sum: { $subtract: ['$totalAmount', '$shippingCost'] } },
+          revenue: { $sum: '$pricing.totalAmount' },
+          carrierCost: { $sum: { $ifNull: ['$pricing.carrierCost', '$pricing.totalAmount'] } },
+          profit: { $sum: { $ifNull: ['$pricing.margin', 0] } },
           count: { $sum: 1 }
         }
       },
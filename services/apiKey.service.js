@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey.model');
+const AppError = require('../utils/AppError');
+
+const KEY_PREFIX = 'fwl_';
+const PREFIX_LENGTH = KEY_PREFIX.length + 8;
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * API Key Service - Seller API keys for programmatic access
+ *
+ * Keys are random, so a plain SHA-256 is enough to store them; lookup is by
+ * hash. Rotation issues a new key with the same name, scopes and limit and
+ * retires the old one, optionally after a grace period so the integration
+ * can switch over without downtime.
+ */
+class ApiKeyService {
+  getConfig() {
+    return {
+      defaultRateLimitPerMinute: Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 120,
+      maxKeysPerUser: Number(process.env.API_KEY_MAX_PER_USER) || 10
+    };
+  }
+
+  /**
+   * Whether a bearer token / header value is an API key (rather than a JWT)
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create an API key
+   * @param {String} userId - User ID
+   * @param {Object} data - name, scopes, rateLimitPerMinute
+   * @returns {Object} { apiKey, key } - key is only returned here
+   */
+  async createKey(userId, { name, scopes, rateLimitPerMinute }) {
+    const { defaultRateLimitPerMinute, maxKeysPerUser } = this.getConfig();
+
+    const active = await ApiKey.countDocuments({ user: userId, revokedAt: null });
+    if (active >= maxKeysPerUser) {
+      throw new AppError(`You can have at most ${maxKeysPerUser} active API keys. Revoke one first.`, 400);
+    }
+
+    return this._issue(userId, {
+      name,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute: rateLimitPerMinute || defaultRateLimitPerMinute
+    });
+  }
+
+  /**
+   * List a seller's API keys (never the key itself)
+   * @param {String} userId - User ID
+   * @param {Object} filters - includeRevoked ('true')
+   * @returns {Array} API keys
+   */
+  async listKeys(userId, { includeRevoked = '' } = {}) {
+    const query = { user: userId };
+    if (includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+    return ApiKey.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke an API key
+   * @param {String} keyId - API key ID
+   * @param {String} userId - User ID
+   * @returns {Object} API key
+   */
+  async revokeKey(keyId, userId) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, user: userId });
+    if (!apiKey) {
+      throw new AppError('API key not found', 404);
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    return apiKey;
+  }
+
+  /**
+   * Replace an API key with a new one
+   * @param {String} keyId - API key ID
+   * @param {String} userId - User ID
+   * @param {Object} options - graceMinutes: keep the old key working this long (default 0)
+   * @returns {Object} { apiKey, key, previous }
+   */
+  async rotateKey(keyId, userId, { graceMinutes = 0 } = {}) {
+    const current = await ApiKey.findOne({ _id: keyId, user: userId });
+    if (!current) {
+      throw new AppError('API key not found', 404);
+    }
+    if (current.revokedAt || current.rotatedTo) {
+      throw new AppError('This API key has already been revoked or rotated', 409);
+    }
+
+    const issued = await this._issue(userId, {
+      name: current.name,
+      scopes: current.scopes,
+      rateLimitPerMinute: current.rateLimitPerMinute
+    });
+
+    const now = new Date();
+    const update = { rotatedTo: issued.apiKey._id };
+    if (graceMinutes > 0) {
+      update.expiresAt = new Date(now.getTime() + graceMinutes * 60 * 1000);
+    } else {
+      update.revokedAt = now;
+    }
+
+    // Guarded so two concurrent rotations cannot both succeed
+    const previous = await ApiKey.findOneAndUpdate(
+      { _id: current._id, revokedAt: null, rotatedTo: null },
+      { $set: update },
+      { new: true }
+    );
+    if (!previous) {
+      await ApiKey.deleteOne({ _id: issued.apiKey._id });
+      throw new AppError('This API key has already been revoked or rotated', 409);
+    }
+
+    return { ...issued, previous };
+  }
+
+  /**
+   * Resolve a presented key to its (usable) API key record
+   * @param {String} key - Key from the request
+   * @param {String} ip - Caller IP (recorded as last used)
+   * @returns {Object|null} API key, or null if unknown, revoked or expired
+   */
+  async authenticate(key, ip) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+    const now = new Date();
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+      return null;
+    }
+
+    // Not awaited: usage tracking must not slow down or fail the request
+    ApiKey.updateOne(
+      {
+        _id: apiKey._id,
+        $or: [
+          { lastUsedAt: null },
+          { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }
+        ]
+      },
+      { $set: { lastUsedAt: now, lastUsedIp: ip || null } }
+    ).catch((error) => {
+      console.error('[ApiKeyService] recording key usage failed', {
+        keyId: apiKey._id.toString(),
+        message: error.message
+      });
+    });
+
+    return apiKey;
+  }
+
+  async _issue(userId, { name, scopes, rateLimitPerMinute }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name,
+      prefix: key.slice(0, PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes,
+      rateLimitPerMinute
+    });
+
+    const { keyHash, ...created } = apiKey.toObject();
+    return { apiKey: created, key };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -773,7 +773,10 @@ class AuthService {
     const allowedFields = [
       'name',
       'phone',
-      'businessAddress'
+      'businessAddress',
+      'gstin',
+      'gstLegalName',
+      'billingState'
     ];
 
     const filteredBody = {};
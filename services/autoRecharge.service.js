@@ -0,0 +1,378 @@
+const Wallet = require('../models/Wallet.model');
+const Payment = require('../models/Payment.model');
+const User = require('../models/User.model');
+const walletService = require('./wallet.service');
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+const AppError = require('../utils/AppError');
+const { NOTIFICATION_TYPES } = require('../config/constants');
+
+// Amount charged when the seller authorises the mandate (credited to the wallet)
+const MANDATE_AMOUNT = 1;
+// A charge with no webhook after this long no longer blocks the next one
+const IN_FLIGHT_STALE_MS = 30 * 60 * 1000;
+
+const rupees = (n) => `₹${(Number(n) || 0).toFixed(2)}`;
+
+/**
+ * Auto-Recharge Service - Low-balance alerts and wallet top-ups through a saved
+ * Razorpay recurring token (card / UPI / e-mandate)
+ *
+ * Flow: the seller sets a threshold (and optionally a target amount), then
+ * authorises a mandate through a ₹1 Razorpay checkout. Once its payment.captured
+ * webhook delivers the token, every wallet entry or hold that leaves the available
+ * balance (balance less holds, plus unused credit) below the threshold alerts the seller once and, if enabled, charges the token for the
+ * difference up to the target. The charge is credited by the normal webhook path.
+ */
+class AutoRechargeService {
+  getConfig() {
+    return {
+      mandateMaxAmount: parseFloat(process.env.AUTO_RECHARGE_MANDATE_MAX_AMOUNT) || 100000,
+      retryAfterMs: (parseInt(process.env.AUTO_RECHARGE_RETRY_MINUTES) || 360) * 60 * 1000
+    };
+  }
+
+  /**
+   * Get low-balance and auto-recharge settings
+   * @param {String} userId - User ID
+   * @returns {Object} Settings
+   */
+  async getSettings(userId) {
+    const wallet = await walletService.getWalletByUserId(userId);
+    return this._settings(wallet);
+  }
+
+  /**
+   * Update low-balance threshold and auto-recharge settings
+   * @param {String} userId - User ID
+   * @param {Object} data - lowBalanceThreshold (null turns alerts off), autoRechargeEnabled, targetAmount
+   * @returns {Object} Settings
+   */
+  async updateSettings(userId, data) {
+    const wallet = await walletService.getWalletByUserId(userId);
+    const { mandateMaxAmount } = this.getConfig();
+
+    const threshold = data.lowBalanceThreshold !== undefined
+      ? data.lowBalanceThreshold
+      : wallet.lowBalance.threshold;
+    const enabled = data.autoRechargeEnabled !== undefined
+      ? data.autoRechargeEnabled
+      : wallet.autoRecharge.enabled;
+    const targetAmount = data.targetAmount !== undefined
+      ? data.targetAmount
+      : wallet.autoRecharge.targetAmount;
+
+    if (enabled) {
+      if (threshold === null || threshold === undefined) {
+        throw new AppError('Set a low-balance threshold to enable auto-recharge', 400);
+      }
+      if (!targetAmount || targetAmount <= threshold) {
+        throw new AppError('Auto-recharge target amount must be above the low-balance threshold', 400);
+      }
+      if (targetAmount > mandateMaxAmount) {
+        throw new AppError(`Auto-recharge target amount cannot exceed ${rupees(mandateMaxAmount)}`, 400);
+      }
+    }
+
+    const updated = await Wallet.findOneAndUpdate(
+      { _id: wallet._id },
+      {
+        $set: {
+          'lowBalance.threshold': threshold,
+          'autoRecharge.enabled': !!enabled,
+          'autoRecharge.targetAmount': targetAmount || null
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    // The new threshold may already be crossed
+    await this.checkBalance(updated);
+
+    return this._settings(await Wallet.findById(wallet._id));
+  }
+
+  /**
+   * Start mandate registration: a ₹1 recurring checkout for the seller's
+   * Razorpay customer. The token arrives with the payment.captured webhook.
+   * @param {String} userId - User ID
+   * @returns {Object} Razorpay checkout details (pass customer_id and recurring to Checkout)
+   */
+  async createMandate(userId) {
+    const wallet = await walletService.getWalletByUserId(userId);
+    const { mandateMaxAmount } = this.getConfig();
+
+    let customerId = wallet.autoRecharge.razorpayCustomerId;
+    if (!customerId) {
+      const user = await User.findById(userId).select('name email phone');
+      customerId = await paymentService.getOrCreateCustomer(user);
+      await Wallet.updateOne(
+        { _id: wallet._id },
+        { $set: { 'autoRecharge.razorpayCustomerId': customerId } }
+      );
+    }
+
+    const order = await paymentService.createRazorpayOrder(userId, MANDATE_AMOUNT, {
+      customerId,
+      token: {
+        max_amount: Math.round(mandateMaxAmount * 100),
+        frequency: 'as_presented'
+      },
+      notes: { recurring: 'auto_recharge_mandate' },
+      metadata: { autoRechargeMandate: true }
+    });
+
+    return {
+      ...order,
+      customerId,
+      recurring: '1'
+    };
+  }
+
+  /**
+   * Revoke the saved token and turn auto-recharge off
+   * @param {String} userId - User ID
+   * @returns {Object} Settings
+   */
+  async revokeMandate(userId) {
+    const wallet = await walletService.getWalletByUserId(userId);
+    const { razorpayCustomerId, tokenId } = wallet.autoRecharge;
+
+    if (!tokenId) {
+      throw new AppError('No auto-recharge mandate registered', 404);
+    }
+
+    await paymentService.deleteToken(razorpayCustomerId, tokenId);
+
+    const updated = await Wallet.findOneAndUpdate(
+      { _id: wallet._id },
+      { $set: { 'autoRecharge.tokenId': null, 'autoRecharge.enabled': false } },
+      { new: true }
+    );
+    return this._settings(updated);
+  }
+
+  /**
+   * Alert and auto-recharge after a wallet balance change
+   * @param {Object} wallet - Wallet as updated by the ledger entry
+   */
+  async checkBalance(wallet) {
+    const threshold = wallet.lowBalance && wallet.lowBalance.threshold;
+    if (threshold === null || threshold === undefined) {
+      return;
+    }
+
+    // What the seller can spend: held funds are already committed to bookings
+    const available = walletService.availableBalance(wallet);
+    if (available >= threshold) {
+      // Re-arm the alert for the next time the balance drops
+      if (wallet.lowBalance.alerted) {
+        await Wallet.updateOne(
+          { _id: wallet._id, 'lowBalance.alerted': true },
+          { $set: { 'lowBalance.alerted': false } }
+        );
+      }
+      return;
+    }
+
+    const autoRecharge = wallet.autoRecharge || {};
+    const willRecharge = !!(autoRecharge.enabled && autoRecharge.tokenId);
+
+    // One alert per drop below the threshold, however many debits follow
+    const alerted = await Wallet.findOneAndUpdate(
+      { _id: wallet._id, 'lowBalance.alerted': { $ne: true } },
+      { $set: { 'lowBalance.alerted': true, 'lowBalance.lastAlertedAt': new Date() } }
+    );
+    if (alerted) {
+      await notificationService.notify(wallet.user, {
+        type: NOTIFICATION_TYPES.LOW_BALANCE,
+        title: 'Your Flywell wallet balance is low',
+        message: `Your available wallet balance is ${rupees(available)}, below your alert threshold of ${rupees(threshold)}. ` +
+          (willRecharge
+            ? `An auto-recharge up to ${rupees(autoRecharge.targetAmount)} has been started.`
+            : 'Recharge your wallet to avoid failed bookings.'),
+        data: { balance: wallet.balance, availableBalance: available, threshold }
+      });
+    }
+
+    if (willRecharge) {
+      await this._autoRecharge(wallet);
+    }
+  }
+
+  /**
+   * Charge the saved token for the difference up to the target amount.
+   * The wallet is credited when the payment.captured webhook arrives.
+   */
+  async _autoRecharge(wallet) {
+    const now = new Date();
+    const { retryAfterMs } = this.getConfig();
+
+    // Claim the single in-flight slot; after a failed charge wait before retrying
+    const claimed = await Wallet.findOneAndUpdate(
+      {
+        _id: wallet._id,
+        'autoRecharge.enabled': true,
+        'autoRecharge.tokenId': { $ne: null },
+        $expr: {
+          $lt: [
+            { $add: [{ $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] }, walletService.creditAvailable(wallet)] },
+            '$lowBalance.threshold'
+          ]
+        },
+        $and: [
+          {
+            $or: [
+              { 'autoRecharge.inFlightSince': null },
+              { 'autoRecharge.inFlightSince': { $lt: new Date(now.getTime() - IN_FLIGHT_STALE_MS) } }
+            ]
+          },
+          {
+            $or: [
+              { 'autoRecharge.lastError': null },
+              { 'autoRecharge.lastAttemptAt': { $lt: new Date(now.getTime() - retryAfterMs) } }
+            ]
+          }
+        ]
+      },
+      {
+        $set: {
+          'autoRecharge.inFlightSince': now,
+          'autoRecharge.inFlightPayment': null,
+          'autoRecharge.lastAttemptAt': now
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    const { targetAmount, razorpayCustomerId, tokenId } = claimed.autoRecharge;
+    const available = walletService.availableBalance(claimed);
+    const amount = Math.max(MANDATE_AMOUNT, Math.ceil((targetAmount - available) * 100) / 100);
+
+    try {
+      const user = await User.findById(claimed.user).select('name email phone');
+      const charge = await paymentService.chargeRecurring(
+        user,
+        amount,
+        { customerId: razorpayCustomerId, tokenId },
+        { autoRecharge: true, walletBalance: claimed.balance, availableBalance: available, targetAmount }
+      );
+
+      // Unless the webhook already settled it
+      await Wallet.updateOne(
+        { _id: claimed._id, 'autoRecharge.inFlightSince': now },
+        { $set: { 'autoRecharge.inFlightPayment': charge.paymentId } }
+      );
+    } catch (error) {
+      await Wallet.updateOne(
+        { _id: claimed._id, 'autoRecharge.inFlightSince': now },
+        {
+          $set: {
+            'autoRecharge.inFlightSince': null,
+            'autoRecharge.inFlightPayment': null,
+            'autoRecharge.lastError': error.message
+          }
+        }
+      );
+      await this._notifyFailure(claimed.user, amount, error.message);
+    }
+  }
+
+  /**
+   * payment.captured / payment.failed webhook for a mandate or auto-recharge
+   * payment (called by PaymentService). Each payment is settled once.
+   * @param {Object} payment - Payment document
+   * @param {Object} entity - Razorpay payment entity
+   */
+  async onPaymentSettled(payment, entity) {
+    const succeeded = payment.status === 'completed';
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'metadata.autoRechargeSettledAt': { $exists: false } },
+      { $set: { 'metadata.autoRechargeSettledAt': new Date() } }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    if (payment.metadata.autoRechargeMandate) {
+      if (!succeeded || !entity.token_id) {
+        return;
+      }
+
+      const wallet = await Wallet.findOneAndUpdate(
+        { user: payment.user },
+        {
+          $set: {
+            'autoRecharge.tokenId': entity.token_id,
+            ...(entity.customer_id && { 'autoRecharge.razorpayCustomerId': entity.customer_id }),
+            'autoRecharge.lastError': null
+          }
+        },
+        { new: true }
+      );
+      // Balance may already be below the threshold
+      if (wallet) {
+        await this.checkBalance(wallet);
+      }
+      return;
+    }
+
+    const failureReason = payment.failureReason || 'Payment failed';
+    await Wallet.updateOne(
+      { user: payment.user },
+      {
+        $set: {
+          'autoRecharge.inFlightSince': null,
+          'autoRecharge.inFlightPayment': null,
+          'autoRecharge.lastError': succeeded ? null : failureReason
+        }
+      }
+    );
+
+    if (succeeded) {
+      await notificationService.notify(payment.user, {
+        type: NOTIFICATION_TYPES.AUTO_RECHARGE_SUCCEEDED,
+        title: 'Wallet auto-recharge successful',
+        message: `${rupees(payment.amount)} was added to your wallet through auto-recharge.`,
+        data: { paymentId: payment._id, amount: payment.amount }
+      });
+    } else {
+      await this._notifyFailure(payment.user, payment.amount, failureReason, payment._id);
+    }
+  }
+
+  _notifyFailure(userId, amount, reason, paymentId = null) {
+    return notificationService.notify(userId, {
+      type: NOTIFICATION_TYPES.AUTO_RECHARGE_FAILED,
+      title: 'Wallet auto-recharge failed',
+      message: `Auto-recharge of ${rupees(amount)} failed: ${reason}. Recharge your wallet manually or update your auto-recharge mandate.`,
+      data: { paymentId, amount, reason }
+    });
+  }
+
+  _settings(wallet) {
+    const threshold = wallet.lowBalance.threshold;
+    const autoRecharge = wallet.autoRecharge;
+
+    return {
+      balance: wallet.balance,
+      lowBalanceThreshold: threshold,
+      availableBalance: walletService.availableBalance(wallet),
+      isLow: threshold !== null && threshold !== undefined && walletService.availableBalance(wallet) < threshold,
+      autoRecharge: {
+        enabled: autoRecharge.enabled,
+        targetAmount: autoRecharge.targetAmount,
+        mandateRegistered: !!autoRecharge.tokenId,
+        inProgress: !!autoRecharge.inFlightSince,
+        lastAttemptAt: autoRecharge.lastAttemptAt,
+        lastError: autoRecharge.lastError
+      }
+    };
+  }
+}
+
+module.exports = new AutoRechargeService();
@@ -0,0 +1,663 @@
+const BookingJob = require('../models/BookingJob.model');
+const { BOOKING_JOB_STATUS } = require('../models/BookingJob.model');
+const { WALLET_HOLD_STATUS } = require('../models/WalletHold.model');
+const Order = require('../models/Order.model');
+const sellerWebhookService = require('./sellerWebhook.service');
+const orderStatusService = require('./orderStatus.service');
+const AppError = require('../utils/AppError');
+const { ORDER_STATUS, REFUND_REASONS, COD_STATUS } = require('../config/constants');
+
+// Carrier responses that will not succeed on retry (bad address, phone, courier id...)
+const PERMANENT_ERROR_CODES = [400, 404, 409, 422];
+
+/**
+ * Booking Queue Service - Durable, retrying carrier booking for paid orders
+ *
+ * Flow:
+ * 1. OrderService.createOrder holds the amount in the wallet and calls enqueue(order)
+ * 2. A worker (jobs/bookingQueue.job.js, or kick() right after enqueue) claims due jobs
+ * 3. A successful booking captures the hold at the final price
+ * 4. Failures are retried with exponential backoff until maxAttempts,
+ *    then the job is moved to the dead-letter state (hold released) for an
+ *    admin to re-drive, which funds the order again first
+ */
+class BookingQueueService {
+  getConfig() {
+    return {
+      maxAttempts: Number(process.env.BOOKING_MAX_ATTEMPTS) || 5,
+      baseDelayMs: Number(process.env.BOOKING_RETRY_BASE_MS) || 30 * 1000,
+      maxDelayMs: Number(process.env.BOOKING_RETRY_MAX_MS) || 30 * 60 * 1000,
+      lockMs: Number(process.env.BOOKING_LOCK_MS) || 2 * 60 * 1000,
+      batchSize: Number(process.env.BOOKING_BATCH_SIZE) || 10
+    };
+  }
+
+  /**
+   * Add an order to the booking queue (idempotent per order)
+   * @param {Object} order - Order document
+   * @returns {Object} Booking job
+   */
+  async enqueue(order) {
+    const { maxAttempts } = this.getConfig();
+    const now = new Date();
+
+    const job = await BookingJob.findOneAndUpdate(
+      { order: order._id },
+      {
+        $setOnInsert: {
+          order: order._id,
+          user: order.user,
+          deliveryPartner: order.deliveryPartner,
+          status: BOOKING_JOB_STATUS.QUEUED,
+          attempts: 0,
+          maxAttempts,
+          nextAttemptAt: now
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'booking.status': 'queued',
+          'booking.nextAttemptAt': job.nextAttemptAt
+        }
+      }
+    );
+
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Process due jobs on the next tick without blocking the caller
+   */
+  kick() {
+    setImmediate(() => {
+      this.processDueJobs().catch((err) => {
+        console.error('[BookingQueue] processDueJobs failed:', err.message);
+      });
+    });
+  }
+
+  /**
+   * Claim and run due jobs, one at a time
+   * @param {Number} limit - Max jobs to process in this run
+   * @returns {Number} Jobs processed
+   */
+  async processDueJobs(limit) {
+    const max = limit || this.getConfig().batchSize;
+    let processed = 0;
+
+    await this._enqueueOrphanedOrders();
+
+    while (processed < max) {
+      const job = await this._claimNext();
+      if (!job) break;
+      await this._runJob(job);
+      processed += 1;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Atomically lease the next due job. A `processing` job whose lease expired
+   * (worker crashed mid-booking) is picked up again.
+   */
+  async _claimNext() {
+    const now = new Date();
+    const { lockMs } = this.getConfig();
+
+    return BookingJob.findOneAndUpdate(
+      {
+        status: { $in: [BOOKING_JOB_STATUS.QUEUED, BOOKING_JOB_STATUS.PROCESSING] },
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      {
+        $set: {
+          status: BOOKING_JOB_STATUS.PROCESSING,
+          lockedUntil: new Date(now.getTime() + lockMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async _runJob(job) {
+    const orderService = require('./order.service');
+    const startedAt = new Date();
+
+    const order = await Order.findById(job.order);
+    if (!order) {
+      await this._markDead(job, null, 'Order no longer exists', null);
+      return;
+    }
+
+    // Booked through another path (manual sync, earlier attempt that saved late
+    // or whose capture failed)
+    if (order.awb) {
+      await orderService._captureOrderPayment(order);
+      await this._markSucceeded(job, order, startedAt);
+      return;
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'booking.status': 'processing',
+          'booking.attempts': job.attempts,
+          'booking.lastAttemptAt': startedAt
+        }
+      }
+    );
+
+    try {
+      const shipment = await orderService._createShipmentWithPartner(order);
+      await orderService._captureOrderPayment(order, shipment);
+      await this._markSucceeded(job, order, startedAt);
+    } catch (error) {
+      const message = error.message || 'Unknown carrier error';
+      const statusCode = error.statusCode || null;
+
+      console.error('[BookingQueue] booking attempt failed', {
+        orderNumber: order.orderNumber,
+        partner: order.deliveryPartner,
+        attempt: job.attempts,
+        statusCode,
+        message
+      });
+
+      const permanent = error instanceof AppError && PERMANENT_ERROR_CODES.includes(statusCode);
+      if (permanent || job.attempts >= job.maxAttempts) {
+        await this._markDead(job, order, message, statusCode, startedAt);
+      } else {
+        await this._scheduleRetry(job, order, message, statusCode, startedAt);
+      }
+    }
+  }
+
+  _backoffDelay(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.getConfig();
+    const delay = baseDelayMs * Math.pow(2, Math.max(0, attempts - 1));
+    // +/-10% jitter so retries from a carrier outage don't all land together
+    const jitter = delay * 0.1 * (Math.random() * 2 - 1);
+    return Math.min(maxDelayMs, Math.round(delay + jitter));
+  }
+
+  _attemptEntry(job, startedAt, success, error = null, statusCode = null) {
+    return {
+      attempt: job.attempts,
+      startedAt: startedAt || new Date(),
+      finishedAt: new Date(),
+      success,
+      error,
+      statusCode
+    };
+  }
+
+  async _markSucceeded(job, order, startedAt) {
+    const now = new Date();
+
+    await BookingJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: BOOKING_JOB_STATUS.SUCCEEDED,
+          lockedUntil: null,
+          lastError: null,
+          completedAt: now
+        }
+      }
+    );
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'booking.status': 'booked',
+          'booking.lastError': null,
+          'booking.nextAttemptAt': null,
+          'booking.bookedAt': now
+        },
+        $push: { 'booking.attemptHistory': this._attemptEntry(job, startedAt, true) }
+      }
+    );
+
+    await sellerWebhookService.emitShipmentBooked(order);
+  }
+
+  async _scheduleRetry(job, order, message, statusCode, startedAt) {
+    const nextAttemptAt = new Date(Date.now() + this._backoffDelay(job.attempts));
+
+    await BookingJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: BOOKING_JOB_STATUS.QUEUED,
+          lockedUntil: null,
+          lastError: message,
+          nextAttemptAt
+        }
+      }
+    );
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'booking.status': 'queued',
+          'booking.lastError': message,
+          'booking.nextAttemptAt': nextAttemptAt
+        },
+        $push: {
+          'booking.attemptHistory': this._attemptEntry(job, startedAt, false, message, statusCode)
+        }
+      }
+    );
+  }
+
+  async _markDead(job, order, message, statusCode, startedAt) {
+    const now = new Date();
+
+    await BookingJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: BOOKING_JOB_STATUS.DEAD,
+          lockedUntil: null,
+          lastError: message,
+          deadAt: now
+        }
+      }
+    );
+
+    if (!order) return;
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'booking.status': 'dead',
+          'booking.lastError': message,
+          'booking.nextAttemptAt': null
+        },
+        $push: {
+          'booking.attemptHistory': this._attemptEntry(job, startedAt, false, message, statusCode)
+        }
+      }
+    );
+
+    console.error('[BookingQueue] booking moved to dead-letter', {
+      orderNumber: order.orderNumber,
+      attempts: job.attempts,
+      message
+    });
+
+    await this._refundFailedBooking(order);
+  }
+
+  /**
+   * Cancel the order and give the seller their money back (release the hold,
+   * or refund orders that were debited up front)
+   */
+  async _refundFailedBooking(order) {
+    const refundService = require('./refund.service');
+    const orderService = require('./order.service');
+
+    await this._cancelUnbookedOrder(order._id, 'Carrier booking failed permanently');
+    await orderService.releaseReturnClaim(order);
+
+    if (!order.awb) {
+      await orderService.releaseOrderHold(order, 'Carrier booking failed permanently');
+    }
+
+    if (order.payment?.status !== 'completed') return;
+
+    try {
+      await refundService.refundOrder(order._id, {
+        reason: REFUND_REASONS.BOOKING_FAILED,
+        note: 'Carrier booking failed permanently'
+      });
+    } catch (err) {
+      console.error('[BookingQueue] refund after failed booking did not complete', {
+        orderNumber: order.orderNumber,
+        message: err.message
+      });
+    }
+  }
+
+  /**
+   * Paid orders from the last day that never made it into the queue
+   * (e.g. the process died between the wallet debit and enqueue).
+   */
+  async _enqueueOrphanedOrders() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const graceCutoff = new Date(Date.now() - 60 * 1000);
+
+    const orphans = await Order.find({
+      'booking.status': 'not_queued',
+      'payment.status': { $in: ['held', 'completed'] },
+      awb: null,
+      createdAt: { $gte: since, $lte: graceCutoff }
+    })
+      .limit(50)
+      .select('_id user deliveryPartner');
+
+    for (const order of orphans) {
+      await this.enqueue(order);
+    }
+  }
+
+  /**
+   * Settle wallet holds past their expiry: booked orders are charged, orders
+   * still waiting on the carrier are cancelled and their hold given back
+   * @returns {Object} { captured, expired, skipped }
+   */
+  async expireHolds() {
+    const orderService = require('./order.service');
+    const walletService = require('./wallet.service');
+    const result = { captured: 0, expired: 0, skipped: 0 };
+
+    for (const hold of await walletService.getExpiredHolds()) {
+      try {
+        const order = hold.order ? await Order.findById(hold.order) : null;
+        if (!order) {
+          await walletService.releaseHold(hold._id, 'Hold expired', WALLET_HOLD_STATUS.EXPIRED);
+          result.expired++;
+          continue;
+        }
+
+        if (order.awb) {
+          await orderService._captureOrderPayment(order);
+          result.captured++;
+          continue;
+        }
+
+        // Stop the booking first, unless an attempt is running right now
+        if (!(await this._abandonBooking(order._id, 'Wallet hold expired before the carrier booked'))) {
+          result.skipped++;
+          continue;
+        }
+
+        await Order.updateOne(
+          { _id: order._id, awb: null },
+          {
+            $set: {
+              'booking.status': 'dead',
+              'booking.lastError': 'Wallet hold expired before the carrier booked',
+              'booking.nextAttemptAt': null
+            }
+          }
+        );
+        await this._cancelUnbookedOrder(order._id, 'Wallet hold expired before the carrier booked');
+        await orderService.releaseReturnClaim(order);
+        await orderService.releaseOrderHold(order, 'Hold expired before the carrier booked', WALLET_HOLD_STATUS.EXPIRED);
+        result.expired++;
+      } catch (error) {
+        result.skipped++;
+        console.error('[BookingQueue] expiring wallet hold failed', {
+          holdId: hold._id.toString(),
+          message: error.message
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Cancel an order the carrier never booked, if its status allows it
+   */
+  async _cancelUnbookedOrder(orderId, message) {
+    const before = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        awb: null,
+        status: { $in: orderStatusService.allowedFrom(ORDER_STATUS.CANCELLED) }
+      },
+      // Pipeline update (skips the save hook): COD is closed in the same write
+      [{
+        $set: {
+          status: ORDER_STATUS.CANCELLED,
+          cod: this._codWithStatus(COD_STATUS.PENDING, COD_STATUS.CANCELLED)
+        }
+      }]
+    );
+    if (before) {
+      await orderStatusService.recordTransition(before, before.status, ORDER_STATUS.CANCELLED, {
+        source: 'booking',
+        message
+      });
+    }
+  }
+
+  /**
+   * Update-pipeline value for order.cod: its status moved from `from` to `to`,
+   * anything else (including orders without COD) left as it is
+   */
+  _codWithStatus(from, to) {
+    return {
+      $cond: [
+        { $eq: ['$cod.status', from] },
+        { $mergeObjects: ['$cod', { status: to }] },
+        '$cod'
+      ]
+    };
+  }
+
+  /**
+   * Move an order's booking job to dead-letter if no attempt holds its lease
+   * @returns {Boolean} Whether the booking is stopped (or never existed)
+   */
+  async _abandonBooking(orderId, message) {
+    const job = await BookingJob.findOne({ order: orderId });
+    if (!job || job.status === BOOKING_JOB_STATUS.DEAD) {
+      return true;
+    }
+    if (job.status === BOOKING_JOB_STATUS.SUCCEEDED) {
+      return false;
+    }
+
+    const now = new Date();
+    const stopped = await BookingJob.updateOne(
+      {
+        _id: job._id,
+        $or: [
+          { status: BOOKING_JOB_STATUS.QUEUED },
+          { status: BOOKING_JOB_STATUS.PROCESSING, lockedUntil: { $lt: now } }
+        ]
+      },
+      { $set: { status: BOOKING_JOB_STATUS.DEAD, lockedUntil: null, lastError: message, deadAt: now } }
+    );
+    return stopped.modifiedCount > 0;
+  }
+
+  /**
+   * List bookings that need attention (admin)
+   * Default: dead-lettered, retrying, or stuck with an expired lease
+   * @param {Object} filters - status, page, limit
+   * @returns {Object} Jobs with pagination
+   */
+  async getStuckBookings({ status = '', page = 1, limit = 20 } = {}) {
+    let query;
+    if (status) {
+      query = { status };
+    } else {
+      query = {
+        $or: [
+          { status: BOOKING_JOB_STATUS.DEAD },
+          { status: BOOKING_JOB_STATUS.QUEUED, attempts: { $gt: 0 } },
+          { status: BOOKING_JOB_STATUS.PROCESSING, lockedUntil: { $lt: new Date() } }
+        ]
+      };
+    }
+
+    const [jobs, total] = await Promise.all([
+      BookingJob.find(query)
+        .populate('order', 'orderNumber status deliveryPartner pricing booking createdAt')
+        .populate('user', 'name email phone')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BookingJob.countDocuments(query)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Re-drive a dead or stuck booking with a fresh retry budget (admin)
+   * @param {String} jobId - Booking job ID
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Updated job
+   */
+  async redrive(jobId, adminId) {
+    const job = await BookingJob.findById(jobId);
+
+    if (!job) {
+      throw new AppError('Booking job not found', 404);
+    }
+
+    if (job.status === BOOKING_JOB_STATUS.SUCCEEDED) {
+      throw new AppError('Booking already succeeded', 400);
+    }
+
+    if (
+      job.status === BOOKING_JOB_STATUS.PROCESSING &&
+      job.lockedUntil &&
+      job.lockedUntil > new Date()
+    ) {
+      throw new AppError('Booking is being processed right now. Try again shortly.', 409);
+    }
+
+    const order = await Order.findById(job.order);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    if (order.payment.status === 'released') {
+      // Dead-lettering gave the hold back
+      await this._holdForRedrive(order, job, { 'payment.status': 'released' });
+    } else {
+      await this._rechargeRefundedOrder(order, job);
+    }
+
+    const previousStatus = job.status;
+    job.status = BOOKING_JOB_STATUS.QUEUED;
+    job.attempts = 0;
+    job.maxAttempts = this.getConfig().maxAttempts;
+    job.nextAttemptAt = new Date();
+    job.lockedUntil = null;
+    job.deadAt = null;
+    job.redrives.push({ by: adminId, at: new Date(), previousStatus });
+    await job.save();
+
+    // Forced: a dead booking cancelled the order, which is otherwise final
+    const before = await Order.findOneAndUpdate(
+      { _id: job.order },
+      [{
+        $set: {
+          status: ORDER_STATUS.PENDING,
+          cod: this._codWithStatus(COD_STATUS.CANCELLED, COD_STATUS.PENDING),
+          'booking.status': 'queued',
+          'booking.nextAttemptAt': job.nextAttemptAt
+        }
+      }]
+    );
+    if (before) {
+      await orderStatusService.recordTransition(before, before.status, ORDER_STATUS.PENDING, {
+        source: 'admin',
+        actor: adminId,
+        reason: 'Booking re-driven'
+      });
+    }
+
+    this.kick();
+    return job;
+  }
+
+  /**
+   * A dead-lettered order that was debited up front got its money back;
+   * hold it again before the booking is retried. Fails if the seller's
+   * balance or credit no longer covers it.
+   */
+  async _rechargeRefundedOrder(order, job) {
+    if (!((order.payment.refundedAmount || 0) > 0)) {
+      return;
+    }
+    if (order.payment.refunds.some((r) => r.reason !== REFUND_REASONS.BOOKING_FAILED)) {
+      throw new AppError('Order has been refunded. Ask the seller to place a new order.', 400);
+    }
+
+    await this._holdForRedrive(order, job, {
+      'payment.status': order.payment.status,
+      'payment.refundedAmount': order.payment.refundedAmount
+    }, {
+      $set: { 'payment.refundedAmount': 0, 'payment.refundedAt': null },
+      // The ledger keeps the refund; the order is funded again
+      $pull: { 'payment.refunds': { reason: REFUND_REASONS.BOOKING_FAILED } }
+    });
+  }
+
+  /**
+   * Place a fresh wallet hold for the order and point its payment at it,
+   * provided the payment is still in the state the caller saw
+   */
+  async _holdForRedrive(order, job, expected, update = {}) {
+    const walletService = require('./wallet.service');
+    const amount = order.payment.amount != null ? order.payment.amount : order.pricing.totalAmount;
+
+    let placed;
+    try {
+      placed = await walletService.placeHold(order.user, amount, {
+        description: `Payment for ${order.orderType} order ${order.orderNumber} (re-driven)`,
+        orderId: order._id,
+        metadata: {
+          orderNumber: order.orderNumber,
+          deliveryPartner: order.deliveryPartner,
+          orderType: order.orderType,
+          redriveOf: job._id.toString()
+        }
+      });
+    } catch (error) {
+      if (error instanceof AppError && error.statusCode === 400) {
+        throw new AppError(`Seller's wallet cannot cover ₹${amount} to re-drive this booking`, 400);
+      }
+      throw error;
+    }
+
+    const funded = await Order.updateOne(
+      { _id: order._id, ...expected },
+      {
+        ...update,
+        $set: {
+          ...update.$set,
+          'payment.status': 'held',
+          'payment.hold': placed.hold._id,
+          'payment.amount': amount,
+          'payment.transactionId': null,
+          'payment.paidAt': null
+        }
+      }
+    );
+    if (funded.modifiedCount === 0) {
+      await walletService.releaseHold(placed.hold._id, 'Re-drive raced another change to the order');
+      throw new AppError('Order payment changed while re-driving. Try again.', 409);
+    }
+  }
+}
+
+module.exports = new BookingQueueService();
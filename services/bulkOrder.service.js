@@ -0,0 +1,488 @@
+const ExcelJS = require('exceljs');
+const { parse } = require('json2csv');
+const { validationResult } = require('express-validator');
+const BulkOrderImport = require('../models/BulkOrderImport.model');
+const { BULK_IMPORT_STATUS, BULK_ROW_STATUS } = require('../models/BulkOrderImport.model');
+const Order = require('../models/Order.model');
+const { createOrderValidation } = require('../validators/order.validator');
+const AppError = require('../utils/AppError');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const { DELIVERY_PARTNERS } = require('../config/constants');
+
+// Accepted columns. Dotted names are the same fields as the POST /api/orders body.
+const TEMPLATE_COLUMNS = [
+  'pickupDetails.name',
+  'pickupDetails.phone',
+  'pickupDetails.email',
+  'pickupDetails.address',
+  'pickupDetails.pincode',
+  'pickupDetails.city',
+  'pickupDetails.state',
+  'deliveryDetails.name',
+  'deliveryDetails.phone',
+  'deliveryDetails.email',
+  'deliveryDetails.address',
+  'deliveryDetails.pincode',
+  'deliveryDetails.city',
+  'deliveryDetails.state',
+  'packageDetails.weight',
+  'packageDetails.dimensions.length',
+  'packageDetails.dimensions.width',
+  'packageDetails.dimensions.height',
+  'packageDetails.description',
+  'packageDetails.declaredValue',
+  'deliveryPartner',
+  'paymentType',
+  'codAmount',
+  'nimbusCourierId'
+];
+
+const NUMERIC_COLUMNS = [
+  'packageDetails.weight',
+  'packageDetails.dimensions.length',
+  'packageDetails.dimensions.width',
+  'packageDetails.dimensions.height',
+  'packageDetails.declaredValue',
+  'codAmount'
+];
+
+const TEMPLATE_EXAMPLE = {
+  'pickupDetails.name': 'Flywell Warehouse',
+  'pickupDetails.phone': '9876543210',
+  'pickupDetails.address': '12 Industrial Area, Phase 2',
+  'pickupDetails.pincode': '110020',
+  'pickupDetails.city': 'New Delhi',
+  'pickupDetails.state': 'Delhi',
+  'deliveryDetails.name': 'Rahul Sharma',
+  'deliveryDetails.phone': '9123456780',
+  'deliveryDetails.address': '45 MG Road, Near City Mall',
+  'deliveryDetails.pincode': '560001',
+  'deliveryDetails.city': 'Bengaluru',
+  'deliveryDetails.state': 'Karnataka',
+  'packageDetails.weight': '0.5',
+  'packageDetails.description': 'T-shirt',
+  'packageDetails.declaredValue': '799',
+  deliveryPartner: DELIVERY_PARTNERS.NIMBUSPOST,
+  paymentType: 'prepaid'
+};
+
+// Stand-in courier used only while validating rows that leave the courier to us
+const AUTO_COURIER_PLACEHOLDER = 'auto';
+
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Bulk Order Service - CSV / XLSX order upload
+ *
+ * Flow:
+ * 1. createImport parses the file and validates every row with the same
+ *    rules as POST /api/orders (createOrderValidation)
+ * 2. The worker (jobs/bulkOrderImport.job.js) rate-checks each valid row and
+ *    creates the order (wallet debit + booking queue), one row at a time
+ * 3. buildResultFile returns order number / AWB / error per row
+ */
+class BulkOrderService {
+  getConfig() {
+    return {
+      maxRows: Number(process.env.BULK_IMPORT_MAX_ROWS) || 1000,
+      lockMs: Number(process.env.BULK_IMPORT_LOCK_MS) || 5 * 60 * 1000
+    };
+  }
+
+  /**
+   * Parse, validate and queue an uploaded file
+   * @param {String} userId - User ID
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Object} Import summary
+   */
+  async createImport(userId, file) {
+    if (!file || !file.buffer) {
+      throw new AppError('Please upload a CSV or XLSX file', 400);
+    }
+
+    const rawRows = await parseSpreadsheet(file);
+    const { maxRows } = this.getConfig();
+
+    if (rawRows.length === 0) {
+      throw new AppError('The file has no order rows', 400);
+    }
+    if (rawRows.length > maxRows) {
+      throw new AppError(`A file can have at most ${maxRows} rows (found ${rawRows.length})`, 400);
+    }
+
+    const rows = [];
+    for (const { rowNumber, values } of rawRows) {
+      rows.push(await this._buildRow(rowNumber, values));
+    }
+
+    const invalid = rows.filter((r) => r.status === BULK_ROW_STATUS.INVALID).length;
+    const hasWork = invalid < rows.length;
+
+    const bulkImport = await BulkOrderImport.create({
+      user: userId,
+      fileName: file.originalname,
+      status: hasWork ? BULK_IMPORT_STATUS.QUEUED : BULK_IMPORT_STATUS.COMPLETED,
+      totals: {
+        rows: rows.length,
+        invalid
+      },
+      rows,
+      completedAt: hasWork ? null : new Date()
+    });
+
+    if (hasWork) this.kick();
+
+    return this._summary(bulkImport);
+  }
+
+  /**
+   * Turn a sheet row into an order payload and validate it
+   */
+  async _buildRow(rowNumber, values) {
+    const orderData = {};
+    TEMPLATE_COLUMNS.forEach((column) => {
+      const value = values[column];
+      if (value === undefined || value === '') return;
+      setPath(orderData, column, value);
+    });
+
+    const autoSelectCourier =
+      orderData.deliveryPartner === DELIVERY_PARTNERS.NIMBUSPOST && !orderData.nimbusCourierId;
+
+    const messages = await this._validate(orderData, autoSelectCourier);
+
+    // Cast numbers once the validators have accepted them
+    if (!messages.length) {
+      NUMERIC_COLUMNS.forEach((column) => {
+        const value = values[column];
+        if (value !== undefined && value !== '') setPath(orderData, column, Number(value));
+      });
+    }
+
+    return {
+      rowNumber,
+      status: messages.length ? BULK_ROW_STATUS.INVALID : BULK_ROW_STATUS.PENDING,
+      orderData,
+      autoSelectCourier,
+      error: messages.length ? messages.join('; ') : null
+    };
+  }
+
+  /**
+   * Run createOrderValidation against a payload
+   * @returns {Array} Error messages (empty when valid)
+   */
+  async _validate(orderData, autoSelectCourier = false) {
+    const body = JSON.parse(JSON.stringify(orderData));
+    if (autoSelectCourier) body.nimbusCourierId = AUTO_COURIER_PLACEHOLDER;
+
+    const req = { body };
+    for (const chain of createOrderValidation) {
+      await chain.run(req);
+    }
+
+    const messages = validationResult(req)
+      .array({ onlyFirstError: true })
+      .map((e) => e.msg);
+
+    if ((orderData.orderType || 'domestic') !== 'domestic') {
+      messages.push('Bulk upload supports domestic orders only');
+    }
+
+    return messages;
+  }
+
+  /**
+   * Process the next queued import on the next tick without blocking the caller
+   */
+  kick() {
+    setImmediate(() => {
+      this.processDueImports().catch((err) => {
+        console.error('[BulkOrders] processDueImports failed:', err.message);
+      });
+    });
+  }
+
+  /**
+   * Claim and process one queued import
+   * @returns {Boolean} Whether an import was processed
+   */
+  async processDueImports() {
+    const bulkImport = await this._claimNext();
+    if (!bulkImport) return false;
+
+    try {
+      await this._processImport(bulkImport);
+    } catch (error) {
+      console.error('[BulkOrders] import run failed', {
+        importId: bulkImport._id.toString(),
+        message: error.message
+      });
+      // Release the lease; remaining rows are picked up on the next run
+      await BulkOrderImport.updateOne(
+        { _id: bulkImport._id },
+        { $set: { lockedUntil: null, lastError: error.message } }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Atomically lease the oldest queued import (or one whose worker died)
+   */
+  async _claimNext() {
+    const now = new Date();
+
+    return BulkOrderImport.findOneAndUpdate(
+      {
+        status: { $in: [BULK_IMPORT_STATUS.QUEUED, BULK_IMPORT_STATUS.PROCESSING] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      {
+        $set: {
+          status: BULK_IMPORT_STATUS.PROCESSING,
+          lockedUntil: new Date(now.getTime() + this.getConfig().lockMs)
+        }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  async _processImport(bulkImport) {
+    if (!bulkImport.startedAt) {
+      await BulkOrderImport.updateOne({ _id: bulkImport._id }, { $set: { startedAt: new Date() } });
+    }
+
+    const todo = bulkImport.rows.filter((r) =>
+      [BULK_ROW_STATUS.PENDING, BULK_ROW_STATUS.PROCESSING].includes(r.status)
+    );
+
+    for (const row of todo) {
+      // Extend the lease as we go; large files take a while
+      await BulkOrderImport.updateOne(
+        { _id: bulkImport._id },
+        { $set: { lockedUntil: new Date(Date.now() + this.getConfig().lockMs) } }
+      );
+      await this._processRow(bulkImport, row);
+    }
+
+    await BulkOrderImport.updateOne(
+      { _id: bulkImport._id },
+      {
+        $set: {
+          status: BULK_IMPORT_STATUS.COMPLETED,
+          lockedUntil: null,
+          completedAt: new Date()
+        }
+      }
+    );
+  }
+
+  async _processRow(bulkImport, row) {
+    const orderService = require('./order.service');
+    const bulkMeta = { importId: bulkImport._id, rowNumber: row.rowNumber };
+
+    // A previous run may have created the order and died before recording it
+    if (row.status === BULK_ROW_STATUS.PROCESSING) {
+      const existing = await Order.findOne({
+        user: bulkImport.user,
+        'metadata.bulkImport.importId': bulkImport._id,
+        'metadata.bulkImport.rowNumber': row.rowNumber
+      }).select('_id orderNumber pricing');
+
+      if (existing) {
+        await this._finishRow(bulkImport, row, {
+          status: BULK_ROW_STATUS.CREATED,
+          order: existing._id,
+          orderNumber: existing.orderNumber,
+          amount: existing.pricing.totalAmount
+        });
+        return;
+      }
+    }
+
+    await BulkOrderImport.updateOne(
+      { _id: bulkImport._id, 'rows._id': row._id },
+      { $set: { 'rows.$.status': BULK_ROW_STATUS.PROCESSING } }
+    );
+
+    try {
+      const orderData = { ...row.orderData };
+
+      // Rate check before any money moves; createOrder prices from the same quote
+      const rate = await orderService.quoteOrder(bulkImport.user, orderData);
+
+      if (row.autoSelectCourier) {
+        if (!rate.courierId) {
+          throw new AppError('No courier is available for this pickup and delivery pincode', 400);
+        }
+        orderData.nimbusCourierId = String(rate.courierId);
+      }
+
+      const messages = await this._validate(orderData);
+      if (messages.length) {
+        throw new AppError(messages.join('; '), 400);
+      }
+
+      const result = await orderService.createOrder(bulkImport.user, orderData, {
+        metadata: { bulkImport: bulkMeta },
+        rate
+      });
+
+      await this._finishRow(bulkImport, row, {
+        status: BULK_ROW_STATUS.CREATED,
+        order: result.order.id,
+        orderNumber: result.order.orderNumber,
+        amount: result.order.pricing.totalAmount
+      });
+    } catch (error) {
+      await this._finishRow(bulkImport, row, {
+        status: BULK_ROW_STATUS.FAILED,
+        error: error.message || 'Order could not be created'
+      });
+    }
+  }
+
+  async _finishRow(bulkImport, row, { status, order = null, orderNumber = null, amount = null, error = null }) {
+    const counter = status === BULK_ROW_STATUS.CREATED ? 'totals.created' : 'totals.failed';
+
+    await BulkOrderImport.updateOne(
+      { _id: bulkImport._id, 'rows._id': row._id },
+      {
+        $set: {
+          'rows.$.status': status,
+          'rows.$.order': order,
+          'rows.$.orderNumber': orderNumber,
+          'rows.$.amount': amount,
+          'rows.$.error': error
+        },
+        $inc: { [counter]: 1 }
+      }
+    );
+  }
+
+  _summary(bulkImport) {
+    return {
+      id: bulkImport._id,
+      fileName: bulkImport.fileName,
+      status: bulkImport.status,
+      totals: bulkImport.totals,
+      invalidRows: bulkImport.rows
+        .filter((r) => r.status === BULK_ROW_STATUS.INVALID)
+        .map((r) => ({ rowNumber: r.rowNumber, error: r.error })),
+      createdAt: bulkImport.createdAt,
+      completedAt: bulkImport.completedAt
+    };
+  }
+
+  /**
+   * Get a user's import with per-row results
+   * @param {String} importId - Import ID
+   * @param {String} userId - User ID
+   * @returns {Object} Import with rows
+   */
+  async getImport(importId, userId) {
+    const bulkImport = await BulkOrderImport.findOne({ _id: importId, user: userId })
+      .populate('rows.order', 'orderNumber awb status booking.status');
+
+    if (!bulkImport) {
+      throw new AppError('Bulk import not found', 404);
+    }
+
+    return bulkImport;
+  }
+
+  /**
+   * List a user's imports (without rows)
+   * @param {String} userId - User ID
+   * @param {Object} filters - page, limit
+   * @returns {Object} Imports with pagination
+   */
+  async listImports(userId, { page = 1, limit = 20 } = {}) {
+    const query = { user: userId };
+
+    const [imports, total] = await Promise.all([
+      BulkOrderImport.find(query)
+        .select('-rows')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BulkOrderImport.countDocuments(query)
+    ]);
+
+    return {
+      imports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Per-row result file (order number, AWB, error) as CSV or XLSX
+   * @param {String} importId - Import ID
+   * @param {String} userId - User ID
+   * @param {String} format - 'csv' | 'xlsx'
+   * @returns {Object} { buffer, contentType, fileName }
+   */
+  async buildResultFile(importId, userId, format = 'csv') {
+    const bulkImport = await this.getImport(importId, userId);
+
+    const records = bulkImport.rows.map((row) => ({
+      row: row.rowNumber,
+      result: row.status,
+      orderNumber: row.orderNumber || row.order?.orderNumber || '',
+      awb: row.order?.awb || '',
+      orderStatus: row.order?.status || '',
+      bookingStatus: row.order?.booking?.status || '',
+      amount: row.amount != null ? row.amount : '',
+      deliveryName: row.orderData?.deliveryDetails?.name || '',
+      deliveryPincode: row.orderData?.deliveryDetails?.pincode || '',
+      error: row.error || ''
+    }));
+
+    const fields = Object.keys(records[0] || { row: '', result: '', error: '' });
+    const baseName = `bulk-orders-${bulkImport._id}-result`;
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Results');
+      sheet.columns = fields.map((key) => ({ header: key, key, width: key === 'error' ? 60 : 18 }));
+      records.forEach((record) => sheet.addRow(record));
+
+      return {
+        buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        fileName: `${baseName}.xlsx`
+      };
+    }
+
+    return {
+      buffer: Buffer.from(parse(records, { fields })),
+      contentType: 'text/csv',
+      fileName: `${baseName}.csv`
+    };
+  }
+
+  /**
+   * Blank upload template with one example row
+   * @returns {String} CSV string
+   */
+  getTemplateCsv() {
+    return parse([TEMPLATE_EXAMPLE], { fields: TEMPLATE_COLUMNS });
+  }
+}
+
+module.exports = new BulkOrderService();
@@ -0,0 +1,608 @@
+const mongoose = require('mongoose');
+const { parse } = require('json2csv');
+const Order = require('../models/Order.model');
+const User = require('../models/User.model');
+const BankAccount = require('../models/BankAccount.model');
+const CodRemittance = require('../models/CodRemittance.model');
+const { COD_REMITTANCE_STATUS } = require('../models/CodRemittance.model');
+const CarrierRemittance = require('../models/CarrierRemittance.model');
+const { CARRIER_REMITTANCE_ROW_STATUS } = require('../models/CarrierRemittance.model');
+const walletService = require('./wallet.service');
+const AppError = require('../utils/AppError');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const {
+  COD_STATUS,
+  COD_PAYOUT_METHODS,
+  DELIVERY_PARTNERS,
+  TRANSACTION_CATEGORIES
+} = require('../config/constants');
+
+// Header names carriers use in remittance files (compared lowercase, letters and digits only)
+const REMITTANCE_COLUMNS = {
+  awb: ['awb', 'awbnumber', 'awbno', 'waybill', 'trackingnumber'],
+  amount: ['codamount', 'amount', 'remittedamount', 'collectedamount', 'codvalue'],
+  reference: ['utr', 'utrnumber', 'utrno', 'reference', 'referenceno', 'remittanceid', 'crfid'],
+  remittedAt: ['remittancedate', 'remittedat', 'remittedon', 'paymentdate', 'date']
+};
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+const columnKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * COD Remittance Service - Cash-on-delivery reconciliation and seller payouts
+ *
+ * Flow:
+ * 1. COD orders start `pending`; delivery moves them to `collected` (Order pre-save)
+ * 2. Admin imports the carrier's remittance file; matched AWBs become `received`
+ * 3. The remittance cycle (jobs/codRemittance.job.js or admin run) groups each
+ *    seller's received orders into a CodRemittance: COD amount minus COD charges
+ * 4. Wallet payouts are credited right away; bank payouts stay `pending` until
+ *    finance marks the transfer paid (or failed, which releases the orders)
+ */
+class CodRemittanceService {
+  getConfig() {
+    return {
+      amountTolerance: Number(process.env.COD_AMOUNT_TOLERANCE) || 1,
+      maxRows: Number(process.env.COD_REMITTANCE_MAX_ROWS) || 5000
+    };
+  }
+
+  /**
+   * Import a carrier COD remittance file (admin)
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} options - deliveryPartner
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Import summary with per-row results
+   */
+  async importCarrierRemittance(file, { deliveryPartner } = {}, adminId) {
+    if (!file || !file.buffer) {
+      throw new AppError('Please upload a CSV or XLSX file', 400);
+    }
+    if (!Object.values(DELIVERY_PARTNERS).includes(deliveryPartner)) {
+      throw new AppError('Invalid delivery partner', 400);
+    }
+
+    const rawRows = await parseSpreadsheet(file);
+    const { maxRows } = this.getConfig();
+
+    if (rawRows.length === 0) {
+      throw new AppError('The file has no remittance rows', 400);
+    }
+    if (rawRows.length > maxRows) {
+      throw new AppError(`A file can have at most ${maxRows} rows (found ${rawRows.length})`, 400);
+    }
+
+    const remittanceImport = new CarrierRemittance({
+      deliveryPartner,
+      fileName: file.originalname,
+      importedBy: adminId
+    });
+
+    const seenAwbs = new Set();
+    for (const { rowNumber, values } of rawRows) {
+      const row = await this._reconcileRow(rowNumber, this._readRow(values), {
+        deliveryPartner,
+        importId: remittanceImport._id,
+        seenAwbs
+      });
+      remittanceImport.rows.push(row);
+    }
+
+    const totals = { rows: remittanceImport.rows.length, matchedAmount: 0 };
+    Object.values(CARRIER_REMITTANCE_ROW_STATUS).forEach((status) => {
+      totals[status] = 0;
+    });
+    remittanceImport.rows.forEach((row) => {
+      totals[row.status] += 1;
+      if (row.status === CARRIER_REMITTANCE_ROW_STATUS.MATCHED) {
+        totals.matchedAmount = roundMoney(totals.matchedAmount + row.amount);
+      }
+    });
+    remittanceImport.totals = totals;
+
+    await remittanceImport.save();
+    return remittanceImport;
+  }
+
+  /**
+   * Pick the remittance fields out of a sheet row, whatever the carrier calls them
+   */
+  _readRow(values) {
+    const byKey = {};
+    Object.keys(values).forEach((header) => {
+      byKey[columnKey(header)] = values[header];
+    });
+
+    const pick = (field) => {
+      const key = REMITTANCE_COLUMNS[field].find((name) => byKey[name] !== undefined && byKey[name] !== '');
+      return key ? byKey[key] : null;
+    };
+
+    const amount = pick('amount');
+    const remittedAt = pick('remittedAt');
+    const parsedDate = remittedAt ? new Date(remittedAt) : null;
+
+    return {
+      awb: pick('awb'),
+      amount: amount != null ? Number(String(amount).replace(/[₹,\s]/g, '')) : null,
+      reference: pick('reference'),
+      remittedAt: parsedDate && !isNaN(parsedDate.getTime()) ? parsedDate : null
+    };
+  }
+
+  async _reconcileRow(rowNumber, data, { deliveryPartner, importId, seenAwbs }) {
+    const row = { rowNumber, ...data, order: null, error: null };
+    const { amountTolerance } = this.getConfig();
+
+    if (!row.awb || !Number.isFinite(row.amount) || row.amount <= 0) {
+      return { ...row, status: CARRIER_REMITTANCE_ROW_STATUS.INVALID, error: 'AWB and a positive amount are required' };
+    }
+    if (seenAwbs.has(row.awb)) {
+      return { ...row, status: CARRIER_REMITTANCE_ROW_STATUS.DUPLICATE, error: 'AWB appears more than once in this file' };
+    }
+    seenAwbs.add(row.awb);
+
+    const order = await Order.findOne({ awb: row.awb, deliveryPartner }).select('cod');
+    if (!order || !order.cod?.status) {
+      return { ...row, status: CARRIER_REMITTANCE_ROW_STATUS.UNMATCHED, error: 'No COD order with this AWB' };
+    }
+    row.order = order._id;
+
+    if (Math.abs(order.cod.amount - row.amount) > amountTolerance) {
+      return {
+        ...row,
+        status: CARRIER_REMITTANCE_ROW_STATUS.MISMATCH,
+        error: `Order COD amount is ₹${order.cod.amount}`
+      };
+    }
+
+    const remittedAt = row.remittedAt || new Date();
+    const result = await Order.updateOne(
+      { _id: order._id, 'cod.status': { $in: [COD_STATUS.PENDING, COD_STATUS.COLLECTED] } },
+      {
+        $set: {
+          'cod.status': COD_STATUS.RECEIVED,
+          'cod.collectedAt': order.cod.collectedAt || remittedAt,
+          'cod.carrierRemittance': {
+            reference: row.reference,
+            amount: row.amount,
+            remittedAt,
+            import: importId
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return {
+        ...row,
+        status: CARRIER_REMITTANCE_ROW_STATUS.DUPLICATE,
+        error: `COD already ${order.cod.status}`
+      };
+    }
+
+    return { ...row, status: CARRIER_REMITTANCE_ROW_STATUS.MATCHED };
+  }
+
+  /**
+   * Run a remittance cycle: one remittance per seller with received COD
+   * @param {Object} options - userId (one seller only), processedBy (admin)
+   * @returns {Array} [{ user, status: 'created' | 'skipped', remittance, reason }]
+   */
+  async runRemittanceCycle({ userId = null, processedBy = null } = {}) {
+    await this._retryWalletPayouts();
+
+    const query = { 'cod.status': COD_STATUS.RECEIVED, 'cod.remittance': null };
+    if (userId) query.user = userId;
+
+    const sellers = await Order.distinct('user', query);
+    const results = [];
+
+    for (const seller of sellers) {
+      try {
+        results.push(await this._remitSeller(seller, processedBy));
+      } catch (error) {
+        console.error('[CodRemittance] remittance failed', { user: String(seller), message: error.message });
+        results.push({ user: seller, status: 'skipped', reason: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async _remitSeller(userId, processedBy) {
+    const user = await User.findById(userId).select('codPayoutMethod');
+    const payoutMethod = user?.codPayoutMethod || COD_PAYOUT_METHODS.BANK;
+
+    let bankAccount = null;
+    if (payoutMethod === COD_PAYOUT_METHODS.BANK) {
+      bankAccount = await BankAccount.findOne({ user: userId, isVerified: true });
+      if (!bankAccount) {
+        return { user: userId, status: 'skipped', reason: 'No verified bank account' };
+      }
+    }
+
+    // Claim the orders first so a parallel cycle cannot pay them twice
+    const remittanceId = new mongoose.Types.ObjectId();
+    const claim = await Order.updateMany(
+      { user: userId, 'cod.status': COD_STATUS.RECEIVED, 'cod.remittance': null },
+      { $set: { 'cod.remittance': remittanceId } }
+    );
+    if (claim.modifiedCount === 0) {
+      return { user: userId, status: 'skipped', reason: 'Nothing to remit' };
+    }
+
+    let remittance;
+    try {
+      const orders = await Order.find({ 'cod.remittance': remittanceId })
+        .select('orderNumber awb cod pricing.codCharges')
+        .sort({ 'cod.collectedAt': 1 });
+
+      const lines = orders.map((order) => ({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        awb: order.awb,
+        codAmount: order.cod.amount,
+        codCharges: order.pricing?.codCharges || 0,
+        deliveredAt: order.cod.collectedAt
+      }));
+      const grossAmount = roundMoney(lines.reduce((sum, line) => sum + line.codAmount, 0));
+      const codCharges = roundMoney(lines.reduce((sum, line) => sum + line.codCharges, 0));
+
+      const randomSuffix = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+      remittance = await CodRemittance.create({
+        _id: remittanceId,
+        user: userId,
+        remittanceNumber: `CODR${Date.now()}${randomSuffix}`,
+        payoutMethod,
+        orders: lines,
+        grossAmount,
+        codCharges,
+        netAmount: roundMoney(grossAmount - codCharges),
+        bankAccount: bankAccount
+          ? {
+              accountHolderName: bankAccount.accountHolderName,
+              accountNumber: bankAccount.accountNumber,
+              ifscCode: bankAccount.ifscCode,
+              bankName: bankAccount.bankName
+            }
+          : undefined,
+        processedBy
+      });
+    } catch (error) {
+      await Order.updateMany({ 'cod.remittance': remittanceId }, { $set: { 'cod.remittance': null } });
+      throw error;
+    }
+
+    if (payoutMethod === COD_PAYOUT_METHODS.WALLET) {
+      try {
+        remittance = await this._payToWallet(remittance);
+      } catch (error) {
+        // Stays pending; the next cycle retries with the same idempotency key
+        console.error('[CodRemittance] wallet credit failed', {
+          remittanceNumber: remittance.remittanceNumber,
+          message: error.message
+        });
+      }
+    }
+
+    return { user: userId, status: 'created', remittance };
+  }
+
+  async _payToWallet(remittance) {
+    let reference = null;
+
+    if (remittance.netAmount > 0) {
+      const { transaction } = await walletService.addMoney(
+        remittance.user,
+        remittance.netAmount,
+        `COD remittance ${remittance.remittanceNumber}`,
+        {
+          remittanceId: remittance._id,
+          remittanceNumber: remittance.remittanceNumber,
+          orderCount: remittance.orders.length
+        },
+        {
+          category: TRANSACTION_CATEGORIES.COD_REMITTANCE,
+          idempotencyKey: `cod_remittance:${remittance._id}`
+        }
+      );
+      reference = transaction._id.toString();
+    }
+
+    return this._completePayout(remittance._id, { payoutReference: reference });
+  }
+
+  async _retryWalletPayouts() {
+    const stuck = await CodRemittance.find({
+      status: COD_REMITTANCE_STATUS.PENDING,
+      payoutMethod: COD_PAYOUT_METHODS.WALLET
+    }).limit(50);
+
+    for (const remittance of stuck) {
+      try {
+        await this._payToWallet(remittance);
+      } catch (error) {
+        console.error('[CodRemittance] wallet credit retry failed', {
+          remittanceNumber: remittance.remittanceNumber,
+          message: error.message
+        });
+      }
+    }
+  }
+
+  async _completePayout(remittanceId, { payoutReference, processedBy }) {
+    const now = new Date();
+    const update = {
+      status: COD_REMITTANCE_STATUS.PAID,
+      payoutReference,
+      paidAt: now
+    };
+    if (processedBy) update.processedBy = processedBy;
+
+    const remittance = await CodRemittance.findOneAndUpdate(
+      { _id: remittanceId, status: COD_REMITTANCE_STATUS.PENDING },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!remittance) {
+      throw new AppError('Remittance is not pending', 409);
+    }
+
+    await Order.updateMany(
+      { 'cod.remittance': remittance._id },
+      { $set: { 'cod.status': COD_STATUS.REMITTED, 'cod.remittedAt': now } }
+    );
+
+    return remittance;
+  }
+
+  /**
+   * Record a completed bank transfer (admin)
+   * @param {String} remittanceId - Remittance ID
+   * @param {String} reference - Bank UTR
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Remittance
+   */
+  async markRemittancePaid(remittanceId, reference, adminId) {
+    if (!reference || !String(reference).trim()) {
+      throw new AppError('Bank transfer reference (UTR) is required', 400);
+    }
+
+    const remittance = await CodRemittance.findById(remittanceId);
+    if (!remittance) {
+      throw new AppError('Remittance not found', 404);
+    }
+    if (remittance.payoutMethod !== COD_PAYOUT_METHODS.BANK) {
+      throw new AppError('Only bank remittances are marked paid manually', 400);
+    }
+
+    return this._completePayout(remittance._id, {
+      payoutReference: String(reference).trim(),
+      processedBy: adminId
+    });
+  }
+
+  /**
+   * Record a failed bank transfer (admin). The orders go back into the next cycle.
+   * @param {String} remittanceId - Remittance ID
+   * @param {String} reason - Failure reason
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Remittance
+   */
+  async markRemittanceFailed(remittanceId, reason, adminId) {
+    const remittance = await CodRemittance.findOneAndUpdate(
+      {
+        _id: remittanceId,
+        status: COD_REMITTANCE_STATUS.PENDING,
+        payoutMethod: COD_PAYOUT_METHODS.BANK
+      },
+      {
+        $set: {
+          status: COD_REMITTANCE_STATUS.FAILED,
+          failureReason: reason || 'Bank transfer failed',
+          processedBy: adminId
+        }
+      },
+      { new: true }
+    );
+
+    if (!remittance) {
+      throw new AppError('Pending bank remittance not found', 404);
+    }
+
+    await Order.updateMany(
+      { 'cod.remittance': remittance._id, 'cod.status': COD_STATUS.RECEIVED },
+      { $set: { 'cod.remittance': null } }
+    );
+
+    return remittance;
+  }
+
+  /**
+   * COD totals for a seller by stage
+   * @param {String} userId - User ID
+   * @returns {Object} { pending, collected, received, remitted, cancelled } counts and amounts
+   */
+  async getCodSummary(userId) {
+    const rows = await Order.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), 'cod.status': { $ne: null } } },
+      {
+        $group: {
+          _id: '$cod.status',
+          count: { $sum: 1 },
+          amount: { $sum: '$cod.amount' }
+        }
+      }
+    ]);
+
+    const summary = {};
+    Object.values(COD_STATUS).forEach((status) => {
+      summary[status] = { count: 0, amount: 0 };
+    });
+    rows.forEach((row) => {
+      summary[row._id] = { count: row.count, amount: roundMoney(row.amount) };
+    });
+
+    const user = await User.findById(userId).select('codPayoutMethod');
+    return {
+      payoutMethod: user?.codPayoutMethod || COD_PAYOUT_METHODS.BANK,
+      ...summary
+    };
+  }
+
+  /**
+   * Choose where COD remittances are paid
+   * @param {String} userId - User ID
+   * @param {String} method - 'bank' | 'wallet'
+   * @returns {Object} { payoutMethod }
+   */
+  async setPayoutMethod(userId, method) {
+    if (!Object.values(COD_PAYOUT_METHODS).includes(method)) {
+      throw new AppError(`payoutMethod must be one of: ${Object.values(COD_PAYOUT_METHODS).join(', ')}`, 400);
+    }
+
+    if (method === COD_PAYOUT_METHODS.BANK) {
+      const bankAccount = await BankAccount.findOne({ user: userId, isVerified: true });
+      if (!bankAccount) {
+        throw new AppError('Add a bank account and get it verified before choosing bank payouts', 400);
+      }
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { codPayoutMethod: method } });
+    return { payoutMethod: method };
+  }
+
+  /**
+   * List remittances (seller: own only, admin: all)
+   * @param {Object} filters - userId, status, page, limit
+   * @returns {Object} Remittances with pagination
+   */
+  async getRemittances({ userId = null, status = '', page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (userId) query.user = userId;
+    if (status) query.status = status;
+
+    let find = CodRemittance.find(query)
+      .select('-orders')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    if (!userId) find = find.populate('user', 'name email phone');
+
+    const [remittances, total] = await Promise.all([
+      find,
+      CodRemittance.countDocuments(query)
+    ]);
+
+    return {
+      remittances,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Remittance statement with its orders
+   * @param {String} remittanceId - Remittance ID
+   * @param {String} userId - User ID (omit for admin)
+   * @returns {Object} Remittance
+   */
+  async getRemittance(remittanceId, userId = null) {
+    const query = { _id: remittanceId };
+    if (userId) query.user = userId;
+
+    const remittance = await CodRemittance.findOne(query);
+    if (!remittance) {
+      throw new AppError('Remittance not found', 404);
+    }
+
+    return remittance;
+  }
+
+  /**
+   * Remittance statement as CSV (one line per order)
+   * @param {String} remittanceId - Remittance ID
+   * @param {String} userId - User ID
+   * @returns {Object} { csv, fileName }
+   */
+  async buildStatementCsv(remittanceId, userId) {
+    const remittance = await this.getRemittance(remittanceId, userId);
+
+    const records = remittance.orders.map((line) => ({
+      'Remittance No': remittance.remittanceNumber,
+      'Order Number': line.orderNumber,
+      AWB: line.awb || '',
+      'Delivered At': line.deliveredAt ? line.deliveredAt.toISOString() : '',
+      'COD Amount': line.codAmount,
+      'COD Charges': line.codCharges,
+      'Net Amount': roundMoney(line.codAmount - line.codCharges)
+    }));
+
+    records.push({
+      'Remittance No': remittance.remittanceNumber,
+      'Order Number': 'TOTAL',
+      AWB: '',
+      'Delivered At': '',
+      'COD Amount': remittance.grossAmount,
+      'COD Charges': remittance.codCharges,
+      'Net Amount': remittance.netAmount
+    });
+
+    return {
+      csv: parse(records),
+      fileName: `cod-remittance-${remittance.remittanceNumber}.csv`
+    };
+  }
+
+  /**
+   * Carrier remittance file imports (admin)
+   * @param {Object} filters - page, limit
+   * @returns {Object} Imports (without rows) with pagination
+   */
+  async getCarrierRemittances({ page = 1, limit = 20 } = {}) {
+    const [imports, total] = await Promise.all([
+      CarrierRemittance.find()
+        .select('-rows')
+        .populate('importedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CarrierRemittance.countDocuments()
+    ]);
+
+    return {
+      imports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * One carrier remittance import with per-row results (admin)
+   * @param {String} importId - Import ID
+   * @returns {Object} Import
+   */
+  async getCarrierRemittance(importId) {
+    const remittanceImport = await CarrierRemittance.findById(importId)
+      .populate('importedBy', 'name email')
+      .populate('rows.order', 'orderNumber user cod.status');
+
+    if (!remittanceImport) {
+      throw new AppError('Remittance import not found', 404);
+    }
+
+    return remittanceImport;
+  }
+}
+
+module.exports = new CodRemittanceService();
@@ -0,0 +1,335 @@
+const Wallet = require('../models/Wallet.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
+const { WALLET_TRANSACTION_STATUS } = require('../models/WalletTransaction.model');
+const Statement = require('../models/Statement.model');
+const User = require('../models/User.model');
+const walletService = require('./wallet.service');
+const statementService = require('./statement.service');
+const notificationService = require('./notification.service');
+const AppError = require('../utils/AppError');
+const {
+  WALLET_ACCOUNT_TYPES,
+  TRANSACTION_TYPES,
+  TRANSACTION_CATEGORIES,
+  NOTIFICATION_TYPES
+} = require('../config/constants');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Credit Account Service - Postpaid wallets for enterprise sellers
+ *
+ * A postpaid wallet may go negative down to its credit limit. Each monthly
+ * statement bills the negative closing balance (Statement.dues); the bill is
+ * settled once credits posted after the month end (recharges, refunds, COD
+ * remittances) cover it. A bill unpaid past its due date suspends the credit
+ * line and attracts the late fee / interest below.
+ */
+class CreditAccountService {
+  getConfig() {
+    return {
+      // Flat fee, once per overdue bill
+      lateFee: parseFloat(process.env.CREDIT_LATE_FEE) || 0,
+      // Percent of the outstanding amount, for every started 30 days overdue
+      interestPercent: parseFloat(process.env.CREDIT_OVERDUE_INTEREST_PERCENT) || 0,
+      blockWhenOverdue: process.env.CREDIT_BLOCK_WHEN_OVERDUE !== 'false'
+    };
+  }
+
+  /**
+   * Set a seller's account type and credit limit (admin)
+   * @param {String} userId - User ID
+   * @param {Object} data - accountType, creditLimit
+   * @returns {Object} Credit status
+   */
+  async updateCreditAccount(userId, { accountType, creditLimit }) {
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const wallet = await walletService.getWalletByUserId(userId);
+    const type = accountType || wallet.accountType;
+    if (!Object.values(WALLET_ACCOUNT_TYPES).includes(type)) {
+      throw new AppError(`Account type must be one of: ${Object.values(WALLET_ACCOUNT_TYPES).join(', ')}`, 400);
+    }
+
+    const limit = creditLimit !== undefined ? Number(creditLimit) : wallet.creditLimit;
+    if (Number.isNaN(limit) || limit < 0) {
+      throw new AppError('Credit limit must be a non-negative amount', 400);
+    }
+
+    const update = { accountType: type };
+    if (type === WALLET_ACCOUNT_TYPES.PREPAID) {
+      if (wallet.balance < 0) {
+        throw new AppError('Outstanding dues must be settled before switching to prepaid', 409);
+      }
+      Object.assign(update, {
+        creditLimit: 0,
+        'credit.postpaidSince': null,
+        'credit.blockedAt': null,
+        'credit.overdueSince': null
+      });
+    } else {
+      // A lower limit than the current usage just stops new debits until paid down
+      update.creditLimit = roundMoney(limit);
+      if (!wallet.credit || !wallet.credit.postpaidSince) {
+        update['credit.postpaidSince'] = new Date();
+      }
+    }
+
+    await Wallet.updateOne({ _id: wallet._id }, { $set: update });
+    return this.getCreditStatus(userId);
+  }
+
+  /**
+   * Credit limit, utilisation and open bills
+   * @param {String} userId - User ID
+   * @returns {Object} Credit status
+   */
+  async getCreditStatus(userId) {
+    const wallet = await walletService.getWalletByUserId(userId);
+    const bills = await this._openBills(wallet);
+    const used = roundMoney(Math.max(0, -wallet.balance));
+
+    return {
+      accountType: wallet.accountType,
+      creditLimit: wallet.creditLimit,
+      balance: wallet.balance,
+      used,
+      availableBalance: walletService.availableBalance(wallet),
+      utilisationPercent: wallet.creditLimit > 0 ? roundMoney((used / wallet.creditLimit) * 100) : 0,
+      blocked: !!wallet.credit.blockedAt,
+      overdueSince: wallet.credit.overdueSince,
+      totalOutstanding: roundMoney(bills.reduce((total, bill) => total + bill.outstanding, 0)),
+      bills
+    };
+  }
+
+  /**
+   * Postpaid accounts (admin), most utilised first
+   * @param {Object} filters - overdue ('true' for blocked / overdue only), page, limit
+   * @returns {Object} { accounts, pagination }
+   */
+  async getCreditAccounts({ overdue = '', page = 1, limit = 20 } = {}) {
+    const query = { accountType: WALLET_ACCOUNT_TYPES.POSTPAID };
+    if (overdue === 'true') {
+      query['credit.overdueSince'] = { $ne: null };
+    }
+
+    const [wallets, total] = await Promise.all([
+      Wallet.find(query)
+        .select('-transactions')
+        .sort({ balance: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email phone'),
+      Wallet.countDocuments(query)
+    ]);
+
+    return {
+      accounts: wallets.map((wallet) => {
+        const used = roundMoney(Math.max(0, -wallet.balance));
+        return {
+          user: wallet.user,
+          creditLimit: wallet.creditLimit,
+          balance: wallet.balance,
+          used,
+          utilisationPercent: wallet.creditLimit > 0 ? roundMoney((used / wallet.creditLimit) * 100) : 0,
+          blocked: !!wallet.credit.blockedAt,
+          overdueSince: wallet.credit.overdueSince,
+          lastReconciledAt: wallet.credit.lastReconciledAt
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Settle paid bills, and block / charge / unblock the account by whether any
+   * bill is overdue
+   * @param {Object} wallet - Wallet
+   * @returns {Object} { overdue, blocked }
+   */
+  async reconcile(wallet, now = new Date()) {
+    if (wallet.accountType !== WALLET_ACCOUNT_TYPES.POSTPAID) {
+      return { overdue: false, blocked: false };
+    }
+
+    const bills = await this._openBills(wallet);
+    let overdueSince = null;
+
+    for (const bill of bills) {
+      if (bill.outstanding <= 0) {
+        await Statement.updateOne(
+          { _id: bill.statementId, 'dues.settledAt': null },
+          { $set: { 'dues.settledAt': now } }
+        );
+        continue;
+      }
+      if (bill.dueDate < now) {
+        overdueSince = overdueSince || bill.dueDate;
+        await this._chargeOverdue(wallet, bill, now);
+      }
+    }
+
+    const blocked = !!overdueSince && this.getConfig().blockWhenOverdue;
+    const previous = await Wallet.findOneAndUpdate(
+      { _id: wallet._id },
+      {
+        $set: {
+          'credit.overdueSince': overdueSince,
+          'credit.blockedAt': blocked ? (wallet.credit.blockedAt || now) : null,
+          'credit.lastReconciledAt': now
+        }
+      }
+    );
+
+    if (blocked && !previous.credit.blockedAt) {
+      await notificationService.notify(wallet.user, {
+        type: NOTIFICATION_TYPES.CREDIT_OVERDUE,
+        title: 'Your credit account is on hold',
+        message: 'A postpaid bill is past its due date, so shipping on credit is paused. ' +
+          'Recharge your wallet with the outstanding amount to resume.',
+        data: { overdueSince }
+      });
+    }
+
+    return { overdue: !!overdueSince, blocked };
+  }
+
+  /**
+   * Bill last month for every postpaid account and reconcile it (job)
+   * @returns {Object} { accounts, overdue, blocked, failed }
+   */
+  async runCreditCycle(now = new Date()) {
+    const period = statementService.previousPeriod(now);
+    const wallets = await Wallet.find({ accountType: WALLET_ACCOUNT_TYPES.POSTPAID }).select('-transactions');
+
+    const result = { accounts: wallets.length, overdue: 0, blocked: 0, failed: 0 };
+    for (const wallet of wallets) {
+      try {
+        // Built once; the statement is the month's bill
+        await statementService.generate(wallet.user, period);
+        const { overdue, blocked } = await this.reconcile(wallet, now);
+        if (overdue) result.overdue++;
+        if (blocked) result.blocked++;
+      } catch (error) {
+        result.failed++;
+        console.error('[CreditAccountService] reconcile failed', {
+          userId: wallet.user.toString(),
+          message: error.message
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Late fee for an overdue bill (charged once per bill)
+   * @param {Object} bill - Open bill
+   * @returns {Number} Fee
+   */
+  lateFee(bill) {
+    return bill.outstanding > 0 ? this.getConfig().lateFee : 0;
+  }
+
+  /**
+   * Interest for one 30-day block a bill is overdue
+   * @param {Object} bill - Open bill
+   * @returns {Number} Interest
+   */
+  interest(bill) {
+    return roundMoney((bill.outstanding * this.getConfig().interestPercent) / 100);
+  }
+
+  async _chargeOverdue(wallet, bill, now) {
+    const fee = this.lateFee(bill);
+    if (fee > 0) {
+      await this._charge(wallet, fee, `Late fee on ${bill.period} dues`, `credit_late_fee:${bill.statementId}`, bill);
+    }
+
+    // One key per started 30 days, so each block is charged exactly once
+    const blocks = Math.ceil((now - bill.dueDate) / (30 * DAY_MS));
+    for (let block = 1; block <= blocks; block++) {
+      const interest = this.interest(bill);
+      if (interest > 0) {
+        await this._charge(
+          wallet,
+          interest,
+          `Interest on overdue ${bill.period} dues (${block})`,
+          `credit_interest:${bill.statementId}:${block}`,
+          bill
+        );
+      }
+    }
+  }
+
+  _charge(wallet, amount, description, idempotencyKey, bill) {
+    return walletService.deductMoney(
+      wallet.user,
+      amount,
+      description,
+      null,
+      null,
+      { statementPeriod: bill.period, outstanding: bill.outstanding },
+      {
+        category: TRANSACTION_CATEGORIES.CREDIT_CHARGES,
+        idempotencyKey,
+        // Charged even when the account is at or past its limit
+        allowOverdraft: true
+      }
+    );
+  }
+
+  /**
+   * Unsettled bills, oldest first, with what has been paid against each.
+   * Every credit after a month's end counts towards that month's bill (later
+   * bills already include earlier unpaid amounts in their closing balance).
+   */
+  async _openBills(wallet) {
+    const statements = await Statement.find({
+      user: wallet.user,
+      'dues.amountDue': { $gt: 0 },
+      'dues.settledAt': null
+    })
+      .sort({ period: 1 })
+      .select('period periodEnd dues');
+
+    const bills = [];
+    for (const statement of statements) {
+      const [paid] = await WalletTransaction.aggregate([
+        {
+          $match: {
+            user: wallet.user,
+            type: TRANSACTION_TYPES.CREDIT,
+            status: WALLET_TRANSACTION_STATUS.COMPLETED,
+            createdAt: { $gte: statement.periodEnd }
+          }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+      const paidAmount = roundMoney(Math.min(paid ? paid.total : 0, statement.dues.amountDue));
+
+      bills.push({
+        statementId: statement._id,
+        period: statement.period,
+        amountDue: statement.dues.amountDue,
+        paid: paidAmount,
+        outstanding: roundMoney(statement.dues.amountDue - paidAmount),
+        dueDate: statement.dues.dueDate
+      });
+    }
+    return bills;
+  }
+}
+
+module.exports = new CreditAccountService();
@@ -1,5 +1,5 @@
 const Order = require('../models/Order.model');
-const { ORDER_STATUS } = require('../config/constants');
+const { ORDER_STATUS, RTO_STATUSES } = require('../config/constants');
 
 /**
  * Dashboard Service - Handles dashboard statistics and data
@@ -27,7 +27,7 @@ class DashboardService {
       .reduce((sum, o) => sum + (o.pricing?.totalAmount || 0), 0);
 
     // RTO (Return to Origin) orders
-    const rtoOrders = orders.filter(o => o.status === ORDER_STATUS.RTO).length;
+    const rtoOrders = orders.filter(o => RTO_STATUSES.includes(o.status)).length;
     const rtoPercentage = totalShipments > 0
       ? ((rtoOrders / totalShipments) * 100).toFixed(0)
       : 0;
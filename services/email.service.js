@@ -21,10 +21,12 @@ class EmailService {
 
   /**
    * Low-level send — use for any future templates (notifications, receipts, etc.).
-   * @param {{ to: string, subject: string, text?: string, html?: string, from?: string }} opts
+   * Attachments switch the request to multipart/form-data.
+   * @param {{ to: string, subject: string, text?: string, html?: string, from?: string,
+   *   attachments?: Array<{ filename: string, content: Buffer|string, contentType?: string }> }} opts
    */
   async sendMessage(opts) {
-    const { to, subject, text, html } = opts;
+    const { to, subject, text, html, attachments = [] } = opts;
     const { apiKey, domain, baseUrl } = this.getConfig();
 
     const from =
@@ -41,20 +43,28 @@ class EmailService {
 
     const url = `${baseUrl}/${domain}/messages`;
 
-    const body = new URLSearchParams();
+    const body = attachments.length ? new FormData() : new URLSearchParams();
     body.append('from', from);
     body.append('to', to);
     body.append('subject', subject);
     if (text) body.append('text', text);
     if (html) body.append('html', html);
+    attachments.forEach((file) => {
+      body.append(
+        'attachment',
+        new Blob([file.content], { type: file.contentType || 'application/octet-stream' }),
+        file.filename
+      );
+    });
 
     try {
-      const response = await axios.post(url, body.toString(), {
+      const response = await axios.post(url, attachments.length ? body : body.toString(), {
         auth: {
           username: 'api',
           password: apiKey
         },
-        headers: {
+        // axios sets the multipart boundary itself
+        headers: attachments.length ? {} : {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
         timeout: 30000
@@ -0,0 +1,272 @@
+const InboundWebhookEvent = require('../models/InboundWebhookEvent.model');
+const {
+  INBOUND_WEBHOOK_SOURCES,
+  INBOUND_WEBHOOK_STATUS
+} = require('../models/InboundWebhookEvent.model');
+const orderService = require('./order.service');
+const paymentService = require('./payment.service');
+const AppError = require('../utils/AppError');
+
+// Never stored with the event
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+// A crashed run releases its claim on an event after this long
+const PROCESSING_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Inbound Webhook Service - Store-then-process for carrier and Razorpay webhooks
+ *
+ * The controller verifies the signature, record()s the event with that
+ * result and run()s it; the handler's outcome (processed, ignored because no
+ * order matched, failed) is saved on the event. Admins can reprocess any
+ * event that passed (or could not be put through) signature checks.
+ */
+class InboundWebhookService {
+  /**
+   * Store an inbound webhook (never throws: a storage failure must not stop processing)
+   * @param {String} source - INBOUND_WEBHOOK_SOURCES
+   * @param {Object} req - Express request
+   * @param {Object} meta - event, externalId, awb, signature { present, valid, note }, status, error
+   * @returns {Object|null} Stored event
+   */
+  async record(source, req, { event = null, externalId = null, awb = null, signature = {}, status, error = null } = {}) {
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers || {})) {
+      if (!SENSITIVE_HEADERS.includes(name.toLowerCase())) {
+        headers[name] = value;
+      }
+    }
+
+    try {
+      return await InboundWebhookEvent.create({
+        source,
+        event: event != null ? String(event) : null,
+        externalId: externalId != null ? String(externalId) : null,
+        awb: awb != null ? String(awb) : null,
+        headers,
+        payload: req.body && typeof req.body === 'object' ? req.body : {},
+        signature,
+        status: status || INBOUND_WEBHOOK_STATUS.RECEIVED,
+        error
+      });
+    } catch (err) {
+      console.error('[InboundWebhook] failed to store event', {
+        source,
+        event,
+        message: err.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Process a webhook and save the outcome on its stored event. Handler errors
+   * are saved, then rethrown so the controller keeps its response rules.
+   * @param {Object|null} event - Stored event (null if storing it failed)
+   * @param {String} source - INBOUND_WEBHOOK_SOURCES
+   * @param {Object} payload - Webhook body
+   * @param {Object} signature - Verification result (defaults to the stored event's)
+   * @returns {*} Handler result
+   */
+  async run(event, source, payload, signature = event?.signature) {
+    if (!event) {
+      return (await this._dispatch(source, payload, signature)).result;
+    }
+
+    await InboundWebhookEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: { status: INBOUND_WEBHOOK_STATUS.PROCESSING, processingStartedAt: new Date() },
+        $inc: { attempts: 1 }
+      }
+    );
+
+    const { result, error } = await this._settle(event._id, source, payload, signature);
+    if (error) {
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Run a stored event through its handler again (admin), e.g. after a
+   * mapping fix or once the order it refers to exists
+   * @param {String} eventId - Event ID
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Updated event
+   */
+  async reprocess(eventId, adminId) {
+    const existing = await InboundWebhookEvent.findById(eventId);
+    if (!existing) {
+      throw new AppError('Webhook event not found', 404);
+    }
+    if (existing.signature?.valid === false) {
+      throw new AppError('Events that failed signature verification cannot be reprocessed', 400);
+    }
+
+    const now = new Date();
+    const event = await InboundWebhookEvent.findOneAndUpdate(
+      {
+        _id: existing._id,
+        $or: [
+          { status: { $ne: INBOUND_WEBHOOK_STATUS.PROCESSING } },
+          { processingStartedAt: { $lt: new Date(now.getTime() - PROCESSING_STALE_MS) } }
+        ]
+      },
+      {
+        $set: { status: INBOUND_WEBHOOK_STATUS.PROCESSING, processingStartedAt: now },
+        $inc: { attempts: 1 }
+      }
+    );
+    if (!event) {
+      throw new AppError('This event is being processed right now', 409);
+    }
+
+    const { saved } = await this._settle(event._id, event.source, event.payload, event.signature, {
+      by: adminId,
+      previousStatus: event.status
+    });
+    return saved;
+  }
+
+  /**
+   * Inbound webhook events (admin), newest first
+   * @param {Object} filters - source, status, event, awb, orderId, externalId, search, from, to, page, limit
+   * @returns {Object} { events, pagination }
+   */
+  async getEvents({ source, status, event, awb, orderId, externalId, search, from, to, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (source) query.source = source;
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (awb) query.awb = awb;
+    if (orderId) query.order = orderId;
+    if (externalId) query.externalId = externalId;
+    if (search) {
+      const pattern = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ awb: pattern }, { event: pattern }, { externalId: pattern }, { error: pattern }];
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      InboundWebhookEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-headers -payload -reprocesses')
+        .populate('order', 'orderNumber status'),
+      InboundWebhookEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * One event with headers, payload and reprocess history (admin)
+   * @param {String} eventId - Event ID
+   * @returns {Object} Event
+   */
+  async getEvent(eventId) {
+    const event = await InboundWebhookEvent.findById(eventId)
+      .populate('order', 'orderNumber status awb user')
+      .populate('reprocesses.by', 'name email');
+    if (!event) {
+      throw new AppError('Webhook event not found', 404);
+    }
+    return event;
+  }
+
+  /**
+   * Run the handler and save its outcome. A 404 (no matching order) is
+   * recorded as ignored; anything else thrown as failed.
+   * @returns {Object} { result, error, saved }
+   */
+  async _settle(eventId, source, payload, signature, reprocess = null) {
+    let result = null;
+    let error = null;
+    let update;
+
+    try {
+      const dispatched = await this._dispatch(source, payload, signature);
+      result = dispatched.result;
+      update = {
+        status: dispatched.ignored ? INBOUND_WEBHOOK_STATUS.IGNORED : INBOUND_WEBHOOK_STATUS.PROCESSED,
+        outcome: dispatched.outcome,
+        error: null,
+        ...(dispatched.order && { order: dispatched.order })
+      };
+    } catch (err) {
+      error = err;
+      update = {
+        status: err instanceof AppError && err.statusCode === 404
+          ? INBOUND_WEBHOOK_STATUS.IGNORED
+          : INBOUND_WEBHOOK_STATUS.FAILED,
+        outcome: null,
+        error: err.message
+      };
+    }
+
+    const saved = await InboundWebhookEvent.findOneAndUpdate(
+      { _id: eventId },
+      {
+        $set: { ...update, processingStartedAt: null, processedAt: new Date() },
+        ...(reprocess && {
+          $push: {
+            reprocesses: { ...reprocess, at: new Date(), status: update.status, error: update.error }
+          }
+        })
+      },
+      { new: true }
+    );
+
+    return { result, error, saved };
+  }
+
+  /**
+   * Hand the payload to the service that applies it
+   * @returns {Object} { result, outcome, order, ignored }
+   */
+  async _dispatch(source, payload, signature = {}) {
+    switch (source) {
+      case INBOUND_WEBHOOK_SOURCES.NIMBUSPOST: {
+        const order = await orderService.updateOrderFromNimbusWebhook(payload, {
+          signatureVerified: signature?.valid === true
+        });
+        return {
+          result: order,
+          outcome: { orderNumber: order.orderNumber, status: order.status },
+          order: order._id
+        };
+      }
+      case INBOUND_WEBHOOK_SOURCES.ORDER_STATUS: {
+        const { orderId, awb, status, trackingData, partner } = payload;
+        const order = await orderService.updateOrderStatus(orderId, awb, status, trackingData, partner);
+        return {
+          result: order,
+          outcome: { orderNumber: order.orderNumber, status: order.status },
+          order: order._id
+        };
+      }
+      case INBOUND_WEBHOOK_SOURCES.RAZORPAY: {
+        const result = await paymentService.handleWebhookEvent(payload);
+        return { result, outcome: result, ignored: !!result.ignored };
+      }
+      default:
+        throw new AppError(`Unknown webhook source: ${source}`, 400);
+    }
+  }
+}
+
+module.exports = new InboundWebhookService();
@@ -1,116 +1,668 @@
+const crypto = require('crypto');
+const Invoice = require('../models/Invoice.model');
+const InvoiceNote = require('../models/InvoiceNote.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
+const { WALLET_TRANSACTION_STATUS } = require('../models/WalletTransaction.model');
 const Order = require('../models/Order.model');
+const User = require('../models/User.model');
 const AppError = require('../utils/AppError');
-const { ORDER_STATUS } = require('../config/constants');
+const { INVOICE_NOTE_TYPES, TRANSACTION_CATEGORIES, TRANSACTION_TYPES } = require('../config/constants');
+const {
+  GST_STATE_CODES,
+  isValidGstin,
+  stateCodeFromGstin,
+  stateCodeFromName,
+  taxableValue,
+  splitGst,
+  financialYear
+} = require('../utils/gst');
+const { renderInvoicePdf, formatDate } = require('../utils/invoicePdf');
+
+// SAC 996812: courier services
+const COURIER_SAC = '996812';
+
+// Wallet entries against an order that change what was billed for it
+const NOTE_CATEGORIES = [
+  TRANSACTION_CATEGORIES.REFUND,
+  TRANSACTION_CATEGORIES.WEIGHT_DISCREPANCY,
+  TRANSACTION_CATEGORIES.ADJUSTMENT
+];
+
+// Tries at a free invoice / note number when concurrent issuers collide
+const NUMBER_ATTEMPTS = 5;
+
+// How far back the job looks for adjustments whose note was not issued
+const NOTE_SWEEP_DAYS = 7;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
 
 /**
- * Invoice Service - Handles invoice generation and management
+ * Invoice Service - Issues GST tax invoices for shipments.
+ *
+ * Seller prices (order.pricing.totalAmount, what the wallet is charged) are
+ * GST inclusive: carrier quotes already carry GST, the rate card marks that
+ * total up, and sellers are shown and charged one all-in price. Tax is still
+ * computed on the freight plus fees, but as the taxable value inside each of
+ * those charges (amount * 100 / (100 + rate)) rather than added on top, so the
+ * invoice total always equals what the wallet was debited. The tax is split
+ * by supplier state vs place of supply.
+ * Refunds and extra charges on an invoiced order get a credit / debit note
+ * against that invoice, each with its own number series.
  */
 class InvoiceService {
+  getConfig() {
+    const gstin = (process.env.COMPANY_GSTIN || '').trim().toUpperCase();
+    const stateCode = stateCodeFromGstin(gstin) || stateCodeFromName(process.env.COMPANY_STATE);
+    const startDate = process.env.INVOICE_START_DATE ? new Date(process.env.INVOICE_START_DATE) : null;
+
+    return {
+      supplier: {
+        name: process.env.COMPANY_LEGAL_NAME || 'Flywell Logistics',
+        gstin: isValidGstin(gstin) ? gstin : null,
+        address: process.env.COMPANY_ADDRESS || '',
+        email: process.env.COMPANY_BILLING_EMAIL || '',
+        state: stateCode ? GST_STATE_CODES[stateCode] : null,
+        stateCode
+      },
+      gstRate: Number(process.env.GST_RATE_PERCENT) || 18,
+      // Go-live: the job only invoices orders booked from this date on
+      startDate: startDate && !isNaN(startDate.getTime()) ? startDate : null,
+      // GST caps invoice numbers at 16 characters: FW-2627-000123
+      seriesPrefix: process.env.INVOICE_SERIES_PREFIX || 'FW',
+      notePrefixes: {
+        [INVOICE_NOTE_TYPES.CREDIT]: process.env.CREDIT_NOTE_SERIES_PREFIX || 'CN',
+        [INVOICE_NOTE_TYPES.DEBIT]: process.env.DEBIT_NOTE_SERIES_PREFIX || 'DN'
+      }
+    };
+  }
+
   /**
-   * Generate invoices from orders
-   * @param {String} userId - User ID
-   * @param {Object} filters - Filter options
-   * @returns {Array} Invoice list
+   * Reason invoices cannot be issued with this config, or null if they can.
+   * A tax invoice is immutable once numbered, so it is never issued without
+   * the supplier's GSTIN and state (which also decide CGST/SGST vs IGST).
    */
-  async getInvoices(userId, filters = {}) {
-    const query = { 
-      user: userId
-      // Removed payment.status filter to show all orders
-      // Users can see which orders have invoices and which don't
+  _configError(config) {
+    if (!config.supplier.gstin) {
+      return 'COMPANY_GSTIN is not set to a valid GSTIN';
+    }
+    if (!config.supplier.stateCode) {
+      return 'Supplier state could not be determined (check COMPANY_GSTIN / COMPANY_STATE)';
+    }
+    return null;
+  }
+
+  /**
+   * Issue the tax invoice for a booked order (no-op if it already has one)
+   * @param {String|Object} orderOrId - Order or Order ID
+   * @returns {Object} Invoice
+   */
+  async issueForOrder(orderOrId) {
+    const order = orderOrId && orderOrId._id ? orderOrId : await Order.findById(orderOrId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) {
+      return this._linkOrder(order, existing);
+    }
+
+    if (!order.awb || !['completed', 'refunded'].includes(order.payment?.status)) {
+      throw new AppError('Invoices are issued once a paid order is booked', 400);
+    }
+
+    const config = this.getConfig();
+    const configError = this._configError(config);
+    if (configError) {
+      throw new AppError(`Invoicing is not configured: ${configError}`, 503);
+    }
+
+    const user = await User.findById(order.user);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const tax = this._buildTax(order, user, config);
+
+    let invoice;
+    try {
+      invoice = await this._createNumbered(Invoice, 'invoiceNumber', config.seriesPrefix, async ({ number, ...numbering }) => {
+        const data = {
+          invoiceNumber: number,
+          ...numbering,
+          user: user._id,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          awb: order.awb,
+          ...tax
+        };
+        return Object.assign(data, await this._render(data));
+      });
+    } catch (error) {
+      // Issued concurrently for the same order
+      if (error.code !== 11000) throw error;
+      invoice = await Invoice.findOne({ order: order._id });
+      if (!invoice) throw error;
+    }
+
+    // Refunds / charges posted before the invoice existed
+    await this._issueNotesForOrder(order._id);
+
+    return this._linkOrder(order, invoice);
+  }
+
+  /**
+   * Write an invoice or note under the next number of its series (restarting
+   * every financial year). The number is the last one stored + 1, so it only
+   * exists once its document does: a failed render or insert leaves no gap in
+   * the series. Losing the number to a concurrent issuer retries with the next.
+   * @param {Object} Model - Invoice or InvoiceNote
+   * @param {String} numberField - 'invoiceNumber' or 'noteNumber'
+   * @param {String} prefix - Series prefix (e.g. 'FW', 'CN')
+   * @param {Function} build - async ({ number, financialYear, sequence, issuedAt }) => document data
+   * @returns {Object} Created document
+   */
+  async _createNumbered(Model, numberField, prefix, build) {
+    for (let attempt = 1; ; attempt++) {
+      const issuedAt = new Date();
+      const fy = financialYear(issuedAt);
+      const series = `${prefix}-${fy}-`;
+      const escaped = series.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const last = await Model.findOne({ financialYear: fy, [numberField]: { $regex: `^${escaped}` } })
+        .sort({ sequence: -1 })
+        .select('sequence');
+      const sequence = (last ? last.sequence : 0) + 1;
+
+      const data = await build({
+        number: `${series}${String(sequence).padStart(6, '0')}`,
+        financialYear: fy,
+        sequence,
+        issuedAt
+      });
+
+      try {
+        return await Model.create(data);
+      } catch (error) {
+        const numberTaken = error.code === 11000 && error.keyPattern && error.keyPattern[numberField];
+        if (!numberTaken || attempt >= NUMBER_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  async _render(data, options) {
+    const pdf = await renderInvoicePdf({ invoiceNumber: data.noteNumber, ...data }, options);
+    return {
+      pdf,
+      pdfHash: crypto.createHash('sha256').update(pdf).digest('hex')
+    };
+  }
+
+  async _linkOrder(order, invoice) {
+    if (!order.invoice) {
+      await Order.updateOne({ _id: order._id, invoice: null }, { $set: { invoice: invoice._id } });
+    }
+    return invoice;
+  }
+
+  /**
+   * Parties, place of supply, line items and GST split for an order
+   */
+  _buildTax(order, user, config) {
+    const recipientGstin = isValidGstin(user.gstin) ? user.gstin.toUpperCase() : null;
+    // Registered sellers: state of their GSTIN; otherwise their billing (or pickup) state
+    const placeOfSupplyCode =
+      stateCodeFromGstin(recipientGstin) ||
+      stateCodeFromName(user.billingState) ||
+      stateCodeFromName(order.pickupDetails?.state);
+    const placeOfSupply = {
+      state: placeOfSupplyCode ? GST_STATE_CODES[placeOfSupplyCode] : null,
+      stateCode: placeOfSupplyCode
     };
 
-    console.log('Invoice Query:', JSON.stringify(query, null, 2));
-    console.log('Filters:', JSON.stringify(filters, null, 2));
+    const pricing = order.pricing || {};
+    const fuelSurcharge = round2(pricing.fuelSurcharge);
+    const codCharges = round2(pricing.codCharges);
+    const freight = round2(pricing.totalAmount - fuelSurcharge - codCharges);
+    const charges = [
+      { description: `Courier freight charges (AWB ${order.awb})`, amount: freight },
+      { description: 'Fuel surcharge', amount: fuelSurcharge },
+      { description: 'COD handling fee', amount: codCharges }
+    ].filter((c) => c.amount > 0);
+
+    return {
+      supplier: config.supplier,
+      recipient: {
+        name: user.gstLegalName || user.name,
+        gstin: recipientGstin,
+        address: user.businessAddress || '',
+        email: user.email,
+        state: placeOfSupply.state,
+        stateCode: placeOfSupply.stateCode
+      },
+      placeOfSupply,
+      ...this._taxTotals(charges, config.gstRate, config.supplier.stateCode, placeOfSupplyCode),
+      currency: pricing.currency || 'INR'
+    };
+  }
+
+  /**
+   * Line items and GST totals for GST-inclusive charges
+   * @param {Array} charges - [{ description, amount }]
+   * @returns {Object} lineItems, gstRate, taxableValue, cgst/sgst/igst, totalTax, totalAmount
+   */
+  _taxTotals(charges, gstRate, supplierStateCode, placeOfSupplyCode) {
+    const lineItems = charges.map((c) => ({
+      ...c,
+      sacCode: COURIER_SAC,
+      taxableValue: taxableValue(c.amount, gstRate)
+    }));
+    const totalAmount = round2(charges.reduce((sum, c) => sum + c.amount, 0));
+    const totalTaxable = round2(lineItems.reduce((sum, item) => sum + item.taxableValue, 0));
+    // Tax is the remainder so line items and totals reconcile to the paisa
+    const totalTax = round2(totalAmount - totalTaxable);
+
+    return {
+      lineItems,
+      gstRate,
+      taxableValue: totalTaxable,
+      ...splitGst(totalTax, supplierStateCode, placeOfSupplyCode),
+      totalTax,
+      totalAmount
+    };
+  }
+
+  /**
+   * Issue the credit / debit note for a wallet entry that refunds or adds to
+   * an invoiced order. Entries on orders not invoiced yet are picked up when
+   * the invoice is issued.
+   * @param {Object} transaction - WalletTransaction
+   * @returns {Object|null} InvoiceNote, or null when no note applies (yet)
+   */
+  async issueNoteForTransaction(transaction) {
+    if (
+      !transaction.orderId ||
+      !NOTE_CATEGORIES.includes(transaction.category) ||
+      transaction.status !== WALLET_TRANSACTION_STATUS.COMPLETED
+    ) {
+      return null;
+    }
+
+    const existing = await InvoiceNote.findOne({ sourceTransaction: transaction._id });
+    if (existing) {
+      return existing;
+    }
+
+    const invoice = await Invoice.findOne({ order: transaction.orderId });
+    if (!invoice) {
+      return null;
+    }
+
+    const type = transaction.type === TRANSACTION_TYPES.CREDIT ? INVOICE_NOTE_TYPES.CREDIT : INVOICE_NOTE_TYPES.DEBIT;
+    const isCredit = type === INVOICE_NOTE_TYPES.CREDIT;
+    const config = this.getConfig();
+    const totals = this._taxTotals(
+      [{ description: transaction.description, amount: round2(transaction.amount) }],
+      invoice.gstRate,
+      invoice.supplier.stateCode,
+      invoice.placeOfSupply.stateCode
+    );
+
+    try {
+      return await this._createNumbered(InvoiceNote, 'noteNumber', config.notePrefixes[type], async ({ number, ...numbering }) => {
+        const data = {
+          noteNumber: number,
+          type,
+          ...numbering,
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          sourceTransaction: transaction._id,
+          user: invoice.user,
+          order: invoice.order,
+          orderNumber: invoice.orderNumber,
+          awb: invoice.awb,
+          reason: transaction.description,
+          supplier: invoice.supplier,
+          recipient: invoice.recipient,
+          placeOfSupply: invoice.placeOfSupply,
+          ...totals,
+          currency: invoice.currency
+        };
+        return Object.assign(data, await this._render(data, {
+          title: isCredit ? 'CREDIT NOTE' : 'DEBIT NOTE',
+          numberLabel: isCredit ? 'Credit Note No' : 'Debit Note No',
+          reference: `Against Invoice: ${invoice.invoiceNumber} dated ${formatDate(invoice.issuedAt)}`
+        }));
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const raced = await InvoiceNote.findOne({ sourceTransaction: transaction._id });
+      if (!raced) throw error;
+      return raced;
+    }
+  }
+
+  async _issueNotesForOrder(orderId) {
+    const transactions = await WalletTransaction.find({
+      orderId,
+      category: { $in: NOTE_CATEGORIES },
+      status: WALLET_TRANSACTION_STATUS.COMPLETED
+    }).sort({ createdAt: 1 });
+
+    for (const transaction of transactions) {
+      try {
+        await this.issueNoteForTransaction(transaction);
+      } catch (error) {
+        console.error('[InvoiceService] note could not be issued', {
+          transactionId: transaction._id.toString(),
+          message: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Issue notes for recent adjustments on invoiced orders whose note did not go through
+   * (e.g. the process stopped right after the wallet entry)
+   * @param {Number} limit - Max wallet entries per run
+   * @returns {Object} { issued, failed }
+   */
+  async issuePendingNotes(limit = 200) {
+    const since = new Date(Date.now() - NOTE_SWEEP_DAYS * 24 * 60 * 60 * 1000);
+    // Filtered in the query, so entries that get no note (order not invoiced)
+    // or already have one never fill the batch
+    const rows = await WalletTransaction.aggregate([
+      {
+        $match: {
+          orderId: { $ne: null },
+          category: { $in: NOTE_CATEGORIES },
+          status: WALLET_TRANSACTION_STATUS.COMPLETED,
+          createdAt: { $gte: since }
+        }
+      },
+      { $lookup: { from: InvoiceNote.collection.name, localField: '_id', foreignField: 'sourceTransaction', as: 'notes' } },
+      { $match: { notes: { $size: 0 } } },
+      { $lookup: { from: Invoice.collection.name, localField: 'orderId', foreignField: 'order', as: 'invoices' } },
+      { $match: { 'invoices.0': { $exists: true } } },
+      { $sort: { createdAt: 1 } },
+      { $limit: limit },
+      { $project: { notes: 0, invoices: 0 } }
+    ]);
+    const transactions = rows.map((row) => WalletTransaction.hydrate(row));
 
-    // Date range filter - use createdAt if paidAt is not available
-    if (filters.startDate || filters.endDate) {
-      query.createdAt = {};
-      if (filters.startDate) {
-        query.createdAt.$gte = new Date(filters.startDate);
+    let issued = 0;
+    let failed = 0;
+    for (const transaction of transactions) {
+      try {
+        if (await this.issueNoteForTransaction(transaction)) issued++;
+      } catch (error) {
+        failed++;
+        console.error('[InvoiceService] note could not be issued', {
+          transactionId: transaction._id.toString(),
+          message: error.message
+        });
       }
-      if (filters.endDate) {
-        query.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    return { issued, failed };
+  }
+
+  /**
+   * Why the invoice job cannot run with this config (null if it can); checked
+   * once when jobs are scheduled
+   * @param {Object} config - getConfig() result
+   * @returns {String|null}
+   */
+  jobConfigError(config = this.getConfig()) {
+    return this._configError(config) ||
+      (!config.startDate ? 'INVOICE_START_DATE is not set to a valid date' : null);
+  }
+
+  /**
+   * Issue invoices for orders booked since go-live that do not have one yet
+   * (new bookings, and retries after a failed issue). Does nothing until the
+   * supplier GSTIN, state and INVOICE_START_DATE are configured.
+   * @param {Number} limit - Max orders per run
+   * @returns {Object} { issued, failed, skipped }
+   */
+  async issuePendingInvoices(limit = 100) {
+    const config = this.getConfig();
+    const configError = this.jobConfigError(config);
+    if (configError) {
+      return { issued: 0, failed: 0, skipped: configError };
+    }
+
+    const orders = await Order.find({
+      invoice: null,
+      awb: { $ne: null },
+      'payment.status': { $in: ['completed', 'refunded'] },
+      'booking.bookedAt': { $gte: config.startDate }
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    let issued = 0;
+    let failed = 0;
+    for (const order of orders) {
+      try {
+        await this.issueForOrder(order);
+        issued++;
+      } catch (error) {
+        failed++;
+        console.error('[InvoiceService] invoice could not be issued', {
+          orderNumber: order.orderNumber,
+          message: error.message
+        });
       }
     }
 
-    // Search by invoice ID (order number or AWB)
+    return { issued, failed };
+  }
+
+  /**
+   * Invoice list entry with the net billed amount after credit / debit notes
+   */
+  _summary(invoice, notes = []) {
+    const sum = (type) => round2(notes
+      .filter((note) => note.type === type)
+      .reduce((total, note) => total + note.totalAmount, 0));
+    const credited = sum(INVOICE_NOTE_TYPES.CREDIT);
+    const debited = sum(INVOICE_NOTE_TYPES.DEBIT);
+
+    return {
+      invoiceId: invoice.invoiceNumber,
+      invoiceNumber: invoice.invoiceNumber,
+      orderNumber: invoice.orderNumber,
+      awb: invoice.awb,
+      invoiceDate: invoice.issuedAt,
+      gstNumber: invoice.recipient.gstin,
+      placeOfSupply: invoice.placeOfSupply,
+      taxableValue: invoice.taxableValue,
+      totalTax: invoice.totalTax,
+      invoiceAmount: invoice.totalAmount,
+      creditNoteAmount: credited,
+      debitNoteAmount: debited,
+      netAmount: round2(invoice.totalAmount - credited + debited),
+      currency: invoice.currency,
+      orderId: invoice.order
+    };
+  }
+
+  _noteSummary(note) {
+    return {
+      noteNumber: note.noteNumber,
+      type: note.type,
+      invoiceNumber: note.invoiceNumber,
+      orderNumber: note.orderNumber,
+      awb: note.awb,
+      reason: note.reason,
+      noteDate: note.issuedAt,
+      taxableValue: note.taxableValue,
+      totalTax: note.totalTax,
+      amount: note.totalAmount,
+      currency: note.currency
+    };
+  }
+
+  _dateRange(filters) {
+    if (!filters.startDate && !filters.endDate) return null;
+    const range = {};
+    if (filters.startDate) {
+      range.$gte = new Date(filters.startDate);
+    }
+    if (filters.endDate) {
+      range.$lte = new Date(filters.endDate);
+    }
+    return range;
+  }
+
+  _searchRegex(search) {
+    return { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  /**
+   * Get a seller's invoices
+   * @param {String} userId - User ID
+   * @param {Object} filters - Filter options
+   * @returns {Array} Invoice list
+   */
+  async getInvoices(userId, filters = {}) {
+    const query = { user: userId };
+
+    const issuedAt = this._dateRange(filters);
+    if (issuedAt) {
+      query.issuedAt = issuedAt;
+    }
+
+    // Search by invoice number, order number or AWB
     if (filters.search) {
+      const search = this._searchRegex(filters.search);
       query.$or = [
-        { orderNumber: { $regex: filters.search, $options: 'i' } },
-        { awb: { $regex: filters.search, $options: 'i' } }
+        { invoiceNumber: search },
+        { orderNumber: search },
+        { awb: search }
       ];
     }
 
     const limit = parseInt(filters.limit) || 50;
     const skip = parseInt(filters.skip) || 0;
 
-    const orders = await Order.find(query)
-      .sort({ createdAt: -1 })
+    const invoices = await Invoice.find(query)
+      .sort({ issuedAt: -1 })
       .limit(limit)
       .skip(skip);
 
-    console.log(`Found ${orders.length} orders`);
-
-    // Generate invoices from orders
-    const invoices = orders
-      .filter(order => order.payment.status === 'completed') // Only show completed payments as invoices
-      .map(order => ({
-        invoiceId: `INV${order.orderNumber}`,
-        orderNumber: order.orderNumber,
-        awb: order.awb,
-        invoiceDate: order.payment.paidAt || order.createdAt,
-        gstNumber: '07KVFPS0396D1Z8', // This should come from user/company profile
-        serviceType: order.orderType === 'international' ? 'International' : 'Domestic',
-        invoiceAmount: order.pricing.totalAmount,
-        currency: order.pricing.currency || 'INR',
-        orderDetails: {
-          pickup: order.pickupDetails,
-          delivery: order.deliveryDetails,
-          deliveryPartner: order.deliveryPartner
-        },
-        orderId: order._id
-      }));
-
-    return invoices;
+    const notes = await InvoiceNote.find({ invoice: { $in: invoices.map((invoice) => invoice._id) } })
+      .select('invoice type totalAmount');
+
+    return invoices.map((invoice) => this._summary(
+      invoice,
+      notes.filter((note) => note.invoice.equals(invoice._id))
+    ));
+  }
+
+  async _findInvoice(invoiceId, userId, withPdf = false) {
+    const query = Invoice.findOne({ invoiceNumber: invoiceId, user: userId });
+    const invoice = await (withPdf ? query.select('+pdf') : query);
+
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+    return invoice;
   }
 
   /**
-   * Get invoice by ID
-   * @param {String} invoiceId - Invoice ID
+   * Get invoice by number
+   * @param {String} invoiceId - Invoice number
    * @param {String} userId - User ID
-   * @returns {Object} Invoice details
+   * @returns {Object} Invoice details with its credit / debit notes
    */
   async getInvoiceById(invoiceId, userId) {
-    // Extract order number from invoice ID (INV{orderNumber})
-    const orderNumber = invoiceId.replace(/^INV/, '');
-    
-    const order = await Order.findOne({ 
-      orderNumber, 
-      user: userId,
-      'payment.status': 'completed'
-    });
+    const invoice = await this._findInvoice(invoiceId, userId);
+    const notes = await InvoiceNote.find({ invoice: invoice._id }).sort({ issuedAt: 1 });
 
-    if (!order) {
-      throw new AppError('Invoice not found', 404);
+    return {
+      ...this._summary(invoice, notes),
+      supplier: invoice.supplier,
+      recipient: invoice.recipient,
+      lineItems: invoice.lineItems,
+      gstRate: invoice.gstRate,
+      cgst: invoice.cgst,
+      sgst: invoice.sgst,
+      igst: invoice.igst,
+      pdfHash: invoice.pdfHash,
+      notes: notes.map((note) => this._noteSummary(note))
+    };
+  }
+
+  /**
+   * Stored PDF of an issued invoice
+   * @param {String} invoiceId - Invoice number
+   * @param {String} userId - User ID
+   * @returns {Object} { filename, pdf }
+   */
+  async getInvoicePdf(invoiceId, userId) {
+    const invoice = await this._findInvoice(invoiceId, userId, true);
+    return {
+      filename: `${invoice.invoiceNumber}.pdf`,
+      pdf: invoice.pdf
+    };
+  }
+
+  /**
+   * Get a seller's credit / debit notes
+   * @param {String} userId - User ID
+   * @param {Object} filters - type, startDate, endDate, search, limit, skip
+   * @returns {Array} Note list
+   */
+  async getNotes(userId, filters = {}) {
+    const query = { user: userId };
+
+    if (Object.values(INVOICE_NOTE_TYPES).includes(filters.type)) {
+      query.type = filters.type;
     }
 
+    const issuedAt = this._dateRange(filters);
+    if (issuedAt) {
+      query.issuedAt = issuedAt;
+    }
+
+    // Search by note number, invoice number, order number or AWB
+    if (filters.search) {
+      const search = this._searchRegex(filters.search);
+      query.$or = [
+        { noteNumber: search },
+        { invoiceNumber: search },
+        { orderNumber: search },
+        { awb: search }
+      ];
+    }
+
+    const limit = parseInt(filters.limit) || 50;
+    const skip = parseInt(filters.skip) || 0;
+
+    const notes = await InvoiceNote.find(query)
+      .sort({ issuedAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    return notes.map((note) => this._noteSummary(note));
+  }
+
+  /**
+   * Stored PDF of a credit / debit note
+   * @param {String} noteNumber - Note number
+   * @param {String} userId - User ID
+   * @returns {Object} { filename, pdf }
+   */
+  async getNotePdf(noteNumber, userId) {
+    const note = await InvoiceNote.findOne({ noteNumber, user: userId }).select('+pdf');
+
+    if (!note) {
+      throw new AppError('Credit/debit note not found', 404);
+    }
     return {
-      invoiceId: `INV${order.orderNumber}`,
-      orderNumber: order.orderNumber,
-      awb: order.awb,
-      invoiceDate: order.payment.paidAt || order.createdAt,
-      gstNumber: '07KVFPS0396D1Z8',
-      serviceType: order.orderType === 'international' ? 'International' : 'Domestic',
-      invoiceAmount: order.pricing.totalAmount,
-      currency: order.pricing.currency || 'INR',
-      orderDetails: {
-        pickup: order.pickupDetails,
-        delivery: order.deliveryDetails,
-        deliveryPartner: order.deliveryPartner,
-        package: order.packageDetails
-      },
-      pricing: order.pricing,
-      orderId: order._id
+      filename: `${note.noteNumber}.pdf`,
+      pdf: note.pdf
     };
   }
 }
@@ -0,0 +1,353 @@
+const NdrCase = require('../models/NdrCase.model');
+const Order = require('../models/Order.model');
+const thirdPartyAPIService = require('./thirdPartyAPI.service');
+const AppError = require('../utils/AppError');
+const { ORDER_STATUS, NDR_STATUS, NDR_ACTIONS } = require('../config/constants');
+
+// Carrier wording for a failed delivery attempt
+const NDR_PATTERNS = [
+  /undeliver/,
+  /not delivered/,
+  /\bndr\b/,
+  /exception/,
+  /delivery (attempt(ed)?|failed)/,
+  /attempt(ed)? (delivery|failed)/,
+  /consignee (not available|unavailable|refused)/,
+  /customer (not available|unavailable|refused)/
+];
+
+// Final order statuses that close an NDR case, with the outcome recorded
+const RESOLVING_STATUSES = {
+  [ORDER_STATUS.DELIVERED]: 'delivered',
+  [ORDER_STATUS.RTO]: 'rto',
+  [ORDER_STATUS.RTO_IN_TRANSIT]: 'rto',
+  [ORDER_STATUS.RTO_DELIVERED]: 'rto',
+  [ORDER_STATUS.CANCELLED]: 'cancelled'
+};
+
+/**
+ * NDR Service - Failed delivery attempts and the seller's response to them
+ *
+ * Flow:
+ * 1. Webhooks / tracking report a failed attempt -> handleShipmentEvent opens
+ *    (or re-opens) the order's NdrCase and counts the attempt
+ * 2. Seller picks re-attempt (optionally with new address / phone), RTO or hold
+ *    -> takeAction sends it to the carrier (provider.submitNdrAction)
+ * 3. Delivered / RTO / cancelled resolves the case
+ */
+class NdrService {
+  getConfig() {
+    return {
+      maxHoldDays: Number(process.env.NDR_MAX_HOLD_DAYS) || 7
+    };
+  }
+
+  /**
+   * Whether a raw carrier status describes a failed delivery attempt
+   * @param {String} rawStatus - Carrier status / message
+   * @returns {Boolean}
+   */
+  isNdrStatus(rawStatus) {
+    const text = String(rawStatus || '').trim().toLowerCase();
+    return !!text && NDR_PATTERNS.some((pattern) => pattern.test(text));
+  }
+
+  /**
+   * Record a shipment update against the order's NDR case (never throws)
+   * @param {Object} order - Order document (status already updated)
+   * @param {Object} event - rawStatus, reason, location, eventTime, attempt, source
+   * @returns {Object|null} NdrCase when one was opened / updated / resolved
+   */
+  async handleShipmentEvent(order, event = {}) {
+    try {
+      if (order.status === ORDER_STATUS.NDR || this.isNdrStatus(event.rawStatus)) {
+        return await this._recordAttempt(order, event);
+      }
+      if (RESOLVING_STATUSES[order.status]) {
+        return await this._resolve(order, RESOLVING_STATUSES[order.status]);
+      }
+      return null;
+    } catch (error) {
+      console.error('[NDR] failed to record shipment event', {
+        orderNumber: order.orderNumber,
+        message: error.message
+      });
+      return null;
+    }
+  }
+
+  async _recordAttempt(order, event) {
+    const eventTime = event.eventTime ? new Date(event.eventTime) : null;
+    const at = eventTime && !isNaN(eventTime.getTime()) ? eventTime : new Date();
+    const key = `${String(event.rawStatus || '').toLowerCase()}|${event.eventTime || event.reason || ''}`;
+
+    let ndrCase = await this._findOrOpenCase(order);
+
+    if (ndrCase.events.some((e) => e.key === key)) {
+      return ndrCase;
+    }
+
+    const reportedAttempt = Number(event.attempt);
+    const attempts = Number.isInteger(reportedAttempt) && reportedAttempt > 0
+      ? Math.max(reportedAttempt, ndrCase.attempts)
+      : ndrCase.attempts + 1;
+    const reason = event.reason || event.rawStatus || '';
+
+    ndrCase = await NdrCase.findOneAndUpdate(
+      { _id: ndrCase._id, 'events.key': { $ne: key } },
+      {
+        $set: {
+          status: NDR_STATUS.OPEN,
+          attempts,
+          reason,
+          lastAttemptAt: at
+        },
+        $push: {
+          events: {
+            key,
+            at,
+            source: event.source || '',
+            rawStatus: event.rawStatus || '',
+            reason,
+            location: event.location || '',
+            attempt: attempts
+          }
+        }
+      },
+      { new: true }
+    ) || ndrCase;
+
+    if (String(order.ndrCase || '') !== String(ndrCase._id)) {
+      await Order.updateOne({ _id: order._id }, { $set: { ndrCase: ndrCase._id } });
+    }
+
+    return ndrCase;
+  }
+
+  async _findOrOpenCase(order) {
+    const query = { order: order._id, isActive: true };
+    const insert = {
+      order: order._id,
+      user: order.user?._id || order.user,
+      orderNumber: order.orderNumber,
+      awb: order.awb,
+      deliveryPartner: order.deliveryPartner
+    };
+
+    try {
+      return await NdrCase.findOneAndUpdate(
+        query,
+        { $setOnInsert: insert },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two events raced to open the case; the unique index kept one
+      if (error.code === 11000) return NdrCase.findOne(query);
+      throw error;
+    }
+  }
+
+  async _resolve(order, outcome) {
+    return NdrCase.findOneAndUpdate(
+      { order: order._id, isActive: true },
+      {
+        $set: {
+          status: NDR_STATUS.RESOLVED,
+          isActive: false,
+          resolution: { outcome, at: new Date() }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * List a seller's NDR cases (admin: all sellers)
+   * @param {Object} filters - userId, status, page, limit
+   * @returns {Object} Cases with pagination
+   */
+  async getCases({ userId = null, status = '', page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (userId) query.user = userId;
+    if (status) query.status = status;
+
+    let find = NdrCase.find(query)
+      .select('-events.key')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    if (!userId) find = find.populate('user', 'name email phone');
+
+    const [cases, total] = await Promise.all([
+      find,
+      NdrCase.countDocuments(query)
+    ]);
+
+    return {
+      cases,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * NDR case with attempt and action history
+   * @param {String} caseId - NdrCase ID
+   * @param {String} userId - User ID (omit for admin)
+   * @returns {Object} NdrCase
+   */
+  async getCase(caseId, userId = null) {
+    const query = { _id: caseId };
+    if (userId) query.user = userId;
+
+    const ndrCase = await NdrCase.findOne(query)
+      .select('-events.key')
+      .populate('order', 'orderNumber awb status deliveryDetails deliveryPartner');
+
+    if (!ndrCase) {
+      throw new AppError('NDR case not found', 404);
+    }
+
+    return ndrCase;
+  }
+
+  /**
+   * Seller's decision on an open NDR case, sent to the carrier
+   * @param {String} caseId - NdrCase ID
+   * @param {String} userId - User ID
+   * @param {Object} actionData - action, address, phone, preferredDate, note
+   * @returns {Object} Updated NdrCase
+   */
+  async takeAction(caseId, userId, { action, address = null, phone = null, preferredDate = null, note = '' } = {}) {
+    const input = this._validateAction({ action, address, phone, preferredDate });
+
+    // Claim the case so a double click does not send two actions
+    const ndrCase = await NdrCase.findOneAndUpdate(
+      { _id: caseId, user: userId, isActive: true, status: NDR_STATUS.OPEN },
+      { $set: { status: NDR_STATUS.ACTION_REQUESTED } },
+      { new: true }
+    );
+
+    if (!ndrCase) {
+      const existing = await NdrCase.findOne({ _id: caseId, user: userId }).select('status');
+      if (!existing) {
+        throw new AppError('NDR case not found', 404);
+      }
+      throw new AppError(
+        existing.status === NDR_STATUS.RESOLVED
+          ? 'This NDR case is already resolved'
+          : 'An action was already sent for the latest attempt',
+        409
+      );
+    }
+
+    const order = await Order.findById(ndrCase.order);
+    const consignee = order.deliveryDetails;
+    const newAddress = input.address ? { ...input.address } : null;
+
+    const entry = {
+      action: input.action,
+      requestedBy: userId,
+      at: new Date(),
+      address: newAddress,
+      phone: input.phone,
+      preferredDate: input.preferredDate,
+      note: note || '',
+      previous: newAddress || input.phone
+        ? {
+            address: consignee.address,
+            addressLine2: consignee.addressLine2,
+            phone: consignee.phone
+          }
+        : null
+    };
+
+    let carrierResponse;
+    try {
+      carrierResponse = await thirdPartyAPIService.submitNdrAction(order.deliveryPartner, order.awb, {
+        action: input.action,
+        address: newAddress,
+        phone: input.phone,
+        preferredDate: input.preferredDate,
+        name: consignee.name
+      });
+    } catch (error) {
+      await NdrCase.updateOne(
+        { _id: ndrCase._id },
+        {
+          $set: { status: NDR_STATUS.OPEN },
+          $push: { actions: { ...entry, carrierStatus: 'failed', error: error.message } }
+        }
+      );
+      throw new AppError(`The carrier did not accept the NDR action: ${error.message}`, 502);
+    }
+
+    if (newAddress || input.phone) {
+      const update = {};
+      if (newAddress) {
+        update['deliveryDetails.address'] = newAddress.address;
+        update['deliveryDetails.addressLine2'] = newAddress.addressLine2 || '';
+      }
+      if (input.phone) update['deliveryDetails.phone'] = input.phone;
+      await Order.updateOne({ _id: order._id }, { $set: update });
+    }
+
+    return NdrCase.findByIdAndUpdate(
+      ndrCase._id,
+      { $push: { actions: { ...entry, carrierStatus: 'accepted', carrierResponse: carrierResponse || null } } },
+      { new: true }
+    ).select('-events.key');
+  }
+
+  _validateAction({ action, address, phone, preferredDate }) {
+    if (!Object.values(NDR_ACTIONS).includes(action)) {
+      throw new AppError(`action must be one of: ${Object.values(NDR_ACTIONS).join(', ')}`, 400);
+    }
+
+    if ((address || phone) && action !== NDR_ACTIONS.REATTEMPT) {
+      throw new AppError('Address or phone can only be updated with a re-attempt', 400);
+    }
+
+    if (address && (typeof address !== 'object' || !String(address.address || '').trim())) {
+      throw new AppError('address.address is required when updating the address', 400);
+    }
+
+    if (phone && !/^[0-9]{10}$/.test(String(phone))) {
+      throw new AppError('Phone must be a valid 10-digit number', 400);
+    }
+
+    let date = null;
+    if (preferredDate) {
+      date = new Date(preferredDate);
+      if (isNaN(date.getTime())) {
+        throw new AppError('preferredDate must be a valid date', 400);
+      }
+    }
+
+    if (action === NDR_ACTIONS.HOLD) {
+      const { maxHoldDays } = this.getConfig();
+      const latest = Date.now() + maxHoldDays * 24 * 60 * 60 * 1000;
+      if (!date || date.getTime() <= Date.now() || date.getTime() > latest) {
+        throw new AppError(`Hold needs a preferredDate within the next ${maxHoldDays} days`, 400);
+      }
+    }
+
+    return {
+      action,
+      address: address
+        ? {
+            address: String(address.address).trim(),
+            addressLine2: String(address.addressLine2 || address.landmark || '').trim()
+          }
+        : null,
+      phone: phone ? String(phone) : null,
+      preferredDate: date
+    };
+  }
+}
+
+module.exports = new NdrService();
@@ -0,0 +1,100 @@
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const emailService = require('./email.service');
+const AppError = require('../utils/AppError');
+
+/**
+ * Notification Service - In-app notifications for sellers, mirrored by email
+ */
+class NotificationService {
+  /**
+   * Create an in-app notification and email it to the seller.
+   * Never throws: a notification must not fail the wallet / payment flow behind it.
+   * @param {String} userId - User ID
+   * @param {Object} notification - type, title, message, data
+   * @returns {Object|null} Notification
+   */
+  async notify(userId, { type, title, message, data = {} }) {
+    try {
+      const notification = await Notification.create({ user: userId, type, title, message, data });
+
+      const user = await User.findById(userId).select('email name');
+      if (user && user.email) {
+        const result = await emailService.sendMessage({
+          to: user.email,
+          subject: title,
+          text: `Hi ${user.name || 'there'},\n\n${message}\n\nFlywell Logistics`
+        });
+        if (result.sent) {
+          notification.emailedAt = new Date();
+          await notification.save();
+        }
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('[NotificationService] notification not delivered', {
+        userId: userId.toString(),
+        type,
+        message: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get user notifications, newest first
+   * @param {String} userId - User ID
+   * @param {Object} filters - unread, limit, skip
+   * @returns {Object} { notifications, unreadCount }
+   */
+  async getNotifications(userId, filters = {}) {
+    const query = { user: userId };
+    if (filters.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const limit = parseInt(filters.limit) || 50;
+    const skip = parseInt(filters.skip) || 0;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  /**
+   * Mark one notification as read
+   */
+  async markRead(notificationId, userId) {
+    const notification = await Notification.findOne({ _id: notificationId, user: userId });
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    return notification;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @returns {Number} Notifications updated
+   */
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { user: userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,32 +1,43 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order.model');
+const Warehouse = require('../models/Warehouse.model');
+const RateCard = require('../models/RateCard.model');
 const walletService = require('./wallet.service');
+const bookingQueueService = require('./bookingQueue.service');
+const refundService = require('./refund.service');
 const thirdPartyAPIService = require('./thirdPartyAPI.service');
+const pricingService = require('./pricing.service');
+const ndrService = require('./ndr.service');
+const weightDiscrepancyService = require('./weightDiscrepancy.service');
+const sellerWebhookService = require('./sellerWebhook.service');
+const orderStatusService = require('./orderStatus.service');
+const { STATUS_CHANGE_RESULTS } = require('../models/OrderStatusHistory.model');
 const AppError = require('../utils/AppError');
-const { ORDER_STATUS, DELIVERY_PARTNERS } = require('../config/constants');
+const { chargeableWeight, totalWeight } = require('../utils/weight');
+const {
+  ORDER_STATUS,
+  ORDER_DIRECTIONS,
+  DELIVERY_PARTNERS,
+  REFUND_REASONS,
+  TRANSACTION_CATEGORIES,
+  COD_STATUS
+} = require('../config/constants');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
 
 /**
  * Order Service - Handles delivery order creation and management
  */
 class OrderService {
   /**
-   * Calculate shipping rate
-   * @param {Object} orderData - Order data for rate calculation
-   * @returns {Object} Rate information
+   * Build the provider rate request from order-shaped data
+   * @param {Object} orderData - pickupDetails, deliveryDetails, packageDetails, paymentType, codAmount
+   * @returns {Object} Rate data for thirdPartyAPIService / providers
    */
-  async calculateRate(orderData) {
-    const {
-      deliveryPartner,
-      pickupDetails,
-      deliveryDetails,
-      packageDetails,
-      paymentType = 'prepaid'
-    } = orderData;
-
-    if (!Object.values(DELIVERY_PARTNERS).includes(deliveryPartner)) {
-      throw new AppError('Invalid delivery partner', 400);
-    }
+  buildRateData({ pickupDetails, deliveryDetails, packageDetails, packages = [], paymentType = 'prepaid', codAmount = null }) {
+    const isMps = Array.isArray(packages) && packages.length > 1;
 
-    const rateData = {
+    return {
       from: {
         pincode: pickupDetails.pincode,
         city: pickupDetails.city,
@@ -37,39 +48,100 @@ class OrderService {
         city: deliveryDetails.city,
         state: deliveryDetails.state
       },
-      weight: packageDetails.weight,
-      dimensions: packageDetails.dimensions,
+      // Dead weight; each carrier quotes on its own chargeable weight (applyChargeableWeight)
+      weight: isMps ? totalWeight(packages) : packageDetails.weight,
+      dimensions: isMps ? undefined : packageDetails.dimensions,
+      pieces: isMps ? packages.length : 1,
+      packages: isMps ? packages : undefined,
       declaredValue: packageDetails.declaredValue || 0,
-      paymentType
+      paymentType,
+      codAmount: paymentType === 'cod' ? this.getCodAmount({ packageDetails, codAmount }) : 0
     };
+  }
 
-    try {
-      const rateResponse = await thirdPartyAPIService.calculateRate(deliveryPartner, rateData);
-
-      const baseRate = rateResponse.baseRate || rateResponse.rate || rateResponse.amount || 0;
-      const additionalCharges = rateResponse.additionalCharges || 0;
-      const gst = rateResponse.gst || 0;
-      const dph = rateResponse.dph || 0;
-      const totalAmount =
-        rateResponse.totalAmount != null
-          ? rateResponse.totalAmount
-          : baseRate + additionalCharges + gst + dph;
-
+  /**
+   * Normalize the pieces of an order. With a `packages` array (multi-piece),
+   * packageDetails is rebuilt as the totals across all boxes.
+   * @param {Object} packageDetails - Single-package details / shared description + declared value
+   * @param {Array} packages - Optional [{ weight, dimensions, description }]
+   * @returns {Object} { packageDetails, packages }
+   */
+  resolvePackages(packageDetails = {}, packages = []) {
+    if (!Array.isArray(packages) || packages.length === 0) {
       return {
-        baseRate,
-        additionalCharges,
-        gst,
-        dph,
-        totalAmount,
-        currency: rateResponse.currency || 'INR',
-        partner: deliveryPartner,
-        estimatedDelivery: rateResponse.estimatedDelivery || null,
-        serviceType: rateResponse.serviceType || 'standard',
-        courierOptions: rateResponse.courierOptions || [],
-        courierId: rateResponse.courierId,
-        courierName: rateResponse.courierName,
-        metadata: rateResponse.metadata || {}
+        packageDetails: { ...packageDetails, pieces: 1, chargeableWeight: chargeableWeight([packageDetails]) },
+        packages: []
       };
+    }
+
+    const pieces = packages.map((pkg, index) => ({
+      pieceNumber: index + 1,
+      weight: Number(pkg.weight),
+      dimensions: {
+        length: Number(pkg.dimensions?.length) || 0,
+        width: Number(pkg.dimensions?.width) || 0,
+        height: Number(pkg.dimensions?.height) || 0
+      },
+      description: pkg.description || packageDetails.description || ''
+    }));
+
+    if (pieces.some((pkg) => !(pkg.weight >= 0.1))) {
+      throw new AppError('Every package needs a weight of at least 0.1 kg', 400);
+    }
+
+    return {
+      packageDetails: {
+        weight: totalWeight(pieces),
+        dimensions: pieces.length === 1 ? pieces[0].dimensions : { length: 0, width: 0, height: 0 },
+        description: packageDetails.description || pieces[0].description,
+        declaredValue: packageDetails.declaredValue || 0,
+        pieces: pieces.length,
+        chargeableWeight: chargeableWeight(pieces)
+      },
+      packages: pieces.length > 1 ? pieces : []
+    };
+  }
+
+  /**
+   * Amount the carrier collects on a COD order (defaults to the declared value)
+   * @param {Object} orderData - packageDetails, codAmount
+   * @returns {Number} COD amount
+   */
+  getCodAmount({ packageDetails, codAmount }) {
+    const amount = codAmount != null && codAmount !== '' ? codAmount : packageDetails?.declaredValue;
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  /**
+   * Calculate shipping rate (seller price: carrier quote + rate card)
+   * @param {Object} orderData - Order data for rate calculation
+   * @param {String} userId - Seller, to pick their rate card (optional)
+   * @param {Object} options - includeCost: add carrier cost / margin (internal use only)
+   * @returns {Object} Rate information
+   */
+  async calculateRate(orderData, userId = null, { includeCost = false } = {}) {
+    const {
+      deliveryPartner,
+      pickupDetails,
+      deliveryDetails,
+      packageDetails,
+      packages = [],
+      paymentType = 'prepaid',
+      codAmount = null
+    } = orderData;
+
+    if (!Object.values(DELIVERY_PARTNERS).includes(deliveryPartner)) {
+      throw new AppError('Invalid delivery partner', 400);
+    }
+
+    const rateData = thirdPartyAPIService.applyChargeableWeight(
+      deliveryPartner,
+      this.buildRateData({ pickupDetails, deliveryDetails, packageDetails, packages, paymentType, codAmount })
+    );
+
+    let rateResponse;
+    try {
+      rateResponse = await thirdPartyAPIService.calculateRate(deliveryPartner, rateData);
     } catch (error) {
       console.error('[OrderService.calculateRate] carrier failed', {
         partner: deliveryPartner,
@@ -86,26 +158,106 @@ class OrderService {
         503
       );
     }
+
+    const baseRate = rateResponse.baseRate || rateResponse.rate || rateResponse.amount || 0;
+    const additionalCharges = rateResponse.additionalCharges || 0;
+    const gst = rateResponse.gst || 0;
+    const dph = rateResponse.dph || 0;
+    const carrierTotal =
+      rateResponse.totalAmount != null
+        ? rateResponse.totalAmount
+        : baseRate + additionalCharges + gst + dph;
+    const courierOptions = rateResponse.courierOptions || [];
+
+    const [price, ...optionPrices] = await pricingService.priceForUser(userId, rateData, [
+      { carrierCost: carrierTotal, carrierCodCharges: rateResponse.codCharges || 0 },
+      ...courierOptions.map((c) => ({ carrierCost: c.totalCharges, carrierCodCharges: c.codCharges || 0 }))
+    ]);
+    const withCard = !!price.rateCard;
+
+    return {
+      // Without a rate card the carrier breakdown is shown as is
+      baseRate: withCard ? price.baseRate : baseRate,
+      additionalCharges: withCard ? price.fuelSurcharge + price.codCharges : additionalCharges,
+      gst: withCard ? 0 : gst,
+      dph: withCard ? 0 : dph,
+      fuelSurcharge: price.fuelSurcharge,
+      codCharges: price.codCharges,
+      totalAmount: price.totalAmount,
+      currency: rateResponse.currency || 'INR',
+      zone: price.zone,
+      partner: deliveryPartner,
+      estimatedDelivery: rateResponse.estimatedDelivery || null,
+      serviceType: rateResponse.serviceType || 'standard',
+      pieces: rateData.pieces,
+      deadWeight: rateData.deadWeight,
+      chargeableWeight: rateData.weight,
+      courierOptions: courierOptions.map((c, i) => ({
+        ...c,
+        ...(withCard && {
+          freightCharges: optionPrices[i].baseRate + optionPrices[i].fuelSurcharge,
+          codCharges: optionPrices[i].codCharges,
+          totalCharges: optionPrices[i].totalAmount
+        }),
+        ...(includeCost && { cost: optionPrices[i] })
+      })),
+      courierId: rateResponse.courierId,
+      courierName: rateResponse.courierName,
+      metadata: rateResponse.metadata || {},
+      ...(includeCost && { cost: price })
+    };
+  }
+
+  /**
+   * Seller quote (with cost) for an order as createOrder prices it
+   * @param {String} userId - User ID
+   * @param {Object} orderData - Order data (as passed to createOrder)
+   * @returns {Object} Rate information (see calculateRate)
+   */
+  async quoteOrder(userId, orderData) {
+    const { deliveryPartner, pickupDetails, deliveryDetails, paymentType = 'prepaid', codAmount = null } = orderData;
+    const { packageDetails, packages } = this.resolvePackages(orderData.packageDetails, orderData.packages);
+    const collectable = paymentType === 'cod' ? this.getCodAmount({ packageDetails, codAmount }) : 0;
+
+    return this.calculateRate(
+      { deliveryPartner, pickupDetails, deliveryDetails, packageDetails, packages, paymentType, codAmount: collectable },
+      userId,
+      { includeCost: true }
+    );
   }
 
   /**
    * Create delivery order
    * @param {String} userId - User ID
    * @param {Object} orderData - Order data
+   * @param {Object} options - metadata: extra fields stored on order.metadata;
+   *   orderId / reverse: set by createReturnOrder; rate: quoteOrder() result
+   *   for this orderData, when the caller already has it
    * @returns {Object} Created order
    */
-  async createOrder(userId, orderData) {
+  async createOrder(userId, orderData, options = {}) {
     const {
       pickupDetails,
       deliveryDetails,
-      packageDetails,
       deliveryPartner,
       orderType = 'domestic',
       nimbusCourierId,
       paymentType = 'prepaid',
+      codAmount = null,
       products = []
     } = orderData;
 
+    const { packageDetails, packages } = this.resolvePackages(orderData.packageDetails, orderData.packages);
+    const isCod = paymentType === 'cod';
+    const collectable = isCod ? this.getCodAmount({ packageDetails, codAmount }) : 0;
+
+    if (isCod && orderType !== 'domestic') {
+      throw new AppError('Cash on delivery is only available for domestic orders', 400);
+    }
+    if (isCod && !(collectable > 0)) {
+      throw new AppError('COD amount is required for cash on delivery orders', 400);
+    }
+
     if (
       orderType === 'domestic' &&
       deliveryPartner === DELIVERY_PARTNERS.NIMBUSPOST &&
@@ -125,29 +277,8 @@ class OrderService {
       deliveryPartner === DELIVERY_PARTNERS.NIMBUSPOST &&
       nimbusCourierId
     ) {
-      const rateData = {
-        from: {
-          pincode: pickupDetails.pincode,
-          city: pickupDetails.city,
-          state: pickupDetails.state
-        },
-        to: {
-          pincode: deliveryDetails.pincode,
-          city: deliveryDetails.city,
-          state: deliveryDetails.state
-        },
-        weight: packageDetails.weight,
-        dimensions: packageDetails.dimensions,
-        declaredValue: packageDetails.declaredValue || 0,
-        paymentType
-      };
-
-      const fullRate = await thirdPartyAPIService.calculateRate(
-        DELIVERY_PARTNERS.NIMBUSPOST,
-        rateData
-      );
-      const options = fullRate.courierOptions || [];
-      const selected = options.find((c) => String(c.id) === String(nimbusCourierId));
+      const fullRate = options.rate || await this.quoteOrder(userId, orderData);
+      const selected = fullRate.courierOptions.find((c) => String(c.id) === String(nimbusCourierId));
 
       if (!selected) {
         throw new AppError(
@@ -162,9 +293,12 @@ class OrderService {
         totalAmount: selected.totalCharges,
         currency: 'INR',
         gst: 0,
-        dph: 0
+        dph: 0,
+        cost: selected.cost
       };
 
+      pricing.chargeableWeight = fullRate.chargeableWeight;
+
       nimbusMeta = {
         nimbusCourierId: String(selected.id),
         courierName: selected.name,
@@ -173,20 +307,25 @@ class OrderService {
         minWeight: selected.minWeight
       };
     } else {
-      pricing = await this.calculateRate({
-        deliveryPartner,
-        pickupDetails,
-        deliveryDetails,
-        packageDetails,
-        paymentType
-      });
+      pricing = options.rate || await this.quoteOrder(userId, orderData);
     }
 
-    // Check wallet balance
+    // COD fee is netted from the seller's COD remittance, not charged up front
+    const walletCharge = isCod
+      ? Math.round((pricing.totalAmount - (pricing.cost.codCharges || 0)) * 100) / 100
+      : pricing.totalAmount;
+
+    // Check wallet balance (postpaid accounts can use their unused credit)
     const walletBalance = await walletService.getBalance(userId);
-    if (walletBalance.balance < pricing.totalAmount) {
+    if (walletBalance.availableBalance < walletCharge) {
+      if (walletBalance.creditBlocked) {
+        throw new AppError(
+          'Your credit account is on hold for overdue dues. Pay the outstanding amount to continue shipping.',
+          403
+        );
+      }
       throw new AppError(
-        `Insufficient wallet balance. Required: ₹${pricing.totalAmount}, Available: ₹${walletBalance.balance}`,
+        `Insufficient wallet balance. Required: ₹${walletCharge}, Available: ₹${walletBalance.availableBalance}`,
         400
       );
     }
@@ -199,121 +338,432 @@ class OrderService {
     const orderNumber = `ORD${timestamp}${randomSuffix}${sequential}`;
 
     const order = await Order.create({
+      _id: options.orderId,
       user: userId,
       orderNumber: orderNumber,
       orderType,
+      ...(options.reverse && {
+        direction: ORDER_DIRECTIONS.REVERSE,
+        returnOf: options.reverse.returnOf,
+        returnDetails: {
+          reason: options.reverse.reason || '',
+          warehouse: options.reverse.warehouse
+        }
+      }),
       pickupDetails,
       deliveryDetails,
-      packageDetails,
+      // Billed on the carrier's chargeable weight; carrier re-weighs are checked against it
+      packageDetails: { ...packageDetails, chargeableWeight: pricing.chargeableWeight },
+      packages,
       deliveryPartner,
       pricing: {
         baseRate: pricing.baseRate,
         additionalCharges: pricing.additionalCharges,
         totalAmount: pricing.totalAmount,
-        currency: pricing.currency
+        currency: pricing.currency,
+        carrierCost: pricing.cost.carrierCost,
+        markup: pricing.cost.markup,
+        fuelSurcharge: pricing.cost.fuelSurcharge,
+        codCharges: pricing.cost.codCharges,
+        margin: pricing.cost.margin,
+        zone: pricing.cost.zone,
+        rateCard: pricing.cost.rateCard,
+        rateCardName: pricing.cost.rateCardName
       },
       products: products,
       status: ORDER_STATUS.PENDING,
       payment: {
         status: 'pending',
-        method: 'wallet'
+        method: 'wallet',
+        amount: walletCharge
       },
-      metadata: Object.keys(nimbusMeta).length ? nimbusMeta : {}
+      cod: isCod ? { amount: collectable, status: COD_STATUS.PENDING } : undefined,
+      metadata: { ...nimbusMeta, paymentType, ...(options.metadata || {}) }
     });
 
-    // Deduct amount from wallet
+    // Hold the amount; the booking captures it at the final price (see _captureOrderPayment)
+    let walletHold;
     try {
-      const walletTransaction = await walletService.deductMoney(
-        userId,
-        pricing.totalAmount,
-        `Payment for ${orderType} order ${order.orderNumber}`,
-        order._id,
-        null,
-        {
+      walletHold = await walletService.placeHold(userId, walletCharge, {
+        description: `Payment for ${orderType} order ${order.orderNumber}`,
+        orderId: order._id,
+        idempotencyKey: `order_hold:${order._id}`,
+        metadata: {
           orderNumber: order.orderNumber,
           deliveryPartner: deliveryPartner,
           orderType: orderType
         }
-      );
+      });
 
-      // Update order payment status
-      order.payment.status = 'completed';
-      order.payment.paidAt = new Date();
-      order.payment.transactionId = walletTransaction.transaction._id?.toString();
+      order.payment.status = 'held';
+      order.payment.hold = walletHold.hold._id;
       await order.save();
+    } catch (error) {
+      // If the hold fails, cancel order (giving back a hold placed before the save failed)
+      if (walletHold) {
+        await walletService.releaseHold(walletHold.hold._id, 'Order could not be saved');
+      }
+      await Order.findByIdAndDelete(order._id);
+      throw error;
+    }
+
+    await orderStatusService.recordTransition(order, null, ORDER_STATUS.PENDING, {
+      source: 'seller',
+      actor: userId,
+      message: 'Order created'
+    });
+    await sellerWebhookService.emitOrderCreated(order);
 
-      // Create shipment with third-party (async, don't wait)
-      this._createShipmentWithPartner(order).catch(err => {
-        console.error('Error creating shipment with partner:', err);
+    // Book with the carrier through the durable queue (retries + dead-letter).
+    // Orders that fail to enqueue are swept up by the worker's orphan check.
+    try {
+      await bookingQueueService.enqueue(order);
+    } catch (err) {
+      console.error('[OrderService.createOrder] failed to enqueue booking', {
+        orderNumber: order.orderNumber,
+        message: err.message
       });
+    }
 
-      return {
-        order: {
-          id: order._id,
-          orderNumber: order.orderNumber,
-          status: order.status,
-          pricing: order.pricing,
-          payment: order.payment,
-          createdAt: order.createdAt,
-          orderType: order.orderType
-        },
-        wallet: {
-          balance: walletTransaction.wallet.balance
-        }
-      };
+    return {
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        direction: order.direction,
+        returnOf: order.returnOf,
+        pricing: order.pricing,
+        payment: order.payment,
+        pieces: order.packageDetails.pieces,
+        cod: isCod ? order.cod : null,
+        createdAt: order.createdAt,
+        orderType: order.orderType
+      },
+      wallet: {
+        balance: walletHold.wallet.balance,
+        heldBalance: walletHold.wallet.heldBalance,
+        availableBalance: walletHold.wallet.availableBalance
+      }
+    };
+  }
+
+  /**
+   * Charge a booked order: capture its wallet hold at the final price.
+   * No-op for orders already paid (or debited up front before holds existed).
+   * @param {Object} order - Order document (with awb)
+   * @param {Object} shipment - Carrier booking result (optional charges)
+   */
+  async _captureOrderPayment(order, shipment = null) {
+    if (order.payment.status !== 'held') {
+      return;
+    }
+
+    const amount = await this._finalCharge(order, shipment);
+    const description = `Payment for ${order.orderType} order ${order.orderNumber}`;
+    const metadata = {
+      orderNumber: order.orderNumber,
+      deliveryPartner: order.deliveryPartner,
+      orderType: order.orderType
+    };
+    const options = {
+      category: TRANSACTION_CATEGORIES.ORDER_PAYMENT,
+      idempotencyKey: `order_payment:${order._id}`
+    };
+
+    let walletTransaction;
+    try {
+      walletTransaction = await walletService.captureHold(order.payment.hold, amount, {
+        ...options,
+        description,
+        awb: order.awb,
+        metadata
+      });
     } catch (error) {
-      // If wallet deduction fails, cancel order
-      await Order.findByIdAndDelete(order._id);
-      throw error;
+      if (error.statusCode !== 409) throw error;
+      // Hold expired or released while the carrier was booking: the shipment
+      // exists, so charge it directly
+      walletTransaction = await walletService.deductMoney(
+        order.user,
+        amount,
+        description,
+        order._id,
+        order.awb,
+        metadata,
+        { ...options, allowOverdraft: true }
+      );
+    }
+
+    await Order.updateOne(
+      { _id: order._id, 'payment.status': 'held' },
+      {
+        $set: {
+          'payment.status': 'completed',
+          'payment.amount': walletTransaction.transaction.amount,
+          'payment.paidAt': new Date(),
+          'payment.transactionId': walletTransaction.transaction._id.toString()
+        }
+      }
+    );
+    order.payment.status = 'completed';
+    order.payment.amount = walletTransaction.transaction.amount;
+  }
+
+  /**
+   * What the seller pays once booked: the held amount, or a re-quote when the
+   * carrier reports different charges for the booking. A re-quote above the
+   * hold is not passed on (the hold is what the seller agreed to).
+   */
+  async _finalCharge(order, shipment) {
+    const held = order.payment.amount;
+    const carrierCost = shipment ? Number(shipment.charges) : NaN;
+    if (!(carrierCost > 0) || roundMoney(carrierCost) === order.pricing.carrierCost) {
+      return held;
+    }
+
+    const isCod = order.metadata?.paymentType === 'cod';
+    const card = order.pricing.rateCard ? await RateCard.findById(order.pricing.rateCard) : null;
+    const quote = pricingService.priceQuote({
+      card,
+      zone: order.pricing.zone,
+      weight: order.packageDetails.chargeableWeight,
+      paymentType: isCod ? 'cod' : 'prepaid',
+      declaredValue: order.cod?.amount || 0,
+      carrierCost,
+      carrierCodCharges: Number(shipment.codCharges) || 0
+    });
+    // COD fee is netted from the seller's COD remittance, not charged up front
+    const charge = isCod ? roundMoney(quote.totalAmount - quote.codCharges) : quote.totalAmount;
+
+    if (charge > held) {
+      console.warn('[OrderService] carrier re-priced booking above the hold, charging the held amount', {
+        orderNumber: order.orderNumber,
+        held,
+        repriced: charge
+      });
+      return held;
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'pricing.baseRate': quote.baseRate,
+          'pricing.totalAmount': quote.totalAmount,
+          'pricing.carrierCost': quote.carrierCost,
+          'pricing.markup': quote.markup,
+          'pricing.fuelSurcharge': quote.fuelSurcharge,
+          'pricing.codCharges': quote.codCharges,
+          'pricing.margin': quote.margin
+        }
+      }
+    );
+    return charge;
+  }
+
+  /**
+   * Give back the wallet hold of an order that will not ship
+   * @param {Object} order - Order document
+   * @param {String} reason - Release reason
+   * @param {String} status - Hold status to record (released, or expired by the sweep)
+   */
+  async releaseOrderHold(order, reason, status) {
+    if (order.payment?.status !== 'held' || !order.payment.hold) {
+      return;
     }
+
+    await walletService.releaseHold(order.payment.hold, reason, status);
+    await Order.updateOne(
+      { _id: order._id, 'payment.status': 'held' },
+      { $set: { 'payment.status': 'released' } }
+    );
   }
 
   /**
    * Create shipment with delivery partner (private method)
+   * Called by the booking queue worker — throws on carrier failure so the
+   * queue can retry / dead-letter the booking.
    * @param {Object} order - Order document
    */
   async _createShipmentWithPartner(order) {
-    try {
-      const shipmentData = {
-        pickup: order.pickupDetails,
-        delivery: order.deliveryDetails,
-        package: order.packageDetails,
-        orderId: order.orderNumber,
-        orderType: order.orderType,
-        courierId: order.metadata?.nimbusCourierId,
-        shippingCharges: Math.round(order.pricing.baseRate || 0),
-        codCharges: Math.round(order.pricing.additionalCharges || 0),
-        discount: 0,
-        paymentType: order.metadata?.paymentType || 'prepaid',
-        products: order.products || [],
-        paymentType: order.metadata?.paymentType || 'prepaid'
-      };
+    const { packageDetails, packages = [] } = order.toObject();
+    const shipmentData = {
+      pickup: order.pickupDetails,
+      delivery: order.deliveryDetails,
+      // Multi-piece: providers send every box (package.packages)
+      package: packages.length > 1 ? { ...packageDetails, packages } : packageDetails,
+      orderId: order.orderNumber,
+      orderType: order.orderType,
+      courierId: order.metadata?.nimbusCourierId,
+      shippingCharges: Math.round(order.pricing.baseRate || 0),
+      codCharges: Math.round(order.pricing.additionalCharges || 0),
+      discount: 0,
+      products: order.products || [],
+      paymentType: order.metadata?.paymentType || 'prepaid',
+      codAmount: order.cod?.amount || 0
+    };
 
-      const shipment = await thirdPartyAPIService.createShipment(
+    let shipment;
+    if (order.direction === ORDER_DIRECTIONS.REVERSE) {
+      const original = await Order.findById(order.returnOf).select('awb');
+      shipment = await thirdPartyAPIService.createReverseShipment(order.deliveryPartner, {
+        ...shipmentData,
+        returnOfAwb: original?.awb || null,
+        reason: order.returnDetails?.reason || ''
+      });
+    } else {
+      shipment = await thirdPartyAPIService.createShipment(
         order.deliveryPartner,
         shipmentData
       );
+    }
 
-      order.awb = shipment.awb || shipment.trackingNumber;
-      order.trackingUrl = shipment.trackingUrl;
-      order.status = ORDER_STATUS.CONFIRMED;
-      order.metadata = {
-        ...order.metadata,
-        nimbusOrderId: shipment.orderId,
-        nimbusShipmentId: shipment.shipmentId,
-        nimbusCourierName: shipment.courierName,
-        labelUrl: shipment.labelUrl
-      };
-      await order.save();
+    order.awb = shipment.awb || shipment.trackingNumber;
+    order.trackingUrl = shipment.trackingUrl;
+    (order.packages || []).forEach((pkg, index) => {
+      const child = shipment.pieces?.[index];
+      pkg.awb = child?.awb || null;
+      pkg.labelUrl = child?.labelUrl || null;
+    });
+    order.metadata = {
+      ...order.metadata,
+      nimbusOrderId: shipment.orderId,
+      nimbusShipmentId: shipment.shipmentId,
+      nimbusCourierName: shipment.courierName,
+      labelUrl: shipment.labelUrl
+    };
+    // Quarantined rather than thrown: the carrier has booked it either way
+    await orderStatusService.transition(order, ORDER_STATUS.CONFIRMED, {
+      source: 'booking',
+      message: `Booked with ${order.deliveryPartner}`,
+      quarantine: true
+    });
+
+    return shipment;
+  }
+
+  /**
+   * Create a reverse pickup (return) for a delivered order.
+   * Pickup is the original consignee, delivery is one of the seller's warehouses;
+   * priced and charged like any other order and booked through the queue.
+   * @param {String} userId - User ID
+   * @param {String} orderId - Original (forward) order ID or order number
+   * @param {Object} returnData - warehouseId, reason, packageDetails, nimbusCourierId
+   * @returns {Object} Created return order
+   */
+  async createReturnOrder(userId, orderId, returnData = {}) {
+    const original = await this.getOrderById(orderId, userId);
+
+    if (original.direction === ORDER_DIRECTIONS.REVERSE) {
+      throw new AppError('A return order cannot be returned again', 400);
+    }
+    if (original.status !== ORDER_STATUS.DELIVERED) {
+      throw new AppError('Only delivered orders can be returned', 400);
+    }
+    if (original.orderType !== 'domestic') {
+      throw new AppError('Returns are only available for domestic orders', 400);
+    }
+    if (original.returnOrder) {
+      throw new AppError('A return has already been created for this order', 409);
+    }
+    if (!thirdPartyAPIService.supportsReverseShipment(original.deliveryPartner)) {
+      throw new AppError(`Reverse pickup is not available with ${original.deliveryPartner}`, 400);
+    }
+
+    const warehouse = returnData.warehouseId
+      ? await Warehouse.findOne({ _id: returnData.warehouseId, user: userId })
+      : await Warehouse.findOne({ user: userId }).sort({ isDefault: -1, createdAt: 1 });
+    if (!warehouse) {
+      throw new AppError(
+        returnData.warehouseId ? 'Warehouse not found' : 'Add a warehouse to receive returns',
+        returnData.warehouseId ? 404 : 400
+      );
+    }
 
-      return shipment;
+    const customer = original.deliveryDetails;
+    const orderData = {
+      deliveryPartner: original.deliveryPartner,
+      orderType: 'domestic',
+      paymentType: 'prepaid',
+      pickupDetails: {
+        name: customer.name,
+        phone: customer.phone,
+        email: customer.email,
+        address: customer.address,
+        addressLine2: customer.addressLine2,
+        pincode: customer.pincode,
+        city: customer.city,
+        state: customer.state,
+        country: customer.country
+      },
+      deliveryDetails: {
+        name: warehouse.name,
+        contactPerson: warehouse.contactPerson,
+        phone: warehouse.phone,
+        email: warehouse.email || '',
+        address: warehouse.addressLine1,
+        addressLine2: warehouse.addressLine2,
+        pincode: warehouse.pincode,
+        city: warehouse.city,
+        state: warehouse.state
+      },
+      packageDetails: {
+        weight: original.packageDetails.weight,
+        dimensions: original.packageDetails.dimensions,
+        description: original.packageDetails.description,
+        declaredValue: original.packageDetails.declaredValue,
+        ...(returnData.packageDetails || {})
+      },
+      nimbusCourierId: returnData.nimbusCourierId,
+      products: original.products
+    };
+
+    // No courier picked: book the cheapest option
+    if (orderData.deliveryPartner === DELIVERY_PARTNERS.NIMBUSPOST && !orderData.nimbusCourierId) {
+      const rate = await this.calculateRate(orderData, userId);
+      if (!rate.courierId) {
+        throw new AppError('No courier offers reverse pickup for this pincode pair', 400);
+      }
+      orderData.nimbusCourierId = String(rate.courierId);
+    }
+
+    // Claim the original first so two requests cannot create two returns
+    const returnOrderId = new mongoose.Types.ObjectId();
+    const claimed = await Order.findOneAndUpdate(
+      { _id: original._id, returnOrder: null },
+      { $set: { returnOrder: returnOrderId } }
+    );
+    if (!claimed) {
+      throw new AppError('A return has already been created for this order', 409);
+    }
+
+    try {
+      return await this.createOrder(userId, orderData, {
+        orderId: returnOrderId,
+        reverse: {
+          returnOf: original._id,
+          reason: returnData.reason,
+          warehouse: warehouse._id
+        },
+        metadata: { returnOfOrderNumber: original.orderNumber }
+      });
     } catch (error) {
-      console.error('Error creating shipment:', error);
-      // Don't throw - order is already created and paid
-      // Status will remain PENDING
+      await this.releaseReturnClaim({ _id: returnOrderId, returnOf: original._id });
+      throw error;
     }
   }
 
+  /**
+   * Let the original order be returned again once its return is cancelled
+   * @param {Object} returnOrder - Reverse order (_id, returnOf)
+   */
+  async releaseReturnClaim(returnOrder) {
+    if (!returnOrder.returnOf) return;
+    await Order.updateOne(
+      { _id: returnOrder.returnOf, returnOrder: returnOrder._id },
+      { $set: { returnOrder: null } }
+    );
+  }
+
   /**
    * Get order by ID or order number
    * @param {String} orderId - Order ID or order number
@@ -368,11 +818,16 @@ class OrderService {
       query.orderType = filters.orderType;
     }
 
-    // Search by order number or AWB
+    if (filters.direction) {
+      query.direction = filters.direction;
+    }
+
+    // Search by order number or AWB (master or child)
     if (filters.search) {
       query.$or = [
         { orderNumber: { $regex: filters.search, $options: 'i' } },
-        { awb: { $regex: filters.search, $options: 'i' } }
+        { awb: { $regex: filters.search, $options: 'i' } },
+        { 'packages.awb': { $regex: filters.search, $options: 'i' } }
       ];
     }
 
@@ -429,6 +884,7 @@ class OrderService {
 
   /**
    * Cancel shipment on Nimbus (POST /v1/shipments/cancel) using order AWB.
+   * Orders cancelled before pickup are refunded to the wallet.
    */
   async cancelNimbusShipmentForOrder(orderId, userId) {
     const order = await this.getOrderById(orderId, userId);
@@ -441,10 +897,32 @@ class OrderService {
         400
       );
     }
+    if (!orderStatusService.canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+      throw new AppError(`A ${order.status} order cannot be cancelled`, 409);
+    }
     const result = await thirdPartyAPIService.nimbusCancelShipment(order.awb);
-    order.status = ORDER_STATUS.CANCELLED;
-    await order.save();
-    return result;
+    const previousStatus = order.status;
+    await orderStatusService.transition(order, ORDER_STATUS.CANCELLED, {
+      source: 'seller',
+      actor: userId,
+      message: 'Shipment cancelled by seller'
+    });
+    await this.releaseReturnClaim(order);
+
+    let refund = null;
+    // Not captured yet: nothing was charged, just give the hold back
+    await this.releaseOrderHold(order, 'Shipment cancelled before pickup');
+    if (
+      [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(previousStatus) &&
+      order.payment.status === 'completed'
+    ) {
+      refund = await refundService.refundOrder(order._id, {
+        reason: REFUND_REASONS.CANCELLED_BEFORE_PICKUP,
+        note: 'Shipment cancelled before pickup'
+      });
+    }
+
+    return { ...result, refund };
   }
 
   async trackOrder(orderId, userId) {
@@ -465,18 +943,17 @@ class OrderService {
         order.awb
       );
 
-      // Update order status based on tracking
-      if (tracking.status) {
-        order.status = tracking.status;
-        await order.save();
-      }
+      await this.applyTracking(order, tracking);
+
+      const pieces = order.packages?.length > 1 ? await this._trackPieces(order) : undefined;
 
       return {
         orderNumber: order.orderNumber,
         awb: order.awb,
         status: order.status,
         tracking: tracking,
-        trackingUrl: order.trackingUrl
+        trackingUrl: order.trackingUrl,
+        ...(pieces && { pieces })
       };
     } catch (error) {
       return {
@@ -489,11 +966,181 @@ class OrderService {
     }
   }
 
+  /**
+   * Apply a trackShipment() result to the order: status through the state
+   * machine (polls repeat it, so only changes are recorded) and NDR attempts
+   * @param {Object} order - Order document
+   * @param {Object} tracking - Provider tracking result
+   * @param {String} source - 'tracking' (seller request) or 'tracking_sync' (background poll)
+   * @returns {Object|null} Status history entry, null if the status did not change
+   */
+  async applyTracking(order, tracking, source = 'tracking') {
+    const rawStatus = tracking.metadata?.rawStatus || tracking.status;
+
+    let change = null;
+    if (Object.values(ORDER_STATUS).includes(tracking.status)) {
+      change = await orderStatusService.transition(order, tracking.status, {
+        source,
+        rawStatus,
+        location: tracking.currentLocation,
+        eventTime: tracking.lastUpdate,
+        quarantine: true,
+        recordUnchanged: false
+      });
+    }
+
+    if (change?.result !== STATUS_CHANGE_RESULTS.QUARANTINED) {
+      await ndrService.handleShipmentEvent(order, {
+        rawStatus,
+        location: tracking.currentLocation,
+        eventTime: tracking.lastUpdate,
+        source
+      });
+    }
+
+    return change;
+  }
+
+  /**
+   * Status timeline of an order (every update received, including quarantined ones)
+   * @param {String} orderId - Order ID or order number
+   * @param {String} userId - User ID
+   * @returns {Object} { orderNumber, status, timeline }
+   */
+  async getOrderTimeline(orderId, userId) {
+    const order = await this.getOrderById(orderId, userId);
+    return {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      timeline: await orderStatusService.getTimeline(order)
+    };
+  }
+
+  /**
+   * Track every piece of a multi-piece shipment by its child AWB
+   * (a failed piece keeps its last known status)
+   * @param {Object} order - Order document
+   * @param {Array} pieceNumbers - Only these pieces (default: all)
+   * @returns {Array} [{ pieceNumber, awb, status, labelUrl, tracking, error }]
+   */
+  async _trackPieces(order, pieceNumbers = null) {
+    const pieces = order.packages.filter((pkg) =>
+      pkg.awb && (!pieceNumbers || pieceNumbers.includes(pkg.pieceNumber))
+    );
+
+    const results = await Promise.allSettled(
+      pieces.map((pkg) => thirdPartyAPIService.trackShipment(order.deliveryPartner, pkg.awb))
+    );
+
+    const tracked = pieces.map((pkg, index) => {
+      const result = results[index];
+      if (result.status === 'fulfilled' && result.value?.status) {
+        pkg.status = result.value.status;
+        pkg.lastTrackedAt = new Date();
+      }
+      return {
+        pieceNumber: pkg.pieceNumber,
+        awb: pkg.awb,
+        status: pkg.status,
+        labelUrl: pkg.labelUrl,
+        tracking: result.status === 'fulfilled' ? result.value : null,
+        error: result.status === 'rejected' ? result.reason?.message : undefined
+      };
+    });
+
+    if (results.some((r) => r.status === 'fulfilled')) {
+      await order.save();
+    }
+
+    return tracked;
+  }
+
+  /**
+   * Find one piece of a multi-piece order
+   * @param {Object} order - Order document
+   * @param {Number|String} pieceNumber - 1-based box number
+   * @returns {Object} Package subdocument
+   */
+  _getPiece(order, pieceNumber) {
+    const piece = (order.packages || []).find((pkg) => pkg.pieceNumber === Number(pieceNumber));
+    if (!piece) {
+      throw new AppError('Package not found on this order', 404);
+    }
+    return piece;
+  }
+
+  /**
+   * Pieces of a multi-piece order with their child AWBs and labels
+   * @param {String} orderId - Order ID or order number
+   * @param {String} userId - User ID
+   * @returns {Object} Master AWB and pieces
+   */
+  async getOrderPackages(orderId, userId) {
+    const order = await this.getOrderById(orderId, userId);
+
+    return {
+      orderNumber: order.orderNumber,
+      masterAwb: order.awb,
+      pieces: order.packageDetails.pieces || 1,
+      chargeableWeight: order.packageDetails.chargeableWeight,
+      packages: order.packages
+    };
+  }
+
+  /**
+   * Track one piece of a multi-piece order by its child AWB
+   * @param {String} orderId - Order ID or order number
+   * @param {String} userId - User ID
+   * @param {Number} pieceNumber - 1-based box number
+   * @returns {Object} Piece tracking
+   */
+  async trackOrderPackage(orderId, userId, pieceNumber) {
+    const order = await this.getOrderById(orderId, userId);
+    const piece = this._getPiece(order, pieceNumber);
+
+    if (!piece.awb) {
+      throw new AppError('This package does not have an AWB yet', 400);
+    }
+
+    const [tracked] = await this._trackPieces(order, [piece.pieceNumber]);
+    return { orderNumber: order.orderNumber, masterAwb: order.awb, ...tracked };
+  }
+
+  /**
+   * Label of one piece (carrier label URL for the child AWB)
+   * @param {String} orderId - Order ID or order number
+   * @param {String} userId - User ID
+   * @param {Number} pieceNumber - 1-based box number
+   * @returns {Object} { pieceNumber, awb, labelUrl }
+   */
+  async getOrderPackageLabel(orderId, userId, pieceNumber) {
+    const order = await this.getOrderById(orderId, userId);
+    const piece = this._getPiece(order, pieceNumber);
+
+    if (!piece.labelUrl) {
+      throw new AppError(
+        piece.awb
+          ? 'The carrier did not return a separate label for this package; download the shipment label instead'
+          : 'This package is not booked yet',
+        404
+      );
+    }
+
+    return {
+      orderNumber: order.orderNumber,
+      pieceNumber: piece.pieceNumber,
+      awb: piece.awb,
+      labelUrl: piece.labelUrl
+    };
+  }
+
   /**
    * Apply NimbusPost webhook payload (flexible field names).
    * Finds order by AWB, metadata.nimbusShipmentId, or metadata.nimbusOrderId.
+   * @param {Object} payload - Webhook body
+   * @param {Object} options - signatureVerified: HMAC checked (carrier weights are only trusted then)
    */
-  async updateOrderFromNimbusWebhook(payload) {
+  async updateOrderFromNimbusWebhook(payload, { signatureVerified = false } = {}) {
     if (!payload || typeof payload !== 'object') {
       throw new AppError('Invalid webhook body', 400);
     }
@@ -506,6 +1153,14 @@ class OrderService {
     let order = null;
     if (awbVal) {
       order = await Order.findOne({ awb: String(awbVal) });
+
+      // Child AWB of a multi-piece shipment: only that piece changes
+      if (!order) {
+        const parent = await Order.findOne({ 'packages.awb': String(awbVal) });
+        if (parent) {
+          return this._updatePieceFromNimbusWebhook(parent, String(awbVal), payload);
+        }
+      }
     }
     if (!order && shipmentId != null) {
       const sid = shipmentId;
@@ -548,10 +1203,6 @@ class OrderService {
       }
     }
 
-    const previousStatus = order.status;
-    if (mapped) {
-      order.status = mapped;
-    }
     if (awbVal && !order.awb) {
       order.awb = String(awbVal);
     }
@@ -578,31 +1229,63 @@ class OrderService {
 
     order.metadata = {
       ...order.metadata,
-      ...webhookMeta,
-      statusHistory: [
-        ...(order.metadata?.statusHistory || []),
-        mapped
-          ? {
-              status: mapped,
-              previousStatus,
-              source: 'nimbuspost_webhook',
-              at: new Date(),
-              nimbusStatus: rawStr,
-              location: payload.location,
-              message: payload.message
-            }
-          : {
-              previousStatus,
-              source: 'nimbuspost_webhook',
-              at: new Date(),
-              nimbusStatus: rawStr || '(empty)',
-              location: payload.location,
-              message: payload.message,
-              note: 'status unchanged — empty or unmapped from Nimbus'
-            }
-      ]
+      ...webhookMeta
     };
 
+    // No status in the payload: recorded as unchanged
+    const change = await orderStatusService.transition(order, mapped || order.status, {
+      source: 'nimbuspost_webhook',
+      rawStatus: rawStr || null,
+      location: payload.location,
+      message: payload.message,
+      eventTime: payload.event_time,
+      quarantine: true
+    });
+
+    if (change.result !== STATUS_CHANGE_RESULTS.QUARANTINED) {
+      await ndrService.handleShipmentEvent(order, {
+        rawStatus: rawStr,
+        reason: payload.ndr_reason ?? payload.reason ?? payload.message,
+        location: payload.location,
+        eventTime: payload.event_time,
+        attempt: payload.attempt ?? payload.attempts ?? payload.ndr_attempt,
+        source: 'nimbuspost_webhook'
+      });
+    }
+
+    // Carrier re-weigh (Nimbus reports grams). It can debit the seller's
+    // wallet, so an unsigned body is never allowed to set it.
+    const carrierWeightGrams = Number(payload.chargeable_weight);
+    if (carrierWeightGrams > 0 && !signatureVerified) {
+      console.warn('[NimbusWebhook] ignoring chargeable_weight from unverified webhook', {
+        orderNumber: order.orderNumber,
+        chargeableWeight: payload.chargeable_weight
+      });
+    } else if (carrierWeightGrams > 0) {
+      await weightDiscrepancyService.handleCarrierWeight(order, {
+        weight: carrierWeightGrams / 1000,
+        dimensions: payload.length && payload.breadth && payload.height
+          ? { length: Number(payload.length), width: Number(payload.breadth), height: Number(payload.height) }
+          : null
+      });
+    }
+
+    return order;
+  }
+
+  async _updatePieceFromNimbusWebhook(order, awb, payload) {
+    const raw = payload.status ?? payload.order_status ?? payload.shipment_status ?? payload.current_status ?? '';
+    const rawStr = String(raw ?? '').trim();
+    const piece = order.packages.find((pkg) => pkg.awb === awb);
+
+    if (rawStr) {
+      piece.status = this._mapNimbusStatusToOrderStatus(rawStr.toLowerCase());
+    }
+    piece.lastTrackedAt = new Date();
+    if (payload.label) {
+      piece.labelUrl = payload.label;
+    }
+
     await order.save();
     return order;
   }
@@ -610,6 +1293,16 @@ class OrderService {
   _mapNimbusStatusToOrderStatus(s) {
     if (!s) return ORDER_STATUS.IN_TRANSIT;
     const t = s.trim();
+    // Before "transit" / "delivered": "rto in transit", "rto delivered"
+    if (t.includes('rto') || /return(ed)? to origin/.test(t)) {
+      if (t.includes('deliver') || t.startsWith('returned')) return ORDER_STATUS.RTO_DELIVERED;
+      if (t.includes('transit')) return ORDER_STATUS.RTO_IN_TRANSIT;
+      return ORDER_STATUS.RTO;
+    }
+    if (t.includes('lost')) return ORDER_STATUS.LOST;
+    if (t.includes('damage')) return ORDER_STATUS.DAMAGED;
+    // Before "delivered": "undelivered" / "not delivered" are failed attempts
+    if (ndrService.isNdrStatus(t)) return ORDER_STATUS.NDR;
     if (['booked', 'confirmed', 'processing', 'pending pickup'].includes(t)) {
       return ORDER_STATUS.CONFIRMED;
     }
@@ -621,7 +1314,6 @@ class OrderService {
     }
     if (t.includes('delivered')) return ORDER_STATUS.DELIVERED;
     if (t.includes('cancel')) return ORDER_STATUS.CANCELLED;
-    if (t.includes('rto')) return ORDER_STATUS.RTO;
     return ORDER_STATUS.IN_TRANSIT;
   }
 
@@ -631,7 +1323,7 @@ class OrderService {
    * @param {String} awb - AWB number (optional)
    * @param {String} status - New status
    * @param {Object} trackingData - Additional tracking data
-   * @param {String} partner - Delivery partner
+   * @param {String} partner - Delivery partner (the order must be shipped with it)
    * @returns {Object} Updated order
    */
   async updateOrderStatus(orderId, awb, status, trackingData = {}, partner = null) {
@@ -650,15 +1342,16 @@ class OrderService {
       throw new AppError('Order not found', 404);
     }
 
+    // A partner may only update its own shipments
+    if (partner && order.deliveryPartner !== partner) {
+      throw new AppError('Order was not shipped with this delivery partner', 403);
+    }
+
     // Validate status
     if (!Object.values(ORDER_STATUS).includes(status)) {
       throw new AppError('Invalid order status', 400);
     }
 
-    // Update order status
-    const previousStatus = order.status;
-    order.status = status;
-
     // Update AWB if provided
     if (awb && !order.awb) {
       order.awb = awb;
@@ -672,21 +1365,30 @@ class OrderService {
     // Store tracking data in metadata
     order.metadata = {
       ...order.metadata,
-      statusHistory: [
-        ...(order.metadata?.statusHistory || []),
-        {
-          status,
-          previousStatus,
-          updatedAt: new Date(),
-          source: partner || 'system',
-          trackingData
-        }
-      ],
       lastTrackingUpdate: new Date(),
       ...trackingData
     };
 
-    await order.save();
+    // Illegal moves reported by a carrier are quarantined for admin review
+    const change = await orderStatusService.transition(order, status, {
+      source: partner || 'system',
+      rawStatus: trackingData.rawStatus || status,
+      location: trackingData.location,
+      message: trackingData.message || trackingData.reason,
+      eventTime: trackingData.eventTime,
+      quarantine: true
+    });
+
+    if (change.result !== STATUS_CHANGE_RESULTS.QUARANTINED) {
+      await ndrService.handleShipmentEvent(order, {
+        rawStatus: trackingData.rawStatus || status,
+        reason: trackingData.reason,
+        location: trackingData.location,
+        eventTime: trackingData.eventTime,
+        attempt: trackingData.attempt,
+        source: partner || 'system'
+      });
+    }
 
     return order;
   }
@@ -0,0 +1,347 @@
+const Order = require('../models/Order.model');
+const OrderStatusHistory = require('../models/OrderStatusHistory.model');
+const { STATUS_CHANGE_RESULTS } = require('../models/OrderStatusHistory.model');
+const sellerWebhookService = require('./sellerWebhook.service');
+const ndrService = require('./ndr.service');
+const AppError = require('../utils/AppError');
+const { ORDER_STATUS } = require('../config/constants');
+
+// Carrier payloads are not trusted to send strings
+const text = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+const {
+  PENDING,
+  CONFIRMED,
+  PICKED_UP,
+  IN_TRANSIT,
+  OUT_FOR_DELIVERY,
+  NDR,
+  DELIVERED,
+  CANCELLED,
+  RTO,
+  RTO_IN_TRANSIT,
+  RTO_DELIVERED,
+  LOST,
+  DAMAGED
+} = ORDER_STATUS;
+
+// Once a shipment has left, it can still be delivered, turned back, lost or damaged
+const IN_FLIGHT_EXITS = [DELIVERED, RTO, RTO_IN_TRANSIT, LOST, DAMAGED];
+
+// Allowed moves: from -> [to]. Statuses missing here (delivered,
+// rto_delivered, cancelled, lost, damaged) are terminal.
+const TRANSITIONS = {
+  [PENDING]: [CONFIRMED, CANCELLED],
+  [CONFIRMED]: [PICKED_UP, IN_TRANSIT, OUT_FOR_DELIVERY, NDR, CANCELLED, ...IN_FLIGHT_EXITS],
+  [PICKED_UP]: [IN_TRANSIT, OUT_FOR_DELIVERY, NDR, ...IN_FLIGHT_EXITS],
+  // Re-attempts loop between these three
+  [IN_TRANSIT]: [OUT_FOR_DELIVERY, NDR, ...IN_FLIGHT_EXITS],
+  [OUT_FOR_DELIVERY]: [IN_TRANSIT, NDR, ...IN_FLIGHT_EXITS],
+  [NDR]: [IN_TRANSIT, OUT_FOR_DELIVERY, ...IN_FLIGHT_EXITS],
+  [RTO]: [RTO_IN_TRANSIT, RTO_DELIVERED, LOST, DAMAGED],
+  [RTO_IN_TRANSIT]: [RTO_DELIVERED, LOST, DAMAGED]
+};
+
+/**
+ * Order Status Service - The order status state machine and its timeline
+ *
+ * Every status update (carrier webhooks, partner webhooks, tracking polls,
+ * booking, cancellation) goes through transition(), which applies it only if
+ * TRANSITIONS allows the move and writes an OrderStatusHistory entry either
+ * way. Illegal moves reported by a carrier are quarantined (stored, not
+ * applied) for an admin to apply or dismiss; illegal moves requested by us
+ * or the seller are rejected with a 409.
+ */
+class OrderStatusService {
+  /**
+   * Whether an order may move between two statuses
+   * @param {String} fromStatus - Current status
+   * @param {String} toStatus - New status
+   * @returns {Boolean}
+   */
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Statuses from which an order may move to toStatus (for atomic updates
+   * that filter on the current status)
+   * @param {String} toStatus - New status
+   * @returns {Array} Statuses
+   */
+  allowedFrom(toStatus) {
+    return Object.keys(TRANSITIONS).filter((fromStatus) => TRANSITIONS[fromStatus].includes(toStatus));
+  }
+
+  /**
+   * Whether no further status change is allowed
+   * @param {String} status - Order status
+   * @returns {Boolean}
+   */
+  isTerminal(status) {
+    return !TRANSITIONS[status];
+  }
+
+  /**
+   * Move an order to a new status, save it and record the update
+   * @param {Object} order - Order document (other pending changes are saved with it)
+   * @param {String} toStatus - New status (ORDER_STATUS)
+   * @param {Object} options - source, rawStatus, location, message, eventTime, actor, reason,
+   *   quarantine (store an illegal move instead of throwing), force (apply even if illegal; admin),
+   *   recordUnchanged (false to skip the entry when the status did not change)
+   * @returns {Object|null} OrderStatusHistory entry (result: applied, unchanged or quarantined),
+   *   null if an unchanged status was not recorded
+   */
+  async transition(order, toStatus, {
+    source = 'system',
+    rawStatus = null,
+    location = null,
+    message = null,
+    eventTime = null,
+    actor = null,
+    reason = null,
+    quarantine = false,
+    force = false,
+    recordUnchanged = true
+  } = {}) {
+    if (!Object.values(ORDER_STATUS).includes(toStatus)) {
+      throw new AppError('Invalid order status', 400);
+    }
+
+    const fromStatus = order.status;
+    let result;
+    if (fromStatus === toStatus) {
+      result = STATUS_CHANGE_RESULTS.UNCHANGED;
+    } else if (force || this.canTransition(fromStatus, toStatus)) {
+      order.status = toStatus;
+      result = STATUS_CHANGE_RESULTS.APPLIED;
+    } else if (quarantine) {
+      result = STATUS_CHANGE_RESULTS.QUARANTINED;
+      reason = reason || `Illegal transition ${fromStatus} -> ${toStatus}`;
+      console.warn('[OrderStatus] quarantined status update', {
+        orderNumber: order.orderNumber,
+        fromStatus,
+        toStatus,
+        source
+      });
+    } else {
+      throw new AppError(`Order cannot move from ${fromStatus} to ${toStatus}`, 409);
+    }
+
+    await order.save();
+
+    if (result === STATUS_CHANGE_RESULTS.UNCHANGED && !recordUnchanged) {
+      return null;
+    }
+
+    const entry = {
+      order,
+      fromStatus,
+      toStatus,
+      result,
+      source,
+      rawStatus,
+      location,
+      message,
+      eventTime,
+      actor,
+      reason
+    };
+
+    // Tracking polls repeat the same stale status: keep one open quarantine entry for it
+    if (result === STATUS_CHANGE_RESULTS.QUARANTINED) {
+      const open = await OrderStatusHistory.findOne({
+        order: order._id,
+        fromStatus,
+        toStatus,
+        source,
+        result: STATUS_CHANGE_RESULTS.QUARANTINED,
+        'review.action': null
+      });
+      if (open) {
+        return open;
+      }
+    }
+
+    return this._record(entry);
+  }
+
+  /**
+   * Record a status change already written with an atomic update (the
+   * caller filters on status: { $in: allowedFrom(toStatus) })
+   * @param {Object} order - Order (status may still be the old one)
+   * @param {String} fromStatus - Status before the update
+   * @param {String} toStatus - Status after the update
+   * @param {Object} options - source, message, actor, reason
+   * @returns {Object} OrderStatusHistory entry
+   */
+  async recordTransition(order, fromStatus, toStatus, { source = 'system', message = null, actor = null, reason = null } = {}) {
+    return this._record({
+      order: { ...(order.toObject ? order.toObject() : order), status: toStatus },
+      fromStatus,
+      toStatus,
+      result: fromStatus === toStatus ? STATUS_CHANGE_RESULTS.UNCHANGED : STATUS_CHANGE_RESULTS.APPLIED,
+      source,
+      message,
+      actor,
+      reason
+    });
+  }
+
+  /**
+   * An order's status timeline, oldest first. Orders updated before the
+   * timeline existed also get their entries from metadata.statusHistory.
+   * @param {Object} order - Order (already checked to belong to the caller)
+   * @returns {Array} Timeline entries
+   */
+  async getTimeline(order) {
+    const entries = await OrderStatusHistory.find({ order: order._id })
+      .sort({ createdAt: 1 })
+      .select('-user -__v')
+      .lean();
+
+    const legacy = (order.metadata?.statusHistory || []).map((item) => ({
+      fromStatus: item.previousStatus || null,
+      toStatus: item.status || item.previousStatus || null,
+      result: item.status && item.status !== item.previousStatus
+        ? STATUS_CHANGE_RESULTS.APPLIED
+        : STATUS_CHANGE_RESULTS.UNCHANGED,
+      source: item.source || 'system',
+      rawStatus: item.nimbusStatus || null,
+      location: item.location || null,
+      message: item.message || item.note || null,
+      createdAt: item.at || item.updatedAt || null,
+      legacy: true
+    }));
+
+    return [...legacy, ...entries].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Quarantined status updates (admin), newest first
+   * @param {Object} filters - reviewed ('true' for already reviewed), orderId, source, page, limit
+   * @returns {Object} { entries, pagination }
+   */
+  async getQuarantined({ reviewed, orderId, source, page = 1, limit = 20 } = {}) {
+    const query = {
+      result: STATUS_CHANGE_RESULTS.QUARANTINED,
+      'review.action': reviewed === 'true' ? { $ne: null } : null
+    };
+    if (orderId) query.order = orderId;
+    if (source) query.source = source;
+
+    const [entries, total] = await Promise.all([
+      OrderStatusHistory.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('order', 'orderNumber status awb deliveryPartner')
+        .populate('user', 'name email'),
+      OrderStatusHistory.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Apply or dismiss a quarantined status update (admin). Applying forces
+   * the order into the quarantined status and records that as a new entry.
+   * @param {String} entryId - OrderStatusHistory ID
+   * @param {String} adminId - Admin user ID
+   * @param {String} action - 'apply' or 'dismiss'
+   * @returns {Object} { entry, order, applied }
+   */
+  async resolveQuarantined(entryId, adminId, action) {
+    const entry = await OrderStatusHistory.findOne({ _id: entryId, result: STATUS_CHANGE_RESULTS.QUARANTINED });
+    if (!entry) {
+      throw new AppError('Quarantined status update not found', 404);
+    }
+    if (entry.review?.action) {
+      throw new AppError(`This status update was already ${entry.review.action}`, 409);
+    }
+
+    const order = await Order.findById(entry.order);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const reviewed = await OrderStatusHistory.findOneAndUpdate(
+      { _id: entry._id, 'review.action': null },
+      {
+        $set: {
+          review: {
+            by: adminId,
+            at: new Date(),
+            action: action === 'apply' ? 'applied' : 'dismissed'
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!reviewed) {
+      throw new AppError('This status update has already been reviewed', 409);
+    }
+
+    let applied = null;
+    if (action === 'apply') {
+      applied = await this.transition(order, entry.toStatus, {
+        source: 'admin',
+        rawStatus: entry.rawStatus,
+        location: entry.location,
+        message: entry.message,
+        eventTime: entry.eventTime,
+        actor: adminId,
+        reason: `Quarantined ${entry.source} update applied by admin`,
+        force: true
+      });
+
+      if (applied.result === STATUS_CHANGE_RESULTS.APPLIED) {
+        await ndrService.handleShipmentEvent(order, {
+          rawStatus: entry.rawStatus || entry.toStatus,
+          location: entry.location,
+          eventTime: entry.eventTime,
+          source: 'admin'
+        });
+      }
+    }
+
+    return { entry: reviewed, order, applied };
+  }
+
+  /**
+   * Write the history entry and tell the seller about applied changes
+   */
+  async _record({ order, fromStatus, toStatus, result, source, rawStatus, location, message, eventTime, actor, reason }) {
+    const at = eventTime ? new Date(eventTime) : null;
+    const entry = await OrderStatusHistory.create({
+      order: order._id,
+      user: order.user?._id || order.user,
+      fromStatus,
+      toStatus,
+      result,
+      source,
+      rawStatus: text(rawStatus),
+      location: text(location),
+      message: text(message),
+      eventTime: at && !isNaN(at.getTime()) ? at : null,
+      actor: actor || null,
+      reason: text(reason)
+    });
+
+    if (result === STATUS_CHANGE_RESULTS.APPLIED) {
+      await sellerWebhookService.emitStatusChange(order, fromStatus, source);
+    }
+
+    return entry;
+  }
+}
+
+module.exports = new OrderStatusService();
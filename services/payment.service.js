@@ -2,6 +2,10 @@ const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const AppError = require('../utils/AppError');
 const Payment = require('../models/Payment.model');
+const walletService = require('./wallet.service');
+const { TRANSACTION_CATEGORIES } = require('../config/constants');
+
+const cleanEnv = (value) => String(value || '').trim().replace(/^["']|["']$/g, '');
 
 /**
  * Payment Service - Handles Razorpay payment gateway integration
@@ -13,41 +17,48 @@ class PaymentService {
     this.razorpay = null;
   }
 
+  /**
+   * Razorpay client, created on first use
+   * @returns {Object} { razorpay, keyId }
+   */
+  _getClient() {
+    const keyId = cleanEnv(process.env.RAZORPAY_KEY_ID);
+    const keySecret = cleanEnv(process.env.RAZORPAY_KEY_SECRET);
+
+    if (!keyId || !keySecret) {
+      throw new AppError(
+        'Razorpay credentials not configured. Add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to backend/.env on the server and restart PM2.',
+        500
+      );
+    }
+
+    // Re-init if env was fixed after first load (singleton was wrong)
+    if (!this.razorpay || this._razorpayKeyId !== keyId) {
+      this._razorpayKeyId = keyId;
+      this.razorpay = new Razorpay({
+        key_id: keyId,
+        key_secret: keySecret
+      });
+    }
+
+    return { razorpay: this.razorpay, keyId };
+  }
+
   /**
    * Create Razorpay order for wallet recharge
    * @param {String} userId - User ID
    * @param {Number} amount - Amount in rupees
+   * @param {Object} options - customerId / token (recurring mandate orders), notes, metadata (stored on the Payment)
    * @returns {Object} Razorpay order details
    */
-  async createRazorpayOrder(userId, amount) {
+  async createRazorpayOrder(userId, amount, options = {}) {
     try {
-      const keyId = String(process.env.RAZORPAY_KEY_ID || '')
-        .trim()
-        .replace(/^["']|["']$/g, '');
-      const keySecret = String(process.env.RAZORPAY_KEY_SECRET || '')
-        .trim()
-        .replace(/^["']|["']$/g, '');
-
-      if (!keyId || !keySecret) {
-        throw new AppError(
-          'Razorpay credentials not configured. Add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to backend/.env on the server and restart PM2.',
-          500
-        );
-      }
+      const { keyId } = this._getClient();
 
       if (amount < 1) {
         throw new AppError('Minimum recharge amount is ₹1', 400);
       }
 
-      // Re-init if env was fixed after first load (singleton was wrong)
-      if (!this.razorpay || this._razorpayKeyId !== keyId) {
-        this._razorpayKeyId = keyId;
-        this.razorpay = new Razorpay({
-          key_id: keyId,
-          key_secret: keySecret
-        });
-      }
-
       // Create Razorpay order
       // Receipt must be max 40 characters
       const timestamp = Date.now().toString();
@@ -56,20 +67,23 @@ class PaymentService {
       // WR = Wallet Recharge, then last 6 chars of userId, then last 8 chars of timestamp
       const receipt = `WR_${userIdStr.slice(-6)}_${timestamp.slice(-8)}`;
       
-      const options = {
-        amount: amount * 100, // Convert to paise
+      const orderOptions = {
+        amount: Math.round(amount * 100), // Convert to paise
         currency: 'INR',
         receipt: receipt, // Max 40 characters
+        ...(options.customerId && { customer_id: options.customerId }),
+        ...(options.token && { token: options.token }),
         notes: {
           userId: userId.toString(),
           paymentType: 'wallet_recharge',
-          fullReceipt: `wallet_recharge_${userId}_${timestamp}` // Full receipt in notes
+          fullReceipt: `wallet_recharge_${userId}_${timestamp}`, // Full receipt in notes
+          ...(options.notes || {})
         }
       };
 
       let razorpayOrder;
       try {
-        razorpayOrder = await this.razorpay.orders.create(options);
+        razorpayOrder = await this.razorpay.orders.create(orderOptions);
       } catch (razorpayError) {
         const status = razorpayError?.statusCode;
         const inner = razorpayError?.error || {};
@@ -109,7 +123,8 @@ class PaymentService {
         paymentType: 'wallet_recharge',
         status: 'pending',
         metadata: {
-          razorpayOrder: razorpayOrder
+          razorpayOrder: razorpayOrder,
+          ...(options.metadata || {})
         }
       });
 
@@ -136,6 +151,75 @@ class PaymentService {
     }
   }
 
+  /**
+   * Razorpay customer for a seller (returns the existing one for the same email / phone)
+   * @param {Object} user - User
+   * @returns {String} Razorpay customer ID
+   */
+  async getOrCreateCustomer(user) {
+    const { razorpay } = this._getClient();
+    const customer = await razorpay.customers.create({
+      name: user.name,
+      email: user.email,
+      ...(user.phone && { contact: user.phone }),
+      fail_existing: '0',
+      notes: { userId: user._id.toString() }
+    });
+    return customer.id;
+  }
+
+  /**
+   * Charge a saved recurring token (e-mandate / card) for a wallet recharge.
+   * The wallet is credited when the payment.captured webhook arrives.
+   * @param {Object} user - User
+   * @param {Number} amount - Amount in rupees
+   * @param {Object} mandate - { customerId, tokenId }
+   * @param {Object} metadata - Stored on the Payment
+   * @returns {Object} { paymentId, razorpayPaymentId, razorpayOrderId }
+   */
+  async chargeRecurring(user, amount, { customerId, tokenId }, metadata = {}) {
+    const { razorpay } = this._getClient();
+    const order = await this.createRazorpayOrder(user._id, amount, {
+      customerId,
+      notes: { recurring: 'auto_recharge' },
+      metadata
+    });
+
+    try {
+      const result = await razorpay.payments.createRecurringPayment({
+        email: user.email,
+        contact: user.phone || undefined,
+        amount: Math.round(amount * 100),
+        currency: 'INR',
+        order_id: order.orderId,
+        customer_id: customerId,
+        token: tokenId,
+        recurring: '1',
+        description: 'Wallet auto-recharge'
+      });
+      return {
+        paymentId: order.paymentId,
+        razorpayOrderId: order.orderId,
+        razorpayPaymentId: result.razorpay_payment_id || null
+      };
+    } catch (error) {
+      const message = error?.error?.description || error?.message || 'Recurring payment failed';
+      await Payment.updateOne(
+        { _id: order.paymentId, status: 'pending' },
+        { $set: { status: 'failed', failureReason: message } }
+      );
+      throw new AppError(`Razorpay error: ${message}`, 502);
+    }
+  }
+
+  /**
+   * Revoke a saved recurring token on Razorpay
+   */
+  async deleteToken(customerId, tokenId) {
+    const { razorpay } = this._getClient();
+    await razorpay.customers.deleteToken(customerId, tokenId);
+  }
+
   /**
    * Verify Razorpay payment signature
    * @param {String} razorpayOrderId - Razorpay order ID
@@ -217,6 +301,267 @@ class PaymentService {
     }
   }
 
+  /**
+   * Credit a completed wallet recharge to the wallet. Keyed by the Razorpay
+   * payment ID, so verify-payment and the webhook never credit it twice.
+   * @param {Object} payment - Payment
+   * @returns {Object|null} Wallet transaction result (null if not a completed recharge)
+   */
+  async creditWallet(payment) {
+    if (payment.paymentType !== 'wallet_recharge' || payment.status !== 'completed' || !payment.razorpayPaymentId) {
+      return null;
+    }
+
+    const result = await walletService.addMoney(
+      payment.user,
+      payment.amount,
+      `Wallet recharge via Razorpay - Payment ID: ${payment.razorpayPaymentId}`,
+      {
+        paymentId: payment._id,
+        razorpayOrderId: payment.razorpayOrderId,
+        razorpayPaymentId: payment.razorpayPaymentId
+      },
+      {
+        category: TRANSACTION_CATEGORIES.RECHARGE,
+        idempotencyKey: `payment:${payment.razorpayPaymentId}`
+      }
+    );
+
+    if (!payment.walletTransactionId) {
+      await Payment.updateOne(
+        { _id: payment._id, walletTransactionId: null },
+        { $set: { walletTransactionId: result.transaction._id } }
+      );
+      payment.walletTransactionId = result.transaction._id;
+    }
+
+    return result;
+  }
+
+  getWebhookSecret() {
+    return cleanEnv(process.env.RAZORPAY_WEBHOOK_SECRET);
+  }
+
+  /**
+   * Verify X-Razorpay-Signature: hex HMAC SHA256 of the raw body with the webhook secret
+   * @param {Buffer} rawBody - Raw request body
+   * @param {String} signature - Header value
+   * @returns {Boolean} Verification result
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    const secret = this.getWebhookSecret();
+    if (!secret || !rawBody || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), 'utf8');
+    const received = Buffer.from(String(signature).trim(), 'utf8');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Apply a verified Razorpay webhook event. Every step is a guarded state
+   * change or a keyed wallet entry, so redelivered events are harmless.
+   * @param {Object} event - Webhook body
+   * @returns {Object} { event, paymentId?, ignored? }
+   */
+  async handleWebhookEvent(event) {
+    const name = event?.event;
+    const paymentEntity = event?.payload?.payment?.entity;
+    const refundEntity = event?.payload?.refund?.entity;
+
+    switch (name) {
+      case 'payment.captured':
+      case 'order.paid':
+        return { event: name, ...(await this._onPaymentCaptured(paymentEntity)) };
+      case 'payment.failed':
+        return { event: name, ...(await this._onPaymentFailed(paymentEntity)) };
+      case 'refund.created':
+      case 'refund.processed':
+      case 'refund.failed':
+        return { event: name, ...(await this._onRefund(refundEntity, name.split('.')[1])) };
+      default:
+        return { event: name || null, ignored: 'unhandled event' };
+    }
+  }
+
+  async _onPaymentCaptured(entity) {
+    if (!entity?.order_id || entity.status !== 'captured') {
+      return { ignored: 'payment not captured' };
+    }
+
+    const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+    if (!payment) {
+      return { ignored: 'unknown order' };
+    }
+
+    if (Math.round(payment.amount * 100) !== Number(entity.amount) || entity.currency !== payment.currency) {
+      console.error('[PaymentService] captured amount does not match payment', {
+        paymentId: payment._id.toString(),
+        expected: payment.amount,
+        captured: Number(entity.amount) / 100,
+        currency: entity.currency
+      });
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { 'metadata.capturedMismatch': { razorpayPaymentId: entity.id, amount: entity.amount, currency: entity.currency } } }
+      );
+      return { paymentId: payment._id, ignored: 'amount mismatch' };
+    }
+
+    // Pending, or failed by an earlier attempt on the same order
+    const completed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          status: 'completed',
+          razorpayPaymentId: entity.id,
+          capturedAt: entity.created_at ? new Date(entity.created_at * 1000) : new Date(),
+          failureReason: null,
+          'metadata.razorpayWebhookPayment': entity
+        }
+      },
+      { new: true }
+    );
+    const current = completed || await Payment.findById(payment._id);
+
+    if (current.status === 'completed' && current.razorpayPaymentId === entity.id) {
+      await this.creditWallet(current);
+      await this._settleAutoRecharge(current, entity);
+    } else if (current.razorpayPaymentId !== entity.id) {
+      console.error('[PaymentService] second captured payment on one Razorpay order', {
+        paymentId: payment._id.toString(),
+        recorded: current.razorpayPaymentId,
+        captured: entity.id
+      });
+    }
+
+    return { paymentId: payment._id };
+  }
+
+  async _onPaymentFailed(entity) {
+    if (!entity?.order_id) {
+      return { ignored: 'no order' };
+    }
+
+    // Only pending payments: a later successful attempt on the order wins
+    const payment = await Payment.findOneAndUpdate(
+      { razorpayOrderId: entity.order_id, status: 'pending' },
+      {
+        $set: {
+          status: 'failed',
+          failureReason: entity.error_description || entity.error_reason || 'Payment failed'
+        }
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      return { ignored: 'payment not pending' };
+    }
+
+    await this._settleAutoRecharge(payment, entity);
+    return { paymentId: payment._id };
+  }
+
+  /**
+   * Mandate authorisations and auto-recharge charges report back to the wallet's
+   * auto-recharge settings (required lazily: that service charges through this one)
+   */
+  async _settleAutoRecharge(payment, entity) {
+    if (!payment.metadata?.autoRecharge && !payment.metadata?.autoRechargeMandate) {
+      return;
+    }
+    await require('./autoRecharge.service').onPaymentSettled(payment, entity);
+  }
+
+  async _onRefund(entity, status) {
+    if (!entity?.id || !entity.payment_id) {
+      return { ignored: 'no refund' };
+    }
+
+    const payment = await Payment.findOne({ razorpayPaymentId: entity.payment_id });
+    if (!payment) {
+      return { ignored: 'unknown payment' };
+    }
+
+    const refundId = entity.id;
+    const amount = Number(entity.amount) / 100;
+
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds.razorpayRefundId': { $ne: refundId } },
+      { $push: { refunds: { razorpayRefundId: refundId, amount, status: 'pending' } } }
+    );
+
+    if (status === 'failed') {
+      await Payment.updateOne(
+        { _id: payment._id, refunds: { $elemMatch: { razorpayRefundId: refundId, status: 'pending' } } },
+        { $set: { 'refunds.$.status': 'failed', 'refunds.$.updatedAt': new Date() } }
+      );
+      return { paymentId: payment._id };
+    }
+
+    if (status === 'processed') {
+      await Payment.updateOne(
+        { _id: payment._id, refunds: { $elemMatch: { razorpayRefundId: refundId, status: { $ne: 'processed' } } } },
+        {
+          $set: { 'refunds.$.status': 'processed', 'refunds.$.updatedAt': new Date() },
+          $inc: { refundedAmount: amount }
+        }
+      );
+      await Payment.updateOne(
+        { _id: payment._id, status: 'completed', $expr: { $gte: ['$refundedAmount', '$amount'] } },
+        { $set: { status: 'refunded' } }
+      );
+      await this._reverseRecharge(payment, refundId, amount);
+    }
+
+    return { paymentId: payment._id };
+  }
+
+  /**
+   * Take a refunded recharge back out of the wallet (once per Razorpay refund).
+   * A balance already spent is flagged on the refund for finance to follow up.
+   */
+  async _reverseRecharge(payment, refundId, amount) {
+    if (payment.paymentType !== 'wallet_recharge' || !payment.walletTransactionId) {
+      return;
+    }
+
+    try {
+      const { transaction } = await walletService.deductMoney(
+        payment.user,
+        amount,
+        `Razorpay refund ${refundId} of recharge ${payment.razorpayPaymentId}`,
+        null,
+        null,
+        {
+          paymentId: payment._id,
+          razorpayPaymentId: payment.razorpayPaymentId,
+          razorpayRefundId: refundId
+        },
+        {
+          category: TRANSACTION_CATEGORIES.ADJUSTMENT,
+          idempotencyKey: `payment_refund:${refundId}`
+        }
+      );
+      await Payment.updateOne(
+        { _id: payment._id, 'refunds.razorpayRefundId': refundId },
+        { $set: { 'refunds.$.walletTransactionId': transaction._id, 'refunds.$.walletError': null } }
+      );
+    } catch (error) {
+      console.error('[PaymentService] refunded recharge could not be debited from the wallet', {
+        paymentId: payment._id.toString(),
+        refundId,
+        message: error.message
+      });
+      await Payment.updateOne(
+        { _id: payment._id, 'refunds.razorpayRefundId': refundId },
+        { $set: { 'refunds.$.walletError': error.message } }
+      );
+    }
+  }
+
   /**
    * Get payment by ID
    * @param {String} paymentId - Payment ID
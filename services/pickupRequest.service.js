@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const PickupRequest = require('../models/PickupRequest.model');
 const Order = require('../models/Order.model');
+const orderStatusService = require('./orderStatus.service');
 const AppError = require('../utils/AppError');
 const { ORDER_STATUS } = require('../config/constants');
 const { PICKUP_STATUS } = require('../models/PickupRequest.model');
@@ -71,10 +72,19 @@ class PickupRequestService {
     });
 
     // Update orders status to scheduled for pickup
-    await Order.updateMany(
-      { _id: { $in: orders.map(o => o._id) } },
-      { status: ORDER_STATUS.CONFIRMED }
-    );
+    const pendingOrders = orders.filter(o => o.status === ORDER_STATUS.PENDING);
+    if (pendingOrders.length > 0) {
+      await Order.updateMany(
+        { _id: { $in: pendingOrders.map(o => o._id) }, status: ORDER_STATUS.PENDING },
+        { status: ORDER_STATUS.CONFIRMED }
+      );
+      for (const order of pendingOrders) {
+        await orderStatusService.recordTransition(order, ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, {
+          source: 'pickup_request',
+          message: `Pickup ${pickupId} scheduled`
+        });
+      }
+    }
 
     return pickupRequest;
   }
@@ -0,0 +1,295 @@
+const RateCard = require('../models/RateCard.model');
+const { RATE_ZONES, MARKUP_TYPES } = require('../models/RateCard.model');
+const User = require('../models/User.model');
+const Pincode = require('../models/Pincode.model');
+const AppError = require('../utils/AppError');
+
+const METRO_CITIES = ['delhi', 'new delhi', 'mumbai', 'kolkata', 'chennai', 'bengaluru', 'bangalore', 'hyderabad'];
+
+// North East, J&K, Ladakh and island territories (state names and codes)
+const SPECIAL_STATES = [
+  'assam', 'as', 'arunachal pradesh', 'ar', 'manipur', 'mn', 'meghalaya', 'ml',
+  'mizoram', 'mz', 'nagaland', 'nl', 'tripura', 'tr', 'sikkim', 'sk',
+  'jammu and kashmir', 'jammu & kashmir', 'jk', 'ladakh', 'la',
+  'andaman and nicobar islands', 'andaman & nicobar islands', 'an', 'lakshadweep', 'ld'
+];
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Pricing Service - Turns carrier cost into the seller's price using rate cards
+ *
+ * Carrier quotes are what we pay; the rate card adds markup (zone / weight
+ * slabs or the card default), a minimum charge, fuel surcharge and COD fee.
+ * Both numbers are stored on the order so margin can be reported.
+ */
+class PricingService {
+  /**
+   * Rate card for a seller: user.rateCard, else the card for user.pricingPlan,
+   * else the default card (null if none is configured)
+   * @param {String} userId - User ID
+   * @returns {Object|null} RateCard
+   */
+  async resolveRateCard(userId) {
+    if (userId) {
+      const user = await User.findById(userId).select('rateCard pricingPlan');
+
+      if (user?.rateCard) {
+        const card = await RateCard.findOne({ _id: user.rateCard, isActive: true });
+        if (card) return card;
+      }
+
+      if (user?.pricingPlan) {
+        const card = await RateCard.findOne({ plan: user.pricingPlan, isActive: true }).sort({ updatedAt: -1 });
+        if (card) return card;
+      }
+    }
+
+    return RateCard.findOne({ isDefault: true, isActive: true });
+  }
+
+  /**
+   * Shipping zone for a lane
+   * A same city, B same state, C metro to metro, D rest of India, E special region
+   * @param {Object} rateData - { from: { pincode, city, state }, to: { ... } }
+   * @returns {String} Zone letter
+   */
+  async getZone(rateData) {
+    const [fromPin, toPin] = await Promise.all([
+      rateData.from?.pincode ? Pincode.findOne({ pincode: rateData.from.pincode }).lean() : null,
+      rateData.to?.pincode ? Pincode.findOne({ pincode: rateData.to.pincode }).lean() : null
+    ]);
+
+    const fromCity = normalize(rateData.from?.city || fromPin?.city);
+    const toCity = normalize(rateData.to?.city || toPin?.city);
+
+    // Compare like with like: state codes when both pincodes are known, else names
+    const useCodes = fromPin && toPin;
+    const fromState = normalize(useCodes ? fromPin.state_code : rateData.from?.state);
+    const toState = normalize(useCodes ? toPin.state_code : rateData.to?.state);
+
+    if (SPECIAL_STATES.includes(toState) || SPECIAL_STATES.includes(normalize(rateData.to?.state))) {
+      return RATE_ZONES.E;
+    }
+    if (fromCity && fromCity === toCity) return RATE_ZONES.A;
+    if (fromState && fromState === toState) return RATE_ZONES.B;
+    if (METRO_CITIES.includes(fromCity) && METRO_CITIES.includes(toCity)) return RATE_ZONES.C;
+    return RATE_ZONES.D;
+  }
+
+  _applyMarkup(amount, markup) {
+    if (!markup || !markup.value) return 0;
+    return markup.type === MARKUP_TYPES.FLAT ? markup.value : (amount * markup.value) / 100;
+  }
+
+  /**
+   * Price one carrier quote with a rate card (no I/O)
+   * @param {Object} params
+   * @param {Object} params.card - RateCard (or null: charge carrier cost)
+   * @param {String} params.zone - Zone letter
+   * @param {Number} params.weight - Weight in kg (slab matching)
+   * @param {String} params.paymentType - 'prepaid' | 'cod'
+   * @param {Number} params.declaredValue - COD amount / order value (COD % fee)
+   * @param {Number} params.carrierCost - Total the carrier charges us
+   * @param {Number} params.carrierCodCharges - COD part of carrierCost
+   * @returns {Object} Price breakdown
+   */
+  priceQuote({ card, zone, weight, paymentType = 'prepaid', declaredValue = 0, carrierCost, carrierCodCharges = 0 }) {
+    const cost = roundMoney(carrierCost);
+    const carrierCod = roundMoney(carrierCodCharges || 0);
+
+    if (!card) {
+      return {
+        carrierCost: cost,
+        baseRate: roundMoney(cost - carrierCod),
+        markup: 0,
+        fuelSurcharge: 0,
+        codCharges: carrierCod,
+        totalAmount: cost,
+        margin: 0,
+        zone,
+        rateCard: null,
+        rateCardName: null
+      };
+    }
+
+    const carrierFreight = cost - carrierCod;
+    const weightKg = Number(weight) || 0;
+    const slab = (card.zoneSlabs || []).find((s) =>
+      s.zone === zone &&
+      weightKg >= (s.minWeight || 0) &&
+      (s.maxWeight == null || weightKg <= s.maxWeight)
+    );
+
+    const markup = this._applyMarkup(carrierFreight, slab ? slab.markup : card.markup);
+    const minimumCharge = slab && slab.minimumCharge != null ? slab.minimumCharge : card.minimumCharge || 0;
+    const freight = Math.max(minimumCharge, carrierFreight + markup);
+    const fuelSurcharge = (freight * (card.fuelSurchargePercent || 0)) / 100;
+
+    let codCharges = 0;
+    if (paymentType === 'cod') {
+      codCharges = card.codFee?.enabled
+        ? Math.max(card.codFee.minimum || 0, this._applyMarkup(Number(declaredValue) || 0, card.codFee))
+        : carrierCod;
+    }
+
+    const totalAmount = roundMoney(freight + fuelSurcharge + codCharges);
+
+    return {
+      carrierCost: cost,
+      baseRate: roundMoney(freight),
+      markup: roundMoney(freight - carrierFreight),
+      fuelSurcharge: roundMoney(fuelSurcharge),
+      codCharges: roundMoney(codCharges),
+      totalAmount,
+      margin: roundMoney(totalAmount - cost),
+      zone,
+      rateCard: card._id,
+      rateCardName: card.name
+    };
+  }
+
+  /**
+   * Price carrier quotes for a seller (resolves card and zone once)
+   * @param {String} userId - User ID
+   * @param {Object} rateData - Provider rate request
+   * @param {Array} quotes - [{ carrierCost, carrierCodCharges, weight }] (weight defaults to rateData.weight)
+   * @returns {Array} Price breakdowns, same order as quotes
+   */
+  async priceForUser(userId, rateData, quotes) {
+    const [card, zone] = await Promise.all([
+      this.resolveRateCard(userId),
+      this.getZone(rateData)
+    ]);
+
+    return quotes.map((quote) => this.priceQuote({
+      card,
+      zone,
+      weight: quote.weight ?? rateData.weight,
+      paymentType: rateData.paymentType,
+      declaredValue: rateData.codAmount || rateData.declaredValue,
+      carrierCost: quote.carrierCost,
+      carrierCodCharges: quote.carrierCodCharges
+    }));
+  }
+
+  /**
+   * List rate cards (admin)
+   * @returns {Array} Rate cards
+   */
+  async listRateCards({ includeInactive = false } = {}) {
+    const query = includeInactive ? {} : { isActive: true };
+    return RateCard.find(query).sort({ isDefault: -1, name: 1 });
+  }
+
+  /**
+   * Create a rate card (admin)
+   * @param {Object} data - Rate card fields
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Rate card
+   */
+  async createRateCard(data, adminId) {
+    const card = await RateCard.create({ ...data, createdBy: adminId, updatedBy: adminId });
+    if (card.isDefault) await this._clearOtherDefaults(card._id);
+    return card;
+  }
+
+  /**
+   * Update a rate card (admin)
+   * @param {String} rateCardId - Rate card ID
+   * @param {Object} data - Fields to update
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Rate card
+   */
+  async updateRateCard(rateCardId, data, adminId) {
+    const card = await RateCard.findById(rateCardId);
+    if (!card) {
+      throw new AppError('Rate card not found', 404);
+    }
+
+    card.set({ ...data, updatedBy: adminId });
+    await card.save();
+
+    if (card.isDefault) await this._clearOtherDefaults(card._id);
+    return card;
+  }
+
+  /**
+   * Deactivate a rate card (admin). Sellers on it fall back to plan / default.
+   * @param {String} rateCardId - Rate card ID
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Rate card
+   */
+  async deactivateRateCard(rateCardId, adminId) {
+    const card = await RateCard.findByIdAndUpdate(
+      rateCardId,
+      { isActive: false, isDefault: false, updatedBy: adminId },
+      { new: true }
+    );
+
+    if (!card) {
+      throw new AppError('Rate card not found', 404);
+    }
+
+    return card;
+  }
+
+  async _clearOtherDefaults(rateCardId) {
+    await RateCard.updateMany(
+      { _id: { $ne: rateCardId }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  /**
+   * Set a seller's pricing plan and/or rate card (admin)
+   * @param {String} userId - User ID
+   * @param {Object} data - { pricingPlan, rateCard } (rateCard null to clear)
+   * @returns {Object} User
+   */
+  async assignUserPricing(userId, { pricingPlan, rateCard } = {}) {
+    const update = {};
+
+    if (pricingPlan !== undefined) {
+      update.pricingPlan = pricingPlan;
+    }
+
+    if (rateCard !== undefined) {
+      if (rateCard) {
+        const card = await RateCard.findOne({ _id: rateCard, isActive: true });
+        if (!card) {
+          throw new AppError('Rate card not found or inactive', 404);
+        }
+      }
+      update.rateCard = rateCard || null;
+    }
+
+    const user = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true })
+      .select('name email pricingPlan rateCard')
+      .populate('rateCard', 'name plan');
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Preview what a seller pays for a carrier cost (admin)
+   * @param {String} rateCardId - Rate card ID
+   * @param {Object} params - zone, weight, paymentType, declaredValue, carrierCost, carrierCodCharges
+   * @returns {Object} Price breakdown
+   */
+  async previewRateCard(rateCardId, params) {
+    const card = await RateCard.findById(rateCardId);
+    if (!card) {
+      throw new AppError('Rate card not found', 404);
+    }
+
+    return this.priceQuote({ ...params, card });
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,222 @@
+const { PROVIDERS } = require('../providers');
+const pricingService = require('./pricing.service');
+const AppError = require('../utils/AppError');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const SORT_OPTIONS = ['recommended', 'price', 'eta'];
+
+// Weighting of the "recommended" score (lower price / faster delivery is better)
+const RECOMMENDED_WEIGHTS = {
+  price: 0.7,
+  eta: 0.3
+};
+
+/**
+ * Parse carrier ETA text ("3-5 business days", "2 days") into a day range
+ * @param {String} text - Carrier estimate
+ * @returns {Object|null} { min, max } in days
+ */
+const parseEstimatedDays = (text) => {
+  const match = String(text || '').match(/(\d+)\s*(?:-|to)?\s*(\d+)?\s*(?:business\s+)?days?/i);
+  if (!match) return null;
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : min;
+  return { min, max };
+};
+
+/**
+ * Rate Shop Service - Compares quotes from every registered carrier
+ *
+ * Each provider is asked for its options in parallel (getRateOptions) with its
+ * own timeout; a carrier that fails or is slow is reported in `carriers` and
+ * left out of the list instead of failing the whole quote.
+ */
+class RateShopService {
+  getConfig() {
+    return {
+      timeoutMs: Number(process.env.RATE_SHOP_TIMEOUT_MS) || 8000
+    };
+  }
+
+  /**
+   * Quote all carriers for a shipment
+   * @param {Object} rateData - Provider rate request (see OrderService.buildRateData)
+   * @param {Object} options
+   * @param {String} options.userId - Seller; prices are shown after their rate card (optional)
+   * @param {String} options.orderType - Only carriers that ship this order type (optional)
+   * @param {String} options.sortBy - 'recommended' | 'price' | 'eta'
+   * @returns {Object} { options, carriers, sortBy }
+   */
+  async compareRates(rateData, { userId = null, orderType = null, sortBy = 'recommended' } = {}) {
+    if (!SORT_OPTIONS.includes(sortBy)) {
+      throw new AppError(`sortBy must be one of: ${SORT_OPTIONS.join(', ')}`, 400);
+    }
+
+    const partners = Object.keys(PROVIDERS).filter((name) =>
+      !orderType || PROVIDERS[name].supportsOrderType(orderType)
+    );
+
+    if (partners.length === 0) {
+      throw new AppError(`No carrier supports ${orderType} orders`, 400);
+    }
+
+    const { timeoutMs } = this.getConfig();
+    const results = await Promise.allSettled(
+      partners.map((name) => this._quoteWithTimeout(name, rateData, timeoutMs))
+    );
+
+    const carriers = [];
+    let options = [];
+
+    results.forEach((result, i) => {
+      const partner = partners[i];
+
+      if (result.status === 'fulfilled') {
+        const { quotes, durationMs, chargeableWeight } = result.value;
+        carriers.push({ partner, status: 'ok', optionCount: quotes.length, durationMs, chargeableWeight });
+        options = options.concat(quotes.map((quote) => ({
+          ...this._normalize(partner, quote),
+          chargeableWeight
+        })));
+        return;
+      }
+
+      const error = result.reason || {};
+      carriers.push({
+        partner,
+        status: error.isTimeout ? 'timeout' : 'failed',
+        optionCount: 0,
+        error: error.message || 'Rate request failed'
+      });
+      console.error('[RateShop] carrier quote failed', { partner, message: error.message });
+    });
+
+    options = options.filter((o) => Number.isFinite(o.totalAmount) && o.totalAmount > 0);
+
+    if (options.length === 0 && carriers.every((c) => c.status !== 'ok')) {
+      throw new AppError(
+        'Shipping rates could not be loaded at the moment. Please try again in a few minutes.',
+        503
+      );
+    }
+
+    await this._applyPricing(userId, rateData, options);
+    this._score(options);
+
+    return {
+      sortBy,
+      options: this._sort(options, sortBy),
+      carriers
+    };
+  }
+
+  async _quoteWithTimeout(partner, rateData, timeoutMs) {
+    const startedAt = Date.now();
+    let timer;
+
+    // The carrier request itself is not aborted; we just stop waiting for it
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`No response within ${timeoutMs}ms`);
+        error.isTimeout = true;
+        reject(error);
+      }, timeoutMs);
+    });
+
+    // Every carrier is quoted on its own chargeable weight (volumetric divisor)
+    const carrierRateData = PROVIDERS[partner].withChargeableWeight(rateData);
+
+    try {
+      const quotes = await Promise.race([PROVIDERS[partner].getRateOptions(carrierRateData), timeout]);
+      return {
+        quotes: quotes || [],
+        durationMs: Date.now() - startedAt,
+        chargeableWeight: carrierRateData.weight
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Replace carrier amounts with the seller's price (carrier cost is not exposed)
+   */
+  async _applyPricing(userId, rateData, options) {
+    if (options.length === 0) return;
+
+    const prices = await pricingService.priceForUser(
+      userId,
+      rateData,
+      options.map((o) => ({ carrierCost: o.totalAmount, carrierCodCharges: o.codCharges, weight: o.chargeableWeight }))
+    );
+
+    options.forEach((o, i) => {
+      const price = prices[i];
+      if (price.rateCard) {
+        o.baseRate = price.baseRate;
+        o.additionalCharges = roundMoney(price.fuelSurcharge + price.codCharges);
+        o.codCharges = price.codCharges;
+        o.totalAmount = price.totalAmount;
+      }
+      o.zone = price.zone;
+    });
+  }
+
+  _normalize(partner, quote) {
+    return {
+      partner,
+      courierId: quote.courierId,
+      courierName: quote.courierName,
+      serviceType: quote.serviceType,
+      baseRate: Number(quote.baseRate) || 0,
+      additionalCharges: Number(quote.additionalCharges) || 0,
+      codCharges: Number(quote.codCharges) || 0,
+      totalAmount: Number(quote.totalAmount),
+      currency: quote.currency || 'INR',
+      estimatedDelivery: quote.estimatedDelivery || null,
+      estimatedDays: parseEstimatedDays(quote.estimatedDelivery),
+      chargeableWeight: quote.chargeableWeight != null ? Number(quote.chargeableWeight) : null
+    };
+  }
+
+  /**
+   * Add recommendedScore (0-100, higher is better) and cheapest / fastest flags
+   */
+  _score(options) {
+    if (options.length === 0) return;
+
+    const prices = options.map((o) => o.totalAmount);
+    const etas = options.filter((o) => o.estimatedDays).map((o) => o.estimatedDays.max);
+    const minPrice = Math.min(...prices);
+    const maxPrice = Math.max(...prices);
+    const minEta = etas.length ? Math.min(...etas) : null;
+    const maxEta = etas.length ? Math.max(...etas) : null;
+
+    const spread = (value, min, max) => (max > min ? (value - min) / (max - min) : 0);
+
+    options.forEach((o) => {
+      const pricePenalty = spread(o.totalAmount, minPrice, maxPrice);
+      // Unknown ETA counts as the slowest
+      const etaPenalty = o.estimatedDays ? spread(o.estimatedDays.max, minEta, maxEta) : 1;
+      const penalty = RECOMMENDED_WEIGHTS.price * pricePenalty + RECOMMENDED_WEIGHTS.eta * etaPenalty;
+
+      o.recommendedScore = Math.round((1 - penalty) * 100);
+      o.cheapest = o.totalAmount === minPrice;
+      o.fastest = minEta != null && !!o.estimatedDays && o.estimatedDays.max === minEta;
+    });
+  }
+
+  _sort(options, sortBy) {
+    const eta = (o) => (o.estimatedDays ? o.estimatedDays.max : Infinity);
+    const comparators = {
+      price: (a, b) => a.totalAmount - b.totalAmount || eta(a) - eta(b),
+      eta: (a, b) => eta(a) - eta(b) || a.totalAmount - b.totalAmount,
+      recommended: (a, b) => b.recommendedScore - a.recommendedScore || a.totalAmount - b.totalAmount
+    };
+
+    return [...options].sort(comparators[sortBy]);
+  }
+}
+
+module.exports = new RateShopService();
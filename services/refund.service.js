@@ -0,0 +1,178 @@
+const Order = require('../models/Order.model');
+const walletService = require('./wallet.service');
+const AppError = require('../utils/AppError');
+const { REFUND_REASONS, TRANSACTION_CATEGORIES } = require('../config/constants');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Refund Service - Credits order payments back to the seller's wallet
+ *
+ * Every refund is keyed (order + reason, or order + caller reference for
+ * partial refunds), so retries and duplicate triggers never credit twice.
+ */
+class RefundService {
+  /**
+   * Build the idempotency key for a refund
+   * @param {String} orderId - Order ID
+   * @param {String} reason - Refund reason
+   * @param {String} reference - Caller reference (partial refunds)
+   * @returns {String} Idempotency key
+   */
+  buildRefundKey(orderId, reason, reference = null) {
+    if (reason === REFUND_REASONS.PARTIAL_REFUND) {
+      if (!reference || String(reference).trim() === '') {
+        throw new AppError('A reference is required for partial refunds', 400);
+      }
+      return `refund:${orderId}:${reason}:${String(reference).trim()}`;
+    }
+    return `refund:${orderId}:${reason}`;
+  }
+
+  /**
+   * Refund an order to the wallet
+   * @param {String} orderId - Order ID
+   * @param {Object} options - Refund options
+   * @param {String} options.reason - One of REFUND_REASONS
+   * @param {Number} options.amount - Amount (defaults to the remaining refundable amount)
+   * @param {String} options.reference - Caller reference, required for partial refunds
+   * @param {String} options.note - Free text shown on the ledger entry
+   * @param {String} options.initiatedBy - Admin user ID (optional)
+   * @returns {Object} Refund entry and wallet balance ({ replayed: true } if already issued)
+   */
+  async refundOrder(orderId, { reason, amount = null, reference = null, note = '', initiatedBy = null } = {}) {
+    if (!Object.values(REFUND_REASONS).includes(reason)) {
+      throw new AppError('Invalid refund reason', 400);
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const key = this.buildRefundKey(order._id, reason, reference);
+
+    const existing = (order.payment.refunds || []).find((r) => r.idempotencyKey === key);
+    if (existing) {
+      return { refund: existing, replayed: true };
+    }
+
+    if (!['completed', 'refunded'].includes(order.payment.status)) {
+      throw new AppError('Order has no completed payment to refund', 400);
+    }
+
+    const charged = order.payment.amount != null ? order.payment.amount : order.pricing.totalAmount;
+    const refundable = roundMoney(charged - (order.payment.refundedAmount || 0));
+    const refundAmount = roundMoney(amount != null ? amount : refundable);
+
+    if (!(refundAmount > 0)) {
+      throw new AppError('Nothing left to refund on this order', 400);
+    }
+    if (refundAmount > refundable) {
+      throw new AppError(`Refund exceeds refundable amount of ₹${refundable}`, 400);
+    }
+
+    // Claim the refund on the order atomically: the key must be unused and the
+    // running total must stay within what was charged.
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'payment.refunds.idempotencyKey': { $ne: key },
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$payment.refundedAmount', 0] }, refundAmount] },
+            { $ifNull: ['$payment.amount', '$pricing.totalAmount'] }
+          ]
+        }
+      },
+      {
+        $push: {
+          'payment.refunds': {
+            amount: refundAmount,
+            reason,
+            idempotencyKey: key,
+            status: 'pending',
+            note,
+            initiatedBy
+          }
+        },
+        $inc: { 'payment.refundedAmount': refundAmount }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const latest = await Order.findById(order._id);
+      const raced = (latest?.payment.refunds || []).find((r) => r.idempotencyKey === key);
+      if (raced) {
+        return { refund: raced, replayed: true };
+      }
+      throw new AppError('Refund exceeds refundable amount', 409);
+    }
+
+    let walletTransaction;
+    try {
+      walletTransaction = await walletService.addMoney(
+        order.user,
+        refundAmount,
+        `Refund (${reason.replace(/_/g, ' ')}) for order ${order.orderNumber}`,
+        {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          refundReason: reason,
+          refundKey: key,
+          note
+        },
+        {
+          category: TRANSACTION_CATEGORIES.REFUND,
+          idempotencyKey: key,
+          orderId: order._id,
+          awb: order.awb
+        }
+      );
+    } catch (error) {
+      // Release the claim so the refund can be retried (the wallet entry is keyed
+      // by the same refund key, so a retry never credits twice)
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $pull: { 'payment.refunds': { idempotencyKey: key } },
+          $inc: { 'payment.refundedAmount': -refundAmount }
+        }
+      );
+      throw error;
+    }
+
+    const fullyRefunded = claimed.payment.refundedAmount >= roundMoney(
+      claimed.payment.amount != null ? claimed.payment.amount : claimed.pricing.totalAmount
+    );
+    const update = {
+      'payment.refunds.$.status': 'completed',
+      'payment.refunds.$.transactionId': walletTransaction.transaction._id?.toString() || null,
+      'payment.refundedAt': new Date()
+    };
+    if (fullyRefunded) {
+      update['payment.status'] = 'refunded';
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'payment.refunds.idempotencyKey': key },
+      { $set: update },
+      { new: true }
+    );
+
+    return {
+      refund: updated.payment.refunds.find((r) => r.idempotencyKey === key),
+      payment: {
+        status: updated.payment.status,
+        refundedAmount: updated.payment.refundedAmount
+      },
+      wallet: {
+        balance: walletTransaction.wallet.balance
+      },
+      replayed: false
+    };
+  }
+}
+
+module.exports = new RefundService();
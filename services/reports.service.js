@@ -3,6 +3,7 @@ const User = require('../models/User.model');
 const Payment = require('../models/Payment.model');
 const SupportTicket = require('../models/SupportTicket.model');
 const Wallet = require('../models/Wallet.model');
+const { RTO_STATUSES } = require('../config/constants');
 
 /**
  * Reports Service - Generates various reports
@@ -218,7 +219,7 @@ class ReportsService {
       if (order.status === 'delivered') partnerStats[partner].delivered++;
       else if (order.status === 'pending' || order.status === 'confirmed') partnerStats[partner].pending++;
       else if (order.status === 'cancelled') partnerStats[partner].cancelled++;
-      else if (order.status === 'rto') partnerStats[partner].rto++;
+      else if (RTO_STATUSES.includes(order.status)) partnerStats[partner].rto++;
     });
 
     // CSV Header
@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const { WEBHOOK_DELIVERY_STATUS } = require('../models/WebhookDelivery.model');
+const AppError = require('../utils/AppError');
+const { assertPublicUrl, isPublicUrlSyntax, publicLookup } = require('../utils/publicAddress');
+const { ORDER_STATUS, WEBHOOK_EVENTS } = require('../config/constants');
+
+// Event sent alongside status.changed when an order enters these statuses
+const STATUS_EVENTS = {
+  [ORDER_STATUS.NDR]: WEBHOOK_EVENTS.NDR_RAISED,
+  [ORDER_STATUS.DELIVERED]: WEBHOOK_EVENTS.DELIVERED,
+  [ORDER_STATUS.RTO]: WEBHOOK_EVENTS.RTO,
+  [ORDER_STATUS.RTO_IN_TRANSIT]: WEBHOOK_EVENTS.RTO,
+  [ORDER_STATUS.RTO_DELIVERED]: WEBHOOK_EVENTS.RTO
+};
+
+// Sellers choose the URL: connections to internal addresses are refused
+// after DNS resolution, not just when the endpoint is registered
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Seller Webhook Service - Outbound order / shipment events to seller endpoints
+ *
+ * Flow:
+ * 1. Order changes call emit*(); one WebhookDelivery is stored per subscribed endpoint
+ * 2. A worker (jobs/webhookDelivery.job.js, or kick() right after emit) claims due deliveries
+ * 3. Non-2xx responses and network errors are retried with exponential backoff
+ *    until maxAttempts; failed deliveries can be replayed by the seller
+ *
+ * Each request carries X-Flywell-Event, X-Flywell-Event-Id and
+ * X-Flywell-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>"
+ * with the endpoint secret>.
+ */
+class SellerWebhookService {
+  getConfig() {
+    return {
+      maxAttempts: Number(process.env.SELLER_WEBHOOK_MAX_ATTEMPTS) || 8,
+      baseDelayMs: Number(process.env.SELLER_WEBHOOK_RETRY_BASE_MS) || 60 * 1000,
+      maxDelayMs: Number(process.env.SELLER_WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000,
+      timeoutMs: Number(process.env.SELLER_WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+      lockMs: Number(process.env.SELLER_WEBHOOK_LOCK_MS) || 60 * 1000,
+      batchSize: Number(process.env.SELLER_WEBHOOK_BATCH_SIZE) || 50,
+      maxEndpointsPerUser: Number(process.env.SELLER_WEBHOOK_MAX_ENDPOINTS) || 10
+    };
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {String} userId - User ID
+   * @param {Object} data - url, events, description
+   * @returns {Object} { endpoint, secret } - secret is only returned here
+   */
+  async createEndpoint(userId, { url, events, description }) {
+    const { maxEndpointsPerUser } = this.getConfig();
+
+    const count = await WebhookEndpoint.countDocuments({ user: userId });
+    if (count >= maxEndpointsPerUser) {
+      throw new AppError(`You can register at most ${maxEndpointsPerUser} webhook endpoints`, 400);
+    }
+
+    await assertPublicUrl(url);
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const endpoint = await WebhookEndpoint.create({
+      user: userId,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret
+    });
+
+    const { secret: omitted, ...created } = endpoint.toObject();
+    return { endpoint: created, secret };
+  }
+
+  /**
+   * List a seller's webhook endpoints
+   * @param {String} userId - User ID
+   * @returns {Array} Endpoints
+   */
+  async listEndpoints(userId) {
+    return WebhookEndpoint.find({ user: userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Change an endpoint's URL, events, description or active flag
+   * @param {String} endpointId - Endpoint ID
+   * @param {String} userId - User ID
+   * @param {Object} data - url, events, description, isActive
+   * @returns {Object} Endpoint
+   */
+  async updateEndpoint(endpointId, userId, { url, events, description, isActive }) {
+    const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, user: userId });
+    if (!endpoint) {
+      throw new AppError('Webhook endpoint not found', 404);
+    }
+
+    if (url !== undefined) {
+      await assertPublicUrl(url);
+      endpoint.url = url;
+    }
+    if (events !== undefined) endpoint.events = [...new Set(events)];
+    if (description !== undefined) endpoint.description = description;
+    if (isActive !== undefined) endpoint.isActive = isActive;
+
+    await endpoint.save();
+    return endpoint;
+  }
+
+  /**
+   * Delete an endpoint (its pending deliveries fail; the log is kept)
+   * @param {String} endpointId - Endpoint ID
+   * @param {String} userId - User ID
+   */
+  async deleteEndpoint(endpointId, userId) {
+    const result = await WebhookEndpoint.deleteOne({ _id: endpointId, user: userId });
+    if (result.deletedCount === 0) {
+      throw new AppError('Webhook endpoint not found', 404);
+    }
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {String} userId - User ID
+   * @param {Object} filters - endpoint, event, status, orderId, page, limit
+   * @returns {Object} { deliveries, pagination }
+   */
+  async getDeliveries(userId, { endpoint, event, status, orderId, page = 1, limit = 20 } = {}) {
+    const query = { user: userId };
+    if (endpoint) query.endpoint = endpoint;
+    if (event) query.event = event;
+    if (status) query.status = status;
+    if (orderId) query.order = orderId;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-attemptHistory'),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * One delivery with its attempts
+   * @param {String} deliveryId - Delivery ID
+   * @param {String} userId - User ID
+   * @returns {Object} Delivery
+   */
+  async getDelivery(deliveryId, userId) {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, user: userId });
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+    return delivery;
+  }
+
+  /**
+   * Send a delivery's event to its endpoint again (as a new delivery with the
+   * same event id)
+   * @param {String} deliveryId - Delivery ID
+   * @param {String} userId - User ID
+   * @returns {Object} New delivery
+   */
+  async replayDelivery(deliveryId, userId) {
+    const original = await this.getDelivery(deliveryId, userId);
+
+    const endpoint = await WebhookEndpoint.findById(original.endpoint);
+    if (!endpoint) {
+      throw new AppError('The webhook endpoint for this delivery has been deleted', 400);
+    }
+    if (!endpoint.isActive) {
+      throw new AppError('The webhook endpoint for this delivery is disabled', 400);
+    }
+
+    const delivery = await WebhookDelivery.create({
+      endpoint: endpoint._id,
+      user: original.user,
+      eventId: original.eventId,
+      event: original.event,
+      order: original.order,
+      payload: original.payload,
+      maxAttempts: this.getConfig().maxAttempts,
+      replayOf: original._id
+    });
+
+    this.kick();
+    return delivery;
+  }
+
+  /**
+   * order.created for a newly placed order (never throws)
+   * @param {Object} order - Order document
+   */
+  async emitOrderCreated(order) {
+    await this._emit(order, WEBHOOK_EVENTS.ORDER_CREATED);
+  }
+
+  /**
+   * shipment.booked once the carrier has booked the order (never throws)
+   * @param {Object} order - Order document (with awb)
+   */
+  async emitShipmentBooked(order) {
+    await this._emit(order, WEBHOOK_EVENTS.SHIPMENT_BOOKED);
+  }
+
+  /**
+   * status.changed, plus ndr.raised / delivered / rto when the order entered
+   * one of those statuses (never throws)
+   * @param {Object} order - Order document (status already updated)
+   * @param {String} previousStatus - Status before the change
+   * @param {String} source - What reported the change (carrier webhook, tracking...)
+   */
+  async emitStatusChange(order, previousStatus, source) {
+    if (!previousStatus || order.status === previousStatus) {
+      return;
+    }
+
+    const data = { previousStatus, source };
+    await this._emit(order, WEBHOOK_EVENTS.STATUS_CHANGED, data);
+    // rto is sent once, when the order enters the RTO family
+    const event = STATUS_EVENTS[order.status];
+    if (event && event !== STATUS_EVENTS[previousStatus]) {
+      await this._emit(order, event, data);
+    }
+  }
+
+  /**
+   * Deliver due events on the next tick without blocking the caller
+   */
+  kick() {
+    setImmediate(() => {
+      this.processDueDeliveries().catch((err) => {
+        console.error('[SellerWebhook] processDueDeliveries failed:', err.message);
+      });
+    });
+  }
+
+  /**
+   * Claim and send due deliveries, one at a time
+   * @param {Number} limit - Max deliveries to send in this run
+   * @returns {Number} Deliveries attempted
+   */
+  async processDueDeliveries(limit) {
+    const max = limit || this.getConfig().batchSize;
+    let processed = 0;
+
+    while (processed < max) {
+      const delivery = await this._claimNext();
+      if (!delivery) break;
+      await this._deliver(delivery);
+      processed += 1;
+    }
+
+    return processed;
+  }
+
+  async _emit(order, event, extra = {}) {
+    try {
+      const endpoints = await WebhookEndpoint.find({
+        user: order.user,
+        isActive: true,
+        events: event
+      }).select('_id');
+      if (endpoints.length === 0) {
+        return;
+      }
+
+      const eventId = `evt_${crypto.randomUUID()}`;
+      const payload = {
+        id: eventId,
+        event,
+        createdAt: new Date().toISOString(),
+        data: {
+          order: {
+            id: order._id.toString(),
+            orderNumber: order.orderNumber,
+            orderType: order.orderType,
+            status: order.status,
+            awb: order.awb || null,
+            deliveryPartner: order.deliveryPartner,
+            trackingUrl: order.trackingUrl || null
+          },
+          ...extra
+        }
+      };
+
+      const { maxAttempts } = this.getConfig();
+      await WebhookDelivery.insertMany(endpoints.map((endpoint) => ({
+        endpoint: endpoint._id,
+        user: order.user,
+        eventId,
+        event,
+        order: order._id,
+        payload,
+        maxAttempts
+      })));
+
+      this.kick();
+    } catch (error) {
+      console.error('[SellerWebhook] failed to queue event', {
+        event,
+        orderNumber: order.orderNumber,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Atomically lease the next due delivery (a `delivering` one whose lease
+   * expired is picked up again)
+   */
+  async _claimNext() {
+    const now = new Date();
+    const { lockMs } = this.getConfig();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        status: { $in: [WEBHOOK_DELIVERY_STATUS.PENDING, WEBHOOK_DELIVERY_STATUS.DELIVERING] },
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      {
+        $set: {
+          status: WEBHOOK_DELIVERY_STATUS.DELIVERING,
+          lockedUntil: new Date(now.getTime() + lockMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async _deliver(delivery) {
+    const startedAt = new Date();
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+
+    if (!endpoint || !endpoint.isActive) {
+      await this._finish(delivery, startedAt, {
+        error: endpoint ? 'Webhook endpoint is disabled' : 'Webhook endpoint was deleted',
+        final: true
+      });
+      return;
+    }
+
+    if (!isPublicUrlSyntax(endpoint.url)) {
+      await this._finish(delivery, startedAt, {
+        error: 'Webhook endpoint does not point to a public internet address',
+        final: true
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(startedAt.getTime() / 1000);
+    const signature = crypto
+      .createHmac('sha256', endpoint.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    let outcome;
+    try {
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Flywell-Webhooks/1.0',
+          'X-Flywell-Event': delivery.event,
+          'X-Flywell-Event-Id': delivery.eventId,
+          'X-Flywell-Delivery': delivery._id.toString(),
+          'X-Flywell-Signature': `t=${timestamp},v1=${signature}`
+        },
+        timeout: this.getConfig().timeoutMs,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+
+      outcome = {
+        success: response.status >= 200 && response.status < 300,
+        responseStatus: response.status,
+        error: response.status >= 200 && response.status < 300 ? null : `Endpoint responded with ${response.status}`
+      };
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    await this._finish(delivery, startedAt, outcome);
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: outcome.success ? { lastDeliveryAt: startedAt } : { lastFailureAt: startedAt } }
+    );
+  }
+
+  async _finish(delivery, startedAt, { success = false, responseStatus = null, error = null, final = false }) {
+    const now = new Date();
+    const attempt = {
+      at: startedAt,
+      durationMs: now - startedAt,
+      responseStatus,
+      error
+    };
+
+    let status = WEBHOOK_DELIVERY_STATUS.PENDING;
+    if (success) {
+      status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+    } else if (final || delivery.attempts >= delivery.maxAttempts) {
+      status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    }
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status,
+          lockedUntil: null,
+          lastError: error,
+          responseStatus,
+          ...(success && { deliveredAt: now }),
+          ...(status === WEBHOOK_DELIVERY_STATUS.PENDING && {
+            nextAttemptAt: new Date(now.getTime() + this._backoffDelay(delivery.attempts))
+          })
+        },
+        $push: { attemptHistory: attempt }
+      }
+    );
+  }
+
+  _backoffDelay(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.getConfig();
+    const delay = baseDelayMs * Math.pow(2, Math.max(0, attempts - 1));
+    // +/-10% jitter so a recovering endpoint is not hit by every retry at once
+    const jitter = delay * 0.1 * (Math.random() * 2 - 1);
+    return Math.min(maxDelayMs, Math.round(delay + jitter));
+  }
+}
+
+module.exports = new SellerWebhookService();
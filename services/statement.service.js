@@ -0,0 +1,385 @@
+const { parse } = require('json2csv');
+const Statement = require('../models/Statement.model');
+const { STATEMENT_EMAIL_STATUS } = require('../models/Statement.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
+const { WALLET_TRANSACTION_STATUS } = require('../models/WalletTransaction.model');
+const User = require('../models/User.model');
+const walletService = require('./wallet.service');
+const emailService = require('./email.service');
+const AppError = require('../utils/AppError');
+const { renderStatementPdf } = require('../utils/statementPdf');
+const { TRANSACTION_CATEGORIES, TRANSACTION_TYPES, WALLET_ACCOUNT_TYPES } = require('../config/constants');
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+// Statement months follow the Indian calendar day
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const { CREDIT, DEBIT } = TRANSACTION_TYPES;
+
+// Statement lines, in display order
+const LINES = [
+  { category: TRANSACTION_CATEGORIES.RECHARGE, type: CREDIT, label: 'Recharges' },
+  { category: TRANSACTION_CATEGORIES.ORDER_PAYMENT, type: DEBIT, label: 'Order debits' },
+  { category: TRANSACTION_CATEGORIES.REFUND, type: CREDIT, label: 'Refunds' },
+  { category: TRANSACTION_CATEGORIES.WEIGHT_DISCREPANCY, type: DEBIT, label: 'Weight discrepancy charges' },
+  { category: TRANSACTION_CATEGORIES.WEIGHT_DISCREPANCY, type: CREDIT, label: 'Weight discrepancy reversals' },
+  { category: TRANSACTION_CATEGORIES.COD_REMITTANCE, type: CREDIT, label: 'COD remittances' },
+  { category: TRANSACTION_CATEGORIES.CREDIT_CHARGES, type: DEBIT, label: 'Late fees and interest' },
+  { category: TRANSACTION_CATEGORIES.ADJUSTMENT, type: CREDIT, label: 'Other credits' },
+  { category: TRANSACTION_CATEGORIES.ADJUSTMENT, type: DEBIT, label: 'Other debits' }
+];
+
+/**
+ * Statement Service - Monthly wallet statements per seller
+ */
+class StatementService {
+  getConfig() {
+    return {
+      // Email attempts per statement before it is left as failed
+      maxEmailAttempts: Number(process.env.STATEMENT_EMAIL_MAX_ATTEMPTS) || 3,
+      batchSize: Number(process.env.STATEMENT_BATCH_SIZE) || 200,
+      // Postpaid dues are payable this many days after the month ends
+      creditTermsDays: Number(process.env.CREDIT_PAYMENT_TERMS_DAYS) || 15
+    };
+  }
+
+  /**
+   * Month boundaries (IST) for a 'YYYY-MM' period
+   * @param {String} period - 'YYYY-MM'
+   * @returns {Object} { start, end }
+   */
+  _periodBounds(period) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(period || ''));
+    if (!match) {
+      throw new AppError('Period must be in YYYY-MM format', 400);
+    }
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const start = new Date(Date.UTC(year, month - 1, 1) - IST_OFFSET_MS);
+    const end = new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS);
+
+    if (end > new Date()) {
+      throw new AppError('A statement is available once the month has ended', 400);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Last completed month, e.g. '2026-09' during October 2026 (IST)
+   */
+  previousPeriod(now = new Date()) {
+    const ist = new Date(now.getTime() + IST_OFFSET_MS);
+    const previous = new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth() - 1, 1));
+    return `${previous.getUTCFullYear()}-${String(previous.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Build (once) a seller's statement for a month
+   * @param {String} userId - User ID
+   * @param {String} period - 'YYYY-MM'
+   * @returns {Object} Statement
+   */
+  async generate(userId, period) {
+    const { start, end } = this._periodBounds(period);
+
+    const existing = await Statement.findOne({ user: userId, period });
+    if (existing) {
+      return existing;
+    }
+
+    // Also moves a legacy embedded ledger into WalletTransaction first
+    const wallet = await walletService.getWalletByUserId(userId);
+    const match = { user: wallet.user, status: WALLET_TRANSACTION_STATUS.COMPLETED };
+
+    const [before, groups] = await Promise.all([
+      WalletTransaction.aggregate([
+        { $match: { ...match, createdAt: { $lt: start } } },
+        { $group: { _id: '$type', total: { $sum: '$amount' } } }
+      ]),
+      WalletTransaction.aggregate([
+        { $match: { ...match, createdAt: { $gte: start, $lt: end } } },
+        {
+          $group: {
+            _id: { category: '$category', type: '$type' },
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        }
+      ])
+    ]);
+
+    const totalBefore = (type) => (before.find((b) => b._id === type) || {}).total || 0;
+    const openingBalance = roundMoney(totalBefore(CREDIT) - totalBefore(DEBIT));
+
+    const lines = LINES.map((line) => {
+      const group = groups.find((g) => g._id.category === line.category && g._id.type === line.type);
+      return {
+        ...line,
+        count: group ? group.count : 0,
+        amount: roundMoney(group ? group.amount : 0)
+      };
+    });
+    // Categories added later still show up rather than silently vanishing
+    groups
+      .filter((g) => !LINES.some((line) => line.category === g._id.category && line.type === g._id.type))
+      .forEach((g) => lines.push({
+        category: g._id.category,
+        type: g._id.type,
+        label: `${g._id.category.replace(/_/g, ' ')} (${g._id.type})`,
+        count: g.count,
+        amount: roundMoney(g.amount)
+      }));
+
+    const sum = (type) => roundMoney(lines.filter((l) => l.type === type).reduce((total, l) => total + l.amount, 0));
+    const totalCredit = sum(CREDIT);
+    const totalDebit = sum(DEBIT);
+    const closingBalance = roundMoney(openingBalance + totalCredit - totalDebit);
+
+    // Postpaid: the month's statement is the bill for what is owed at its end
+    // (months from before the account went postpaid are never billed)
+    const billed = wallet.accountType === WALLET_ACCOUNT_TYPES.POSTPAID &&
+      wallet.credit && wallet.credit.postpaidSince && end > wallet.credit.postpaidSince;
+    const dues = billed && closingBalance < 0
+      ? {
+        amountDue: -closingBalance,
+        dueDate: new Date(end.getTime() + this.getConfig().creditTermsDays * 24 * 60 * 60 * 1000)
+      }
+      : undefined;
+
+    try {
+      return await Statement.create({
+        user: wallet.user,
+        period,
+        periodStart: start,
+        periodEnd: end,
+        openingBalance,
+        closingBalance,
+        totalCredit,
+        totalDebit,
+        lines,
+        transactionCount: lines.reduce((total, l) => total + l.count, 0),
+        dues
+      });
+    } catch (error) {
+      // Built concurrently (job and a download at the same time)
+      if (error.code !== 11000) throw error;
+      return Statement.findOne({ user: userId, period });
+    }
+  }
+
+  /**
+   * Ledger entries behind a statement, oldest first, with a running balance
+   * @param {Object} statement - Statement
+   * @returns {Array} Entries
+   */
+  async _entries(statement) {
+    const transactions = await WalletTransaction.find({
+      user: statement.user,
+      status: WALLET_TRANSACTION_STATUS.COMPLETED,
+      createdAt: { $gte: statement.periodStart, $lt: statement.periodEnd }
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    let balance = statement.openingBalance;
+    return transactions.map((txn) => {
+      balance = roundMoney(balance + (txn.type === CREDIT ? txn.amount : -txn.amount));
+      return { ...txn, runningBalance: balance };
+    });
+  }
+
+  /**
+   * Seller's statements, newest first
+   * @param {String} userId - User ID
+   * @returns {Array} Statements
+   */
+  async getStatements(userId) {
+    return Statement.find({ user: userId })
+      .sort({ period: -1 })
+      .select('-email.error');
+  }
+
+  /**
+   * Statement as CSV: summary lines, then every ledger entry (by transaction ID)
+   * @param {String} userId - User ID
+   * @param {String} period - 'YYYY-MM'
+   * @returns {Object} { csv, fileName }
+   */
+  async buildCsv(userId, period) {
+    const statement = await this.generate(userId, period);
+    return {
+      csv: await this._csv(statement),
+      fileName: `statement-${period}.csv`
+    };
+  }
+
+  async _csv(statement) {
+    const entries = await this._entries(statement);
+
+    const summary = parse([
+      { Line: 'Opening balance', Category: '', Type: '', Entries: '', Amount: statement.openingBalance },
+      ...statement.lines.map((line) => ({
+        Line: line.label,
+        Category: line.category,
+        Type: line.type,
+        Entries: line.count,
+        Amount: line.amount
+      })),
+      { Line: 'Closing balance', Category: '', Type: '', Entries: '', Amount: statement.closingBalance },
+      ...(statement.dues && statement.dues.amountDue > 0
+        ? [{
+          Line: `Amount due by ${statement.dues.dueDate.toISOString().slice(0, 10)}`,
+          Category: '',
+          Type: '',
+          Entries: '',
+          Amount: statement.dues.amountDue
+        }]
+        : [])
+    ]);
+
+    const ledger = parse(entries.map((txn) => ({
+      Date: new Date(txn.createdAt).toISOString(),
+      'Transaction ID': txn._id.toString(),
+      Category: txn.category,
+      Type: txn.type,
+      Description: txn.description,
+      'Order ID': txn.orderId ? txn.orderId.toString() : '',
+      AWB: txn.awb || '',
+      Credit: txn.type === CREDIT ? txn.amount : '',
+      Debit: txn.type === DEBIT ? txn.amount : '',
+      Balance: txn.runningBalance
+    })), {
+      fields: ['Date', 'Transaction ID', 'Category', 'Type', 'Description', 'Order ID', 'AWB', 'Credit', 'Debit', 'Balance']
+    });
+
+    return `${summary}\n\n${ledger}\n`;
+  }
+
+  /**
+   * Statement as PDF
+   * @param {String} userId - User ID
+   * @param {String} period - 'YYYY-MM'
+   * @returns {Object} { pdf, fileName }
+   */
+  async buildPdf(userId, period) {
+    const statement = await this.generate(userId, period);
+    const user = await User.findById(statement.user);
+    return {
+      pdf: await renderStatementPdf(statement, await this._entries(statement), user),
+      fileName: `statement-${period}.pdf`
+    };
+  }
+
+  /**
+   * Build last month's statements and email them (scheduled on the 1st;
+   * later runs pick up sellers left over or whose email failed)
+   * @returns {Object} { period, generated, sent, failed }
+   */
+  async runMonthlyStatements(now = new Date()) {
+    const period = this.previousPeriod(now);
+    const { end } = this._periodBounds(period);
+    const { maxEmailAttempts, batchSize } = this.getConfig();
+
+    // Sellers with any ledger activity up to the month end
+    const userIds = await WalletTransaction.distinct('user', {
+      status: WALLET_TRANSACTION_STATUS.COMPLETED,
+      createdAt: { $lt: end }
+    });
+    const done = new Set(
+      (await Statement.find({
+        period,
+        $or: [
+          { 'email.status': STATEMENT_EMAIL_STATUS.SENT },
+          { 'email.attempts': { $gte: maxEmailAttempts } }
+        ]
+      }).select('user')).map((s) => s.user.toString())
+    );
+
+    const result = { period, generated: 0, sent: 0, failed: 0 };
+    for (const userId of userIds.filter((id) => !done.has(id.toString())).slice(0, batchSize)) {
+      try {
+        const statement = await this.generate(userId, period);
+        result.generated++;
+        if (await this._emailStatement(statement, maxEmailAttempts)) {
+          result.sent++;
+        }
+      } catch (error) {
+        result.failed++;
+        console.error('[StatementService] statement failed', {
+          userId: userId.toString(),
+          period,
+          message: error.message
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Email a statement with its CSV and PDF (claimed so one instance sends it)
+   * @returns {Boolean} Whether it was sent
+   */
+  async _emailStatement(statement, maxEmailAttempts) {
+    const staleSend = new Date(Date.now() - 15 * 60 * 1000);
+    const claimed = await Statement.findOneAndUpdate(
+      {
+        _id: statement._id,
+        'email.attempts': { $lt: maxEmailAttempts },
+        $or: [
+          { 'email.status': { $in: [STATEMENT_EMAIL_STATUS.PENDING, STATEMENT_EMAIL_STATUS.FAILED] } },
+          { 'email.status': STATEMENT_EMAIL_STATUS.SENDING, 'email.lastAttemptAt': { $lt: staleSend } }
+        ]
+      },
+      {
+        $set: { 'email.status': STATEMENT_EMAIL_STATUS.SENDING, 'email.lastAttemptAt': new Date() },
+        $inc: { 'email.attempts': 1 }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    const user = await User.findById(statement.user);
+    const [csv, pdf] = await Promise.all([
+      this._csv(statement),
+      this._entries(statement).then((entries) => renderStatementPdf(statement, entries, user))
+    ]);
+
+    const { sent, error } = await emailService.sendMessage({
+      to: user.email,
+      subject: `Your Flywell Logistics statement for ${statement.period}`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Your wallet statement for ${statement.period} is attached.`,
+        `Opening balance: ₹${statement.openingBalance.toFixed(2)}`,
+        `Closing balance: ₹${statement.closingBalance.toFixed(2)}`,
+        ...(statement.dues && statement.dues.amountDue > 0
+          ? [`Amount due: ₹${statement.dues.amountDue.toFixed(2)} by ${statement.dues.dueDate.toISOString().slice(0, 10)}`]
+          : [])
+      ].join('\n'),
+      attachments: [
+        { filename: `statement-${statement.period}.pdf`, content: pdf, contentType: 'application/pdf' },
+        { filename: `statement-${statement.period}.csv`, content: csv, contentType: 'text/csv' }
+      ]
+    });
+
+    await Statement.updateOne(
+      { _id: statement._id },
+      {
+        $set: sent
+          ? { 'email.status': STATEMENT_EMAIL_STATUS.SENT, 'email.sentAt': new Date(), 'email.error': null }
+          : { 'email.status': STATEMENT_EMAIL_STATUS.FAILED, 'email.error': error || 'Email not configured' }
+      }
+    );
+
+    return !!sent;
+  }
+}
+
+module.exports = new StatementService();
@@ -64,9 +64,9 @@ class ThirdPartyAPIService {
 
       const provider = getProvider(partner);
       
-      // Delegate to provider
+      // Delegate to provider (quoted on the carrier's chargeable weight)
       console.log(`[ThirdPartyAPI] Calculating rate with ${partner} provider`);
-      const result = await provider.calculateRate(rateData);
+      const result = await provider.calculateRate(provider.withChargeableWeight(rateData));
       
       return result;
     } catch (error) {
@@ -141,6 +141,87 @@ class ThirdPartyAPIService {
     }
   }
 
+  /**
+   * Create reverse pickup (return) shipment with delivery partner
+   * 
+   * @param {String} partner - Delivery partner name
+   * @param {Object} shipmentData - Shipment data (pickup = customer, delivery = warehouse)
+   * @returns {Promise<Object>} Shipment information with AWB
+   * @throws {AppError} If partner does not support returns or creation fails
+   */
+  async createReverseShipment(partner, shipmentData) {
+    try {
+      if (!hasProvider(partner)) {
+        throw new AppError(`Provider for '${partner}' not implemented`, 501);
+      }
+
+      const provider = getProvider(partner);
+
+      console.log(`[ThirdPartyAPI] Creating reverse shipment with ${partner} provider`);
+      return await provider.createReverseShipment(shipmentData);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      console.error(`[ThirdPartyAPI] Error creating reverse shipment for ${partner}:`, error.message);
+      throw new AppError(
+        `Reverse shipment creation failed for ${partner}: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Send an NDR action (re-attempt / RTO / hold) to the delivery partner
+   * @param {String} partner - Delivery partner name
+   * @param {String} awb - AWB number
+   * @param {Object} actionData - See BaseProvider.submitNdrAction
+   * @returns {Promise<Object>} Carrier response
+   */
+  async submitNdrAction(partner, awb, actionData) {
+    try {
+      if (!hasProvider(partner)) {
+        throw new AppError(`Provider for '${partner}' not implemented`, 501);
+      }
+
+      console.log(`[ThirdPartyAPI] Sending NDR action "${actionData.action}" to ${partner}: ${awb}`);
+      return await getProvider(partner).submitNdrAction(awb, actionData);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      console.error(`[ThirdPartyAPI] Error sending NDR action for ${partner}:`, error.message);
+      throw new AppError(
+        `NDR action failed for ${partner}: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Rate request with the partner's chargeable weight (dead vs volumetric)
+   * @param {String} partner - Delivery partner name
+   * @param {Object} rateData - Rate calculation data
+   * @returns {Object} Rate data with weight, deadWeight and volumetricDivisor
+   */
+  applyChargeableWeight(partner, rateData) {
+    if (!hasProvider(partner)) {
+      throw new AppError(`Provider for '${partner}' not implemented`, 501);
+    }
+    return getProvider(partner).withChargeableWeight(rateData);
+  }
+
+  /**
+   * Whether a partner can book reverse pickups
+   * @param {String} partner - Delivery partner name
+   * @returns {Boolean}
+   */
+  supportsReverseShipment(partner) {
+    return hasProvider(partner) && getProvider(partner).supportsReverseShipment();
+  }
+
   /**
    * Track shipment by AWB/tracking number
    * 
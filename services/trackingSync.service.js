@@ -0,0 +1,174 @@
+const Order = require('../models/Order.model');
+const { STATUS_CHANGE_RESULTS } = require('../models/OrderStatusHistory.model');
+const { getAllProviders, getProvider } = require('../providers');
+const thirdPartyAPIService = require('./thirdPartyAPI.service');
+const orderService = require('./order.service');
+const orderStatusService = require('./orderStatus.service');
+const { ORDER_STATUS } = require('../config/constants');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Tracking Sync Service - Background tracking polls for in-flight shipments
+ *
+ * Flow:
+ * 1. jobs/trackingSync.job.js calls syncDue(); each carrier is worked on in
+ *    parallel, its calls spaced out to stay under its requests-per-minute
+ * 2. Due orders (booked, not in a terminal status) are claimed one at a time:
+ *    trackingSync.nextSyncAt is pushed out by the lease so no other worker
+ *    picks the same order
+ * 3. The result goes through orderService.applyTracking (state machine,
+ *    timeline, seller webhooks, NDR), then the next poll is scheduled
+ *
+ * Cadence is per carrier (provider.getTrackingSyncConfig). AWBs whose status
+ * has not changed for TRACKING_SYNC_STALE_AFTER_HOURS are polled half as
+ * often per stale period, and failing ones back off exponentially, both up
+ * to TRACKING_SYNC_MAX_INTERVAL_HOURS.
+ */
+class TrackingSyncService {
+  getConfig() {
+    return {
+      batchSize: Number(process.env.TRACKING_SYNC_BATCH_SIZE) || 100,
+      lockMs: Number(process.env.TRACKING_SYNC_LOCK_MS) || 10 * 60 * 1000,
+      staleAfterMs: (Number(process.env.TRACKING_SYNC_STALE_AFTER_HOURS) || 48) * 60 * 60 * 1000,
+      maxIntervalMs: (Number(process.env.TRACKING_SYNC_MAX_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Poll tracking for every carrier's due orders
+   * @returns {Object} { <partner>: { synced, changed, failed } }
+   */
+  async syncDue() {
+    const partners = getAllProviders().filter((partner) => getProvider(partner).getTrackingSyncConfig().intervalMs > 0);
+
+    const results = await Promise.all(partners.map((partner) => this.syncPartner(partner).catch((error) => {
+      console.error('[TrackingSync] carrier sync failed', { partner, message: error.message });
+      return { synced: 0, changed: 0, failed: 0 };
+    })));
+
+    return Object.fromEntries(partners.map((partner, index) => [partner, results[index]]));
+  }
+
+  /**
+   * Poll one carrier's due orders, up to the batch size
+   * @param {String} partner - Delivery partner
+   * @returns {Object} { synced, changed, failed }
+   */
+  async syncPartner(partner) {
+    const { intervalMs, requestsPerMinute } = getProvider(partner).getTrackingSyncConfig();
+    const { batchSize } = this.getConfig();
+    const spacingMs = Math.ceil(60 * 1000 / requestsPerMinute);
+    const result = { synced: 0, changed: 0, failed: 0 };
+
+    while (result.synced + result.failed < batchSize) {
+      const order = await this._claimNext(partner);
+      if (!order) break;
+
+      const startedAt = Date.now();
+      const outcome = await this._syncOrder(order, intervalMs);
+      result[outcome.ok ? 'synced' : 'failed']++;
+      if (outcome.changed) result.changed++;
+
+      const wait = spacingMs - (Date.now() - startedAt);
+      if (wait > 0) {
+        await sleep(wait);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Atomically claim the carrier's most overdue order
+   */
+  async _claimNext(partner) {
+    const now = new Date();
+    return Order.findOneAndUpdate(
+      {
+        deliveryPartner: partner,
+        status: { $in: this._pollableStatuses() },
+        awb: { $ne: null },
+        $or: [
+          { 'trackingSync.nextSyncAt': null },
+          { 'trackingSync.nextSyncAt': { $lte: now } }
+        ]
+      },
+      { $set: { 'trackingSync.nextSyncAt': new Date(now.getTime() + this.getConfig().lockMs) } },
+      { sort: { 'trackingSync.nextSyncAt': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Poll one order and schedule its next poll (never throws)
+   * @returns {Object} { ok, changed }
+   */
+  async _syncOrder(order, intervalMs) {
+    const now = new Date();
+    const sync = order.trackingSync || {};
+
+    try {
+      const tracking = await thirdPartyAPIService.trackShipment(order.deliveryPartner, order.awb);
+      const change = await orderService.applyTracking(order, tracking, 'tracking_sync');
+
+      // Changes from webhooks count too: compare with what the last poll saw
+      const changed = !!sync.lastStatus && order.status !== sync.lastStatus;
+      const lastChangedAt = changed || !sync.lastChangedAt ? now : sync.lastChangedAt;
+
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            'trackingSync.nextSyncAt': new Date(now.getTime() + this._nextInterval(intervalMs, lastChangedAt, now)),
+            'trackingSync.lastSyncedAt': now,
+            'trackingSync.lastStatus': order.status,
+            'trackingSync.lastChangedAt': lastChangedAt,
+            'trackingSync.failures': 0,
+            'trackingSync.lastError': null
+          }
+        }
+      );
+
+      return { ok: true, changed: change?.result === STATUS_CHANGE_RESULTS.APPLIED };
+    } catch (error) {
+      const failures = (sync.failures || 0) + 1;
+      const delay = Math.min(intervalMs * 2 ** failures, Math.max(intervalMs, this.getConfig().maxIntervalMs));
+      console.error('[TrackingSync] tracking poll failed', {
+        orderNumber: order.orderNumber,
+        partner: order.deliveryPartner,
+        failures,
+        message: error.message
+      });
+
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            'trackingSync.nextSyncAt': new Date(now.getTime() + delay),
+            'trackingSync.failures': failures,
+            'trackingSync.lastError': error.message
+          }
+        }
+      ).catch((err) => {
+        console.error('[TrackingSync] failed to reschedule', { orderNumber: order.orderNumber, message: err.message });
+      });
+
+      return { ok: false, changed: false };
+    }
+  }
+
+  /**
+   * Carrier cadence, doubled for every stale period the status has not moved
+   */
+  _nextInterval(intervalMs, lastChangedAt, now) {
+    const { staleAfterMs, maxIntervalMs } = this.getConfig();
+    const stalePeriods = Math.floor((now - lastChangedAt) / staleAfterMs);
+    return Math.min(intervalMs * 2 ** stalePeriods, Math.max(intervalMs, maxIntervalMs));
+  }
+
+  _pollableStatuses() {
+    return Object.values(ORDER_STATUS).filter((status) => !orderStatusService.isTerminal(status));
+  }
+}
+
+module.exports = new TrackingSyncService();
@@ -1,25 +1,50 @@
 const Wallet = require('../models/Wallet.model');
+const WalletTransaction = require('../models/WalletTransaction.model');
+const { WALLET_TRANSACTION_STATUS } = require('../models/WalletTransaction.model');
+const WalletHold = require('../models/WalletHold.model');
+const { WALLET_HOLD_STATUS } = require('../models/WalletHold.model');
+const invoiceService = require('./invoice.service');
 const AppError = require('../utils/AppError');
-const { TRANSACTION_TYPES } = require('../config/constants');
+const { TRANSACTION_TYPES, TRANSACTION_CATEGORIES, WALLET_ACCOUNT_TYPES } = require('../config/constants');
 
 /**
  * Wallet Service - Handles wallet transactions and balance management
+ *
+ * Balances only ever move through a single conditional $inc on the wallet, so
+ * concurrent debits cannot overspend. Each movement is recorded in the
+ * WalletTransaction collection along with the balance it produced.
+ *
+ * Prepaid wallets stop at zero; postpaid ones at minus their credit limit (zero
+ * again while blocked for overdue dues).
+ *
+ * Pending bookings reserve funds with a hold (wallet.heldBalance) instead of a
+ * debit; the booking captures it at the final price or releases it.
  */
 class WalletService {
+  getConfig() {
+    return {
+      // Holds not captured or released by then are swept by the wallet-holds job
+      holdTtlMs: (Number(process.env.WALLET_HOLD_TTL_MINUTES) || 24 * 60) * 60 * 1000,
+      // A ledger entry still pending after this was left behind by a failed post
+      pendingStaleMs: Number(process.env.WALLET_PENDING_STALE_MS) || 5 * 60 * 1000
+    };
+  }
+
   /**
    * Get wallet by user ID
    * @param {String} userId - User ID
    * @returns {Object} Wallet details
    */
   async getWalletByUserId(userId) {
-    let wallet = await Wallet.findOne({ user: userId });
+    // Create wallet if doesn't exist (upsert, so parallel requests share one wallet)
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, balance: 0 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
 
-    if (!wallet) {
-      // Create wallet if doesn't exist
-      wallet = await Wallet.create({
-        user: userId,
-        balance: 0
-      });
+    if (!wallet.ledgerMigratedAt && wallet.transactions && wallet.transactions.length > 0) {
+      await this._migrateLegacyLedger(wallet);
     }
 
     return wallet;
@@ -31,45 +56,27 @@ class WalletService {
    * @param {Number} amount - Amount to add
    * @param {String} description - Transaction description
    * @param {Object} metadata - Additional metadata
+   * @param {Object} options - category, idempotencyKey, orderId/awb (order refunds and adjustments)
    * @returns {Object} Transaction details
    */
-  async addMoney(userId, amount, description, metadata = {}) {
+  async addMoney(userId, amount, description, metadata = {}, options = {}) {
     if (amount <= 0) {
       throw new AppError('Amount must be greater than 0', 400);
     }
 
-    const wallet = await this.getWalletByUserId(userId);
-
-    const transaction = {
+    return this._postTransaction(userId, {
       type: TRANSACTION_TYPES.CREDIT,
-      amount: amount,
+      category: options.category || TRANSACTION_CATEGORIES.RECHARGE,
+      amount,
       description: description || 'Wallet recharge',
+      orderId: options.orderId || null,
+      awb: options.awb || null,
       metadata: {
         ...metadata,
         addedAt: new Date()
-      }
-    };
-
-    await wallet.addTransaction(
-      transaction.type,
-      transaction.amount,
-      transaction.description,
-      null,
-      null,
-      transaction.metadata
-    );
-
-    // Reload wallet to get updated balance
-    await wallet.populate('user', 'name email');
-
-    return {
-      wallet: {
-        id: wallet._id,
-        balance: wallet.balance,
-        userId: wallet.user._id
       },
-      transaction
-    };
+      idempotencyKey: options.idempotencyKey
+    });
   }
 
   /**
@@ -80,53 +87,515 @@ class WalletService {
    * @param {String} orderId - Order ID (optional)
    * @param {String} awb - AWB number (optional)
    * @param {Object} metadata - Additional metadata
+   * @param {Object} options - category, idempotencyKey, allowOverdraft (charges that must post
+   *   regardless of balance, e.g. late fees)
    * @returns {Object} Transaction details
    */
-  async deductMoney(userId, amount, description, orderId = null, awb = null, metadata = {}) {
+  async deductMoney(userId, amount, description, orderId = null, awb = null, metadata = {}, options = {}) {
     if (amount <= 0) {
       throw new AppError('Amount must be greater than 0', 400);
     }
 
-    const wallet = await this.getWalletByUserId(userId);
-
-    if (wallet.balance < amount) {
-      throw new AppError('Insufficient wallet balance', 400);
-    }
-
-    const transaction = {
+    return this._postTransaction(userId, {
       type: TRANSACTION_TYPES.DEBIT,
-      amount: amount,
+      category: options.category || TRANSACTION_CATEGORIES.ORDER_PAYMENT,
+      amount,
       description: description || 'Order payment',
-      orderId: orderId,
-      awb: awb,
+      orderId,
+      awb,
       metadata: {
         ...metadata,
         deductedAt: new Date()
+      },
+      idempotencyKey: options.idempotencyKey,
+      allowOverdraft: options.allowOverdraft
+    });
+  }
+
+  /**
+   * Record a ledger entry and move the balance.
+   *
+   * The entry is inserted as pending first (claiming the idempotency key), then
+   * the balance moves with one conditional $inc that also lists the entry in
+   * wallet.pendingTransactions. A debit that would overdraw matches nothing, and
+   * its pending entry is removed. If the post dies after the $inc, that list
+   * tells reconcilePendingTransactions the entry was applied.
+   */
+  async _postTransaction(userId, { type, category, amount, description, orderId = null, awb = null, metadata = {}, idempotencyKey, allowOverdraft = false, releaseHeld = 0 }) {
+    const wallet = await this.getWalletByUserId(userId);
+
+    if (idempotencyKey) {
+      let existing = await WalletTransaction.findOne({ idempotencyKey });
+      if (existing && existing.status === WALLET_TRANSACTION_STATUS.PENDING) {
+        // Left behind by a post that died: complete it, or void it and post again
+        existing = await this._reconcileEntry(existing);
+      }
+      if (existing) {
+        return this._replayTransaction(existing, wallet);
+      }
+    }
+
+    let entry;
+    try {
+      entry = await WalletTransaction.create({
+        wallet: wallet._id,
+        user: wallet.user,
+        type,
+        category,
+        amount,
+        description,
+        orderId,
+        awb,
+        idempotencyKey: idempotencyKey || undefined,
+        metadata
+      });
+    } catch (error) {
+      // Lost a race for the same idempotency key
+      if (error.code === 11000 && idempotencyKey) {
+        const existing = await WalletTransaction.findOne({ idempotencyKey });
+        return this._replayTransaction(existing, wallet);
+      }
+      throw error;
+    }
+
+    // Captures spend funds their hold already reserved
+    const filter = type === TRANSACTION_TYPES.DEBIT && !allowOverdraft && !releaseHeld
+      ? this._fundsFilter(wallet, amount)
+      : { _id: wallet._id };
+    const inc = { balance: type === TRANSACTION_TYPES.CREDIT ? amount : -amount };
+    if (releaseHeld) {
+      inc.heldBalance = -releaseHeld;
+    }
+
+    const updated = await Wallet.findOneAndUpdate(
+      filter,
+      { $inc: inc, $push: { pendingTransactions: entry._id } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await WalletTransaction.deleteOne({ _id: entry._id });
+      throw new AppError('Insufficient wallet balance', 400);
+    }
+
+    entry.balanceAfter = updated.balance;
+    entry.status = WALLET_TRANSACTION_STATUS.COMPLETED;
+    await entry.save();
+    await Wallet.updateOne({ _id: updated._id }, { $pull: { pendingTransactions: entry._id } });
+
+    if (entry.orderId) {
+      await this._issueInvoiceNote(entry);
+    }
+
+    this._afterBalanceChange(updated, entry);
+
+    return {
+      wallet: {
+        id: updated._id,
+        balance: updated.balance,
+        userId: updated.user
+      },
+      transaction: entry,
+      replayed: false
+    };
+  }
+
+  /**
+   * Credit / debit note for refunds and adjustments on an invoiced order.
+   * Never fails the wallet entry; the invoice job retries missed notes.
+   */
+  async _issueInvoiceNote(entry) {
+    try {
+      await invoiceService.issueNoteForTransaction(entry);
+    } catch (error) {
+      console.error('[WalletService] credit/debit note not issued', {
+        transactionId: entry._id.toString(),
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Low-balance alert / auto-recharge, and unblocking a postpaid account once a
+   * credit pays its overdue dues. Not awaited, so bulk bookings don't wait on
+   * email / Razorpay; required lazily since both services post through this one.
+   * `entry` is the ledger entry, if any (a hold changes the balance available
+   * without one).
+   */
+  _afterBalanceChange(wallet, entry = null) {
+    const checks = [require('./autoRecharge.service').checkBalance(wallet)];
+    if (entry && entry.type === TRANSACTION_TYPES.CREDIT && wallet.credit && wallet.credit.blockedAt) {
+      checks.push(require('./creditAccount.service').reconcile(wallet));
+    }
+
+    Promise.all(checks).catch((error) => {
+      console.error('[WalletService] post-transaction check failed', {
+        walletId: wallet._id.toString(),
+        message: error.message
+      });
+    });
+  }
+
+  /**
+   * Wallet filter that matches only if `amount` fits in what is not held
+   * (plus credit for postpaid accounts)
+   */
+  _fundsFilter(wallet, amount) {
+    return {
+      _id: wallet._id,
+      $expr: {
+        $gte: [
+          { $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] },
+          amount - this.creditAvailable(wallet)
+        ]
       }
     };
+  }
+
+  /**
+   * What a new debit or hold can use: balance less holds, plus unused credit
+   * @param {Object} wallet - Wallet
+   * @returns {Number} Available amount
+   */
+  availableBalance(wallet) {
+    return Math.round((wallet.balance - (wallet.heldBalance || 0) + this.creditAvailable(wallet)) * 100) / 100;
+  }
+
+  /**
+   * Reserve funds for a pending booking. Nothing is posted to the ledger until
+   * the hold is captured.
+   * @param {String} userId - User ID
+   * @param {Number} amount - Amount to hold
+   * @param {Object} options - description, orderId, idempotencyKey, metadata
+   * @returns {Object} { hold, wallet, replayed }
+   */
+  async placeHold(userId, amount, { description, orderId = null, idempotencyKey, metadata = {} } = {}) {
+    if (amount <= 0) {
+      throw new AppError('Amount must be greater than 0', 400);
+    }
+
+    const wallet = await this.getWalletByUserId(userId);
+
+    let hold;
+    try {
+      hold = await WalletHold.create({
+        wallet: wallet._id,
+        user: wallet.user,
+        order: orderId,
+        amount,
+        description: description || 'Booking hold',
+        idempotencyKey: idempotencyKey || undefined,
+        expiresAt: new Date(Date.now() + this.getConfig().holdTtlMs),
+        metadata
+      });
+    } catch (error) {
+      // Lost a race for the same idempotency key
+      if (error.code === 11000 && idempotencyKey) {
+        const existing = await WalletHold.findOne({ idempotencyKey });
+        if (existing.status === WALLET_HOLD_STATUS.PENDING) {
+          throw new AppError('A wallet hold with this key is still being processed', 409);
+        }
+        return { hold: existing, wallet: this._walletSummary(wallet), replayed: true };
+      }
+      throw error;
+    }
+
+    const updated = await Wallet.findOneAndUpdate(
+      this._fundsFilter(wallet, amount),
+      { $inc: { heldBalance: amount } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await WalletHold.deleteOne({ _id: hold._id });
+      throw new AppError('Insufficient wallet balance', 400);
+    }
+
+    hold.status = WALLET_HOLD_STATUS.HELD;
+    await hold.save();
+    this._afterBalanceChange(updated);
+
+    return { hold, wallet: this._walletSummary(updated), replayed: false };
+  }
+
+  /**
+   * Capture a hold: one ledger debit for the final amount (never more than was
+   * held); the rest of the hold is given back in the same update
+   * @param {String} holdId - WalletHold ID
+   * @param {Number} amount - Final amount
+   * @param {Object} options - description, category, idempotencyKey, awb, metadata
+   * @returns {Object} Transaction details plus the hold
+   */
+  async captureHold(holdId, amount, { description, category, idempotencyKey, awb = null, metadata = {} } = {}) {
+    const hold = await WalletHold.findById(holdId);
+    if (!hold) {
+      throw new AppError('Wallet hold not found', 404);
+    }
+
+    const capture = Math.round(Math.min(amount, hold.amount) * 100) / 100;
+    if (!(capture > 0)) {
+      throw new AppError('Capture amount must be greater than 0', 400);
+    }
+
+    const claimed = await WalletHold.findOneAndUpdate(
+      { _id: hold._id, status: WALLET_HOLD_STATUS.HELD },
+      { $set: { status: WALLET_HOLD_STATUS.CAPTURED, capturedAmount: capture, settledAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      // Captured by an earlier attempt: same ledger entry
+      if (hold.status === WALLET_HOLD_STATUS.CAPTURED && hold.transaction) {
+        const existing = await WalletTransaction.findById(hold.transaction);
+        const wallet = await this.getWalletByUserId(hold.user);
+        return { ...this._replayTransaction(existing, wallet), hold };
+      }
+      throw new AppError(`Wallet hold is ${hold.status} and cannot be captured`, 409);
+    }
+
+    let result;
+    try {
+      result = await this._postTransaction(hold.user, {
+        type: TRANSACTION_TYPES.DEBIT,
+        category: category || TRANSACTION_CATEGORIES.ORDER_PAYMENT,
+        amount: capture,
+        description: description || hold.description,
+        orderId: hold.order,
+        awb,
+        metadata: {
+          ...metadata,
+          holdId: hold._id,
+          heldAmount: hold.amount,
+          deductedAt: new Date()
+        },
+        idempotencyKey: idempotencyKey || `hold_capture:${hold._id}`,
+        releaseHeld: hold.amount
+      });
+    } catch (error) {
+      await WalletHold.updateOne(
+        { _id: hold._id, status: WALLET_HOLD_STATUS.CAPTURED, transaction: null },
+        { $set: { status: WALLET_HOLD_STATUS.HELD, capturedAmount: null, settledAt: null } }
+      );
+      throw error;
+    }
+
+    claimed.transaction = result.transaction._id;
+    await claimed.save();
 
-    await wallet.addTransaction(
-      transaction.type,
-      transaction.amount,
-      transaction.description,
-      transaction.orderId,
-      transaction.awb,
-      transaction.metadata
+    return { ...result, hold: claimed };
+  }
+
+  /**
+   * Give a hold back (booking failed, order cancelled, hold expired).
+   * Does nothing if the hold is no longer active.
+   * @param {String} holdId - WalletHold ID
+   * @param {String} reason - Why it was released
+   * @param {String} status - RELEASED or EXPIRED
+   * @returns {Object|null} Released hold
+   */
+  async releaseHold(holdId, reason, status = WALLET_HOLD_STATUS.RELEASED) {
+    const hold = await WalletHold.findOneAndUpdate(
+      { _id: holdId, status: WALLET_HOLD_STATUS.HELD },
+      { $set: { status, releaseReason: reason || null, settledAt: new Date() } },
+      { new: true }
     );
+    if (!hold) {
+      return null;
+    }
+
+    await Wallet.updateOne({ _id: hold.wallet }, { $inc: { heldBalance: -hold.amount } });
+    return hold;
+  }
 
-    // Reload wallet to get updated balance
-    await wallet.populate('user', 'name email');
+  /**
+   * Active holds past their expiry, oldest first
+   * @param {Number} limit - Max holds
+   * @returns {Array} Holds
+   */
+  async getExpiredHolds(limit = 100) {
+    return WalletHold.find({ status: WALLET_HOLD_STATUS.HELD, expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(limit);
+  }
+
+  _walletSummary(wallet) {
+    return {
+      id: wallet._id,
+      balance: wallet.balance,
+      heldBalance: wallet.heldBalance || 0,
+      availableBalance: this.availableBalance(wallet),
+      userId: wallet.user
+    };
+  }
+
+  /**
+   * How far below zero a wallet may go: the credit limit for postpaid
+   * accounts in good standing, otherwise nothing
+   * @param {Object} wallet - Wallet
+   * @returns {Number} Credit available below zero
+   */
+  creditAvailable(wallet) {
+    if (wallet.accountType !== WALLET_ACCOUNT_TYPES.POSTPAID || (wallet.credit && wallet.credit.blockedAt)) {
+      return 0;
+    }
+    return wallet.creditLimit || 0;
+  }
+
+  _replayTransaction(existing, wallet) {
+    if (existing.status !== WALLET_TRANSACTION_STATUS.COMPLETED) {
+      throw new AppError('A wallet transaction with this key is still being processed', 409);
+    }
 
     return {
       wallet: {
         id: wallet._id,
         balance: wallet.balance,
-        userId: wallet.user._id
+        userId: wallet.user
       },
-      transaction
+      transaction: existing,
+      replayed: true
     };
   }
 
+  /**
+   * Finish ledger posts that died half-way (wallet-ledger job): entries whose
+   * balance move was applied are completed, the rest are voided so their
+   * idempotency key can be posted again
+   * @returns {Object} { completed, voided, cleared }
+   */
+  async reconcilePendingTransactions() {
+    const staleBefore = new Date(Date.now() - this.getConfig().pendingStaleMs);
+    const result = { completed: 0, voided: 0, cleared: 0 };
+
+    const entries = await WalletTransaction.find({
+      status: WALLET_TRANSACTION_STATUS.PENDING,
+      createdAt: { $lt: staleBefore }
+    }).limit(200);
+
+    for (const entry of entries) {
+      const reconciled = await this._reconcileEntry(entry);
+      if (!reconciled) result.voided++;
+      else if (reconciled.status === WALLET_TRANSACTION_STATUS.COMPLETED) result.completed++;
+    }
+
+    // Completed entries whose post died before taking them off the wallet's list
+    const wallets = await Wallet.find({ 'pendingTransactions.0': { $exists: true } })
+      .select('pendingTransactions')
+      .limit(200);
+
+    for (const wallet of wallets) {
+      const completed = await WalletTransaction.find({
+        _id: { $in: wallet.pendingTransactions },
+        status: WALLET_TRANSACTION_STATUS.COMPLETED
+      }).distinct('_id');
+      if (completed.length > 0) {
+        await Wallet.updateOne({ _id: wallet._id }, { $pull: { pendingTransactions: { $in: completed } } });
+        result.cleared += completed.length;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Complete or void one pending entry, once it is old enough that its post
+   * cannot still be running
+   * @returns {Object|null} The entry (completed, or still pending if recent), null if voided
+   */
+  async _reconcileEntry(entry) {
+    if (entry.createdAt > new Date(Date.now() - this.getConfig().pendingStaleMs)) {
+      return entry;
+    }
+
+    const applied = await Wallet.exists({ _id: entry.wallet, pendingTransactions: entry._id });
+    if (!applied) {
+      await WalletTransaction.deleteOne({ _id: entry._id, status: WALLET_TRANSACTION_STATUS.PENDING });
+      console.warn('[WalletService] voided ledger entry whose balance move never happened', {
+        transactionId: entry._id.toString(),
+        idempotencyKey: entry.idempotencyKey
+      });
+      return null;
+    }
+
+    // The balance it produced was not kept; later entries have moved it since
+    const completed = await WalletTransaction.findOneAndUpdate(
+      { _id: entry._id, status: WALLET_TRANSACTION_STATUS.PENDING },
+      { $set: { status: WALLET_TRANSACTION_STATUS.COMPLETED, 'metadata.reconciledAt': new Date() } },
+      { new: true }
+    ) || await WalletTransaction.findById(entry._id);
+    await Wallet.updateOne({ _id: entry.wallet }, { $pull: { pendingTransactions: entry._id } });
+    console.warn('[WalletService] completed ledger entry left pending after its balance move', {
+      transactionId: entry._id.toString(),
+      idempotencyKey: entry.idempotencyKey
+    });
+    return completed;
+  }
+
+  /**
+   * Copy a wallet's embedded transactions into the WalletTransaction collection
+   * (once), keeping their IDs and dates, then clear the embedded array.
+   */
+  async _migrateLegacyLedger(wallet) {
+    // The embedded array may not start at zero (or hold every movement), so
+    // count back from the real balance: the last entry ends on it
+    const net = wallet.transactions.reduce(
+      (sum, txn) => sum + (txn.type === TRANSACTION_TYPES.CREDIT ? txn.amount : -txn.amount),
+      0
+    );
+    let runningBalance = wallet.balance - net;
+
+    const entries = wallet.transactions.map((txn) => {
+      runningBalance += txn.type === TRANSACTION_TYPES.CREDIT ? txn.amount : -txn.amount;
+      const createdAt = txn._id.getTimestamp();
+
+      const entry = {
+        _id: txn._id,
+        wallet: wallet._id,
+        user: wallet.user,
+        type: txn.type,
+        category: this._legacyCategory(txn),
+        amount: txn.amount,
+        balanceAfter: Math.round(runningBalance * 100) / 100,
+        status: WALLET_TRANSACTION_STATUS.COMPLETED,
+        description: txn.description,
+        orderId: txn.orderId || null,
+        awb: txn.awb || null,
+        metadata: { ...(txn.metadata || {}), migratedFromWallet: true },
+        createdAt,
+        updatedAt: createdAt
+      };
+      // Only set when present: the unique index is sparse, nulls would collide
+      if (txn.metadata && txn.metadata.refundKey) {
+        entry.idempotencyKey = txn.metadata.refundKey;
+      }
+      return entry;
+    });
+
+    try {
+      // Raw insert keeps the original _id / createdAt
+      await WalletTransaction.collection.insertMany(entries, { ordered: false });
+    } catch (error) {
+      // Another request migrated (part of) this wallet already
+      const duplicatesOnly = error.code === 11000 ||
+        (error.writeErrors && error.writeErrors.every((e) => e.code === 11000));
+      if (!duplicatesOnly) throw error;
+    }
+
+    await Wallet.updateOne(
+      { _id: wallet._id, ledgerMigratedAt: null },
+      { $set: { ledgerMigratedAt: new Date(), transactions: [] } }
+    );
+  }
+
+  _legacyCategory(txn) {
+    const metadata = txn.metadata || {};
+    if (txn.type === TRANSACTION_TYPES.DEBIT) {
+      return txn.orderId ? TRANSACTION_CATEGORIES.ORDER_PAYMENT : TRANSACTION_CATEGORIES.ADJUSTMENT;
+    }
+    if (metadata.refundKey) return TRANSACTION_CATEGORIES.REFUND;
+    if (metadata.paymentId || metadata.razorpayPaymentId) return TRANSACTION_CATEGORIES.RECHARGE;
+    return TRANSACTION_CATEGORIES.ADJUSTMENT;
+  }
+
   /**
    * Get wallet balance
    * @param {String} userId - User ID
@@ -134,9 +603,20 @@ class WalletService {
    */
   async getBalance(userId) {
     const wallet = await this.getWalletByUserId(userId);
+    const threshold = wallet.lowBalance ? wallet.lowBalance.threshold : null;
     return {
       balance: wallet.balance,
-      walletId: wallet._id
+      walletId: wallet._id,
+      // Reserved for bookings waiting on the carrier
+      heldBalance: wallet.heldBalance || 0,
+      // What a new order can use: balance less holds, plus unused credit
+      availableBalance: this.availableBalance(wallet),
+      accountType: wallet.accountType,
+      creditLimit: wallet.creditLimit,
+      creditBlocked: !!(wallet.credit && wallet.credit.blockedAt),
+      lowBalanceThreshold: threshold,
+      isLow: threshold !== null && threshold !== undefined && wallet.balance < threshold,
+      autoRechargeEnabled: !!(wallet.autoRecharge && wallet.autoRecharge.enabled && wallet.autoRecharge.tokenId)
     };
   }
 
@@ -149,58 +629,60 @@ class WalletService {
   async getTransactions(userId, filters = {}) {
     const wallet = await this.getWalletByUserId(userId);
 
-    let transactions = wallet.transactions || [];
+    const query = {
+      user: wallet.user,
+      status: WALLET_TRANSACTION_STATUS.COMPLETED
+    };
 
     // Apply filters
     if (filters.type) {
-      transactions = transactions.filter(t => t.type === filters.type);
+      query.type = String(filters.type);
     }
 
-    if (filters.startDate || filters.endDate) {
-      transactions = transactions.filter(t => {
-        const txDate = new Date(t.createdAt || t._id.getTimestamp());
-        if (filters.startDate && txDate < new Date(filters.startDate)) return false;
-        if (filters.endDate && txDate > new Date(filters.endDate)) return false;
-        return true;
-      });
+    if (filters.category) {
+      query.category = String(filters.category);
     }
 
-    // Sort by date (newest first)
-    transactions.sort((a, b) => {
-      const dateA = new Date(a.createdAt || a._id?.getTimestamp() || 0);
-      const dateB = new Date(b.createdAt || b._id?.getTimestamp() || 0);
-      return dateB - dateA;
-    });
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
 
     // Pagination
     const page = filters.page || 1;
     const limit = filters.limit || 20;
     const skip = (page - 1) * limit;
 
-    const paginatedTransactions = transactions.slice(skip, skip + limit);
-
-    // Calculate totals
-    const totalCredit = transactions
-      .filter(t => t.type === TRANSACTION_TYPES.CREDIT)
-      .reduce((sum, t) => sum + t.amount, 0);
-
-    const totalDebit = transactions
-      .filter(t => t.type === TRANSACTION_TYPES.DEBIT)
-      .reduce((sum, t) => sum + t.amount, 0);
+    const [transactions, total, totals] = await Promise.all([
+      WalletTransaction.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WalletTransaction.countDocuments(query),
+      // Calculate totals
+      WalletTransaction.aggregate([
+        { $match: query },
+        { $group: { _id: '$type', total: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const totalFor = (type) => (totals.find((t) => t._id === type) || {}).total || 0;
 
     return {
       wallet: {
         id: wallet._id,
         balance: wallet.balance,
-        totalCredit,
-        totalDebit
+        totalCredit: totalFor(TRANSACTION_TYPES.CREDIT),
+        totalDebit: totalFor(TRANSACTION_TYPES.DEBIT)
       },
-      transactions: paginatedTransactions,
+      transactions,
       pagination: {
         page,
         limit,
-        total: transactions.length,
-        pages: Math.ceil(transactions.length / limit)
+        total,
+        pages: Math.ceil(total / limit)
       }
     };
   }
@@ -212,40 +694,34 @@ class WalletService {
    */
   async exportLedger(userId) {
     const wallet = await this.getWalletByUserId(userId);
-    const transactions = wallet.transactions || [];
 
-    // Sort by date (oldest first for ledger)
-    transactions.sort((a, b) => {
-      const dateA = new Date(a.createdAt || a._id?.getTimestamp() || 0);
-      const dateB = new Date(b.createdAt || b._id?.getTimestamp() || 0);
-      return dateA - dateB;
-    });
+    // Oldest first for ledger
+    const cursor = WalletTransaction.find({
+      user: wallet.user,
+      status: WALLET_TRANSACTION_STATUS.COMPLETED
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
 
     // CSV header
-    let csv = 'Date,Transaction ID,Type,Description,Order ID,AWB,Credit,Debit,Balance\n';
-
-    let runningBalance = 0;
+    let csv = 'Date,Transaction ID,Type,Category,Description,Order ID,AWB,Credit,Debit,Balance\n';
 
     // Add each transaction
-    transactions.forEach(txn => {
-      const date = new Date(txn.createdAt || txn._id?.getTimestamp()).toLocaleString('en-IN');
-      const txnId = txn._id?.toString().substring(0, 8) || 'N/A';
+    for await (const txn of cursor) {
+      const date = new Date(txn.createdAt).toLocaleString('en-IN');
+      const txnId = txn._id.toString().substring(0, 8);
       const type = txn.type || 'N/A';
+      const category = txn.category || '';
       const description = (txn.description || '').replace(/,/g, ';'); // Replace commas to avoid CSV issues
       const orderId = txn.orderId ? txn.orderId.toString().substring(0, 8) : '';
       const awb = txn.awb || '';
       const credit = txn.type === TRANSACTION_TYPES.CREDIT ? txn.amount : '';
       const debit = txn.type === TRANSACTION_TYPES.DEBIT ? txn.amount : '';
+      const balance = txn.balanceAfter != null ? Number(txn.balanceAfter).toFixed(2) : '';
 
-      // Calculate running balance
-      if (txn.type === TRANSACTION_TYPES.CREDIT) {
-        runningBalance += txn.amount;
-      } else if (txn.type === TRANSACTION_TYPES.DEBIT) {
-        runningBalance -= txn.amount;
-      }
-
-      csv += `"${date}","${txnId}","${type}","${description}","${orderId}","${awb}","${credit}","${debit}","${runningBalance.toFixed(2)}"\n`;
-    });
+      csv += `"${date}","${txnId}","${type}","${category}","${description}","${orderId}","${awb}","${credit}","${debit}","${balance}"\n`;
+    }
 
     return csv;
   }
@@ -0,0 +1,119 @@
+const WebhookNonce = require('../models/WebhookNonce.model');
+const { getProvider, hasProvider } = require('../providers');
+
+/**
+ * Webhook Verification Service - Authenticates partner status webhooks
+ * (POST /api/webhooks/order-status)
+ *
+ * Checks, in order: the partner is registered and has a secret configured,
+ * the caller's IP is on the partner's allow-list (if any), the provider's
+ * verifyWebhook() accepts the signature, the timestamp is recent (required
+ * unless the partner's config says it sends none) and the nonce (always
+ * required) has not been seen before. Fails closed: a partner without a secret
+ * cannot post status updates.
+ */
+class WebhookVerificationService {
+  getConfig() {
+    return {
+      toleranceSeconds: Number(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS) || 5 * 60,
+      // Covers the tolerance window, and replays of partners that send no timestamp
+      nonceTtlMs: (Number(process.env.WEBHOOK_NONCE_TTL_HOURS) || 24) * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Verify a partner webhook and claim its nonce
+   * @param {String} partner - Delivery partner named in the body
+   * @param {Object} req - Express request
+   * @returns {Object} { valid, statusCode, message, signature: { present, valid, note }, nonce }
+   */
+  async verifyPartnerWebhook(partner, req) {
+    const reject = (statusCode, message, signature = { valid: false }) => ({
+      valid: false,
+      statusCode,
+      message,
+      signature: { present: this._hasSignature(req), note: message, ...signature }
+    });
+
+    if (!partner || !hasProvider(partner)) {
+      return reject(400, 'Unknown or missing delivery partner');
+    }
+
+    const provider = getProvider(partner);
+    const { secret, allowedIps, requireTimestamp } = provider.getWebhookConfig();
+    if (!secret) {
+      console.error(`[WebhookVerification] ${provider.name.toUpperCase()}_WEBHOOK_SECRET not set — rejecting`);
+      return reject(503, 'Webhook verification not configured', { valid: null });
+    }
+
+    if (allowedIps.length > 0 && !allowedIps.includes(req.ip)) {
+      console.warn('[WebhookVerification] IP not on allow-list', { partner, ip: req.ip });
+      return reject(403, 'IP address not allowed');
+    }
+
+    const result = provider.verifyWebhook(req, secret);
+    if (!result.valid) {
+      console.warn('[WebhookVerification] rejected', { partner, reason: result.reason });
+      return reject(401, result.reason || 'Invalid webhook signature');
+    }
+
+    // A valid signature alone replays forever: insist on freshness and a nonce
+    if ((requireTimestamp || result.timestamp !== undefined) && !this._isFresh(result.timestamp)) {
+      return reject(401, 'Webhook timestamp is missing or outside the allowed window');
+    }
+    if (!result.nonce) {
+      return reject(401, 'Webhook nonce is missing');
+    }
+
+    try {
+      await WebhookNonce.create({
+        partner,
+        nonce: String(result.nonce),
+        expiresAt: new Date(Date.now() + this.getConfig().nonceTtlMs)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        console.warn('[WebhookVerification] replayed nonce', { partner });
+        return reject(401, 'Webhook has already been received (replayed nonce)');
+      }
+      throw error;
+    }
+
+    return {
+      valid: true,
+      statusCode: 200,
+      message: null,
+      signature: { present: true, valid: true },
+      nonce: String(result.nonce)
+    };
+  }
+
+  /**
+   * Free a claimed nonce so the partner's retry of a request that failed on
+   * our side is accepted
+   * @param {String} partner - Delivery partner
+   * @param {String} nonce - Nonce from verifyPartnerWebhook
+   */
+  async releaseNonce(partner, nonce) {
+    if (!nonce) return;
+    try {
+      await WebhookNonce.deleteOne({ partner, nonce });
+    } catch (error) {
+      console.error('[WebhookVerification] failed to release nonce', { partner, message: error.message });
+    }
+  }
+
+  _isFresh(timestamp) {
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds)) {
+      return false;
+    }
+    return Math.abs(Date.now() / 1000 - seconds) <= this.getConfig().toleranceSeconds;
+  }
+
+  _hasSignature(req) {
+    return !!(req.headers['x-webhook-signature'] || req.headers['x-webhook-secret'] || req.headers['x-hmac-sha256']);
+  }
+}
+
+module.exports = new WebhookVerificationService();
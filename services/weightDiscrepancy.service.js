@@ -0,0 +1,564 @@
+const path = require('path');
+const Order = require('../models/Order.model');
+const WeightDiscrepancy = require('../models/WeightDiscrepancy.model');
+const walletService = require('./wallet.service');
+const thirdPartyAPIService = require('./thirdPartyAPI.service');
+const AppError = require('../utils/AppError');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const {
+  DELIVERY_PARTNERS,
+  TRANSACTION_CATEGORIES,
+  WEIGHT_DISCREPANCY_STATUS,
+  WEIGHT_DISPUTE_STATUS
+} = require('../config/constants');
+
+// Header names carriers use in weight files (compared lowercase, letters and digits only)
+const WEIGHT_COLUMNS = {
+  awb: ['awb', 'awbnumber', 'awbno', 'waybill', 'trackingnumber'],
+  weight: ['chargeableweight', 'chargedweight', 'weight', 'weightkg', 'appliedweight', 'finalweight'],
+  length: ['length', 'lengthcm', 'l'],
+  width: ['width', 'widthcm', 'breadth', 'b', 'w'],
+  height: ['height', 'heightcm', 'h']
+};
+
+const MAX_DISPUTE_PHOTOS = 5;
+// Served back with this type, never the client-declared mimetype
+const PHOTO_CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+const columnKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Weight Discrepancy Service - Carrier re-weighs and seller disputes
+ *
+ * Flow:
+ * 1. A carrier weight arrives (webhook `chargeable_weight` or admin weight file)
+ * 2. Heavier than the billed chargeable weight (beyond tolerance) -> the lane is
+ *    quoted at both weights and the difference debited from the wallet
+ *    (left `pending_debit` and retried by the job if the balance is too low)
+ * 3. Seller can dispute with photos within the dispute window
+ * 4. Admin accepts (debit reversed / waived) or rejects (charge stands)
+ */
+class WeightDiscrepancyService {
+  getConfig() {
+    return {
+      toleranceKg: Number(process.env.WEIGHT_DISCREPANCY_TOLERANCE_KG) || 0.05,
+      disputeWindowDays: Number(process.env.WEIGHT_DISPUTE_WINDOW_DAYS) || 7,
+      maxRows: Number(process.env.WEIGHT_IMPORT_MAX_ROWS) || 5000
+    };
+  }
+
+  /**
+   * Record the weight a carrier billed for an order's shipment
+   * @param {Object} order - Order document
+   * @param {Object} report - weight (kg), dimensions (cm, optional), source, importFileName
+   * @returns {Object} { result: 'created'|'within_tolerance'|'duplicate', discrepancy }
+   */
+  async recordCarrierWeight(order, { weight, dimensions = null, source, importFileName = null }) {
+    const existing = await WeightDiscrepancy.findOne({ order: order._id });
+    if (existing) {
+      return { result: 'duplicate', discrepancy: existing };
+    }
+
+    const { toleranceKg } = this.getConfig();
+    const carrierWeight = this._carrierWeight(order.deliveryPartner, weight, dimensions);
+    const billedWeight = order.packageDetails.chargeableWeight || order.packageDetails.weight;
+
+    if (!(carrierWeight > billedWeight + toleranceKg)) {
+      return { result: 'within_tolerance', carrierWeight, billedWeight };
+    }
+
+    // Both weights quoted now, on the same rate card, so a rate-card or
+    // surcharge change since booking is not billed as a weight difference
+    const [carrierQuote, billedQuote] = await Promise.all([
+      this._priceAtWeight(order, carrierWeight),
+      this._priceAtWeight(order, billedWeight)
+    ]);
+    const amount = roundMoney(carrierQuote - billedQuote);
+    const revisedAmount = roundMoney(order.pricing.totalAmount + amount);
+
+    if (!(amount > 0)) {
+      return { result: 'within_tolerance', carrierWeight, billedWeight };
+    }
+
+    let discrepancy;
+    try {
+      discrepancy = await WeightDiscrepancy.create({
+        order: order._id,
+        user: order.user?._id || order.user,
+        orderNumber: order.orderNumber,
+        awb: order.awb,
+        deliveryPartner: order.deliveryPartner,
+        declaredWeight: order.packageDetails.weight,
+        billedWeight,
+        carrierWeight,
+        carrierDimensions: dimensions || undefined,
+        source,
+        importFileName,
+        billedAmount: order.pricing.totalAmount,
+        revisedAmount,
+        amount
+      });
+    } catch (error) {
+      // Webhook retry and weight file raced for the same order
+      if (error.code === 11000) {
+        return { result: 'duplicate', discrepancy: await WeightDiscrepancy.findOne({ order: order._id }) };
+      }
+      throw error;
+    }
+
+    await Order.updateOne({ _id: order._id }, { $set: { weightDiscrepancy: discrepancy._id } });
+
+    return { result: 'created', discrepancy: await this._debit(discrepancy) };
+  }
+
+  /**
+   * Webhook entry point (never throws)
+   * @param {Object} order - Order document
+   * @param {Object} report - weight (kg), dimensions
+   */
+  async handleCarrierWeight(order, report) {
+    try {
+      return await this.recordCarrierWeight(order, { ...report, source: 'webhook' });
+    } catch (error) {
+      console.error('[WeightDiscrepancy] failed to record carrier weight', {
+        orderNumber: order.orderNumber,
+        message: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Carrier weight in kg: the reported weight, or the volumetric weight of
+   * the reported dimensions if that is higher
+   */
+  _carrierWeight(partner, weight, dimensions) {
+    return thirdPartyAPIService.applyChargeableWeight(partner, { weight, dimensions }).weight;
+  }
+
+  /**
+   * Seller price of the order's shipment at another weight (same courier)
+   */
+  async _priceAtWeight(order, weight) {
+    const orderService = require('./order.service');
+
+    const rate = await orderService.calculateRate({
+      deliveryPartner: order.deliveryPartner,
+      pickupDetails: order.pickupDetails,
+      deliveryDetails: order.deliveryDetails,
+      packageDetails: {
+        weight,
+        declaredValue: order.packageDetails.declaredValue
+      },
+      paymentType: order.metadata?.paymentType || 'prepaid',
+      codAmount: order.cod?.amount || null
+    }, order.user?._id || order.user);
+
+    const courierId = order.metadata?.nimbusCourierId;
+    const option = courierId
+      ? rate.courierOptions.find((c) => String(c.id) === String(courierId))
+      : null;
+
+    if (courierId && !option) {
+      throw new AppError(`Courier ${courierId} no longer quotes this lane; price the difference manually`, 409);
+    }
+
+    return roundMoney(option ? option.totalCharges : rate.totalAmount);
+  }
+
+  async _debit(discrepancy) {
+    // A dispute may have been raised or accepted since this was loaded
+    const current = await WeightDiscrepancy.findById(discrepancy._id);
+    if (!current || current.status !== WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT ||
+        [WEIGHT_DISPUTE_STATUS.OPEN, WEIGHT_DISPUTE_STATUS.ACCEPTED].includes(current.dispute?.status)) {
+      return current || discrepancy;
+    }
+
+    try {
+      const { transaction } = await walletService.deductMoney(
+        discrepancy.user,
+        discrepancy.amount,
+        `Weight discrepancy for order ${discrepancy.orderNumber} (billed ${discrepancy.billedWeight} kg, carrier ${discrepancy.carrierWeight} kg)`,
+        discrepancy.order,
+        discrepancy.awb,
+        {
+          orderNumber: discrepancy.orderNumber,
+          weightDiscrepancyId: discrepancy._id.toString(),
+          billedWeight: discrepancy.billedWeight,
+          carrierWeight: discrepancy.carrierWeight
+        },
+        {
+          category: TRANSACTION_CATEGORIES.WEIGHT_DISCREPANCY,
+          idempotencyKey: `weight_discrepancy:${discrepancy._id}`
+        }
+      );
+
+      const debited = await WeightDiscrepancy.findOneAndUpdate(
+        { _id: discrepancy._id, status: WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT },
+        {
+          $set: {
+            status: WEIGHT_DISCREPANCY_STATUS.DEBITED,
+            debitTransaction: transaction._id,
+            debitedAt: new Date(),
+            debitError: null
+          }
+        },
+        { new: true }
+      );
+      if (debited) {
+        return debited;
+      }
+
+      // Waived (dispute accepted) while the debit was posting: give it back
+      const latest = await WeightDiscrepancy.findById(discrepancy._id);
+      if (latest.status !== WEIGHT_DISCREPANCY_STATUS.DEBITED) {
+        await walletService.addMoney(
+          discrepancy.user,
+          discrepancy.amount,
+          `Weight discrepancy debit voided for order ${discrepancy.orderNumber}`,
+          {
+            orderNumber: discrepancy.orderNumber,
+            weightDiscrepancyId: discrepancy._id.toString()
+          },
+          {
+            category: TRANSACTION_CATEGORIES.WEIGHT_DISCREPANCY,
+            idempotencyKey: `weight_discrepancy_void:${discrepancy._id}`,
+            orderId: discrepancy.order,
+            awb: discrepancy.awb
+          }
+        );
+      }
+      return latest;
+    } catch (error) {
+      await WeightDiscrepancy.updateOne(
+        { _id: discrepancy._id, status: WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT },
+        { $set: { debitError: error.message } }
+      );
+      discrepancy.debitError = error.message;
+      return discrepancy;
+    }
+  }
+
+  /**
+   * Retry debits that failed (low balance); skips open disputes
+   * @returns {Object} { attempted, debited }
+   */
+  async retryPendingDebits() {
+    const pending = await WeightDiscrepancy.find({
+      status: WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT,
+      'dispute.status': { $ne: WEIGHT_DISPUTE_STATUS.OPEN }
+    }).limit(200);
+
+    let debited = 0;
+    for (const discrepancy of pending) {
+      const result = await this._debit(discrepancy);
+      if (result.status === WEIGHT_DISCREPANCY_STATUS.DEBITED) debited += 1;
+    }
+
+    return { attempted: pending.length, debited };
+  }
+
+  /**
+   * Import a carrier weight file (admin)
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} options - deliveryPartner
+   * @returns {Object} Summary with per-row results
+   */
+  async importCarrierWeights(file, { deliveryPartner } = {}) {
+    if (!file || !file.buffer) {
+      throw new AppError('Please upload a CSV or XLSX file', 400);
+    }
+    if (!Object.values(DELIVERY_PARTNERS).includes(deliveryPartner)) {
+      throw new AppError('Invalid delivery partner', 400);
+    }
+
+    const rawRows = await parseSpreadsheet(file);
+    const { maxRows } = this.getConfig();
+
+    if (rawRows.length === 0) {
+      throw new AppError('The file has no weight rows', 400);
+    }
+    if (rawRows.length > maxRows) {
+      throw new AppError(`A file can have at most ${maxRows} rows (found ${rawRows.length})`, 400);
+    }
+
+    const rows = [];
+    for (const { rowNumber, values } of rawRows) {
+      rows.push(await this._importRow(rowNumber, this._readRow(values), {
+        deliveryPartner,
+        fileName: file.originalname
+      }));
+    }
+
+    const totals = { rows: rows.length, debitedAmount: 0 };
+    rows.forEach((row) => {
+      totals[row.status] = (totals[row.status] || 0) + 1;
+      if (row.status === 'created') totals.debitedAmount = roundMoney(totals.debitedAmount + row.amount);
+    });
+
+    return { fileName: file.originalname, deliveryPartner, totals, rows };
+  }
+
+  _readRow(values) {
+    const byKey = {};
+    Object.keys(values).forEach((header) => {
+      byKey[columnKey(header)] = values[header];
+    });
+
+    const pick = (field) => {
+      const key = WEIGHT_COLUMNS[field].find((name) => byKey[name] !== undefined && byKey[name] !== '');
+      return key ? byKey[key] : null;
+    };
+    const number = (value) => (value != null ? Number(String(value).replace(/[^0-9.]/g, '')) : null);
+
+    const dimensions = { length: number(pick('length')), width: number(pick('width')), height: number(pick('height')) };
+
+    return {
+      awb: pick('awb'),
+      weight: number(pick('weight')),
+      dimensions: Object.values(dimensions).every((v) => v > 0) ? dimensions : null
+    };
+  }
+
+  async _importRow(rowNumber, data, { deliveryPartner, fileName }) {
+    const row = { rowNumber, awb: data.awb, weight: data.weight };
+
+    if (!data.awb || !(data.weight > 0)) {
+      return { ...row, status: 'invalid', error: 'AWB and a positive weight (kg) are required' };
+    }
+
+    const order = await Order.findOne({ awb: String(data.awb), deliveryPartner });
+    if (!order) {
+      return { ...row, status: 'not_found', error: 'No order with this AWB for the carrier' };
+    }
+
+    try {
+      const { result, discrepancy } = await this.recordCarrierWeight(order, {
+        weight: data.weight,
+        dimensions: data.dimensions,
+        source: 'import',
+        importFileName: fileName
+      });
+      return {
+        ...row,
+        orderNumber: order.orderNumber,
+        status: result,
+        amount: result === 'created' ? discrepancy.amount : 0,
+        debitStatus: result === 'created' ? discrepancy.status : undefined
+      };
+    } catch (error) {
+      return { ...row, orderNumber: order.orderNumber, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * List weight discrepancies (seller's own, or all for admin)
+   * @param {Object} filters - userId, status, disputeStatus, page, limit
+   * @returns {Object} Discrepancies with pagination
+   */
+  async getDiscrepancies({ userId = null, status = '', disputeStatus = '', page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (userId) query.user = userId;
+    if (status) query.status = status;
+    if (disputeStatus) query['dispute.status'] = disputeStatus;
+
+    let find = WeightDiscrepancy.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    if (!userId) find = find.populate('user', 'name email phone');
+
+    const [discrepancies, total] = await Promise.all([
+      find,
+      WeightDiscrepancy.countDocuments(query)
+    ]);
+
+    return {
+      discrepancies,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Weight discrepancy with the order it belongs to
+   * @param {String} discrepancyId - WeightDiscrepancy ID
+   * @param {String} userId - User ID (omit for admin)
+   * @returns {Object} WeightDiscrepancy
+   */
+  async getDiscrepancy(discrepancyId, userId = null) {
+    const query = { _id: discrepancyId };
+    if (userId) query.user = userId;
+
+    const discrepancy = await WeightDiscrepancy.findOne(query)
+      .populate('order', 'orderNumber awb status packageDetails packages pricing.totalAmount');
+
+    if (!discrepancy) {
+      throw new AppError('Weight discrepancy not found', 404);
+    }
+
+    return discrepancy;
+  }
+
+  /**
+   * An uploaded dispute photo
+   * @param {String} discrepancyId - WeightDiscrepancy ID
+   * @param {Number} index - Position in dispute.photos
+   * @param {String} userId - User ID (omit for admin)
+   * @returns {Object} { data, contentType, filename }
+   */
+  async getDisputePhoto(discrepancyId, index, userId = null) {
+    const query = { _id: discrepancyId };
+    if (userId) query.user = userId;
+
+    const discrepancy = await WeightDiscrepancy.findOne(query).select('+dispute.photos.data');
+    const photo = discrepancy && discrepancy.dispute.photos[index];
+    if (!photo || !photo.data) {
+      throw new AppError('Photo not found', 404);
+    }
+
+    return { data: photo.data, contentType: photo.contentType, filename: photo.filename };
+  }
+
+  /**
+   * Seller disputes a weight discrepancy with photos
+   * @param {String} discrepancyId - WeightDiscrepancy ID
+   * @param {String} userId - User ID
+   * @param {Object} disputeData - comment, photos [{ url, filename }] hosted
+   *   by the seller and/or files (uploaded images, multer memory storage)
+   * @returns {Object} Updated WeightDiscrepancy
+   */
+  async raiseDispute(discrepancyId, userId, { comment = '', photos = [], files = [] } = {}) {
+    if (!Array.isArray(photos) || photos.some((p) => !p || !p.url)) {
+      throw new AppError('Each linked photo needs a url', 400);
+    }
+    const disputePhotos = [
+      ...photos.map((p) => ({ url: p.url, filename: p.filename || '', uploadedAt: new Date() })),
+      ...(files || []).map((file) => ({
+        filename: path.basename(file.originalname).replace(/[^\w.-]/g, '_'),
+        contentType: PHOTO_CONTENT_TYPES[path.extname(file.originalname).toLowerCase()] || 'application/octet-stream',
+        size: file.size,
+        data: file.buffer,
+        uploadedAt: new Date()
+      }))
+    ];
+    if (disputePhotos.length === 0 || disputePhotos.length > MAX_DISPUTE_PHOTOS) {
+      throw new AppError(`Attach between 1 and ${MAX_DISPUTE_PHOTOS} photos of the package`, 400);
+    }
+
+    const { disputeWindowDays } = this.getConfig();
+    const windowStart = new Date(Date.now() - disputeWindowDays * 24 * 60 * 60 * 1000);
+
+    const discrepancy = await WeightDiscrepancy.findOneAndUpdate(
+      {
+        _id: discrepancyId,
+        user: userId,
+        status: { $in: [WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT, WEIGHT_DISCREPANCY_STATUS.DEBITED] },
+        'dispute.status': null,
+        createdAt: { $gte: windowStart }
+      },
+      {
+        $set: {
+          'dispute.status': WEIGHT_DISPUTE_STATUS.OPEN,
+          'dispute.comment': comment,
+          'dispute.photos': disputePhotos,
+          'dispute.raisedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!discrepancy) {
+      const existing = await WeightDiscrepancy.findOne({ _id: discrepancyId, user: userId });
+      if (!existing) {
+        throw new AppError('Weight discrepancy not found', 404);
+      }
+      if (existing.dispute?.status) {
+        throw new AppError('This weight discrepancy has already been disputed', 409);
+      }
+      throw new AppError(`Disputes must be raised within ${disputeWindowDays} days`, 400);
+    }
+
+    return discrepancy;
+  }
+
+  /**
+   * Accept or reject a seller's dispute (admin)
+   * @param {String} discrepancyId - WeightDiscrepancy ID
+   * @param {Object} decision - accept (Boolean), note
+   * @param {String} adminId - Admin user ID
+   * @returns {Object} Updated WeightDiscrepancy
+   */
+  async resolveDispute(discrepancyId, { accept, note = '' }, adminId) {
+    const discrepancy = await WeightDiscrepancy.findOneAndUpdate(
+      { _id: discrepancyId, 'dispute.status': WEIGHT_DISPUTE_STATUS.OPEN },
+      {
+        $set: {
+          'dispute.status': accept ? WEIGHT_DISPUTE_STATUS.ACCEPTED : WEIGHT_DISPUTE_STATUS.REJECTED,
+          'dispute.resolvedBy': adminId,
+          'dispute.resolvedAt': new Date(),
+          'dispute.resolutionNote': note
+        }
+      },
+      { new: true }
+    );
+
+    if (!discrepancy) {
+      const existing = await WeightDiscrepancy.findById(discrepancyId);
+      if (!existing) {
+        throw new AppError('Weight discrepancy not found', 404);
+      }
+      throw new AppError('There is no open dispute on this weight discrepancy', 409);
+    }
+
+    if (!accept) {
+      // Charge stands; collect it now if it has not gone through yet
+      return discrepancy.status === WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT
+        ? this._debit(discrepancy)
+        : discrepancy;
+    }
+
+    if (discrepancy.status === WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT) {
+      return WeightDiscrepancy.findOneAndUpdate(
+        { _id: discrepancy._id, status: WEIGHT_DISCREPANCY_STATUS.PENDING_DEBIT },
+        { $set: { status: WEIGHT_DISCREPANCY_STATUS.WAIVED } },
+        { new: true }
+      );
+    }
+
+    const { transaction } = await walletService.addMoney(
+      discrepancy.user,
+      discrepancy.amount,
+      `Weight dispute accepted for order ${discrepancy.orderNumber}`,
+      {
+        orderNumber: discrepancy.orderNumber,
+        weightDiscrepancyId: discrepancy._id.toString(),
+        reversedBy: adminId.toString()
+      },
+      {
+        category: TRANSACTION_CATEGORIES.WEIGHT_DISCREPANCY,
+        idempotencyKey: `weight_discrepancy_reversal:${discrepancy._id}`,
+        orderId: discrepancy.order,
+        awb: discrepancy.awb
+      }
+    );
+
+    return WeightDiscrepancy.findByIdAndUpdate(
+      discrepancy._id,
+      {
+        $set: {
+          status: WEIGHT_DISCREPANCY_STATUS.REVERSED,
+          'dispute.reversalTransaction': transaction._id
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new WeightDiscrepancyService();
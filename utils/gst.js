@@ -0,0 +1,136 @@
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Spellings seen in addresses that differ from the official names
+const STATE_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'orissa': '21',
+  'pondicherry': '34',
+  'uttaranchal': '05',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'andaman and nicobar': '35',
+  'jammu & kashmir': '01',
+  'j&k': '01'
+};
+
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const isValidGstin = (gstin) => GSTIN_REGEX.test(String(gstin || '').toUpperCase());
+
+/**
+ * State code a GSTIN is registered in
+ * @param {String} gstin - GSTIN
+ * @returns {String|null} Two-digit state code
+ */
+const stateCodeFromGstin = (gstin) => {
+  if (!isValidGstin(gstin)) return null;
+  const code = String(gstin).slice(0, 2);
+  return GST_STATE_CODES[code] ? code : null;
+};
+
+/**
+ * State code for a state name as typed in an address
+ * @param {String} state - State name
+ * @returns {String|null} Two-digit state code
+ */
+const stateCodeFromName = (state) => {
+  const name = String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!name) return null;
+  if (STATE_ALIASES[name]) return STATE_ALIASES[name];
+  const match = Object.entries(GST_STATE_CODES).find(
+    ([, official]) => official.toLowerCase() === name.replace(/ & /g, ' and ')
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Taxable value inside a GST-inclusive amount
+ * @param {Number} grossAmount - Amount including GST
+ * @param {Number} rate - GST rate in percent
+ * @returns {Number} Taxable value
+ */
+const taxableValue = (grossAmount, rate) => round2((Number(grossAmount) * 100) / (100 + rate));
+
+/**
+ * Split tax into CGST + SGST when supplier and place of supply are in the
+ * same state, IGST otherwise
+ * @param {Number} totalTax - Tax amount
+ * @param {String} supplierStateCode - Supplier's state code
+ * @param {String} placeOfSupplyCode - Place of supply state code
+ * @returns {Object} { cgst, sgst, igst }
+ */
+const splitGst = (totalTax, supplierStateCode, placeOfSupplyCode) => {
+  const tax = round2(totalTax);
+  const intraState = !!supplierStateCode && supplierStateCode === placeOfSupplyCode;
+  const cgst = intraState ? round2(tax / 2) : 0;
+
+  return {
+    cgst,
+    sgst: intraState ? round2(tax - cgst) : 0,
+    igst: intraState ? 0 : tax
+  };
+};
+
+/**
+ * Indian financial year (April–March) a date falls in
+ * @param {Date} date - Date
+ * @returns {String} e.g. '2627' for FY 2026-27
+ */
+const financialYear = (date = new Date()) => {
+  const d = new Date(date);
+  // Invoices are dated in IST
+  const ist = new Date(d.getTime() + 5.5 * 60 * 60 * 1000);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${String(start % 100).padStart(2, '0')}${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  isValidGstin,
+  stateCodeFromGstin,
+  stateCodeFromName,
+  taxableValue,
+  splitGst,
+  financialYear
+};
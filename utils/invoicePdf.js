@@ -0,0 +1,148 @@
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const partyLines = (party) => [
+  party.name,
+  party.address,
+  party.state ? `State: ${party.state} (${party.stateCode})` : null,
+  `GSTIN: ${party.gstin || 'Unregistered'}`,
+  party.email ? `Email: ${party.email}` : null
+].filter(Boolean);
+
+/**
+ * Render a GST tax invoice (or credit / debit note) to PDF (built-in Helvetica, A4)
+ * @param {Object} invoice - Invoice document (see Invoice model)
+ * @param {Object} options - title, numberLabel, and for notes: reference (original invoice line), reason
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderInvoicePdf = (invoice, { title = 'TAX INVOICE', numberLabel = 'Invoice No', reference = null, reason = null } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `${title} ${invoice.invoiceNumber}`,
+      Author: invoice.supplier.name,
+      CreationDate: new Date(invoice.issuedAt)
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text(title, MARGIN, MARGIN, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9);
+  const metaTop = doc.y;
+  doc.text(`${numberLabel}: ${invoice.invoiceNumber}`, MARGIN, metaTop);
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`);
+  doc.text(`Order No: ${invoice.orderNumber}`, MARGIN + CONTENT_WIDTH / 2, metaTop);
+  doc.text(`AWB: ${invoice.awb || '-'}`, MARGIN + CONTENT_WIDTH / 2);
+  if (reference) {
+    doc.text(reference, MARGIN);
+  }
+  if (reason) {
+    doc.text(`Reason: ${reason}`, MARGIN);
+  }
+  doc.moveDown(1);
+
+  // Supplier / recipient
+  const partyTop = doc.y;
+  const colWidth = CONTENT_WIDTH / 2 - 10;
+  doc.font('Helvetica-Bold').text('Supplier', MARGIN, partyTop);
+  doc.font('Helvetica').text(partyLines(invoice.supplier).join('\n'), { width: colWidth });
+  const supplierBottom = doc.y;
+  doc.font('Helvetica-Bold').text('Billed To', MARGIN + CONTENT_WIDTH / 2, partyTop);
+  doc.font('Helvetica').text(partyLines(invoice.recipient).join('\n'), { width: colWidth });
+  doc.y = Math.max(supplierBottom, doc.y);
+  doc.moveDown(0.5);
+  doc.text(
+    `Place of Supply: ${invoice.placeOfSupply.state || '-'}${invoice.placeOfSupply.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : ''}`,
+    MARGIN
+  );
+  doc.text('Tax payable on reverse charge: No');
+  doc.moveDown(1);
+
+  // Line items
+  const cols = [
+    { label: '#', x: MARGIN, width: 20 },
+    { label: 'Description', x: MARGIN + 20, width: 235 },
+    { label: 'SAC', x: MARGIN + 255, width: 60 },
+    { label: 'Taxable Value', x: MARGIN + 315, width: 90, align: 'right' },
+    { label: `Amount (${invoice.currency})`, x: MARGIN + 405, width: 90, align: 'right' }
+  ];
+  const row = (values, bold = false) => {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    let bottom = top;
+    cols.forEach((col, i) => {
+      doc.text(values[i], col.x, top, { width: col.width, align: col.align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+  const rule = () => {
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).stroke();
+    doc.y += 4;
+  };
+
+  rule();
+  row(cols.map((c) => c.label), true);
+  rule();
+  invoice.lineItems.forEach((item, i) => {
+    row([String(i + 1), item.description, item.sacCode, money(item.taxableValue), money(item.amount)]);
+  });
+  rule();
+
+  // Totals
+  const totals = [
+    ['Taxable Value', invoice.taxableValue],
+    ...(invoice.igst
+      ? [[`IGST @ ${invoice.gstRate}%`, invoice.igst]]
+      : [[`CGST @ ${invoice.gstRate / 2}%`, invoice.cgst], [`SGST @ ${invoice.gstRate / 2}%`, invoice.sgst]]),
+    ['Total Tax', invoice.totalTax],
+    [`Total (${invoice.currency})`, invoice.totalAmount]
+  ];
+  totals.forEach(([label, amount], i) => {
+    const top = doc.y;
+    doc.font(i === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, MARGIN + 255, top, { width: 150 });
+    doc.text(money(amount), MARGIN + 405, top, { width: 90, align: 'right' });
+    doc.y += 2;
+  });
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).text(
+    `Amounts are inclusive of GST; taxable value is the amount less GST @ ${invoice.gstRate}%.`,
+    MARGIN,
+    doc.y,
+    { align: 'center', width: CONTENT_WIDTH }
+  );
+  doc.text(
+    'This is a computer generated document and does not require a signature.',
+    MARGIN,
+    doc.y,
+    { align: 'center', width: CONTENT_WIDTH }
+  );
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf,
+  formatDate
+};
@@ -0,0 +1,129 @@
+const dns = require('dns');
+const net = require('net');
+const AppError = require('./AppError');
+
+// Loopback, private, link-local, CGNAT, multicast, documentation and other
+// reserved IPv4 ranges ([network, prefix length])
+const RESERVED_V4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const v4ToInt = (ip) => ip.split('.').reduce((acc, part) => (acc * 256) + Number(part), 0);
+
+const inV4Range = (ip, [network, bits]) => {
+  const size = 2 ** (32 - bits);
+  return Math.floor(v4ToInt(ip) / size) === Math.floor(v4ToInt(network) / size);
+};
+
+/**
+ * Whether an IP address is not reachable on the public internet (loopback,
+ * private, link-local, cloud metadata, reserved). Non-IPs count as private.
+ * @param {String} ip - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+const isPrivateAddress = (ip) => {
+  const version = net.isIP(ip);
+  if (version === 4) {
+    return RESERVED_V4.some((range) => inV4Range(ip, range));
+  }
+  if (version !== 6) {
+    return true;
+  }
+
+  const addr = ip.toLowerCase();
+  // IPv4-mapped / NAT64 forms of an IPv4 address
+  const embedded = addr.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    return isPrivateAddress(embedded[1]);
+  }
+  return (
+    addr === '::' ||
+    addr === '::1' ||
+    /^::ffff:/.test(addr) ||
+    /^f[cd]/.test(addr) || // fc00::/7 unique local
+    /^fe[89ab]/.test(addr) || // fe80::/10 link-local
+    /^ff/.test(addr) || // multicast
+    /^2001:0?db8:/.test(addr) // documentation
+  );
+};
+
+/**
+ * Reject URLs that point at an IP literal or hostname known to be internal
+ * (no DNS lookup; see assertPublicUrl for that)
+ * @param {String} url - URL
+ * @returns {Boolean}
+ */
+const isPublicUrlSyntax = (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  if (!hostname || hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) {
+    return false;
+  }
+  return net.isIP(hostname) ? !isPrivateAddress(hostname) : true;
+};
+
+/**
+ * Throw unless every address the URL's host resolves to is public
+ * @param {String} url - URL
+ */
+const assertPublicUrl = async (url) => {
+  if (!isPublicUrlSyntax(url)) {
+    throw new AppError('URL must point to a public internet address', 400);
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new AppError(`URL host ${hostname} could not be resolved`, 400);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new AppError('URL must point to a public internet address', 400);
+  }
+};
+
+/**
+ * dns.lookup for http(s) agents that refuses to connect to internal
+ * addresses, so a hostname re-pointed after it was checked is still caught
+ * at connect time
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+    if (addresses.some((a) => isPrivateAddress(a))) {
+      const blocked = new Error(`Refusing to connect to internal address for ${hostname}`);
+      blocked.code = 'EADDRNOTPUBLIC';
+      return callback(blocked);
+    }
+    return callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPublicUrlSyntax,
+  assertPublicUrl,
+  publicLookup
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const AppError = require('./AppError');
+
+const parseCsv = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let rowNumber = 1; // header
+
+    // Excel's "CSV UTF-8" export starts with a byte order mark
+    const hasBom = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+
+    Readable.from(hasBom ? buffer.subarray(3) : buffer)
+      .pipe(csv({
+        mapHeaders: ({ header }) => header.trim(),
+        mapValues: ({ value }) => (value == null ? '' : String(value).trim())
+      }))
+      .on('data', (values) => {
+        rowNumber += 1;
+        rows.push({ rowNumber, values });
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = String(cell.text || '').trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = String(row.getCell(col).text || '').trim();
+    });
+    rows.push({ rowNumber, values });
+  });
+
+  return rows;
+};
+
+/**
+ * Read the header row + data rows of an uploaded CSV or XLSX file
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Array} [{ rowNumber, values: { column: value } }], blank lines skipped
+ */
+const parseSpreadsheet = async (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  let rows;
+
+  try {
+    rows = ext === '.xlsx' ? await parseXlsx(file.buffer) : await parseCsv(file.buffer);
+  } catch (error) {
+    throw new AppError(`Could not read the file: ${error.message}`, 400);
+  }
+
+  // Ignore completely blank lines (common at the end of spreadsheets)
+  return rows.filter(({ values }) => Object.values(values).some((v) => v !== ''));
+};
+
+module.exports = { parseSpreadsheet };
@@ -0,0 +1,106 @@
+const PDFDocument = require('pdfkit');
+const { formatDate } = require('./invoicePdf');
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_BOTTOM = 841.89 - MARGIN;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+
+/**
+ * Render a monthly wallet statement to PDF: summary, then every ledger entry
+ * @param {Object} statement - Statement document
+ * @param {Array} entries - Ledger entries with runningBalance (oldest first)
+ * @param {Object} user - Seller
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderStatementPdf = (statement, entries, user) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `Statement ${statement.period}` }
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Wallet Statement', MARGIN, MARGIN, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`${user?.gstLegalName || user?.name || ''}${user?.email ? ` <${user.email}>` : ''}`);
+  doc.text(`Period: ${statement.period} (${formatDate(statement.periodStart)} - ${formatDate(new Date(statement.periodEnd.getTime() - 1))})`);
+  doc.moveDown(1);
+
+  // Summary
+  const summary = [
+    ['Opening balance', '', statement.openingBalance],
+    ...statement.lines.map((line) => [
+      `${line.label} (${line.type})`,
+      String(line.count),
+      line.type === 'debit' ? -line.amount : line.amount
+    ]),
+    ['Closing balance', '', statement.closingBalance],
+    // Postpaid bill
+    ...(statement.dues && statement.dues.amountDue > 0
+      ? [[`Amount due by ${formatDate(statement.dues.dueDate)}`, '', statement.dues.amountDue]]
+      : [])
+  ];
+  summary.forEach(([label, count, amount], i) => {
+    const top = doc.y;
+    doc.font(i === 0 || i >= statement.lines.length + 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, MARGIN, top, { width: 280 });
+    doc.text(count ? `${count} entries` : '', MARGIN + 280, top, { width: 100, align: 'right' });
+    doc.text(money(amount), MARGIN + 380, top, { width: 115, align: 'right' });
+    doc.y += 2;
+  });
+  doc.moveDown(1.5);
+
+  // Ledger entries
+  const cols = [
+    { label: 'Date', x: MARGIN, width: 60 },
+    { label: 'Transaction ID', x: MARGIN + 60, width: 120 },
+    { label: 'Description', x: MARGIN + 180, width: 155 },
+    { label: 'Credit', x: MARGIN + 335, width: 50, align: 'right' },
+    { label: 'Debit', x: MARGIN + 385, width: 50, align: 'right' },
+    { label: 'Balance', x: MARGIN + 435, width: 60, align: 'right' }
+  ];
+  const row = (values, bold = false) => {
+    if (doc.y > PAGE_BOTTOM - 30) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5);
+    let bottom = top;
+    cols.forEach((col, i) => {
+      doc.text(values[i], col.x, top, { width: col.width, align: col.align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 3;
+  };
+
+  row(cols.map((c) => c.label), true);
+  doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).stroke();
+  doc.y += 3;
+  entries.forEach((txn) => {
+    row([
+      formatDate(txn.createdAt),
+      txn._id.toString(),
+      txn.description,
+      txn.type === 'credit' ? money(txn.amount) : '',
+      txn.type === 'debit' ? money(txn.amount) : '',
+      money(txn.runningBalance)
+    ]);
+  });
+  if (!entries.length) {
+    doc.font('Helvetica').fontSize(9).text('No wallet activity this month.', MARGIN);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderStatementPdf
+};
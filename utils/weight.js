@@ -0,0 +1,46 @@
+// Industry default for air / express: L×B×H (cm) / 5000 = kg
+const DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Volumetric weight of one box
+ * @param {Object} dimensions - length, width, height in cm
+ * @param {Number} divisor - cm³ per kg
+ * @returns {Number} Weight in kg (0 when any dimension is missing)
+ */
+const volumetricWeight = (dimensions, divisor = DEFAULT_VOLUMETRIC_DIVISOR) => {
+  const { length = 0, width = 0, height = 0 } = dimensions || {};
+  const volume = (Number(length) || 0) * (Number(width) || 0) * (Number(height) || 0);
+  return volume > 0 ? round2(volume / divisor) : 0;
+};
+
+/**
+ * Chargeable weight across all pieces: each box is billed on the higher of
+ * its dead and volumetric weight, and the shipment on the sum
+ * @param {Array} packages - [{ weight, dimensions }]
+ * @param {Number} divisor - cm³ per kg
+ * @returns {Number} Weight in kg
+ */
+const chargeableWeight = (packages, divisor = DEFAULT_VOLUMETRIC_DIVISOR) => {
+  return round2((packages || []).reduce(
+    (sum, pkg) => sum + Math.max(Number(pkg.weight) || 0, volumetricWeight(pkg.dimensions, divisor)),
+    0
+  ));
+};
+
+/**
+ * Dead weight across all pieces
+ * @param {Array} packages - [{ weight }]
+ * @returns {Number} Weight in kg
+ */
+const totalWeight = (packages) => {
+  return round2((packages || []).reduce((sum, pkg) => sum + (Number(pkg.weight) || 0), 0));
+};
+
+module.exports = {
+  DEFAULT_VOLUMETRIC_DIVISOR,
+  volumetricWeight,
+  chargeableWeight,
+  totalWeight
+};
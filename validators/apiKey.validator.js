@@ -0,0 +1,44 @@
+const { body } = require('express-validator');
+const { API_KEY_SCOPES } = require('../config/constants');
+
+/**
+ * Validation rules for creating an API key
+ */
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(Object.values(API_KEY_SCOPES))
+    .withMessage(`Scopes must be from: ${Object.values(API_KEY_SCOPES).join(', ')}`),
+
+  body('rateLimitPerMinute')
+    .optional()
+    .isInt({ min: 1, max: 6000 })
+    .withMessage('Rate limit must be between 1 and 6000 requests per minute')
+    .toInt()
+];
+
+/**
+ * Validation rules for rotating an API key
+ */
+const rotateApiKeyValidation = [
+  body('graceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Grace period must be between 0 and 10080 minutes (7 days)')
+    .toInt()
+];
+
+module.exports = {
+  createApiKeyValidation,
+  rotateApiKeyValidation
+};
@@ -1,5 +1,37 @@
 const { body } = require('express-validator');
-const { DELIVERY_PARTNERS } = require('../config/constants');
+const { DELIVERY_PARTNERS, NDR_ACTIONS } = require('../config/constants');
+
+// Maximum boxes in one multi-piece shipment
+const MAX_PIECES = 20;
+
+/**
+ * Validation rules for multi-piece shipments (packages[] instead of a single weight)
+ */
+const packagesValidation = [
+  body('packages')
+    .optional()
+    .isArray({ min: 1, max: MAX_PIECES })
+    .withMessage(`packages must contain between 1 and ${MAX_PIECES} boxes`),
+
+  body('packages.*.weight')
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Each package weight must be between 0.1 and 100 kg'),
+
+  body('packages.*.dimensions.length')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Package length must be a positive number'),
+
+  body('packages.*.dimensions.width')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Package width must be a positive number'),
+
+  body('packages.*.dimensions.height')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Package height must be a positive number')
+];
 
 /**
  * Validation rules for order creation
@@ -71,8 +103,9 @@ const createOrderValidation = [
     .notEmpty()
     .withMessage('Delivery state is required'),
 
-  // Package Details
+  // Package Details (weight comes from packages[] on multi-piece orders)
   body('packageDetails.weight')
+    .if(body('packages').not().exists())
     .isFloat({ min: 0.1 })
     .withMessage('Package weight must be at least 0.1 kg')
     .isFloat({ max: 100 })
@@ -98,6 +131,8 @@ const createOrderValidation = [
     .isFloat({ min: 0 })
     .withMessage('Declared value must be a positive number'),
 
+  ...packagesValidation,
+
   // Delivery Partner
   body('deliveryPartner')
     .isIn(Object.values(DELIVERY_PARTNERS))
@@ -113,6 +148,11 @@ const createOrderValidation = [
     .isIn(['prepaid', 'cod'])
     .withMessage('paymentType must be prepaid or cod'),
 
+  body('codAmount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 500000 })
+    .withMessage('COD amount must be between ₹1 and ₹5,00,000'),
+
   body('nimbusCourierId')
     .optional()
     .trim()
@@ -148,10 +188,13 @@ const calculateRateValidation = [
     .withMessage('Delivery pincode must be a valid 6-digit number'),
   
   body('weight')
+    .if(body('packages').not().exists())
     .isFloat({ min: 0.1 })
     .withMessage('Weight must be at least 0.1 kg')
     .isFloat({ max: 100 })
     .withMessage('Weight cannot exceed 100 kg'),
+
+  ...packagesValidation,
   
   body('deliveryPartner')
     .isIn(Object.values(DELIVERY_PARTNERS))
@@ -160,10 +203,162 @@ const calculateRateValidation = [
   body('paymentType')
     .optional()
     .isIn(['prepaid', 'cod'])
-    .withMessage('paymentType must be prepaid or cod')
+    .withMessage('paymentType must be prepaid or cod'),
+
+  body('codAmount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 500000 })
+    .withMessage('COD amount must be between ₹1 and ₹5,00,000')
+];
+
+/**
+ * Validation rules for cross-carrier rate comparison
+ */
+const compareRatesValidation = [
+  body('pickupPincode')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Pickup pincode must be a valid 6-digit number'),
+
+  body('deliveryPincode')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Delivery pincode must be a valid 6-digit number'),
+
+  body('weight')
+    .if(body('packages').not().exists())
+    .isFloat({ min: 0.1 })
+    .withMessage('Weight must be at least 0.1 kg')
+    .isFloat({ max: 100 })
+    .withMessage('Weight cannot exceed 100 kg'),
+
+  ...packagesValidation,
+
+  body('orderType')
+    .optional()
+    .isIn(['domestic', 'international'])
+    .withMessage('Invalid order type'),
+
+  body('paymentType')
+    .optional()
+    .isIn(['prepaid', 'cod'])
+    .withMessage('paymentType must be prepaid or cod'),
+
+  body('codAmount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 500000 })
+    .withMessage('COD amount must be between ₹1 and ₹5,00,000'),
+
+  body('sortBy')
+    .optional()
+    .isIn(['recommended', 'price', 'eta'])
+    .withMessage('sortBy must be recommended, price or eta')
+];
+
+/**
+ * Validation rules for a return (reverse pickup) order
+ */
+const createReturnValidation = [
+  body('warehouseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid warehouse id'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Return reason cannot exceed 500 characters'),
+
+  body('packageDetails.weight')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Weight must be between 0.1 and 100 kg'),
+
+  body('packageDetails.dimensions.length')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Length must be a positive number'),
+
+  body('packageDetails.dimensions.width')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Width must be a positive number'),
+
+  body('packageDetails.dimensions.height')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Height must be a positive number'),
+
+  body('nimbusCourierId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Invalid courier id')
+];
+
+/**
+ * Validation rules for a seller action on an NDR case
+ */
+const ndrActionValidation = [
+  body('action')
+    .isIn(Object.values(NDR_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.values(NDR_ACTIONS).join(', ')}`),
+
+  body('address.address')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Address must be between 5 and 200 characters'),
+
+  body('address.addressLine2')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address line 2 cannot exceed 200 characters'),
+
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Phone must be a valid 10-digit number'),
+
+  body('preferredDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Preferred date must be a valid date'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for a seller's weight discrepancy dispute
+ */
+const weightDisputeValidation = [
+  // Linked photos are optional when images are uploaded (multipart `photos`)
+  body('photos')
+    .if((value, { req }) => !req.files || req.files.length === 0)
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Attach between 1 and 5 photos of the package'),
+
+  body('photos.*.url')
+    .isURL()
+    .withMessage('Each photo needs a valid url'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
 ];
 
 module.exports = {
   createOrderValidation,
-  calculateRateValidation
+  calculateRateValidation,
+  compareRatesValidation,
+  createReturnValidation,
+  ndrActionValidation,
+  weightDisputeValidation
 };
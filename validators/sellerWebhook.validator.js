@@ -0,0 +1,55 @@
+const { body } = require('express-validator');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+const { isPublicUrlSyntax } = require('../utils/publicAddress');
+
+// Plain http is only accepted for local development
+const URL_PROTOCOLS = process.env.NODE_ENV === 'development' ? ['https', 'http'] : ['https'];
+
+const endpointFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url')
+      .trim()
+      .isURL({ protocols: URL_PROTOCOLS, require_protocol: true })
+      .withMessage(`URL must be a valid ${URL_PROTOCOLS.join(' or ')} URL`)
+      .bail()
+      .custom(isPublicUrlSyntax)
+      .withMessage('URL must point to a public internet address'),
+
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Subscribe to at least one event'),
+
+    body('events.*')
+      .isIn(Object.values(WEBHOOK_EVENTS))
+      .withMessage(`Events must be from: ${Object.values(WEBHOOK_EVENTS).join(', ')}`),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters')
+  ];
+};
+
+/**
+ * Validation rules for registering a webhook endpoint
+ */
+const createEndpointValidation = endpointFields(false);
+
+/**
+ * Validation rules for updating a webhook endpoint
+ */
+const updateEndpointValidation = [
+  ...endpointFields(true),
+
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be true or false')
+];
+
+module.exports = {
+  createEndpointValidation,
+  updateEndpointValidation
+};
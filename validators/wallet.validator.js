@@ -40,7 +40,34 @@ const verifyPaymentValidation = [
     .withMessage('Razorpay signature is required')
 ];
 
+/**
+ * Validation rules for low-balance / auto-recharge settings
+ */
+const autoRechargeSettingsValidation = [
+  body('lowBalanceThreshold')
+    .optional()
+    .custom((value) => {
+      if (value !== null && (isNaN(value) || Number(value) < 0)) {
+        throw new Error('Low-balance threshold must be a non-negative amount or null');
+      }
+      return true;
+    })
+    .customSanitizer((value) => (value === null ? null : parseFloat(value))),
+
+  body('autoRechargeEnabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('autoRechargeEnabled must be true or false'),
+
+  body('targetAmount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Target amount must be at least ₹1')
+    .toFloat()
+];
+
 module.exports = {
   rechargeValidation,
-  verifyPaymentValidation
+  verifyPaymentValidation,
+  autoRechargeSettingsValidation
 };